@@ -0,0 +1,37 @@
+/**
+ * Export the voice tools as ElevenLabs agent tool configs
+ *
+ * Usage:
+ *   node scripts/exportElevenLabsTools.js <outputFile> [backendUrl]
+ *
+ * The configs are generated from the same schemas the tool-call webhook
+ * validates against (src/tools/*), so re-export and update the agent whenever
+ * a tool's parameters change. backendUrl defaults to BACKEND_WEBHOOK_URL.
+ * The JSON goes to outputFile rather than stdout, which services log to as
+ * they load.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const toolRegistry = require('../src/services/toolRegistry');
+const tools = require('../src/tools');
+
+const [outputFile, urlArg] = process.argv.slice(2);
+const backendUrl = (urlArg || process.env.BACKEND_WEBHOOK_URL || '').replace(/\/+$/, '');
+
+if (!outputFile || !backendUrl) {
+  console.error('Usage: node scripts/exportElevenLabsTools.js <outputFile> [backendUrl] (backendUrl defaults to BACKEND_WEBHOOK_URL)');
+  process.exit(1);
+}
+
+toolRegistry.registerAll(tools);
+
+const configs = toolRegistry.getElevenLabsToolConfigs({
+  webhookUrl: `${backendUrl}/webhook/elevenlabs/tool-call`
+});
+
+fs.writeFileSync(outputFile, `${JSON.stringify(configs, null, 2)}\n`);
+console.log(`💾 ${configs.length} tool configs written to ${path.relative(process.cwd(), path.resolve(outputFile))}`);
+process.exit(0);
@@ -0,0 +1,129 @@
+/**
+ * Replay the golden SMS conversations and report regressions
+ *
+ * Usage:
+ *   npm run eval [-- --only flight-search,trip-planning] [--provider openai]
+ *                [--baseline file] [--report file] [--update-baseline]
+ *
+ * Writes tests/evals/report.json and compares it with the committed
+ * tests/evals/baseline.json. Exits 1 when a check fails or a check that
+ * passed in the baseline no longer does. After an intended change, rerun
+ * with --update-baseline and commit the baseline: its diff shows what the
+ * change did to the conversations.
+ *
+ * --provider openai answers with the live model (OPENAI_API_KEY must be set)
+ * instead of each transcript's mock fixtures; compare it against a baseline
+ * recorded the same way, not the mock one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConversations, runEvals } = require('../tests/evals/evalRunner');
+const { OpenAIProvider } = require('../src/services/llmProviderService');
+
+const EVALS_DIR = path.join(__dirname, '../tests/evals');
+
+/**
+ * Parse --flag value pairs
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { only, provider, baseline, report, updateBaseline }
+ */
+function parseArgs(argv) {
+  const args = {
+    only: [],
+    provider: 'mock',
+    baseline: path.join(EVALS_DIR, 'baseline.json'),
+    report: path.join(EVALS_DIR, 'report.json'),
+    updateBaseline: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--update-baseline') args.updateBaseline = true;
+    else if (flag === '--only') args.only = argv[++i].split(',').map(name => name.trim());
+    else if (flag === '--provider') args.provider = argv[++i];
+    else if (flag === '--baseline') args.baseline = path.resolve(argv[++i]);
+    else if (flag === '--report') args.report = path.resolve(argv[++i]);
+    else throw new Error(`Unknown option: ${flag}`);
+  }
+
+  if (!['mock', 'openai'].includes(args.provider)) {
+    throw new Error(`Unknown provider: ${args.provider} (mock or openai)`);
+  }
+  return args;
+}
+
+/**
+ * Print one line per conversation and the failed checks
+ * @param {Object} report - runEvals report
+ */
+function printResults(report) {
+  for (const conversation of report.conversations) {
+    console.log(`${conversation.passed ? '✅' : '❌'} ${conversation.name}`);
+    conversation.turns.forEach((turn, i) => {
+      for (const check of turn.checks.filter(result => !result.passed)) {
+        console.log(`   turn ${i + 1} "${turn.user}": ${check.check} - expected ${JSON.stringify(check.expected)}, got ${JSON.stringify(check.actual)}`);
+      }
+    });
+  }
+
+  const { comparison } = report;
+  if (comparison) {
+    for (const { conversation, turn, check } of comparison.regressions) {
+      console.log(`📉 Regression: ${conversation} turn ${turn}: ${check}`);
+    }
+    for (const { conversation, turn, check } of comparison.fixed) {
+      console.log(`📈 Fixed: ${conversation} turn ${turn}: ${check}`);
+    }
+    if (comparison.changed.length > 0) {
+      console.log(`📝 ${comparison.changed.length} turn outputs differ from the baseline: ${comparison.changed.map(({ conversation, turn, field }) => `${conversation}#${turn} ${field}`).join(', ')}`);
+    }
+    if (comparison.added.length > 0) console.log(`➕ New: ${comparison.added.join(', ')}`);
+    if (comparison.removed.length > 0) console.log(`➖ Missing: ${comparison.removed.join(', ')}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const conversations = loadConversations({ only: args.only });
+  if (conversations.length === 0) {
+    throw new Error(`No conversations found${args.only.length ? ` for ${args.only.join(', ')}` : ''}`);
+  }
+
+  let baseline = null;
+  if (!args.updateBaseline && fs.existsSync(args.baseline)) {
+    baseline = JSON.parse(fs.readFileSync(args.baseline, 'utf8'));
+    // Only compare the conversations that were replayed
+    const names = new Set(conversations.map(conversation => conversation.name));
+    baseline.conversations = baseline.conversations.filter(conversation => names.has(conversation.name));
+  }
+
+  console.log(`🧪 Replaying ${conversations.length} conversations on the ${args.provider} provider\n`);
+  const report = await runEvals({
+    conversations,
+    baseline,
+    ...(args.provider === 'openai' && { createProvider: () => new OpenAIProvider() })
+  });
+
+  fs.writeFileSync(args.report, `${JSON.stringify(report, null, 2)}\n`);
+  printResults(report);
+
+  if (args.updateBaseline) {
+    const { comparison, ...recorded } = report;
+    fs.writeFileSync(args.baseline, `${JSON.stringify(recorded, null, 2)}\n`);
+    console.log(`\n💾 Baseline written to ${path.relative(process.cwd(), args.baseline)}`);
+  } else if (!baseline) {
+    console.log(`\n⚠️ No baseline at ${path.relative(process.cwd(), args.baseline)} - run with --update-baseline to record one`);
+  }
+
+  const { summary } = report;
+  console.log(`\n📊 Eval Results: ${summary.passed}/${summary.conversations} conversations passed, ${summary.failedChecks} failed checks, ${summary.regressions || 0} regressions`);
+  console.log(`📄 Report: ${path.relative(process.cwd(), args.report)}`);
+
+  process.exit(summary.failedChecks > 0 || summary.regressions > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Eval run failed:', error.message);
+  process.exit(1);
+});
@@ -17,6 +17,7 @@ const sessionManager = require('./services/sessionManager');
 
 // Import services
 const realtimeService = require('./services/realtimeService');
+const callbackService = require('./services/callbackService');
 const duffelClient = require('./services/duffelClient');
 
 const app = express();
@@ -41,6 +42,55 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Inbound message queue stats (depth, latency, dead letters)
+const messageQueue = require('./services/messageQueue');
+
+app.get('/health/queue', async (req, res) => {
+  try {
+    const stats = await messageQueue.getStats();
+    res.json({
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      ...stats
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// SMS assistant turn stats (latency, tokens, tool calls, timeouts)
+const assistantService = require('./services/assistantService');
+
+app.get('/health/assistant', (req, res) => {
+  res.json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    ...assistantService.getStats()
+  });
+});
+
+// Prompt versions, A/B splits and conversion per variant
+const promptRegistry = require('./services/promptRegistry');
+
+app.get('/health/prompts', async (req, res) => {
+  try {
+    const prompts = await promptRegistry.getReport();
+    res.json({
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      prompts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Link redirector endpoint
 const linkRedirectorService = require('./services/linkRedirectorService');
 
@@ -99,18 +149,20 @@ app.post('/hotels/clear-cache', (req, res) => {
 });
 
 // Twilio webhooks
-app.post('/sms/inbound', smsController.handleInboundSMS);
+app.post('/sms/inbound', smsController.handleInboundSMS.bind(smsController));
+app.post('/whatsapp/inbound', smsController.handleInboundWhatsApp.bind(smsController));
 app.post('/sms/status', smsController.handleStatusCallback);
 app.post('/webhook/sms/status', smsController.handleStatusCallback); // Alternative path for Twilio
 
 // Voice webhooks  
 app.post('/voice/inbound', voiceController.handleInboundCall);
-app.post('/voice/process-speech', voiceController.processSpeech);
+app.post('/voice/process-speech', voiceController.processSpeech.bind(voiceController));
 app.post('/voice/status', voiceController.handleStatusCallback);
+app.post('/voice/callback/:callbackId', voiceController.handleCallbackCall);
 
 // ElevenLabs webhooks
-app.post('/webhook/elevenlabs', webhookController.handleElevenLabsWebhook);
-app.post('/webhook/elevenlabs/tool-call', webhookController.handleElevenLabsToolCall);
+app.post('/webhook/elevenlabs', webhookController.handleElevenLabsWebhook.bind(webhookController));
+app.post('/webhook/elevenlabs/tool-call', webhookController.handleElevenLabsToolCall.bind(webhookController));
 
 // Duffel webhooks
 const duffelWebhookRouter = require('./routes/webhooks/duffel');
@@ -347,6 +399,7 @@ wss.on('connection', async (ws, req) => {
 server.listen(PORT, '0.0.0.0', async () => {
   console.log('🚀 Otherwhere Backend running on port ' + PORT);
   console.log('📱 SMS webhook: http://localhost:' + PORT + '/sms/inbound');
+  console.log('💬 WhatsApp webhook: http://localhost:' + PORT + '/whatsapp/inbound');
   console.log('📞 Voice webhook: http://localhost:' + PORT + '/voice/inbound');
   console.log('🔌 WebSocket endpoint: ws://localhost:' + PORT + '/voice/media-stream');
   console.log('🧠 Using OpenAI model: ' + process.env.OPENAI_MODEL);
@@ -356,6 +409,15 @@ server.listen(PORT, '0.0.0.0', async () => {
   console.log('📥 Duffel Webhooks: http://localhost:' + PORT + '/webhooks/duffel');
   console.log('✈️  Flight Search API: http://localhost:' + PORT + '/flights/search');
 
+  // Start inbound message queue worker (no-op for the in-process queue)
+  messageQueue.start();
+  console.log('📬 Message queue stats: http://localhost:' + PORT + '/health/queue');
+  console.log('📈 Assistant stats: http://localhost:' + PORT + '/health/assistant');
+  console.log('🧪 Prompt versions: http://localhost:' + PORT + '/health/prompts');
+
+  // Place scheduled concierge callbacks ("call me at 6pm") when they come due
+  callbackService.start();
+
   // Start Aviasales white-label health monitoring
   const whiteLabelHealth = require('./services/whiteLabelHealthCheck');
   if (process.env.AVIASALES_WL_HOST) {
@@ -1,11 +1,47 @@
 const twilioService = require('../services/twilioService');
-const llmService = require('../services/llmService');
-const assistantService = require('../services/assistantService');
 const realtimeService = require('../services/realtimeService');
 const elevenLabsService = require('../services/elevenLabsService');
 const sessionManager = require('../services/sessionManager');
 const tripService = require('../services/tripService');
+const voiceRecapService = require('../services/voiceRecapService');
+const voiceMenuService = require('../services/voiceMenuService');
+const callbackService = require('../services/callbackService');
+const callerContextService = require('../services/callerContextService');
 const userProfileService = require('../services/userProfileService');
+const conversationRouter = require('../services/conversationRouter');
+const intents = require('../intents');
+
+conversationRouter.registerAll(intents);
+
+/**
+ * Escape a value for a TwiML attribute
+ * @param {string} value - Raw value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    .replace(/\n/g, '&#10;');
+}
+
+/**
+ * Caller context for the voice agent, or null if it can't be assembled
+ * @param {string} from - Caller's phone number
+ * @param {Object} session - Caller's session
+ * @returns {Promise<Object|null>}
+ */
+async function loadCallerContext(from, session) {
+  try {
+    return await callerContextService.buildCallerContext(from, session);
+  } catch (contextErr) {
+    console.warn(`Could not build caller context for ${from}:`, contextErr.message);
+    return null;
+  }
+}
 
 class VoiceController {
   /**
@@ -41,32 +77,52 @@ class VoiceController {
         console.log(`🎤 New user onboarded via voice: ${from}`);
       }
 
+      // ElevenLabs if configured (better quality), then OpenAI Realtime, then <Gather>
+      let voiceMode = 'gather';
+      if (elevenLabsService.isConfigured() && process.env.ELEVENLABS_VOICE_AGENT_ID) {
+        voiceMode = 'elevenlabs';
+      } else if (realtimeService.isConfigured()) {
+        voiceMode = 'realtime';
+      }
+
       // Update session with call details
       await sessionManager.updateSession(from, {
         channel: 'voice',
         context: {
           ...session.context,
           currentCallSid: callSid,
+          voiceMode,
+          voiceMenu: null,
           homeAirport: session.context?.homeAirport // Pass existing home airport if available
         }
       });
 
       // Priority 1: Use ElevenLabs if configured (better quality)
-      if (elevenLabsService.isConfigured() && process.env.ELEVENLABS_VOICE_AGENT_ID) {
+      if (voiceMode === 'elevenlabs') {
         console.log('🎙️ Using ElevenLabs for voice call');
 
         // Transfer call to ElevenLabs agent with user context
         const agentId = process.env.ELEVENLABS_VOICE_AGENT_ID;
 
+        // Name and home airport only - the rest comes with verify_caller, caller ID can be spoofed
+        const callerContext = await loadCallerContext(from, session);
+        const dynamicVariables = callerContext ? callerContextService.toDynamicVariables(callerContext) : {};
+
         // Prepare user context for the agent
         const userContext = {
           phoneNumber: from,
           callSid: callSid,
           hasProfile: !!session.onboardedVia,
-          homeAirport: session.context?.homeAirport || null,
-          previousTrips: tripService.getTripsByPhone(from).length
+          homeAirport: callerContext?.homeAirport || session.context?.homeAirport || null,
+          previousTrips: tripService.getTripsByPhone(from).length,
+          callerName: callerContext?.name || null
         };
 
+        // Each dynamic variable is also its own parameter for the agent prompt ({{caller_name}}, ...)
+        const variableParameters = Object.entries(dynamicVariables)
+          .map(([name, value]) => `\n      <Parameter name="${name}" value="${escapeXml(value)}" />`)
+          .join('');
+
         // Generate TwiML to handoff to ElevenLabs
         const twiml = `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
@@ -75,7 +131,7 @@ class VoiceController {
     <ConversationalAI agentId="${agentId}">
       <Parameter name="from" value="${from}" />
       <Parameter name="callSid" value="${callSid}" />
-      <Parameter name="userContext" value="${Buffer.from(JSON.stringify(userContext)).toString('base64')}" />
+      <Parameter name="userContext" value="${Buffer.from(JSON.stringify(userContext)).toString('base64')}" />${variableParameters}
     </ConversationalAI>
   </Connect>
 </Response>`;
@@ -84,7 +140,7 @@ class VoiceController {
         res.send(twiml);
 
       // Priority 2: Use OpenAI Realtime API for voice streaming
-      } else if (realtimeService.isConfigured()) {
+      } else if (voiceMode === 'realtime') {
         console.log('🎙️ Using OpenAI Realtime API for voice call');
 
         // Generate TwiML to connect Twilio's audio stream to our WebSocket
@@ -110,13 +166,17 @@ class VoiceController {
         // Fallback to standard voice handling
         console.log('🎙️ Using fallback voice handling');
 
-        const greeting = "Hello! Welcome to Otherwhere, your AI travel concierge. " +
-          "I can help you plan amazing trips. Tell me, where would you like to go?";
+        const callerContext = await loadCallerContext(from, session);
+        const greeting = callerContext?.name
+          ? `Hi ${callerContext.name}, welcome back to Otherwhere. Where would you like to go?`
+          : "Hello! Welcome to Otherwhere, your AI travel concierge. " +
+            "I can help you plan amazing trips. Tell me, where would you like to go?";
 
         const twiml = twilioService.generateVoiceResponse(greeting, {
           gather: true,
           gatherAction: '/voice/process-speech',
-          speechTimeout: 'auto'
+          speechTimeout: 'auto',
+          ...voiceMenuService.getGatherOptions(null)
         });
 
         res.type('text/xml');
@@ -137,26 +197,115 @@ class VoiceController {
   }
 
   /**
-   * Process speech input from user
+   * TwiML for a scheduled callback once the user picks up
+   * Twilio fetches /voice/callback/:callbackId for calls placed by
+   * callbackService; the user is the To number.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async handleCallbackCall(req, res) {
+    try {
+      const { To: to, CallSid: callSid } = req.body;
+      const callback = await callbackService.getCallback(req.params.callbackId);
+      const phoneNumber = callback?.phoneNumber || to;
+
+      console.log(`📞 Scheduled callback ${req.params.callbackId} answered by ${phoneNumber}: ${callSid}`);
+
+      const session = await sessionManager.getSession(phoneNumber);
+      const voiceMode = realtimeService.isConfigured() ? 'realtime' : 'gather';
+      await sessionManager.updateSession(phoneNumber, {
+        channel: 'voice',
+        context: {
+          ...session.context,
+          currentCallSid: callSid,
+          voiceMode,
+          voiceMenu: null,
+          callbackId: callback?.id || null
+        }
+      });
+
+      const about = callback?.topic ? ` about ${callback.topic}` : '';
+
+      if (voiceMode === 'realtime') {
+        const websocketUrl = process.env.VOICE_WEBSOCKET_URL ||
+          'wss://otherwhere-backend-production.up.railway.app/voice/media-stream';
+
+        const twiml = `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Connect>
+    <Stream url="${websocketUrl}">
+      <Parameter name="callSid" value="${callSid}" />
+      <Parameter name="from" value="${phoneNumber}" />
+      <Parameter name="callbackId" value="${callback?.id || ''}" />
+    </Stream>
+  </Connect>
+</Response>`;
+
+        res.type('text/xml');
+        return res.send(twiml);
+      }
+
+      const twiml = twilioService.generateVoiceResponse(
+        `Hi, it's Otherwhere calling back, as you asked${about}. How can I help?`,
+        {
+          gather: true,
+          gatherAction: '/voice/process-speech',
+          speechTimeout: 'auto',
+          ...voiceMenuService.getGatherOptions(null)
+        }
+      );
+
+      res.type('text/xml');
+      res.send(twiml);
+
+    } catch (error) {
+      console.error('Error handling callback call:', error);
+
+      res.type('text/xml');
+      res.send(twilioService.generateVoiceResponse(
+        "Sorry, something went wrong on our side. Text us anytime and we'll pick up where we left off.",
+        { hangup: true }
+      ));
+    }
+  }
+
+  /**
+   * Process speech or keypad input from the caller
+   * Keys are read against the menu offered on the previous turn (see
+   * voiceMenuService); 0 hands the call off to SMS.
    * @param {Object} req - Express request
    * @param {Object} res - Express response
    */
   async processSpeech(req, res) {
     try {
       const {
-        From: from,
         SpeechResult: speechResult,
-        Confidence: confidence
+        Digits: digits,
+        Confidence: confidence,
+        Direction: direction,
+        CallSid: callSid
       } = req.body;
 
-      console.log(`🎤 Speech from ${from} (confidence: ${confidence}): "${speechResult}"`);
+      // On calls we place (scheduled callbacks) the user is the To number
+      const from = direction && direction.startsWith('outbound') ? req.body.To : req.body.From;
+
+      if (digits) {
+        console.log(`🔢 Keys from ${from}: ${digits}`);
+      } else {
+        console.log(`🎤 Speech from ${from} (confidence: ${confidence}): "${speechResult}"`);
+      }
+
+      // Get session
+      const session = await sessionManager.getSession(from);
+      const menu = session.context?.voiceMenu || null;
 
-      if (!speechResult) {
+      if (!speechResult && !digits) {
         const retry = twilioService.generateVoiceResponse(
-          "I didn't catch that. Could you please repeat?",
+          `I didn't catch that. Could you please repeat? ${voiceMenuService.getPrompt(menu)}`.trim(),
           {
             gather: true,
-            gatherAction: '/voice/process-speech'
+            gatherAction: '/voice/process-speech',
+            ...voiceMenuService.getGatherOptions(menu)
           }
         );
 
@@ -164,74 +313,60 @@ class VoiceController {
         return res.send(retry);
       }
 
-      // Get session
-      const session = await sessionManager.getSession(from);
+      let message = speechResult;
+      const input = digits
+        ? { method: 'dtmf', digits, menu: menu?.type || null }
+        : { method: 'speech', confidence: confidence ? parseFloat(confidence) : null };
 
-      // Add user message to conversation history
-      await sessionManager.addMessage(from, {
-        role: 'user',
-        content: speechResult
-      });
+      if (digits) {
+        const keyed = voiceMenuService.interpretDigits(digits, menu);
 
-      // Generate response using OpenAI Assistant or LLM
-      let responseText;
-      let tripSearchData = null;
-
-      if (assistantService.isConfigured()) {
-        try {
-          // Create thread if it doesn't exist
-          if (!session.threadId) {
-            const threadId = await assistantService.createThread();
-            await sessionManager.updateSession(from, { threadId });
-            session.threadId = threadId;
-          }
+        if (keyed.handoff) {
+          return this.handOffToSMS(res, from, callSid, input);
+        }
 
-          // Send message to assistant
-          const assistantResponse = await assistantService.sendMessage(
-            session.threadId,
-            speechResult
+        if (keyed.retry) {
+          await this.saveVoiceTurn(from, keyed.menu, input);
+          const twiml = twilioService.generateVoiceResponse(
+            `${keyed.retry} ${voiceMenuService.getPrompt(keyed.menu)}`.trim(),
+            {
+              gather: true,
+              gatherAction: '/voice/process-speech',
+              ...voiceMenuService.getGatherOptions(keyed.menu)
+            }
           );
 
-          responseText = assistantResponse.text;
-          tripSearchData = assistantResponse.tripSearch;
-
-        } catch (error) {
-          console.error('Assistant error, falling back to LLM:', error);
-          // Fall back to LLM
-          const llmResponse = await llmService.generateResponse(
-            session.conversationHistory,
-            speechResult,
-            { maxTokens: 300 }
-          );
-          responseText = llmResponse.text;
-          tripSearchData = llmResponse.tripSearch;
+          res.type('text/xml');
+          return res.send(twiml);
         }
-      } else {
-        // Use LLM directly
-        const llmResponse = await llmService.generateResponse(
-          session.conversationHistory,
-          speechResult,
-          { maxTokens: 300 } // Shorter for voice
-        );
-        responseText = llmResponse.text;
-        tripSearchData = llmResponse.tripSearch;
+
+        message = keyed.message;
+        console.log(`🔢 Keys ${digits} read as "${message}" (menu: ${menu?.type || 'none'})`);
       }
 
-      // Add assistant response to conversation history
-      await sessionManager.addMessage(from, {
-        role: 'assistant',
-        content: responseText
-      });
+      // Route through the same intent handlers as SMS; spoken replies are
+      // collected for the TwiML response
+      const spoken = [];
+      const ctx = this.buildTurnContext(from, message, session, spoken, input.method);
+      await conversationRouter.route(ctx);
+
+      const responseText = spoken.join(' ') || "Sorry, could you say that again?";
+
+      // Offer keys for whatever we just asked
+      const updated = await sessionManager.getSession(from);
+      const nextMenu = voiceMenuService.buildMenu(updated, responseText);
+      await this.saveVoiceTurn(from, nextMenu, input);
 
       // Generate TwiML response
       const shouldContinue = true; // Continue conversation
 
       const twiml = twilioService.generateVoiceResponse(
-        responseText,
+        `${responseText} ${voiceMenuService.getPrompt(nextMenu)}`.trim(),
         {
           gather: shouldContinue,
           gatherAction: '/voice/process-speech',
-          hangup: !shouldContinue
+          hangup: !shouldContinue,
+          ...voiceMenuService.getGatherOptions(nextMenu)
         }
       );
 
@@ -251,6 +386,79 @@ class VoiceController {
     }
   }
 
+  /**
+   * Caller pressed 0: text them the call so far and end the call
+   * The recap is keyed by call SID, so the status callback won't send it again.
+   * @param {Object} res - Express response
+   * @param {string} from - Caller phone number
+   * @param {string} callSid - Twilio call SID
+   * @param {Object} input - How the caller asked (see saveVoiceTurn)
+   */
+  async handOffToSMS(res, from, callSid, input) {
+    console.log(`📱 ${from} pressed 0 - handing off to SMS`);
+
+    await this.saveVoiceTurn(from, null, input);
+    await voiceRecapService.sendRecap(from, {}, { callKey: callSid, source: 'gather' });
+
+    const twiml = twilioService.generateVoiceResponse(
+      "Done - I've texted you everything so far. Just reply there to keep going. Bye for now!",
+      { hangup: true }
+    );
+
+    res.type('text/xml');
+    res.send(twiml);
+  }
+
+  /**
+   * Remember the menu on offer and how the caller answered
+   * @param {string} from - Caller phone number
+   * @param {Object|null} menu - Menu offered with the next prompt
+   * @param {Object} input - { method: 'speech' | 'dtmf', digits?, menu?, confidence? }
+   */
+  async saveVoiceTurn(from, menu, input) {
+    // Re-read: intent handlers may have updated the context during the turn
+    const session = await sessionManager.getSession(from);
+    const inputCounts = session.context?.voiceInputCounts || {};
+
+    await sessionManager.updateSession(from, {
+      context: {
+        ...session.context,
+        voiceMenu: menu,
+        lastVoiceInput: { ...input, at: new Date().toISOString() },
+        voiceInputCounts: {
+          ...inputCounts,
+          [input.method]: (inputCounts[input.method] || 0) + 1
+        }
+      }
+    });
+  }
+
+  /**
+   * Build the router turn context for a speech turn
+   * Replies are spoken back on the call; out-of-band details go by SMS
+   * @param {string} from - Caller phone number
+   * @param {string} speechResult - Transcribed speech
+   * @param {Object} session - Current session data
+   * @param {Array<string>} spoken - Collects text to speak in the response
+   * @param {string} inputMethod - 'speech' or 'dtmf'
+   * @returns {Object} Turn context for conversationRouter.route()
+   */
+  buildTurnContext(from, speechResult, session, spoken, inputMethod = 'speech') {
+    return conversationRouter.createContext({
+      phoneNumber: from,
+      message: speechResult,
+      session,
+      channel: 'voice',
+      reply: async (text) => { spoken.push(text); },
+      notify: (text) => twilioService.sendLongSMS(from, text),
+      record: (message) => sessionManager.addMessage(from, {
+        role: 'user',
+        content: message,
+        inputMethod
+      })
+    });
+  }
+
   /**
    * Handle voice call status callbacks
    * @param {Object} req - Express request
@@ -260,11 +468,14 @@ class VoiceController {
     const {
       CallSid: callSid,
       CallStatus: status,
-      From: from,
       Duration: duration,
-      CallDuration: callDuration
+      CallDuration: callDuration,
+      Direction: direction
     } = req.body;
 
+    // On calls we place (scheduled callbacks) the user is the To number
+    const from = direction && direction.startsWith('outbound') ? req.body.To : req.body.From;
+
     console.log(`📊 Call Status: ${callSid} - ${status} (Duration: ${duration || callDuration || 0}s)`);
 
     try {
@@ -298,6 +509,12 @@ class VoiceController {
                   from,
                   "Looks like we got disconnected! 📞\n\nNo worries - text me where you'd like to go and I'll help you plan your trip."
                 );
+              } else if (session.context?.voiceMode !== 'elevenlabs') {
+                // ElevenLabs calls get their recap from the conversation.ended webhook
+                await voiceRecapService.sendRecap(from, {}, {
+                  callKey: callSid,
+                  source: session.context?.voiceMode || 'gather'
+                });
               }
             }
 
@@ -322,8 +539,11 @@ class VoiceController {
               });
             }
 
+            // A scheduled callback the user missed gets its own text
+            const missedCallback = await callbackService.markCallbackUnanswered(callSid, status);
+
             // For failed calls, send a helpful SMS
-            if (status === 'failed' || status === 'busy') {
+            if (!missedCallback && (status === 'failed' || status === 'busy')) {
               const twilioService = require('../services/twilioService');
               await twilioService.sendSMS(
                 from,
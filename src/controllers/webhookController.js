@@ -1,13 +1,73 @@
 const twilioService = require('../services/twilioService');
 const sessionManager = require('../services/sessionManager');
 const elevenLabsService = require('../services/elevenLabsService');
-const travelPayoutsService = require('../services/travelPayoutsService');
 const duffelFlightsService = require('../services/duffelFlightsService');
 const airlineDeepLinksService = require('../services/airlineDeepLinksService');
 const airportResolverService = require('../services/airportResolverService');
-const airbnbService = require('../services/airbnbService');
 const tripService = require('../services/tripService');
-const recommendationService = require('../services/recommendationService');
+const voiceRecapService = require('../services/voiceRecapService');
+const callbackService = require('../services/callbackService');
+const localizationService = require('../services/localizationService');
+const toolRegistry = require('../services/toolRegistry');
+const tools = require('../tools');
+
+toolRegistry.registerAll(tools);
+
+// Envelope fields of a tool-call payload; everything else is a tool argument
+const TOOL_CALL_ENVELOPE = ['tool_name', 'function_name', 'conversation_id', 'conversationId', 'call_sid', 'metadata'];
+
+/**
+ * Read an ElevenLabs tool-call payload
+ * The contract (what toolRegistry.getElevenLabsToolConfigs() configures) is
+ * { tool_name, conversation_id, call_sid, parameters: { ...arguments, phone_number } }.
+ * Agents configured before that sent `function_name`, the arguments at the
+ * top level, or bare search_trips arguments; those still work but are logged
+ * so the agent config can be re-exported.
+ * @param {Object} body - Request body
+ * @returns {Object} { toolName, parameters, conversationId, callSid, phoneNumber } or { error }
+ */
+function readToolCall(body = {}) {
+  let toolName = body.tool_name;
+  let parameters = body.parameters;
+  let legacy = null;
+
+  if (!toolName && body.function_name) {
+    toolName = body.function_name;
+    legacy = 'function_name';
+  }
+
+  if (parameters === undefined) {
+    parameters = Object.fromEntries(Object.entries(body).filter(([key]) => !TOOL_CALL_ENVELOPE.includes(key)));
+    legacy = legacy || 'top-level arguments';
+
+    if (!toolName && (body.destination || body.object)) {
+      toolName = 'search_trips';
+      legacy = 'bare search_trips arguments';
+    }
+  }
+
+  if (!toolName) {
+    return { error: 'tool_name is required' };
+  }
+  if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+    return { error: 'parameters must be an object' };
+  }
+  if (legacy) {
+    console.warn(`⚠️ Legacy ElevenLabs tool-call payload (${legacy}) for ${toolName} - re-export the agent tool configs`);
+  }
+
+  const metadata = body.metadata || {};
+  const conversationId = body.conversation_id || body.conversationId || null;
+  return {
+    toolName,
+    parameters,
+    conversationId,
+    // Caller verification is per call; web and test calls have no Twilio SID, the conversation stands in
+    callSid: body.call_sid || conversationId,
+    // ElevenLabs sends the caller ID in the arguments (system__caller_id), older configs in metadata
+    phoneNumber: parameters.phone_number || metadata.phone_number || metadata.from || null
+  };
+}
 
 class WebhookController {
   /**
@@ -35,7 +95,8 @@ class WebhookController {
         agentId,
         conversationId,
         message,
-        metadata
+        metadata,
+        failureReason
       } = webhookData;
 
       // Handle different event types
@@ -75,10 +136,16 @@ class WebhookController {
             });
 
             // Trigger SMS handoff (voice → SMS)
-            await this.handleVoiceToSMSHandoff(phoneNumber, tripData, session);
+            await this.handleVoiceToSMSHandoff(phoneNumber, tripData, session, conversationId);
           }
           break;
 
+        case 'call_initiation_failure':
+          // An outbound call the agent placed for a scheduled callback was not answered
+          console.log(`Call initiation failed: ${conversationId} (${failureReason || 'unknown'})`);
+          await callbackService.markCallbackUnanswered(conversationId, failureReason || 'failed');
+          break;
+
         case 'agent.action':
           // Handle custom actions from the agent
           console.log('Agent action:', message);
@@ -98,6 +165,8 @@ class WebhookController {
 
   /**
    * Handle ElevenLabs function/tool call webhooks
+   * Arguments are validated against the tool's schema by toolRegistry;
+   * invalid calls get a 400 with errors[] the agent can act on.
    * @param {Object} req - Express request
    * @param {Object} res - Express response
    */
@@ -120,574 +189,25 @@ class WebhookController {
 
       console.log('Payload:', JSON.stringify(req.body, null, 2));
 
-      // ElevenLabs may send different payload structures
-      // Check for both formats: {tool_name, parameters} and direct parameters
-      let tool_name = req.body.tool_name || req.body.function_name;
-      let parameters = req.body.parameters || req.body;
-      const conversation_id = req.body.conversation_id || req.body.conversationId;
-      const metadata = req.body.metadata;
-
-      // If parameters is the entire body, we need to extract actual parameters
-      // Check if body contains parameter-like fields (destination, origin, etc.)
-      if (!tool_name && (req.body.destination || req.body.object)) {
-        // Direct parameter payload - assume it's search_trips
-        tool_name = 'search_trips';
-        parameters = req.body;
-        console.log('📦 Detected direct parameter payload, assuming search_trips');
-      }
-
-      if (!tool_name) {
-        console.error('❌ No tool_name found in payload');
-        return res.status(400).json({
-          result: 'Missing tool_name in request',
+      const call = readToolCall(req.body);
+      if (call.error) {
+        console.error(`❌ Invalid tool call payload: ${call.error}`);
+        // Answered with 200 so ElevenLabs hands the error text to the agent
+        return res.json({
+          result: `Invalid tool call: ${call.error}`,
           success: false,
-          error: 'tool_name is required'
+          error: call.error
         });
       }
 
-      console.log(`🔧 Tool: ${tool_name}, Parameters:`, parameters);
-
-      // Handle search_trips function
-      if (tool_name === 'search_trips') {
-        // Handle both 'destination' and 'object' (ElevenLabs sometimes uses 'object')
-        const {
-          destination: dest,
-          object: obj,
-          origin = 'LAX',
-          check_in,
-          check_out,
-          travelers = 1,
-          budget_usd
-        } = parameters;
-
-        // Use whichever field is present
-        const destination = dest || obj;
-
-        if (!destination) {
-          console.error('❌ No destination provided (checked both "destination" and "object" fields)');
-          return res.status(400).json({
-            result: 'Missing destination parameter',
-            success: false,
-            error: 'destination is required'
-          });
-        }
-
-        console.log(`🛫 Processing search_trips for ${destination}`);
-
-        // Fix dates if they're in the past (smart correction)
-        const fixPastDate = (dateStr) => {
-          if (!dateStr) return null;
-
-          const inputDate = new Date(dateStr);
-          const now = new Date();
-
-          // If date is in the future, use it as-is
-          if (inputDate > now) {
-            return dateStr;
-          }
-
-          // Date is in the past - need to correct it
-          // Extract month and day from the input date
-          const month = inputDate.getMonth(); // 0-11
-          const day = inputDate.getDate();
-          const currentYear = now.getFullYear();
-
-          // Try current year first
-          const currentYearDate = new Date(currentYear, month, day);
-
-          if (currentYearDate > now) {
-            // The date hasn't happened yet this year - use current year
-            const correctedDate = `${currentYear}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-            console.log(`📅 Corrected past date: ${dateStr} → ${correctedDate} (this year)`);
-            return correctedDate;
-          } else {
-            // The date already passed this year - use next year
-            const nextYear = currentYear + 1;
-            const correctedDate = `${nextYear}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-            console.log(`📅 Corrected past date: ${dateStr} → ${correctedDate} (next year)`);
-            return correctedDate;
-          }
-        };
-
-        const correctedCheckIn = fixPastDate(check_in);
-        const correctedCheckOut = fixPastDate(check_out);
-
-        // Check if dates are too far in the future (warn but don't block)
-        let dateWarning = '';
-        if (correctedCheckIn) {
-          const checkInDate = new Date(correctedCheckIn);
-          const now = new Date();
-          const tenMonthsFromNow = new Date(now.getFullYear(), now.getMonth() + 10, now.getDate());
-
-          if (checkInDate > tenMonthsFromNow) {
-            const monthsAway = Math.round((checkInDate - now) / (1000 * 60 * 60 * 24 * 30));
-            dateWarning = `Note: Your travel date is ${monthsAway} months away. Flight availability may be limited for dates that far in advance. `;
-            console.log(`⚠️ Date warning: Search is ${monthsAway} months in the future`);
-          }
-        }
-
-        // Build trip details object
-        const tripDetails = {
-          destination,
-          origin,
-          startDate: correctedCheckIn,
-          endDate: correctedCheckOut,
-          travelers,
-          budget: budget_usd ? {
-            amount: budget_usd,
-            currency: 'USD'
-          } : null
-        };
-
-        // Get user phone number from parameters first (ElevenLabs sends it here), then metadata
-        const phoneNumber = parameters.phone_number || metadata?.phone_number || metadata?.from;
-        console.log(`📱 Phone number for SMS: ${phoneNumber || 'NOT PROVIDED'}`);
-
-        try {
-          // Search flights using TravelPayouts/Aviasales (same as SMS flow)
-          console.log(`[Aviasales] Searching flights: ${origin} → ${destination} on ${correctedCheckIn}`);
-
-          // Build trip data for TravelPayouts search
-          const tripData = {
-            origin: origin,
-            destination: destination,
-            startDate: correctedCheckIn,
-            endDate: correctedCheckOut,
-            travelers: parseInt(travelers) || 1,
-            budget: budget_usd ? {
-              amount: budget_usd,
-              currency: 'USD'
-            } : { currency: 'USD' }
-          };
-
-          // Search flights using TravelPayouts (same as SMS)
-          const searchResults = await travelPayoutsService.searchFlights(tripData);
-
-          if (!searchResults.success || searchResults.flights.length === 0) {
-            throw new Error('No flights found for your search');
-          }
-
-          // Get airport codes from results
-          const originCode = searchResults.searchParams.origin;
-          const destCode = searchResults.searchParams.destination;
-
-          // Build white-label booking URL (same as SMS)
-          const bookingUrl = travelPayoutsService.getBestBookingURL(
-            searchResults,
-            tripData,
-            phoneNumber
-          );
-
-          // Format SMS message with flight options and white-label booking link
-          let smsMessage = `✈️ Found ${searchResults.flights.length} flight${searchResults.flights.length > 1 ? 's' : ''}!\n\n`;
-
-          // Show top 3 flights
-          searchResults.flights.slice(0, 3).forEach((flight, idx) => {
-            const price = flight.price || `$${flight.priceValue || 'N/A'}`;
-            smsMessage += `${idx + 1}. ${price}`;
-            // Only show stops if we have reliable data (not null/undefined)
-            const stops = flight.transfers;
-            if (stops !== null && stops !== undefined) {
-              smsMessage += stops === 0 ? ' (Direct)' : ` (${stops} stop${stops > 1 ? 's' : ''})`;
-            }
-            if (flight.airline) {
-              smsMessage += ` - ${flight.airline}`;
-            }
-            smsMessage += `\n`;
-          });
-
-          smsMessage += `\n🔗 Book now: ${bookingUrl}`;
-
-          // Get flights for response (use searchResults.flights)
-          const flightsWithLinks = searchResults.flights.slice(0, 3).map(flight => ({
-            ...flight,
-            bookingUrl: bookingUrl,
-            bookingSource: 'white-label',
-            airline: { name: flight.airline || 'Various' },
-            price: flight.priceValue
-          }));
-
-          // Save to session for tracking
-          if (phoneNumber) {
-            await sessionManager.updateSession(phoneNumber, {
-              tripDetails,
-              lastFlightResults: searchResults.flights,
-              context: {
-                conversationId: conversation_id,
-                lastFlightSearch: {
-                  origin,
-                  destination,
-                  originCode: originCode,
-                  destCode: destCode,
-                  startDate: correctedCheckIn,
-                  endDate: correctedCheckOut,
-                  travelers,
-                  results: searchResults.flights
-                },
-                tripSearchInitiated: true,
-                tripSearchTimestamp: new Date().toISOString()
-              }
-            });
-
-            // Send SMS with flight results and booking links
-            await twilioService.sendLongSMS(phoneNumber, smsMessage);
-            console.log(`✅ Sent flight results with white-label booking link via SMS to ${phoneNumber}`);
-          }
-
-          // Return success response to ElevenLabs
-          const bestFlight = searchResults.flights[0];
-          const stops = bestFlight.transfers;
-          const stopsInfo = stops !== null && stops !== undefined
-            ? ` ${stops === 0 ? '(Direct)' : `(${stops} stop${stops > 1 ? 's' : ''})`}`
-            : '';
-
-          res.json({
-            result: phoneNumber
-              ? `${dateWarning}Perfect! I found ${searchResults.flights.length} flights from ${origin} to ${destination}. Best option: ${bestFlight.airline || 'Various'} for $${Math.round(bestFlight.priceValue)}${stopsInfo}. Check your texts for all options with booking link!`
-              : `${dateWarning}I found ${searchResults.flights.length} flights from ${origin} to ${destination}. The best option is ${bestFlight.airline || 'Various'} for $${Math.round(bestFlight.priceValue)}${stopsInfo}.`,
-            success: true
-          });
-
-        } catch (searchError) {
-          console.error('Flight search error:', searchError);
-
-          // Send error message via SMS if phone available
-          if (phoneNumber) {
-            try {
-              await twilioService.sendSMS(
-                phoneNumber,
-                `Sorry, I had trouble finding flights from ${origin} to ${destination}. Please try different cities or dates.`
-              );
-            } catch (smsError) {
-              console.error('Failed to send error SMS:', smsError);
-            }
-          }
-
-          res.json({
-            result: `I'm having trouble finding flights from ${origin} to ${destination} right now. Could you try different cities or check the spelling?`,
-            success: false,
-            error: searchError.message
-          });
-        }
-
-      } else if (tool_name === 'search_accommodations') {
-        const {
-          destination,
-          check_in,
-          check_out,
-          guests = 1,
-          budget_per_night_usd
-        } = parameters;
-
-        console.log(`🏠 Processing search_accommodations for ${destination}`);
-
-        // Fix dates if they're in the past (smart correction)
-        const fixPastDate = (dateStr) => {
-          if (!dateStr) return null;
-
-          const inputDate = new Date(dateStr);
-          const now = new Date();
-
-          // If date is in the future, use it as-is
-          if (inputDate > now) {
-            return dateStr;
-          }
-
-          // Date is in the past - need to correct it
-          const month = inputDate.getMonth(); // 0-11
-          const day = inputDate.getDate();
-          const currentYear = now.getFullYear();
-
-          // Try current year first
-          const currentYearDate = new Date(currentYear, month, day);
-
-          if (currentYearDate > now) {
-            const correctedDate = `${currentYear}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-            console.log(`📅 Corrected past date: ${dateStr} → ${correctedDate} (this year)`);
-            return correctedDate;
-          } else {
-            const nextYear = currentYear + 1;
-            const correctedDate = `${nextYear}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-            console.log(`📅 Corrected past date: ${dateStr} → ${correctedDate} (next year)`);
-            return correctedDate;
-          }
-        };
-
-        const correctedCheckIn = fixPastDate(check_in);
-        const correctedCheckOut = fixPastDate(check_out);
-
-        // Get user phone number from metadata
-        const phoneNumber = metadata?.phone_number || metadata?.from;
-
-        try {
-          // Search accommodations using Airbnb API
-          console.log(`[Airbnb] Searching: ${destination} (${correctedCheckIn} to ${correctedCheckOut})`);
-
-          // Step 1: Resolve destination ID
-          console.log(`🔍 Searching destination: ${destination}`);
-          const destinations = await airbnbService.searchDestination(destination, 'USA');
-
-          if (!destinations || destinations.length === 0) {
-            throw new Error(`Could not find destination: ${destination}`);
-          }
-
-          const destinationId = destinations[0]?.id;
-          const destinationName = destinations[0]?.name || destination;
-
-          if (!destinationId) {
-            console.error(`[Airbnb] Destination missing ID:`, destinations[0]);
-            throw new Error(`Could not resolve destination ID for: ${destination}`);
-          }
-
-          console.log(`[Airbnb] Resolved destination: ${destinationName} (${destinationId})`);
-
-          // Step 2: Search properties
-          const searchParams = {
-            destinationId: destinationId,
-            checkIn: correctedCheckIn,
-            checkOut: correctedCheckOut,
-            adults: parseInt(guests) || 1,
-            maxPrice: budget_per_night_usd || undefined,
-            currency: 'USD',
-            limit: 10
-          };
-
-          const searchResults = await airbnbService.searchProperties(searchParams);
-
-          // Step 3: Format top 3 results for SMS
-          const formattedProperties = airbnbService.formatPropertyResults(searchResults, 3, {
-            privateOnly: true,
-            minRating: 4.0,
-            minReviews: 3
-          });
-
-          if (formattedProperties.length === 0) {
-            throw new Error('No properties found for your search');
-          }
-
-          // Step 4: Generate SMS message
-          const smsMessage = airbnbService.formatSMSMessage(formattedProperties, {
-            destinationName,
-            checkIn: correctedCheckIn,
-            checkOut: correctedCheckOut
-          });
-
-          // Step 5: Save to session if phone number available
-          if (phoneNumber) {
-            await sessionManager.updateSession(phoneNumber, {
-              context: {
-                conversationId: conversation_id,
-                lastAccommodationSearch: {
-                  destination,
-                  destinationId,
-                  destinationName,
-                  checkIn: correctedCheckIn,
-                  checkOut: correctedCheckOut,
-                  guests,
-                  results: formattedProperties
-                },
-                accommodationSearchTimestamp: new Date().toISOString()
-              },
-              lastAccommodationResults: formattedProperties,
-              lastAccommodationSearch: {
-                destination: destinationName,
-                checkIn: correctedCheckIn,
-                checkOut: correctedCheckOut
-              }
-            });
-
-            // Step 6: Send SMS with property results
-            await twilioService.sendLongSMS(phoneNumber, smsMessage);
-            console.log(`✅ Sent accommodation results via SMS to ${phoneNumber}`);
-          }
-
-          // Step 7: Return success response to ElevenLabs
-          res.json({
-            result: phoneNumber
-              ? `Great! I found ${formattedProperties.length} places to stay in ${destinationName}. I've texted you the details with prices and ratings. Reply with a number to get the booking link!`
-              : `I found ${formattedProperties.length} places in ${destinationName}. The best option is $${formattedProperties[0].pricePerNight}/night with a ${formattedProperties[0].rating} star rating.`,
-            success: true
-          });
-
-        } catch (searchError) {
-          console.error('Accommodation search error:', searchError);
-
-          // Send error message via SMS if phone available
-          if (phoneNumber) {
-            try {
-              await twilioService.sendSMS(
-                phoneNumber,
-                `Sorry, I had trouble finding accommodations in ${destination}. Please try a different location or dates.`
-              );
-            } catch (smsError) {
-              console.error('Failed to send error SMS:', smsError);
-            }
-          }
-
-          res.json({
-            result: `I'm having trouble finding accommodations in ${destination} right now. Could you try a different city or check the spelling?`,
-            success: false,
-            error: searchError.message
-          });
-        }
-
-      } else if (tool_name === 'get_recommendations') {
-        // Handle recommendation mode for voice
-        const {
-          vibe,
-          timing,
-          budget,
-          travelers,
-          travelers_type
-        } = parameters;
-
-        console.log(`🎯 Processing get_recommendations for voice`);
-        console.log(`Preferences: vibe=${vibe}, timing=${timing}, budget=${budget}, travelers=${travelers}, type=${travelers_type}`);
-
-        // Get user phone number from parameters or metadata
-        const phoneNumber = parameters.phone_number || metadata?.phone_number || metadata?.from;
-
-        try {
-          // Map voice parameters to recommendation service format
-          const preferences = {
-            vibe: {
-              category: this.mapVibeToCategory(vibe),
-              raw: vibe
-            },
-            when: {
-              timing: timing,
-              raw: timing
-            },
-            budget: {
-              category: this.mapBudgetToCategory(budget),
-              raw: budget
-            },
-            who: {
-              category: this.mapTravelersToCategory(travelers_type),
-              count: parseInt(travelers) || 1,
-              raw: `${travelers} ${travelers_type || 'travelers'}`
-            }
-          };
-
-          // Generate recommendations
-          const recoResult = await recommendationService.generateRecommendations(preferences);
-
-          if (!recoResult.recommendations || recoResult.recommendations.length === 0) {
-            throw new Error('No recommendations generated');
-          }
-
-          // Format recommendations for voice (spoken format, no bullets)
-          const formattedRecos = recommendationService.formatRecommendationsForChannel(recoResult.recommendations);
-
-          // Save to session for SMS follow-up
-          if (phoneNumber) {
-            await sessionManager.updateSession(phoneNumber, {
-              recoMode: 'awaiting_selection',
-              recoPreferences: preferences,
-              recoRecommendations: recoResult.recommendations,
-              context: {
-                conversationId: conversation_id,
-                recommendationsGeneratedAt: new Date().toISOString()
-              }
-            });
-
-            // Send recommendations via SMS as well
-            await twilioService.sendLongSMS(phoneNumber, formattedRecos);
-            console.log(`✅ Sent recommendations via SMS to ${phoneNumber}`);
-          }
-
-          // Build voice-friendly response
-          const reco1 = recoResult.recommendations[0];
-          const reco2 = recoResult.recommendations[1];
-          const reco3 = recoResult.recommendations[2];
-
-          const voiceResponse = `I've got three great options for you. First: ${reco1.pitch} Second: ${reco2.pitch} Third: ${reco3.pitch} Any of these calling to you? Just tell me which one sounds right.`;
-
-          res.json({
-            result: phoneNumber
-              ? `${voiceResponse} I've also texted you the details so you can review them.`
-              : voiceResponse,
-            success: true,
-            recommendations: recoResult.recommendations
-          });
-
-        } catch (error) {
-          console.error('Recommendation generation error:', error);
-
-          res.json({
-            result: "I'm having a bit of trouble coming up with ideas right now. Could you tell me more about what kind of trip you're looking for?",
-            success: false,
-            error: error.message
-          });
-        }
-
-      } else if (tool_name === 'select_recommendation') {
-        // Handle when user selects a recommendation via voice
-        const { selection, destination } = parameters;
-        const phoneNumber = parameters.phone_number || metadata?.phone_number || metadata?.from;
-
-        console.log(`🎯 Processing recommendation selection: ${selection || destination}`);
-
-        try {
-          let selectedDestination = destination;
-
-          // If selection is a number, look up from session
-          if (!selectedDestination && phoneNumber) {
-            const session = await sessionManager.getSession(phoneNumber);
-            const recos = session.recoRecommendations || [];
-
-            if (selection && /^[123]$/.test(selection.toString())) {
-              const idx = parseInt(selection) - 1;
-              if (recos[idx]) {
-                selectedDestination = recos[idx].destination;
-              }
-            }
-          }
-
-          if (!selectedDestination) {
-            throw new Error('Could not determine selected destination');
-          }
-
-          // Update session with selected destination
-          if (phoneNumber) {
-            await sessionManager.updateSession(phoneNumber, {
-              recoMode: null,
-              recoPreferences: null,
-              recoRecommendations: null,
-              tripDetails: {
-                destination: selectedDestination
-              },
-              context: {
-                selectedFromRecommendations: true,
-                recoSelection: selectedDestination
-              }
-            });
-          }
-
-          const city = selectedDestination.split(',')[0];
-          res.json({
-            result: `${city} it is! Great choice. Now let's figure out the details. When are you thinking of going?`,
-            success: true,
-            destination: selectedDestination
-          });
-
-        } catch (error) {
-          console.error('Selection error:', error);
-          res.json({
-            result: "I didn't quite catch that. Which destination sounded good to you — number one, two, or three?",
-            success: false,
-            error: error.message
-          });
-        }
+      const { statusCode = 200, ...output } = await toolRegistry.execute(call.toolName, call.parameters, {
+        phoneNumber: call.phoneNumber,
+        conversationId: call.conversationId,
+        callSid: call.callSid,
+        channel: 'elevenlabs'
+      });
 
-      } else {
-        // Unknown tool
-        console.log(`Unknown tool call: ${tool_name}`);
-        res.status(400).json({
-          result: `Unknown tool: ${tool_name}`,
-          success: false
-        });
-      }
+      res.status(statusCode).json(output);
 
     } catch (error) {
       console.error('Error handling ElevenLabs tool call:', error);
@@ -701,12 +221,13 @@ class WebhookController {
 
   /**
    * Handle voice-to-SMS handoff after call ends
-   * Sends appropriate SMS based on what data was captured during the call
+   * Records what was captured during the call and texts a structured recap
    * @param {string} phoneNumber - User's phone number
    * @param {Object} tripData - Trip data captured from voice call
    * @param {Object} session - User's session data
+   * @param {string} conversationId - ElevenLabs conversation ID (recap dedupe key)
    */
-  async handleVoiceToSMSHandoff(phoneNumber, tripData, session) {
+  async handleVoiceToSMSHandoff(phoneNumber, tripData, session, conversationId = null) {
     try {
       console.log('📞→💬 Starting voice-to-SMS handoff for:', phoneNumber);
       console.log('Trip data captured:', tripData);
@@ -723,13 +244,11 @@ class WebhookController {
       const hasDates = !!departureDate && !!returnDate;
       const hasCompleteTripData = hasDestination && hasOrigin && hasDates;
 
-      let smsMessage = '';
-
       if (hasCompleteTripData) {
         // Complete data: Create trip and acknowledge
         console.log('✅ Complete trip data captured, creating trip...');
 
-        const tripId = await tripService.createTrip({
+        const trip = await tripService.createTrip({
           phoneNumber,
           destination,
           origin,
@@ -742,7 +261,7 @@ class WebhookController {
 
         // Update session with trip ID
         await sessionManager.updateSession(phoneNumber, {
-          currentTripId: tripId,
+          currentTripId: trip.id,
           bookingState: 'planning',
           context: {
             ...session.context,
@@ -750,8 +269,6 @@ class WebhookController {
           }
         });
 
-        smsMessage = `Thanks for calling! 🎉\n\nI've got all your details for ${destination}.\n\nI'll search for options and text you shortly with flights and accommodations. This usually takes a minute or two!`;
-
       } else if (hasDestination && !hasDates) {
         // Partial data: Has destination but missing dates
         console.log('⚠️ Partial trip data: destination only');
@@ -766,8 +283,6 @@ class WebhookController {
           }
         });
 
-        smsMessage = `We got your call about a trip to ${destination}! 🌍\n\nText me your travel dates (when you want to leave and come back) and I'll find the best options for you.`;
-
       } else if (hasDestination) {
         // Minimal data: Just destination
         console.log('⚠️ Minimal trip data: basic info only');
@@ -780,17 +295,16 @@ class WebhookController {
           }
         });
 
-        smsMessage = `Thanks for calling about ${destination}! 🗺️\n\nText me where you're flying from and your travel dates, and I'll help you plan this trip.`;
-
       } else {
         // No meaningful data captured
         console.log('⚠️ No trip data captured during call');
-
-        smsMessage = `We noticed you called Otherwhere! 👋\n\nText me where you want to go and I'll help you find amazing travel options.`;
       }
 
-      // Send SMS handoff message
-      await twilioService.sendSMS(phoneNumber, smsMessage);
+      // Text the recap: trip, options discussed and what is still open
+      await voiceRecapService.sendRecap(phoneNumber, tripData, {
+        callKey: conversationId || session.context?.currentCallSid || null,
+        source: 'elevenlabs'
+      });
       console.log(`✅ Voice-to-SMS handoff complete for ${phoneNumber}`);
 
       // If we have complete data, trigger search in background
@@ -808,65 +322,14 @@ class WebhookController {
 
       // Send fallback SMS on error
       try {
-        await twilioService.sendSMS(
-          phoneNumber,
-          "Thanks for calling! 📞\n\nText me where you'd like to go and I'll help you plan your trip."
-        );
+        const language = await localizationService.getLanguage(phoneNumber);
+        await twilioService.sendSMS(phoneNumber, localizationService.t(language, 'voice.handoffFallback'));
       } catch (smsError) {
         console.error('Failed to send fallback SMS:', smsError);
       }
     }
   }
 
-  /**
-   * Map voice vibe input to recommendation category
-   * @param {string} vibe - User's vibe description
-   * @returns {string} Category key
-   */
-  mapVibeToCategory(vibe) {
-    if (!vibe) return 'mixed';
-    const lower = vibe.toLowerCase();
-
-    if (/beach|relax|slow|chill|ocean|tropical|sun|water/i.test(lower)) return 'beach';
-    if (/city|urban|culture|museum|food|nightlife|buzz/i.test(lower)) return 'city';
-    if (/adventure|hik|mountain|nature|outdoor|wild|landscape/i.test(lower)) return 'adventure';
-    if (/history|ancient|traditional|heritage/i.test(lower)) return 'culture';
-
-    return 'mixed';
-  }
-
-  /**
-   * Map voice budget input to recommendation category
-   * @param {string} budget - User's budget description
-   * @returns {string} Category key
-   */
-  mapBudgetToCategory(budget) {
-    if (!budget) return 'moderate';
-    const lower = budget.toLowerCase();
-
-    if (/all[- ]?out|luxury|splurge|fancy|expensive|premium|high[- ]?end/i.test(lower)) return 'luxury';
-    if (/budget|cheap|economical|tight|limited|backpack|save/i.test(lower)) return 'budget';
-
-    return 'moderate';
-  }
-
-  /**
-   * Map travelers type to recommendation category
-   * @param {string} travelersType - Type of travelers
-   * @returns {string} Category key
-   */
-  mapTravelersToCategory(travelersType) {
-    if (!travelersType) return 'solo';
-    const lower = travelersType.toLowerCase();
-
-    if (/solo|alone|myself|just me/i.test(lower)) return 'solo';
-    if (/romantic|partner|couple|honeymoon|anniversary/i.test(lower)) return 'romantic';
-    if (/friend|group|crew|squad/i.test(lower)) return 'friends';
-    if (/family|kid|children/i.test(lower)) return 'family';
-
-    return 'solo';
-  }
-
   /**
    * Generic webhook handler for custom integrations
    * @param {Object} req - Express request
@@ -901,3 +364,4 @@ class WebhookController {
 }
 
 module.exports = new WebhookController();
+module.exports.readToolCall = readToolCall;
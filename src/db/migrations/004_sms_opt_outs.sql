@@ -0,0 +1,19 @@
+-- SMS Opt-Out Registry
+-- Created: 2026-10-19
+-- Purpose: Carrier compliance for STOP/START keywords - never text a number that opted out
+
+CREATE TABLE IF NOT EXISTS sms_opt_outs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  phone_number VARCHAR(20) UNIQUE NOT NULL, -- E.164, e.g. +15551234567
+  opted_out BOOLEAN NOT NULL DEFAULT TRUE,
+  keyword VARCHAR(20), -- Keyword that last changed the status (STOP, UNSUBSCRIBE, START...)
+  opted_out_at TIMESTAMP,
+  opted_in_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sms_opt_outs_phone ON sms_opt_outs(phone_number);
+
+COMMENT ON TABLE sms_opt_outs IS 'SMS opt-out status per phone number (STOP/START compliance keywords)';
+COMMENT ON COLUMN sms_opt_outs.opted_out IS 'TRUE while the number must not receive any SMS';
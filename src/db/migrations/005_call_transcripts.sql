@@ -0,0 +1,21 @@
+-- Call Transcripts
+-- Created: 2026-10-19
+-- Purpose: Keep what was said on voice calls so SMS follow-ups can pick up from it
+
+CREATE TABLE IF NOT EXISTS call_transcripts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  call_sid VARCHAR(64) UNIQUE NOT NULL, -- Twilio Call SID
+  phone_number VARCHAR(20), -- E.164 caller number (NULL if unknown)
+  channel VARCHAR(20) NOT NULL DEFAULT 'realtime', -- Voice stack that handled the call
+  started_at TIMESTAMP NOT NULL,
+  ended_at TIMESTAMP,
+  turns JSONB NOT NULL DEFAULT '[]', -- [{ role, content, at }]
+  tool_calls JSONB NOT NULL DEFAULT '[]', -- [{ name, arguments, success, result, at }]
+  summary TEXT, -- Generated at hangup
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_transcripts_phone ON call_transcripts(phone_number, started_at DESC);
+
+COMMENT ON TABLE call_transcripts IS 'Voice call transcripts, tool calls and end-of-call summaries';
@@ -0,0 +1,24 @@
+-- Callback Requests
+-- Created: 2026-10-19
+-- Purpose: Outbound concierge calls users schedule over SMS ("call me at 6pm about this trip")
+
+CREATE TABLE IF NOT EXISTS callback_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  phone_number VARCHAR(20) NOT NULL, -- E.164 number to call
+  scheduled_for TIMESTAMPTZ NOT NULL, -- When to place the call
+  timezone VARCHAR(64) NOT NULL, -- IANA zone the user asked in, e.g. America/New_York
+  status VARCHAR(20) NOT NULL DEFAULT 'scheduled', -- scheduled, calling, placed, missed, cancelled, failed
+  topic TEXT, -- What the user wants to talk about
+  context JSONB NOT NULL DEFAULT '{}', -- Session snapshot the call is seeded with
+  attempts INTEGER NOT NULL DEFAULT 0,
+  call_sid VARCHAR(64), -- Twilio Call SID / ElevenLabs conversation ID once placed
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_callback_requests_due ON callback_requests(status, scheduled_for);
+CREATE INDEX IF NOT EXISTS idx_callback_requests_phone ON callback_requests(phone_number, created_at DESC);
+
+COMMENT ON TABLE callback_requests IS 'Outbound calls scheduled by users over SMS';
+COMMENT ON COLUMN callback_requests.context IS 'Last search, trip and preferences at scheduling time, refreshed when the call is placed';
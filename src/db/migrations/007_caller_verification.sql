@@ -0,0 +1,26 @@
+-- Caller Verification
+-- Created: 2026-10-19
+-- Purpose: Step-up check before voice agents read or change passport, KTN and loyalty numbers.
+-- Caller ID can be spoofed, so a call must prove it reaches the user's phone (SMS code) or knows their PIN.
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS voice_pin_hash VARCHAR(255), -- scrypt hash, never the PIN itself
+ADD COLUMN IF NOT EXISTS voice_pin_updated_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS caller_verifications (
+  call_sid VARCHAR(64) PRIMARY KEY, -- Twilio Call SID / ElevenLabs conversation ID
+  phone_number VARCHAR(20) NOT NULL, -- Number the call claims to be from
+  code_hash VARCHAR(128), -- Hash of the last one-time code sent
+  code_expires_at TIMESTAMPTZ,
+  codes_sent INTEGER NOT NULL DEFAULT 0,
+  attempts INTEGER NOT NULL DEFAULT 0, -- Wrong codes/PINs on this call
+  verified_at TIMESTAMPTZ,
+  method VARCHAR(20), -- sms_code, pin
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_caller_verifications_phone ON caller_verifications(phone_number, created_at DESC);
+
+COMMENT ON TABLE caller_verifications IS 'Per-call identity checks that unlock profile data for voice agents';
+COMMENT ON COLUMN users.voice_pin_hash IS 'Optional phone PIN for voice verification (scrypt, salted)';
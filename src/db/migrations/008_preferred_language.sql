@@ -0,0 +1,8 @@
+-- Preferred Language
+-- Created: 2026-10-19
+-- Purpose: Language system messages and AI replies are sent in (detected from the user's texts)
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS preferred_language VARCHAR(5) DEFAULT 'en'; -- en, fr, es
+
+COMMENT ON COLUMN users.preferred_language IS 'Language for system messages and AI replies (en, fr, es)';
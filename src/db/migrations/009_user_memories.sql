@@ -0,0 +1,17 @@
+-- User Memories
+-- Created: 2026-10-19
+-- Purpose: Durable facts about a traveler ("travels with partner Sam", "hates early flights"),
+-- distilled from conversations as old turns are compacted and added to every prompt.
+
+CREATE TABLE IF NOT EXISTS user_memories (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  phone_number VARCHAR(20) NOT NULL, -- E.164, same key as sessions
+  content TEXT NOT NULL, -- One short fact, e.g. "hates early flights"
+  category VARCHAR(20) NOT NULL DEFAULT 'other', -- people, likes, dislikes, needs, other
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_memories_phone ON user_memories(phone_number, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_memories_fact ON user_memories(phone_number, LOWER(content));
+
+COMMENT ON TABLE user_memories IS 'Long-term facts about each user, injected into assistant and voice prompts';
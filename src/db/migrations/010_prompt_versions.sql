@@ -0,0 +1,22 @@
+-- Prompt Versions
+-- Created: 2026-10-19
+-- Purpose: Record which prompt versions (src/prompts, promptRegistry) each user's
+-- conversation ran on, so bookings can be attributed to a prompt variant.
+-- Individual replies are logged as 'prompt_turn' rows in event_logs.
+
+CREATE TABLE IF NOT EXISTS prompt_assignments (
+  phone_number VARCHAR(20) NOT NULL, -- E.164, same key as sessions
+  prompt_name VARCHAR(50) NOT NULL, -- e.g. 'assistant'
+  version VARCHAR(20) NOT NULL, -- e.g. 'v2'
+  turns INTEGER NOT NULL DEFAULT 0, -- Replies produced with this version
+  first_seen_at TIMESTAMP DEFAULT NOW(),
+  last_seen_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (phone_number, prompt_name, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_prompt_assignments_prompt ON prompt_assignments(prompt_name, version);
+
+-- Prompt versions the user's conversation ran on when they booked: { "assistant": "v2", ... }
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS prompt_versions JSONB;
+
+COMMENT ON TABLE prompt_assignments IS 'Prompt versions each user was served, with reply counts, for A/B comparison';
@@ -0,0 +1,13 @@
+-- Callback Conversation IDs
+-- Created: 2026-10-19
+-- Purpose: Keep the ElevenLabs conversation ID of a placed callback apart from its Twilio Call SID,
+-- so status callbacks (CallSid) and ElevenLabs events (conversation_id) both find the callback
+
+ALTER TABLE callback_requests
+ADD COLUMN IF NOT EXISTS conversation_id VARCHAR(64); -- ElevenLabs conversation ID, when the agent placed the call
+
+CREATE INDEX IF NOT EXISTS idx_callback_requests_call_sid ON callback_requests(call_sid);
+CREATE INDEX IF NOT EXISTS idx_callback_requests_conversation ON callback_requests(conversation_id);
+
+COMMENT ON COLUMN callback_requests.call_sid IS 'Twilio Call SID of the outbound call';
+COMMENT ON COLUMN callback_requests.conversation_id IS 'ElevenLabs conversation ID when the call went through the voice agent';
@@ -28,6 +28,16 @@ async function getConversationByPhone(phone) {
   return result.rows[0];
 }
 
+async function getConversationById(id) {
+  if (!requireDatabase()) return null;
+
+  const result = await db.query(
+    'SELECT * FROM conversations WHERE id = $1',
+    [id]
+  );
+  return result.rows[0];
+}
+
 async function createConversation(phone, intent = null, searchParams = {}) {
   if (!requireDatabase()) return null;
 
@@ -150,15 +160,16 @@ async function createBooking(data) {
     currency,
     ticketNumbers,
     status,
-    orderData
+    orderData,
+    promptVersions
   } = data;
 
   const result = await db.query(
     `INSERT INTO bookings
      (link_session_id, conversation_id, duffel_order_id, booking_reference,
       passenger_name, origin, destination, departure_date, total_paid, currency,
-      ticket_numbers, status, order_data)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      ticket_numbers, status, order_data, prompt_versions)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
      RETURNING *`,
     [
       linkSessionId,
@@ -173,7 +184,8 @@ async function createBooking(data) {
       currency,
       ticketNumbers,
       status || 'confirmed',
-      JSON.stringify(orderData)
+      JSON.stringify(orderData),
+      promptVersions ? JSON.stringify(promptVersions) : null
     ]
   );
   return result.rows[0];
@@ -212,6 +224,35 @@ async function getBookingsByConversation(conversationId) {
   return result.rows;
 }
 
+async function getBookingsByPhone(phone, limit = 10) {
+  if (!requireDatabase()) return [];
+
+  const result = await db.query(
+    `SELECT b.* FROM bookings b
+     JOIN conversations c ON c.id = b.conversation_id
+     WHERE c.phone = $1
+     ORDER BY b.created_at DESC
+     LIMIT $2`,
+    [phone, limit]
+  );
+  return result.rows;
+}
+
+async function getBookingByReference(bookingReference, phone) {
+  if (!requireDatabase()) return null;
+
+  // Scoped to the phone's conversations so a reference can't be looked up by anyone else
+  const result = await db.query(
+    `SELECT b.* FROM bookings b
+     JOIN conversations c ON c.id = b.conversation_id
+     WHERE UPPER(b.booking_reference) = UPPER($1) AND c.phone = $2
+     ORDER BY b.created_at DESC
+     LIMIT 1`,
+    [bookingReference, phone]
+  );
+  return result.rows[0];
+}
+
 async function getAllBookings(limit = 100) {
   if (!requireDatabase()) return [];
 
@@ -311,6 +352,7 @@ async function getStats() {
 module.exports = {
   // Conversations
   getConversationByPhone,
+  getConversationById,
   createConversation,
   updateConversation,
   getOrCreateConversation,
@@ -326,6 +368,8 @@ module.exports = {
   getBookingByDuffelOrderId,
   updateBookingStatus,
   getBookingsByConversation,
+  getBookingsByPhone,
+  getBookingByReference,
   getAllBookings,
 
   // Event Logs
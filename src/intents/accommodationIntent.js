@@ -0,0 +1,132 @@
+/**
+ * Accommodation intent interceptor
+ * After a flight search, detect "stays too please" (or "just the flight") and
+ * act on it directly instead of letting the assistant re-ask.
+ */
+
+const staysService = require('../services/staysService');
+const localizationService = require('../services/localizationService');
+const { presentAccommodationResults } = require('./presenters');
+
+/**
+ * Detect if user wants accommodation (flexible intent matching)
+ * This is NOT rigid keyword matching - it's intent classification
+ * @param {string} message - User's message
+ * @returns {boolean} True if user wants accommodation
+ */
+function detectAccommodationIntent(message) {
+  const lower = message.toLowerCase().trim();
+
+  // Direct accommodation requests
+  const accommodationPatterns = [
+    // Exact/near-exact matches
+    /^stays?$/i,
+    /^hotels?$/i,
+    /^airbnb$/i,
+    /^accommodations?$/i,
+    /^lodging$/i,
+    /^place to stay$/i,
+
+    // Affirmative responses to "need a place to stay?"
+    /^(yes|yeah|yep|yup|sure|ok|okay|please|definitely|absolutely)$/i,
+    /^(yes|yeah|yep|yup|sure|ok|okay)\s*(please|thanks)?$/i,
+
+    // Natural phrasing variations
+    /stays?\s*(too|also|as\s*well|please)?/i,
+    /hotels?\s*(too|also|as\s*well|please)?/i,
+    /airbnb\s*(too|also|as\s*well|please)?/i,
+    /(find|get|search|show|book)\s*(me\s*)?(a\s*)?(place|stay|hotel|airbnb|accommodation)/i,
+    /(need|want|looking\s*for)\s*(a\s*)?(place|stay|hotel|airbnb|accommodation)/i,
+    /place\s*to\s*stay/i,
+    /somewhere\s*to\s*stay/i,
+    /both\s*(please)?$/i,  // "both" = flight + hotel
+    /and\s*(a\s*)?(hotel|stay|accommodation)/i,
+
+    // Implicit affirmatives in context
+    /^that\s*too$/i,
+    /^add\s*(a\s*)?(hotel|stay)/i,
+  ];
+
+  return accommodationPatterns.some(pattern => pattern.test(lower));
+}
+
+/**
+ * Detect if user wants just the flight (no accommodation)
+ * @param {string} message - User's message
+ * @returns {boolean} True if user explicitly wants only flight
+ */
+function detectJustFlightIntent(message) {
+  const lower = message.toLowerCase().trim();
+
+  const justFlightPatterns = [
+    /^just\s*(the\s*)?flight$/i,
+    /^(only|just)\s*(the\s*)?flight$/i,
+    /^no\s*(hotel|stay|accommodation)/i,
+    /^flight\s*only$/i,
+    /^(nope|no|nah)$/i,  // Negative response to "need a place to stay?"
+    /^i'?m?\s*(good|fine|all\s*set)$/i,  // "im good", "I'm good", "i'm fine"
+    /^that'?s?\s*(it|all)$/i,  // "thats it", "that's all", "thats all"
+    /^all\s*set$/i,  // "all set"
+  ];
+
+  return justFlightPatterns.some(pattern => pattern.test(lower));
+}
+
+module.exports = {
+  name: 'accommodationIntent',
+  priority: 50,
+  states: '*',
+
+  matches(ctx) {
+    const { session, message } = ctx;
+    if (!session.lastFlightSearch || !session.context?.lastFlightSearch) {
+      return false;
+    }
+    return detectAccommodationIntent(message) || detectJustFlightIntent(message);
+  },
+
+  async handle(ctx) {
+    const { phoneNumber, session, message } = ctx;
+
+    await ctx.recordUserMessage();
+
+    if (!detectAccommodationIntent(message)) {
+      console.log(`✈️ Detected "just flight" intent: "${message}"`);
+      await ctx.reply(localizationService.t(ctx.language, 'accommodation.flightOnly'));
+      return { handled: true };
+    }
+
+    console.log(`🏠 Detected accommodation intent: "${message}" → triggering search`);
+
+    const flightSearch = session.context.lastFlightSearch;
+    const guests = flightSearch.travelers || 1;
+
+    // Momentum message while the search runs
+    await ctx.notify(localizationService.t(ctx.language, 'accommodation.searching'));
+
+    try {
+      const accommodationResults = await staysService.searchAccommodations({
+        destination: flightSearch.destination,
+        checkIn: flightSearch.startDate,
+        checkOut: flightSearch.endDate,
+        guests
+      });
+
+      if (accommodationResults && accommodationResults.properties && accommodationResults.properties.length > 0) {
+        const accommodationMessage = await presentAccommodationResults(phoneNumber, accommodationResults, guests, ctx.language);
+        await ctx.replyLong(accommodationMessage);
+        console.log('✅ Accommodation search completed via intent interceptor');
+      } else {
+        await ctx.reply(localizationService.t(ctx.language, 'accommodation.noResults'));
+      }
+    } catch (err) {
+      console.error('❌ Accommodation search failed:', err.message);
+      await ctx.reply(localizationService.t(ctx.language, 'accommodation.failed'));
+    }
+
+    return { handled: true };
+  }
+};
+
+module.exports.detectAccommodationIntent = detectAccommodationIntent;
+module.exports.detectJustFlightIntent = detectJustFlightIntent;
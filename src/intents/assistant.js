@@ -0,0 +1,167 @@
+/**
+ * Assistant intent (catch-all)
+ * Runs the turn through the assistant's tool loop, falling back to the direct
+ * LLM, then delivers any flight / accommodation results it produced.
+ */
+
+const llmService = require('../services/llmService');
+const assistantService = require('../services/assistantService');
+const sessionManager = require('../services/sessionManager');
+const localizationService = require('../services/localizationService');
+const userMemoryService = require('../services/userMemoryService');
+const promptRegistry = require('../services/promptRegistry');
+const travelPayoutsService = require('../services/travelPayoutsService');
+const { RESULTS_PAGE_SIZE, formatFlightResultsMessage, presentAccommodationResults } = require('./presenters');
+
+// Voice replies are spoken, keep them short
+const VOICE_MAX_TOKENS = 300;
+
+// Twilio waits 15s for a <Gather> webhook, so voice turns give up sooner
+const VOICE_TIMEOUT_MS = 10000;
+
+/**
+ * Get an AI response for the turn
+ * @param {Object} ctx - Turn context
+ * @returns {Promise<Object>} { text, flightResults, accommodationResults, prompt }
+ */
+async function generateReply(ctx) {
+  const { phoneNumber, session, message } = ctx;
+  const isVoice = ctx.channel === 'voice';
+  const memories = await userMemoryService.loadForPrompt(phoneNumber);
+  const llmOptions = {
+    language: ctx.language,
+    memories,
+    phoneNumber,
+    ...(isVoice ? { maxTokens: VOICE_MAX_TOKENS } : {})
+  };
+  const aiStartTime = Date.now();
+
+  const useAssistant = assistantService.isConfigured();
+  console.log(`🤖 Using ${useAssistant ? 'assistant tool loop' : 'Direct LLM'}`);
+
+  if (useAssistant) {
+    try {
+      const assistantResponse = await assistantService.respond({
+        phoneNumber,
+        message,
+        session,
+        language: ctx.language,
+        channel: ctx.channel,
+        memories,
+        ...(isVoice
+          ? { maxTokens: VOICE_MAX_TOKENS, timeoutMs: VOICE_TIMEOUT_MS }
+          : { onProgress: text => ctx.notify(text) })
+      });
+
+      const aiDuration = Date.now() - aiStartTime;
+      console.log(`⏱️  Assistant took ${aiDuration}ms (${(aiDuration/1000).toFixed(1)}s)`);
+
+      return {
+        text: assistantResponse.text,
+        flightResults: assistantResponse.flightResults,
+        accommodationResults: assistantResponse.accommodationResults,
+        prompt: assistantResponse.prompt
+      };
+    } catch (error) {
+      console.error('Assistant error, falling back to LLM:', error);
+    }
+  }
+
+  const llmResponse = await llmService.generateResponse(session.conversationHistory, message, llmOptions);
+
+  const aiDuration = Date.now() - aiStartTime;
+  console.log(`⏱️  LLM took ${aiDuration}ms (${(aiDuration/1000).toFixed(1)}s)`);
+
+  return { text: llmResponse.text, flightResults: null, accommodationResults: null, prompt: llmResponse.prompt };
+}
+
+/**
+ * Send flight results with the best booking link and remember them
+ * @param {Object} ctx - Turn context
+ * @param {Object} flightResults - Flight results from the assistant
+ */
+async function deliverFlightResults(ctx, flightResults) {
+  const { phoneNumber } = ctx;
+  console.log('✈️ Sending flight results with whitelabel booking link...');
+
+  try {
+    const tripData = {
+      origin: flightResults.originCode,
+      destination: flightResults.destCode,
+      startDate: flightResults.searchParams?.outboundDate,
+      endDate: flightResults.searchParams?.returnDate,
+      travelers: flightResults.searchParams?.passengers || 1,
+      travelClass: flightResults.searchParams?.cabinClass || 'economy',
+      budget: {
+        currency: flightResults.searchParams?.currency || 'USD'
+      }
+    };
+
+    // Get best booking URL (priority: proposal.link > white-label > /go/flights)
+    const bookingUrl = travelPayoutsService.getBestBookingURL(flightResults, tripData, phoneNumber);
+    const flightMessage = formatFlightResultsMessage(flightResults, bookingUrl, ctx.language);
+
+    // Store flight results in session for selection and "show more"
+    await sessionManager.updateSession(phoneNumber, {
+      lastFlightResults: flightResults.flights,
+      selectedFlight: null,
+      resultsCursor: {
+        type: 'flights',
+        offset: Math.min(RESULTS_PAGE_SIZE, flightResults.flights.length)
+      },
+      context: {
+        lastFlightSearch: {
+          origin: flightResults.originCode,
+          destination: flightResults.destCode,
+          startDate: flightResults.searchParams?.outboundDate,
+          endDate: flightResults.searchParams?.returnDate,
+          passengers: flightResults.searchParams?.passengers,
+          results: flightResults.flights
+        }
+      }
+    });
+
+    await ctx.notify(flightMessage);
+    console.log('✅ Flight results with whitelabel booking link sent');
+  } catch (error) {
+    console.error('❌ Failed to send flight results:', error);
+    await ctx.notify(localizationService.t(ctx.language, 'errors.flightDelivery'))
+      .catch(smsError => console.error('❌ Failed to send error message:', smsError));
+  }
+}
+
+module.exports = {
+  name: 'assistant',
+  priority: 100,
+  states: '*',
+
+  async handle(ctx) {
+    await ctx.recordUserMessage();
+
+    const { text, flightResults, accommodationResults, prompt } = await generateReply(ctx);
+
+    // Tagged with the prompt version that produced it (see promptRegistry)
+    await sessionManager.addMessage(ctx.phoneNumber, {
+      role: 'assistant',
+      content: text,
+      prompt: prompt ? `${prompt.name}@${prompt.version}` : null
+    });
+    await promptRegistry.recordTurn(ctx.phoneNumber, prompt);
+
+    await ctx.replyLong(text);
+
+    if (flightResults && flightResults.flights && flightResults.flights.length > 0) {
+      await deliverFlightResults(ctx, flightResults);
+    }
+
+    if (accommodationResults && accommodationResults.properties && accommodationResults.properties.length > 0) {
+      console.log('🏠 Creating stays search and sending frontend link...');
+      const accommodationMessage = await presentAccommodationResults(ctx.phoneNumber, accommodationResults, 2, ctx.language);
+      await ctx.notify(accommodationMessage)
+        .then(() => console.log('✅ Accommodation link SMS sent'))
+        .catch(smsError => console.error('❌ Failed to send accommodation link SMS:', smsError));
+    }
+
+    return { handled: true, text };
+  }
+};
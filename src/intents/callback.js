@@ -0,0 +1,142 @@
+/**
+ * Callback intent
+ * "call me at 6pm about this trip" schedules an outbound concierge call;
+ * "move my call to 7pm" / "call me at 7 instead" reschedules it and
+ * "cancel my call" cancels it. Times are read in the user's timezone - one
+ * named in the message, else the one from their last callback, else one
+ * inferred from their number, else DEFAULT_TIMEZONE.
+ */
+
+const callbackService = require('../services/callbackService');
+const smartDefaultsService = require('../services/smartDefaultsService');
+const localizationService = require('../services/localizationService');
+const { parseCallTime, DEFAULT_TIMEZONE } = require('../utils/timeParser');
+
+const SCHEDULE_PATTERN = /\b(?:call|ring|phone)\s+me\b/i;
+const RESCHEDULE_PATTERN = /\b(?:reschedule|move|change|push|switch)\b.*\bcall(?:back)?\b/i;
+const CANCEL_PATTERN = /\b(?:cancel|call off|don'?t call|do not call|no need to call)\b.*\bcall(?:back|ing)?\b|^(?:don'?t|do not) call me\b/i;
+const TOPIC_PATTERN = /\babout\s+(.+?)[.!?]*$/i;
+
+// Don't book calls further out than this
+const MAX_DAYS_AHEAD = 14;
+
+/**
+ * Classify a callback message
+ * @param {string} message - User's message
+ * @returns {string|null} 'cancel' | 'reschedule' | 'schedule' | null
+ */
+function parseCallbackAction(message) {
+  const text = (message || '').trim();
+  if (!text) return null;
+
+  if (CANCEL_PATTERN.test(text)) return 'cancel';
+  if (RESCHEDULE_PATTERN.test(text)) return 'reschedule';
+  if (SCHEDULE_PATTERN.test(text)) return /\binstead\b/i.test(text) ? 'reschedule' : 'schedule';
+  return null;
+}
+
+/**
+ * Describe what the call will be about
+ * "this trip" is resolved to the destination being discussed.
+ * @param {string} message - User's message
+ * @param {Object} context - From callbackService.buildCallContext()
+ * @param {string} language - Language for "your <destination> trip"
+ * @returns {string|null}
+ */
+function parseTopic(message, context, language = 'en') {
+  const match = (message || '').match(TOPIC_PATTERN);
+  const destination = callbackService.getContextDestination(context);
+
+  if (!match) {
+    return destination ? localizationService.t(language, 'callback.tripTopic', { destination }) : null;
+  }
+
+  const topic = match[1].trim();
+  if (destination && /^(?:this|my|the|our) trip$/i.test(topic)) {
+    return localizationService.t(language, 'callback.tripTopic', { destination });
+  }
+  return topic;
+}
+
+/**
+ * Read the requested time, or explain why it can't be used
+ * @param {Object} ctx - Turn context
+ * @returns {Promise<Object>} { when } or { error }
+ */
+async function resolveTime(ctx) {
+  let timezone = null;
+  try {
+    const latest = await callbackService.getLatestCallback(ctx.phoneNumber);
+    timezone = latest?.timezone || null;
+  } catch (error) {
+    console.warn('Could not load callback timezone:', error.message);
+  }
+  timezone = timezone || smartDefaultsService.inferTimezone(ctx.phoneNumber) || DEFAULT_TIMEZONE;
+
+  const when = parseCallTime(ctx.message, { timezone });
+  if (!when) {
+    return { error: localizationService.t(ctx.language, 'callback.askTime') };
+  }
+  if (when.date.getTime() - Date.now() > MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+    return { error: localizationService.t(ctx.language, 'callback.tooFar', { days: MAX_DAYS_AHEAD }) };
+  }
+  return { when };
+}
+
+module.exports = {
+  name: 'callback',
+  // Before reset/assistant - "cancel my call" must not read as a reset
+  priority: 8,
+  states: '*',
+  channels: ['sms', 'whatsapp'],
+
+  matches(ctx) {
+    return !!parseCallbackAction(ctx.message);
+  },
+
+  async handle(ctx) {
+    const action = parseCallbackAction(ctx.message);
+    console.log(`📅 Callback request (${action}) from ${ctx.phoneNumber}`);
+
+    if (action === 'cancel') {
+      const cancelled = await callbackService.cancelCallback(ctx.phoneNumber);
+      await ctx.reply(cancelled
+        ? localizationService.t(ctx.language, 'callback.cancelled', { time: callbackService.formatCallbackTime(cancelled, ctx.language) })
+        : localizationService.t(ctx.language, 'callback.noneScheduled'));
+      return { handled: true, action };
+    }
+
+    const { when, error } = await resolveTime(ctx);
+    if (error) {
+      await ctx.reply(error);
+      return { handled: true, action };
+    }
+
+    if (action === 'reschedule') {
+      const moved = await callbackService.rescheduleCallback(ctx.phoneNumber, when.date, when.timezone);
+      if (moved) {
+        await ctx.reply(localizationService.t(ctx.language, 'callback.moved', { time: callbackService.formatCallbackTime(moved, ctx.language) }));
+        return { handled: true, action };
+      }
+      // Nothing to move - treat it as a new request
+    }
+
+    const context = callbackService.buildCallContext(ctx.session);
+    const topic = parseTopic(ctx.message, context, ctx.language);
+    const { callback, rescheduled } = await callbackService.scheduleCallback({
+      phoneNumber: ctx.phoneNumber,
+      scheduledFor: when.date,
+      timezone: when.timezone,
+      topic,
+      context
+    });
+
+    const time = callbackService.formatCallbackTime(callback, ctx.language);
+    const key = rescheduled ? 'callback.moved' : (topic ? 'callback.scheduledAbout' : 'callback.scheduled');
+    await ctx.reply(localizationService.t(ctx.language, key, { time, topic }));
+    return { handled: true, action: rescheduled ? 'reschedule' : 'schedule' };
+  }
+};
+
+module.exports.parseCallbackAction = parseCallbackAction;
+module.exports.parseTopic = parseTopic;
@@ -0,0 +1,274 @@
+/**
+ * SMS commands intent
+ * Deterministic keywords answered without the LLM:
+ * HELP, MY TRIPS, PREFS, STATUS <ref>, UNDO
+ * Replies are plain text kept to one SMS segment where possible.
+ * (Carrier HELP/STOP/START are answered before the queue by optOutService;
+ * HELP here covers "commands" / "menu" and channels that skip that step.)
+ */
+
+const sessionManager = require('../services/sessionManager');
+const tripService = require('../services/tripService');
+const userPreferencesService = require('../services/userPreferencesService');
+const localizationService = require('../services/localizationService');
+const { getBookingsByPhone, getBookingByReference } = require('../db/queries');
+const { formatDateShort } = require('./presenters');
+
+// One GSM-7 segment (no emoji - a single one drops the limit to 70)
+const SMS_SEGMENT_LENGTH = 160;
+
+const COMMANDS = {
+  HELP: ['HELP', 'COMMANDS', 'MENU'],
+  MY_TRIPS: ['MY TRIPS', 'TRIPS', 'MY BOOKINGS', 'BOOKINGS'],
+  PREFS: ['PREFS', 'MY PREFS', 'PREFERENCES', 'MY PREFERENCES'],
+  STATUS: ['STATUS'],
+  UNDO: ['UNDO']
+};
+
+const STATUS_PATTERN = /^STATUS\s+([A-Z0-9]{5,8})$/;
+
+// Preference fields read back to the user, in this order (labels are commands.labels.*)
+const PREFERENCE_FIELDS = [
+  'preferredClass',
+  'preferredAirlines',
+  'avoidedAirlines',
+  'preferredAirports',
+  'avoidedAirports',
+  'departureTimePreference',
+  'maxStops',
+  'connectionPreference',
+  'budgetFlexibility',
+  'travelCreditCards'
+];
+
+/**
+ * Parse a command from the message
+ * @param {string} message - User's message
+ * @returns {Object|null} { command, arg }
+ */
+function parseCommand(message) {
+  const text = (message || '').trim().replace(/[.!?]+$/, '').replace(/\s+/g, ' ').toUpperCase();
+  if (!text || text.length > 20) return null;
+
+  const statusMatch = text.match(STATUS_PATTERN);
+  if (statusMatch) {
+    return { command: 'STATUS', arg: statusMatch[1] };
+  }
+
+  const command = Object.keys(COMMANDS).find(key => COMMANDS[key].includes(text));
+  return command ? { command, arg: null } : null;
+}
+
+/**
+ * Join lines under a header, dropping whole lines to fit one segment
+ * @param {string} header - First line
+ * @param {Array<string>} lines - Item lines in priority order
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+function fitToSegment(header, lines, language = 'en') {
+  let text = header;
+
+  for (let i = 0; i < lines.length; i++) {
+    const remaining = lines.length - i - 1;
+    const more = remaining > 0 ? `\n${localizationService.t(language, 'commands.more', { count: remaining })}` : '';
+    const next = `${text}\n${lines[i]}`;
+
+    if ((next + more).length > SMS_SEGMENT_LENGTH && i > 0) {
+      return `${text}\n${localizationService.t(language, 'commands.more', { count: lines.length - i })}`;
+    }
+    text = next;
+  }
+
+  return text;
+}
+
+/**
+ * Format a preference value for display
+ * @param {*} value - Stored value
+ * @returns {string|null}
+ */
+function formatPreferenceValue(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : null;
+  return String(value);
+}
+
+/**
+ * MY TRIPS - booked flights first, then trips being planned
+ * @param {Object} ctx - Turn context
+ * @returns {Promise<string>}
+ */
+async function listTrips(ctx) {
+  let bookings = [];
+  try {
+    bookings = await getBookingsByPhone(ctx.phoneNumber, 5);
+  } catch (error) {
+    console.warn('Could not load bookings:', error.message);
+  }
+
+  const bookedRefs = new Set(bookings.map(b => b.booking_reference));
+  const trips = tripService.getTripsByPhone(ctx.phoneNumber)
+    .filter(trip => !bookedRefs.has(trip.bookingDetails?.bookingReference));
+
+  const lines = [
+    ...bookings.map(b => `${b.booking_reference} ${b.origin}-${b.destination} ${formatDateShort(b.departure_date)} (${b.status})`),
+    ...trips.map(trip => `${trip.destination}${trip.departureDate ? ` ${formatDateShort(trip.departureDate)}` : ''} (${trip.status})`)
+  ];
+
+  if (lines.length === 0) {
+    return localizationService.t(ctx.language, 'commands.noTrips');
+  }
+
+  return fitToSegment(localizationService.t(ctx.language, 'commands.tripsHeader'), lines, ctx.language);
+}
+
+/**
+ * PREFS - stored user_preferences, falling back to the session copy
+ * @param {Object} ctx - Turn context
+ * @returns {Promise<string>}
+ */
+async function listPreferences(ctx) {
+  let preferences = null;
+  try {
+    const stored = await userPreferencesService.getPreferences(ctx.phoneNumber);
+    preferences = stored ? userPreferencesService.toPreferenceFields(stored) : null;
+  } catch (error) {
+    console.warn('Could not load preferences:', error.message);
+  }
+  preferences = preferences || ctx.session.userPreferences || {};
+
+  const lines = PREFERENCE_FIELDS
+    .map(field => {
+      const value = formatPreferenceValue(preferences[field]);
+      return value ? `${localizationService.t(ctx.language, `commands.labels.${field}`)}: ${value}` : null;
+    })
+    .filter(Boolean);
+
+  if (lines.length === 0) {
+    return localizationService.t(ctx.language, 'commands.noPrefs');
+  }
+
+  return fitToSegment(localizationService.t(ctx.language, 'commands.prefsHeader'), lines, ctx.language);
+}
+
+/**
+ * STATUS <ref> - booking lookup for this number
+ * @param {Object} ctx - Turn context
+ * @param {string} reference - Booking reference (PNR)
+ * @returns {Promise<string>}
+ */
+async function bookingStatus(ctx, reference) {
+  if (!reference) {
+    return localizationService.t(ctx.language, 'commands.statusUsage');
+  }
+
+  let booking = null;
+  try {
+    booking = await getBookingByReference(reference, ctx.phoneNumber);
+  } catch (error) {
+    console.warn('Could not look up booking:', error.message);
+  }
+
+  if (booking) {
+    const total = booking.total_paid ? `, ${booking.currency || 'USD'} ${booking.total_paid}` : '';
+    return `${booking.booking_reference}: ${booking.status}. ${booking.origin}-${booking.destination} ${formatDateShort(booking.departure_date)}${total}`;
+  }
+
+  const trip = tripService.getTripsByPhone(ctx.phoneNumber)
+    .find(t => t.bookingDetails?.bookingReference?.toUpperCase() === reference);
+  if (trip) {
+    return `${reference}: ${trip.status}. ${trip.origin || ''}-${trip.destination} ${formatDateShort(trip.departureDate)}`;
+  }
+
+  return localizationService.t(ctx.language, 'commands.bookingNotFound', { reference });
+}
+
+/**
+ * UNDO - revert the last preference change picked up from conversation
+ * @param {Object} ctx - Turn context
+ * @returns {Promise<string>}
+ */
+async function undoPreferenceChange(ctx) {
+  const session = await sessionManager.getSession(ctx.phoneNumber);
+  const history = session.preferenceHistory || [];
+  const last = history[history.length - 1];
+
+  if (!last) {
+    return localizationService.t(ctx.language, 'commands.nothingToUndo');
+  }
+
+  try {
+    await userPreferencesService.restorePreferences(ctx.phoneNumber, last.previous);
+  } catch (dbErr) {
+    console.warn('Could not restore preferences in DB:', dbErr.message);
+  }
+
+  const userPreferences = { ...(session.userPreferences || {}) };
+  for (const [field, value] of Object.entries(last.previous)) {
+    if (value === null || value === undefined) {
+      delete userPreferences[field];
+    } else {
+      userPreferences[field] = value;
+    }
+  }
+
+  await sessionManager.updateSession(ctx.phoneNumber, {
+    userPreferences,
+    preferenceHistory: history.slice(0, -1)
+  });
+
+  const undone = Object.keys(last.previous)
+    .map(field => {
+      const label = PREFERENCE_FIELDS.includes(field) ? localizationService.t(ctx.language, `commands.labels.${field}`) : field;
+      const value = formatPreferenceValue(last.applied[field]);
+      return value ? `${label} ${value}` : label;
+    })
+    .join(', ');
+
+  console.log(`↩️ Undid preference change for ${ctx.phoneNumber}: ${undone}`);
+  return localizationService.t(ctx.language, 'commands.undone', { changes: undone });
+}
+
+module.exports = {
+  name: 'commands',
+  // Ahead of everything else - these are exact keywords
+  priority: 5,
+  states: '*',
+  channels: ['sms', 'whatsapp'],
+
+  matches(ctx) {
+    return !!parseCommand(ctx.message);
+  },
+
+  async handle(ctx) {
+    const { command, arg } = parseCommand(ctx.message);
+    console.log(`⌨️ SMS command: ${command}${arg ? ` ${arg}` : ''}`);
+
+    let reply;
+    switch (command) {
+      case 'HELP':
+        reply = localizationService.t(ctx.language, 'commands.help');
+        break;
+      case 'MY_TRIPS':
+        reply = await listTrips(ctx);
+        break;
+      case 'PREFS':
+        reply = await listPreferences(ctx);
+        break;
+      case 'STATUS':
+        reply = await bookingStatus(ctx, arg);
+        break;
+      case 'UNDO':
+        reply = await undoPreferenceChange(ctx);
+        break;
+    }
+
+    await ctx.reply(reply);
+    return { handled: true, command };
+  }
+};
+
+module.exports.parseCommand = parseCommand;
+module.exports.fitToSegment = fitToSegment;
+module.exports.SMS_SEGMENT_LENGTH = SMS_SEGMENT_LENGTH;
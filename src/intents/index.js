@@ -0,0 +1,16 @@
+/**
+ * Intent handlers for the conversation router
+ * Order here is informational only - the router sorts by priority.
+ */
+
+module.exports = [
+  require('./commands'),
+  require('./callback'),
+  require('./reset'),
+  require('./recommendation'),
+  require('./resultSelection'),
+  require('./refinement'),
+  require('./timePreference'),
+  require('./accommodationIntent'),
+  require('./assistant')
+];
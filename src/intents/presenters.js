@@ -0,0 +1,217 @@
+/**
+ * Result presenters shared by intent handlers
+ * Turn search results into channel-ready text and persist them on the session
+ */
+
+const sessionManager = require('../services/sessionManager');
+const staysService = require('../services/staysService');
+const localizationService = require('../services/localizationService');
+
+// Results listed per SMS page
+const RESULTS_PAGE_SIZE = 3;
+
+/**
+ * Compact date format (MM/DD)
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {string}
+ */
+function formatDateCompact(dateStr) {
+  if (!dateStr) return '';
+  const parts = dateStr.split('-');
+  if (parts.length === 3) return `${parts[1]}/${parts[2]}`;
+  return dateStr;
+}
+
+/**
+ * Format date as "Jan 4"
+ * @param {string} dateStr - Date string
+ * @returns {string}
+ */
+function formatDateShort(dateStr) {
+  if (!dateStr) return '';
+  const date = new Date(dateStr);
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Describe a number of stops
+ * @param {number} stops - Stop count
+ * @param {string} language - Language code
+ * @returns {string} "nonstop", "1 stop", ...
+ */
+function describeStops(stops, language = 'en') {
+  if (stops === 0) return localizationService.t(language, 'results.nonstop');
+  return localizationService.t(language, stops > 1 ? 'results.stopsOther' : 'results.stopsOne', { count: stops });
+}
+
+/**
+ * Describe stops for a flight
+ * @param {Object} flight - Flight result
+ * @param {string} language - Language code
+ * @returns {string} "nonstop", "1 stop", ... or '' when unknown
+ */
+function formatStops(flight, language = 'en') {
+  const stops = flight.stops !== undefined ? flight.stops : flight.transfers;
+  if (stops === null || stops === undefined) return '';
+  return describeStops(stops, language);
+}
+
+/**
+ * Format a flight's price
+ * @param {Object} flight - Flight result
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+function formatFlightPrice(flight, language = 'en') {
+  return flight.priceValue > 0 ? `$${Math.round(flight.priceValue)}` : flight.price || localizationService.t(language, 'results.seeLink');
+}
+
+/**
+ * Build one numbered page of flight or stay results
+ * @param {string} type - 'flights' | 'stays'
+ * @param {Array} results - Full result set
+ * @param {number} offset - Index of the first result on the page
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+function formatResultsPage(type, results, offset = 0, language = 'en') {
+  const page = results.slice(offset, offset + RESULTS_PAGE_SIZE);
+
+  const lines = page.map((item, idx) => {
+    const number = offset + idx + 1;
+    if (type === 'flights') {
+      const stops = formatStops(item, language);
+      const airline = item.airline || localizationService.t(language, 'results.various');
+      return `${number}. ${airline} — ${formatFlightPrice(item, language)}${stops ? ` (${stops})` : ''}`;
+    }
+    const price = localizationService.t(language, 'results.perNight', { price: `$${item.pricePerNight}` });
+    return `${number}. ${item.name} — ${price} ⭐${item.rating}`;
+  });
+
+  const hasMore = offset + page.length < results.length;
+  const footer = localizationService.t(language, hasMore ? 'results.pickOrMore' : 'results.pickEnd');
+
+  return `${lines.join('\n')}\n\n${footer}`;
+}
+
+/**
+ * Build the flight results message (round-trip bundled or one-way list)
+ * @param {Object} flightResults - Flight search results from the assistant
+ * @param {string} bookingUrl - Booking link appended to the message
+ * @param {string} language - Language code
+ * @returns {string} Flight results message
+ */
+function formatFlightResultsMessage(flightResults, bookingUrl, language = 'en') {
+  const isRoundTrip = !!flightResults.searchParams?.returnDate;
+  const outboundDate = flightResults.searchParams?.outboundDate;
+  const returnDate = flightResults.searchParams?.returnDate;
+  const hasMore = flightResults.flights.length > RESULTS_PAGE_SIZE;
+  const t = (key, params) => localizationService.t(language, key, params);
+
+  let flightMessage;
+
+  if (isRoundTrip) {
+    // Round-trip bundled format
+    flightMessage = `${t('results.flightOptions')}\n\n`;
+
+    flightResults.flights.slice(0, RESULTS_PAGE_SIZE).forEach((flight, idx) => {
+      const priceValue = flight.priceValue !== undefined && flight.priceValue !== null ? flight.priceValue : 0;
+      const price = priceValue > 0 ? t('results.total', { price: `$${Math.round(priceValue)}` }) : flight.price || t('results.search');
+      const airline = flight.airline || t('results.various');
+      const stopText = formatStops(flight, language);
+
+      flightMessage += `${idx + 1}. ${airline} — ${price}\n`;
+      flightMessage += `${t('results.out', { date: formatDateShort(outboundDate) })}${stopText ? ` (${stopText})` : ''}\n`;
+      flightMessage += `${t('results.ret', { date: formatDateShort(returnDate) })}${stopText ? ` (${stopText})` : ''}\n\n`;
+    });
+
+    flightMessage += `${t(hasMore ? 'results.pickOrMore' : 'results.pick')}\n`;
+  } else {
+    // One-way format
+    const count = flightResults.flights.length;
+    flightMessage = `${t(count > 1 ? 'results.foundFlightsOther' : 'results.foundFlightsOne', { count })}\n\n`;
+
+    flightResults.flights.slice(0, RESULTS_PAGE_SIZE).forEach((flight, idx) => {
+      const priceValue = flight.priceValue !== undefined && flight.priceValue !== null ? flight.priceValue : 0;
+      const price = priceValue > 0 ? `$${Math.round(priceValue)}` : flight.price || t('results.search');
+
+      flightMessage += `${idx + 1}. ${price}`;
+      const stops = flight.stops !== undefined ? flight.stops : flight.transfers;
+      if (stops !== null && stops !== undefined) {
+        flightMessage += ` (${stops === 0 ? t('results.direct') : describeStops(stops, language)})`;
+      }
+
+      const airline = flight.airline || t('results.various');
+      flightMessage += ` - ${airline}\n`;
+    });
+
+    flightMessage += `\n${t(hasMore ? 'results.detailsOrMore' : 'results.details')}\n`;
+  }
+
+  flightMessage += `\n${t('results.bookLink', { url: bookingUrl })}`;
+
+  return flightMessage;
+}
+
+/**
+ * Store accommodation results as a stays search and build the frontend link message
+ * @param {string} phoneNumber - User's phone number
+ * @param {Object} accommodationResults - { properties, destinationName, searchParams }
+ * @param {number} defaultGuests - Guests to record when the search didn't specify
+ * @param {string} language - Language code
+ * @returns {Promise<string>} Message with the stays link
+ */
+async function presentAccommodationResults(phoneNumber, accommodationResults, defaultGuests = 2, language = 'en') {
+  const checkIn = accommodationResults.searchParams?.checkIn;
+  const checkOut = accommodationResults.searchParams?.checkOut;
+
+  const guests = accommodationResults.searchParams?.guests || defaultGuests;
+
+  // Create search in stays service
+  const searchId = staysService.createSearch({
+    phoneNumber,
+    location: accommodationResults.destinationName,
+    checkIn,
+    checkOut,
+    guests,
+    results: accommodationResults.properties,
+    searchParams: accommodationResults.searchParams
+  });
+
+  // Store accommodation results and search details in session
+  // Nothing is listed inline (the link shows them), so "show more" starts at 1
+  await sessionManager.updateSession(phoneNumber, {
+    lastAccommodationResults: accommodationResults.properties,
+    lastAccommodationSearch: {
+      destination: accommodationResults.destinationName,
+      checkIn,
+      checkOut,
+      guests,
+      searchId
+    },
+    resultsCursor: { type: 'stays', offset: 0 }
+  });
+  console.log(`💾 Created search ${searchId} with ${accommodationResults.properties.length} properties`);
+
+  const frontendUrl = process.env.FRONTEND_URL || 'https://otherwhere-frontend-production.up.railway.app';
+  const staysUrl = `${frontendUrl}/search/${searchId}?phone=${encodeURIComponent(phoneNumber)}`;
+  const dateRange = checkIn && checkOut ? ` ${formatDateCompact(checkIn)}-${formatDateCompact(checkOut)}` : '';
+
+  return localizationService.t(language, 'results.foundStays', {
+    count: accommodationResults.properties.length,
+    destination: accommodationResults.destinationName,
+    dates: dateRange,
+    url: staysUrl
+  });
+}
+
+module.exports = {
+  RESULTS_PAGE_SIZE,
+  formatDateCompact,
+  formatDateShort,
+  formatStops,
+  formatFlightPrice,
+  formatResultsPage,
+  formatFlightResultsMessage,
+  presentAccommodationResults
+};
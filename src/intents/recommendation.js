@@ -0,0 +1,168 @@
+/**
+ * Recommendation intent
+ * PRE-BOOKING flow for users who don't have a destination in mind:
+ * vibe → when → budget → who → recommendations → selection / re-roll
+ */
+
+const sessionManager = require('../services/sessionManager');
+const recommendationService = require('../services/recommendationService');
+const promptRegistry = require('../services/promptRegistry');
+
+/**
+ * Record the exchange in history and reply with a single message
+ * @param {Object} ctx - Turn context
+ * @param {string} text - Assistant reply
+ * @returns {Promise<Object>} Handled result
+ */
+async function exchange(ctx, text) {
+  await sessionManager.addMessage(ctx.phoneNumber, { role: 'user', content: ctx.message });
+  await sessionManager.addMessage(ctx.phoneNumber, { role: 'assistant', content: text });
+  await ctx.reply(text);
+  return { handled: true };
+}
+
+/**
+ * Generate recommendations, store them and send them to the user
+ * @param {Object} ctx - Turn context
+ * @param {Object} preferences - Collected reco preferences
+ * @returns {Promise<Object>} Handled result
+ */
+async function sendRecommendations(ctx, preferences) {
+  const recoResult = await recommendationService.generateRecommendations(preferences, {
+    language: ctx.language,
+    phoneNumber: ctx.phoneNumber
+  });
+  const formattedRecos = recommendationService.formatRecommendationsForChannel(recoResult.recommendations, ctx.language);
+
+  await sessionManager.updateSession(ctx.phoneNumber, {
+    recoMode: 'awaiting_selection',
+    recoPreferences: preferences,
+    recoRecommendations: recoResult.recommendations
+  });
+
+  await sessionManager.addMessage(ctx.phoneNumber, { role: 'user', content: ctx.message });
+  await sessionManager.addMessage(ctx.phoneNumber, {
+    role: 'assistant',
+    content: formattedRecos,
+    prompt: recoResult.prompt ? `${recoResult.prompt.name}@${recoResult.prompt.version}` : null
+  });
+  await promptRegistry.recordTurn(ctx.phoneNumber, recoResult.prompt);
+
+  // Recommendations may need to be split for SMS length
+  await ctx.replyLong(formattedRecos);
+  return { handled: true };
+}
+
+module.exports = {
+  name: 'recommendation',
+  priority: 20,
+  states: '*',
+
+  matches(ctx) {
+    return !!ctx.session.recoMode || recommendationService.shouldEnterRecoMode(ctx.message, ctx.session);
+  },
+
+  async handle(ctx) {
+    const { phoneNumber, message, session } = ctx;
+
+    if (!session.recoMode) {
+      console.log(`🎯 Entering recommendation mode for: "${message}"`);
+
+      await sessionManager.updateSession(phoneNumber, {
+        recoMode: 'asking_vibe',
+        recoPreferences: null,
+        recoRecommendations: null
+      });
+
+      return exchange(ctx, recommendationService.getVibeQuestion(ctx.language));
+    }
+
+    console.log(`🎯 User in reco mode: ${session.recoMode}`);
+    const prefs = session.recoPreferences || {};
+
+    switch (session.recoMode) {
+      case 'asking_vibe': {
+        const vibe = recommendationService.parseVibeResponse(message);
+        await sessionManager.updateSession(phoneNumber, {
+          recoMode: 'asking_when',
+          recoPreferences: { vibe }
+        });
+        return exchange(ctx, recommendationService.getWhenQuestion(ctx.language));
+      }
+
+      case 'asking_when': {
+        const when = recommendationService.parseWhenResponse(message);
+        await sessionManager.updateSession(phoneNumber, {
+          recoMode: 'asking_budget',
+          recoPreferences: { ...prefs, when }
+        });
+        return exchange(ctx, recommendationService.getBudgetQuestion(ctx.language));
+      }
+
+      case 'asking_budget': {
+        const budget = recommendationService.parseBudgetResponse(message);
+        await sessionManager.updateSession(phoneNumber, {
+          recoMode: 'asking_who',
+          recoPreferences: { ...prefs, budget }
+        });
+        return exchange(ctx, recommendationService.getWhoQuestion(ctx.language));
+      }
+
+      case 'asking_who': {
+        const who = recommendationService.parseWhoResponse(message);
+        const fullPrefs = { ...prefs, who };
+        console.log(`🎯 Generating recommendations with preferences:`, fullPrefs);
+        return sendRecommendations(ctx, fullPrefs);
+      }
+
+      case 'awaiting_selection': {
+        const selection = recommendationService.parseSelection(message, session.recoRecommendations || []);
+
+        if (selection.selected && selection.destination) {
+          // Exit reco mode but preserve the destination for the booking flow
+          await sessionManager.updateSession(phoneNumber, {
+            recoMode: null,
+            recoPreferences: null,
+            recoRecommendations: null,
+            tripDetails: {
+              destination: selection.destination,
+              travelers: session.recoPreferences?.who?.count || 1
+            },
+            context: {
+              ...session.context,
+              selectedFromRecommendations: true,
+              recoSelection: selection.destination
+            }
+          });
+
+          console.log(`🎯 User selected destination from recommendations: ${selection.destination}`);
+          await exchange(ctx, recommendationService.getSelectionConfirmation(selection.destination, ctx.language));
+          return { handled: true, destination: selection.destination };
+        }
+
+        if (selection.reroll) {
+          await sessionManager.updateSession(phoneNumber, { recoMode: 'rerolling' });
+          return exchange(ctx, recommendationService.getRerollPrompt(ctx.language));
+        }
+
+        // Ambiguous or unclear response - ask for clarification
+        return exchange(ctx, recommendationService.getClarificationPrompt(ctx.language));
+      }
+
+      case 'rerolling': {
+        // Only replace the vibe if they mentioned something new
+        const vibe = recommendationService.parseVibeResponse(message);
+        const updatedPrefs = { ...prefs };
+        if (vibe.category !== 'mixed') {
+          updatedPrefs.vibe = vibe;
+        }
+
+        console.log(`🎯 Re-generating recommendations with updated preferences:`, updatedPrefs);
+        return sendRecommendations(ctx, updatedPrefs);
+      }
+
+      default:
+        return { handled: false };
+    }
+  }
+};
@@ -0,0 +1,233 @@
+/**
+ * Refinement intent
+ * "cheaper", "nonstop only", "under $400", "only United", "4+ stars"...
+ * narrow the live result set in place. "leave a day later" on flights
+ * rewrites the message so the assistant re-runs the search (like time
+ * preferences); date and area changes on stays re-search directly.
+ */
+
+const sessionManager = require('../services/sessionManager');
+const staysService = require('../services/staysService');
+const refinementService = require('../services/refinementService');
+const localizationService = require('../services/localizationService');
+const { CONVERSATION_STATES } = require('../services/conversationRouter');
+const { getActiveResults } = require('./resultSelection');
+const {
+  RESULTS_PAGE_SIZE,
+  formatDateShort,
+  formatResultsPage,
+  presentAccommodationResults
+} = require('./presenters');
+
+/**
+ * Parse the message and pick the result set it applies to
+ * @param {Object} session - User session
+ * @param {string} message - User's message
+ * @returns {Object|null} { refinement, type }
+ */
+function resolveRefinement(session, message) {
+  const active = getActiveResults(session);
+  if (!active) return null;
+
+  const refinement = refinementService.parse(message);
+  if (!refinement) return null;
+
+  const type = refinementService.resolveTarget(refinement, active.type, {
+    flights: !!session.lastFlightResults?.length,
+    stays: !!session.lastAccommodationResults?.length
+  });
+
+  return type ? { refinement, type } : null;
+}
+
+/**
+ * Hand a flight re-search to the assistant with the new constraints
+ * @param {Object} ctx - Turn context
+ * @param {Object} refinement - Parsed refinement
+ * @param {Object} dates - { start, end } to search
+ * @returns {Promise<Object>} Router result that rewrites the message
+ */
+async function researchFlights(ctx, refinement, dates) {
+  const lastSearch = ctx.session.context.lastFlightSearch;
+  const constraints = refinementService.describe({ ...refinement, dateShift: undefined });
+
+  const dateRange = `${formatDateShort(dates.start)}${dates.end ? ` – ${formatDateShort(dates.end)}` : ''}`;
+  await ctx.notify(localizationService.t(ctx.language, 'refine.searchingFlights', {
+    change: refinementService.describe(refinement, ctx.language),
+    dates: dateRange
+  }));
+
+  // Clear old flight results so a new search happens
+  await sessionManager.updateSession(ctx.phoneNumber, { lastFlightResults: null, selectedFlight: null });
+  ctx.session.lastFlightResults = null;
+
+  const enhancedMessage = `Search again for flights from ${lastSearch.origin} to ${lastSearch.destination} on ${dates.start}${dates.end ? ' returning ' + dates.end : ''}${constraints ? ` (${constraints})` : ''}.`;
+  console.log(`📝 Enhanced message for refinement: "${enhancedMessage}"`);
+
+  return { handled: false, message: enhancedMessage };
+}
+
+/**
+ * Refine flight results
+ * @param {Object} ctx - Turn context
+ * @param {Object} refinement - Parsed refinement
+ * @returns {Promise<Object>} Router result
+ */
+async function refineFlights(ctx, refinement) {
+  const { phoneNumber, session } = ctx;
+  const lastSearch = session.context?.lastFlightSearch;
+  const before = session.lastFlightResults;
+
+  if (refinement.dateShift) {
+    if (!lastSearch?.startDate) {
+      await ctx.reply(localizationService.t(ctx.language, 'refine.noFlightDates'));
+      return { handled: true };
+    }
+
+    const dates = refinementService.shiftDates(lastSearch.startDate, lastSearch.endDate, refinement.dateShift);
+    if (!dates) {
+      await ctx.reply(localizationService.t(ctx.language, 'refine.badFlightDates'));
+      return { handled: true };
+    }
+
+    return researchFlights(ctx, refinement, dates);
+  }
+
+  const after = refinementService.filterFlights(before, refinement);
+
+  if (after.length === 0) {
+    if (lastSearch?.startDate) {
+      console.log(`🔎 No flights left after "${refinementService.describe(refinement)}", searching again`);
+      return researchFlights(ctx, refinement, { start: lastSearch.startDate, end: lastSearch.endDate });
+    }
+
+    await ctx.reply(localizationService.t(ctx.language, 'refine.noFlightsMatch', {
+      count: before.length,
+      change: refinementService.describe(refinement, ctx.language)
+    }));
+    return { handled: true };
+  }
+
+  await sessionManager.updateSession(phoneNumber, {
+    lastFlightResults: after,
+    selectedFlight: null,
+    resultsCursor: { type: 'flights', offset: Math.min(RESULTS_PAGE_SIZE, after.length) }
+  });
+
+  const summary = refinementService.summarizeChange('flights', before, after, refinement, ctx.language);
+  await ctx.replyLong(`${summary}\n\n${formatResultsPage('flights', after, 0, ctx.language)}`);
+  return { handled: true };
+}
+
+/**
+ * Refine stay results, re-searching for date or area changes
+ * @param {Object} ctx - Turn context
+ * @param {Object} refinement - Parsed refinement
+ * @returns {Promise<Object>} Router result
+ */
+async function refineStays(ctx, refinement) {
+  const { phoneNumber, session } = ctx;
+  const before = session.lastAccommodationResults;
+  const reference = refinementService.getReferencePrice(before, 'stays');
+
+  if (!refinementService.needsSearch(refinement)) {
+    const after = refinementService.filterStays(before, refinement, reference);
+
+    if (after.length > 0) {
+      await sessionManager.updateSession(phoneNumber, {
+        lastAccommodationResults: after,
+        resultsCursor: { type: 'stays', offset: Math.min(RESULTS_PAGE_SIZE, after.length) }
+      });
+
+      const summary = refinementService.summarizeChange('stays', before, after, refinement, ctx.language);
+      await ctx.replyLong(`${summary}\n\n${formatResultsPage('stays', after, 0, ctx.language)}`);
+      return { handled: true };
+    }
+  }
+
+  const lastSearch = session.lastAccommodationSearch;
+  if (!lastSearch?.destination) {
+    await ctx.reply(localizationService.t(ctx.language, 'refine.noStaysMatch', {
+      count: before.length,
+      change: refinementService.describe(refinement, ctx.language)
+    }));
+    return { handled: true };
+  }
+
+  let checkIn = lastSearch.checkIn;
+  let checkOut = lastSearch.checkOut;
+  if (refinement.dateShift) {
+    const dates = refinementService.shiftDates(checkIn, checkOut, refinement.dateShift);
+    if (!dates) {
+      await ctx.reply(localizationService.t(ctx.language, 'refine.badStayDates'));
+      return { handled: true };
+    }
+    checkIn = dates.start;
+    checkOut = dates.end;
+  }
+
+  const area = refinement.area
+    ? `${refinement.area.replace(/\b\w/g, c => c.toUpperCase())} ${lastSearch.destination}`
+    : lastSearch.destination;
+
+  await ctx.notify(localizationService.t(ctx.language, 'refine.searchingStays', {
+    change: refinementService.describe(refinement, ctx.language),
+    area
+  }));
+
+  let results = null;
+  try {
+    results = await staysService.searchAccommodations({
+      destination: area,
+      checkIn,
+      checkOut,
+      guests: lastSearch.guests || 2
+    });
+  } catch (error) {
+    console.error('❌ Refinement stays search failed:', error.message);
+  }
+
+  const after = results ? refinementService.filterStays(results.properties, refinement, reference) : [];
+  if (after.length === 0) {
+    await ctx.reply(localizationService.t(ctx.language, 'refine.noStaysFound', {
+      change: refinementService.describe(refinement, ctx.language)
+    }));
+    return { handled: true };
+  }
+
+  const linkMessage = await presentAccommodationResults(phoneNumber, { ...results, properties: after }, lastSearch.guests, ctx.language);
+  await sessionManager.updateSession(phoneNumber, {
+    resultsCursor: { type: 'stays', offset: Math.min(RESULTS_PAGE_SIZE, after.length) }
+  });
+
+  const summary = refinementService.summarizeChange('stays', before, after, refinement, ctx.language);
+  await ctx.replyLong(`${summary}\n\n${formatResultsPage('stays', after, 0, ctx.language)}`);
+  await ctx.notify(linkMessage)
+    .catch(smsError => console.error('❌ Failed to send accommodation link SMS:', smsError));
+
+  return { handled: true };
+}
+
+module.exports = {
+  name: 'refinement',
+  // Ahead of timePreference so "leave a day later" isn't read as "later flights"
+  priority: 35,
+  states: [
+    CONVERSATION_STATES.FLIGHT_RESULTS,
+    CONVERSATION_STATES.STAYS_RESULTS,
+    CONVERSATION_STATES.BOOKING
+  ],
+
+  matches(ctx) {
+    return !!resolveRefinement(ctx.session, ctx.message);
+  },
+
+  async handle(ctx) {
+    const { refinement, type } = resolveRefinement(ctx.session, ctx.message);
+    console.log(`🔎 Refining ${type}: "${ctx.message}" →`, refinement);
+
+    return type === 'flights'
+      ? refineFlights(ctx, refinement)
+      : refineStays(ctx, refinement);
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Reset intent
+ * "reset", "start over", etc. clears the session in any state
+ */
+
+const sessionManager = require('../services/sessionManager');
+const localizationService = require('../services/localizationService');
+
+const RESET_TRIGGERS = ['reset', 'start over', 'restart', 'new search'];
+
+module.exports = {
+  name: 'reset',
+  priority: 10,
+  states: '*',
+
+  matches(ctx) {
+    const lower = ctx.message.toLowerCase();
+    return RESET_TRIGGERS.some(trigger => lower.includes(trigger));
+  },
+
+  async handle(ctx) {
+    console.log(`🔄 User requested reset`);
+    await sessionManager.clearSession(ctx.phoneNumber);
+    await ctx.reply(localizationService.t(ctx.language, 'reset.fresh'));
+    return { handled: true };
+  }
+};
+
+module.exports.RESET_TRIGGERS = RESET_TRIGGERS;
@@ -0,0 +1,228 @@
+/**
+ * Result selection & pagination intent
+ * On live flight or stays results:
+ * - a bare number ("2", "#2", "option 2", "book option 2") picks that result
+ * - "show more" lists the next page
+ * Numbers only match when they are the ENTIRE message, so "Jan 3-18" or
+ * "December 1" never trigger it.
+ */
+
+const sessionManager = require('../services/sessionManager');
+const airbnbService = require('../services/airbnbService');
+const localizationService = require('../services/localizationService');
+const { buildDeeplinkWithFallback, resolveAirlineCode } = require('../utils/deeplinksBuilder');
+const { CONVERSATION_STATES } = require('../services/conversationRouter');
+const {
+  RESULTS_PAGE_SIZE,
+  formatDateShort,
+  formatStops,
+  formatFlightPrice,
+  formatResultsPage
+} = require('./presenters');
+
+const SELECTION_PATTERN = /^(?:book\s+)?(?:#|no\.?\s*|number\s+|option\s+)?(\d{1,2})[.!]?$/i;
+const SHOW_MORE_PATTERN = /^(?:show\s+(?:me\s+)?more|see\s+more|more(?:\s+(?:options|results|flights|places|stays))?|next(?:\s+page)?|more\s+please)[.!]*$/i;
+
+/**
+ * Work out which result set the user is talking about
+ * The most recently delivered set wins; otherwise stays before flights.
+ * @param {Object} session - User session
+ * @returns {Object|null} { type, results, offset }
+ */
+function getActiveResults(session) {
+  const cursor = session.resultsCursor || {};
+  const sets = {
+    flights: session.lastFlightResults,
+    stays: session.lastAccommodationResults
+  };
+
+  let type = cursor.type && sets[cursor.type]?.length ? cursor.type : null;
+  if (!type) {
+    type = sets.stays?.length ? 'stays' : (sets.flights?.length ? 'flights' : null);
+  }
+  if (!type) {
+    return null;
+  }
+
+  const offset = cursor.type === type ? cursor.offset || 0 : 0;
+  return { type, results: sets[type], offset };
+}
+
+/**
+ * Parse a selection number from the message
+ * @param {string} message - User's message
+ * @returns {number|null} 1-based selection
+ */
+function parseSelectionNumber(message) {
+  const text = message.trim();
+  if (text.length >= 15) return null;
+  const match = text.match(SELECTION_PATTERN);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Format minutes as "5h 20m"
+ * @param {number} minutes - Duration in minutes
+ * @returns {string}
+ */
+function formatDuration(minutes) {
+  if (!minutes) return '';
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return hours > 0 ? `${hours}h${mins ? ` ${mins}m` : ''}` : `${mins}m`;
+}
+
+/**
+ * Build the booking link for a flight
+ * Airline site when we have a deeplink for the carrier, Google Flights otherwise.
+ * @param {Object} flight - Flight result
+ * @param {Object} search - session.context.lastFlightSearch
+ * @param {string} language - Language code
+ * @returns {Object|null} { url, label } or null without route and date
+ */
+function buildFlightLink(flight, search = {}, language = 'en') {
+  const origin = search.originCode || search.origin;
+  const destination = search.destCode || search.destination;
+  const departure = flight.departure || search.startDate;
+
+  if (origin && destination && departure) {
+    const link = buildDeeplinkWithFallback(resolveAirlineCode(flight.airline || 'Various'), {
+      origin,
+      destination,
+      departure,
+      returnDate: flight.returnDate || search.endDate,
+      passengers: search.passengers || search.travelers || 1,
+      cabin: search.cabinClass || 'economy'
+    });
+    return link.provider === 'airline'
+      ? { url: link.url, label: localizationService.t(language, 'results.bookOnAirline', { airline: link.airlineName }) }
+      : { url: link.url, label: localizationService.t(language, 'results.googleFlights') };
+  }
+
+  return flight.affiliateLink ? { url: flight.affiliateLink, label: localizationService.t(language, 'results.book') } : null;
+}
+
+/**
+ * Build the details message for a selected flight
+ * @param {Object} flight - Selected flight
+ * @param {number} number - 1-based option number
+ * @param {Object} search - session.context.lastFlightSearch
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+function formatFlightDetails(flight, number, search = {}, language = 'en') {
+  const t = (key, params) => localizationService.t(language, key, params);
+  const airline = flight.airline || t('results.various');
+  const departure = flight.departure || search.startDate;
+  const returnDate = flight.returnDate || search.endDate;
+  const origin = search.originCode || search.origin;
+  const destination = search.destCode || search.destination;
+  const stops = formatStops(flight, language);
+  const duration = formatDuration(flight.duration);
+  const price = formatFlightPrice(flight, language);
+
+  let message = `${t('results.flightOption', { number, airline, price: returnDate ? t('results.total', { price }) : price })}\n`;
+  message += `${origin || ''}→${destination || ''} ${t('results.out', { date: formatDateShort(departure) })}${stops ? ` (${stops})` : ''}\n`;
+  if (returnDate) {
+    message += `${t('results.ret', { date: formatDateShort(returnDate) })}\n`;
+  }
+  if (duration) {
+    message += `${t('results.duration', { duration })}\n`;
+  }
+
+  const link = buildFlightLink(flight, search, language);
+  if (link) {
+    message += `\n🔗 ${link.label}: ${link.url}`;
+  }
+
+  return message;
+}
+
+/**
+ * Build the details message for a selected property
+ * @param {Object} property - Selected property
+ * @param {Object} search - session.lastAccommodationSearch
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+function formatStayDetails(property, search = {}, language = 'en') {
+  const t = (key, params) => localizationService.t(language, key, params);
+
+  let costInfo = '';
+  if (search.checkIn && search.checkOut) {
+    const costBreakdown = airbnbService.calculateTotalCost(property.pricePerNight, search.checkIn, search.checkOut);
+    costInfo = `\n${t('results.stayCost', { nights: costBreakdown.nights, subtotal: `$${costBreakdown.subtotal}` })}\n${t('results.feesNote')}`;
+  }
+
+  const price = t('results.perNight', { price: `$${property.pricePerNight}` });
+  const summary = `${t('results.stayChosen')}\n\n${property.name}\n${price} ⭐${property.rating}${costInfo}`;
+  return property.url
+    ? `${summary}\n\n${t('results.bookHere', { url: property.url })}`
+    : `${summary}\n\n${t('results.searchAirbnb')}`;
+}
+
+module.exports = {
+  name: 'resultSelection',
+  priority: 30,
+  states: [
+    CONVERSATION_STATES.FLIGHT_RESULTS,
+    CONVERSATION_STATES.STAYS_RESULTS,
+    CONVERSATION_STATES.BOOKING
+  ],
+
+  matches(ctx) {
+    const active = getActiveResults(ctx.session);
+    if (!active) return false;
+
+    if (SHOW_MORE_PATTERN.test(ctx.message.trim())) {
+      return true;
+    }
+
+    const number = parseSelectionNumber(ctx.message);
+    return number !== null && number >= 1 && number <= active.results.length;
+  },
+
+  async handle(ctx) {
+    const { phoneNumber, session } = ctx;
+    const { type, results, offset } = getActiveResults(session);
+
+    if (SHOW_MORE_PATTERN.test(ctx.message.trim())) {
+      // Wrap around once everything has been shown
+      const start = offset >= results.length ? 0 : offset;
+      const page = formatResultsPage(type, results, start, ctx.language);
+      const nextOffset = Math.min(start + RESULTS_PAGE_SIZE, results.length);
+
+      console.log(`📄 Showing ${type} ${start + 1}-${nextOffset} of ${results.length}`);
+      await sessionManager.updateSession(phoneNumber, {
+        resultsCursor: { type, offset: nextOffset }
+      });
+
+      await ctx.replyLong(page);
+      return { handled: true };
+    }
+
+    const number = parseSelectionNumber(ctx.message);
+    const selected = results[number - 1];
+
+    if (type === 'flights') {
+      console.log(`✈️ User selected flight #${number}, building deeplink...`);
+      await sessionManager.updateSession(phoneNumber, {
+        selectedFlight: { ...selected, optionNumber: number }
+      });
+      await ctx.replyLong(formatFlightDetails(selected, number, session.context?.lastFlightSearch || {}, ctx.language));
+      return { handled: true };
+    }
+
+    console.log(`🏠 User selected accommodation #${number}, generating booking URL...`);
+    await sessionManager.updateSession(phoneNumber, {
+      lastAccommodationSelection: selected
+    });
+    await ctx.reply(formatStayDetails(selected, session.lastAccommodationSearch || {}, ctx.language));
+    return { handled: true };
+  }
+};
+
+module.exports.getActiveResults = getActiveResults;
+module.exports.parseSelectionNumber = parseSelectionNumber;
+module.exports.formatFlightDetails = formatFlightDetails;
+module.exports.buildFlightLink = buildFlightLink;
@@ -0,0 +1,66 @@
+/**
+ * Time preference intent
+ * "afternoon", "later", "no red-eye"... after flight results re-runs the last
+ * search with a departure-time preference. It doesn't claim the turn: it
+ * rewrites the message so the assistant performs the new search.
+ */
+
+const sessionManager = require('../services/sessionManager');
+const localizationService = require('../services/localizationService');
+const { CONVERSATION_STATES } = require('../services/conversationRouter');
+
+const TIME_PREFERENCE_PATTERNS = [
+  { pattern: /\b(afternoon|after\s*noon|pm\s*flight|later|after\s*12)\b/i, pref: 'afternoon' },
+  { pattern: /\b(morning|early|am\s*flight|before\s*noon)\b/i, pref: 'morning' },
+  { pattern: /\b(evening|after\s*(work|5|6)|night\s*flight)\b/i, pref: 'evening' },
+  { pattern: /\b(red[- ]?eye|overnight|late\s*night)\b/i, pref: 'red_eye' },
+  { pattern: /\b(no\s*red[- ]?eye|daytime|avoid\s*overnight)\b/i, pref: 'no_red_eye' },
+];
+
+/**
+ * Find the time preference expressed in a message
+ * @param {string} message - User's message
+ * @returns {string|null} Preference key or null
+ */
+function detectTimePreference(message) {
+  const lower = message.toLowerCase().trim();
+  const matched = TIME_PREFERENCE_PATTERNS.find(p => p.pattern.test(lower));
+  return matched ? matched.pref : null;
+}
+
+module.exports = {
+  name: 'timePreference',
+  priority: 40,
+  states: [
+    CONVERSATION_STATES.FLIGHT_RESULTS,
+    CONVERSATION_STATES.STAYS_RESULTS,
+    CONVERSATION_STATES.BOOKING
+  ],
+
+  matches(ctx) {
+    return !!(ctx.session.lastFlightResults && ctx.session.context?.lastFlightSearch) &&
+      !!detectTimePreference(ctx.message);
+  },
+
+  async handle(ctx) {
+    const pref = detectTimePreference(ctx.message);
+    const lastSearch = ctx.session.context.lastFlightSearch;
+
+    console.log(`⏰ User requesting time preference change: "${ctx.message}" → ${pref}`);
+
+    await ctx.notify(localizationService.t(ctx.language, 'timePreference.searching', {
+      preference: localizationService.t(ctx.language, `timePreference.${pref}`)
+    }));
+
+    // Clear old flight results so a new search happens
+    await sessionManager.updateSession(ctx.phoneNumber, { lastFlightResults: null });
+    ctx.session.lastFlightResults = null;
+
+    const enhancedMessage = `I want ${pref} flights. Search again for flights from ${lastSearch.origin} to ${lastSearch.destination} on ${lastSearch.startDate}${lastSearch.endDate ? ' returning ' + lastSearch.endDate : ''} with ${pref} departure times.`;
+    console.log(`📝 Enhanced message for time preference: "${enhancedMessage}"`);
+
+    return { handled: false, message: enhancedMessage };
+  }
+};
+
+module.exports.detectTimePreference = detectTimePreference;
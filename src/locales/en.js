@@ -0,0 +1,179 @@
+/**
+ * English message catalog
+ * The reference catalog: every key must exist here. Other languages fall
+ * back to these strings for keys they don't define.
+ * Placeholders are {name}; see localizationService.t().
+ */
+
+module.exports = {
+  errors: {
+    processing: "I'm having trouble processing your message right now. Please try again in a moment.",
+    flightDelivery: 'I found flights but had trouble sending you the details. Please try again or contact support.',
+    assistantTimeout: "Sorry, that's taking me longer than it should. Could you send it again in a minute?"
+  },
+
+  assistant: {
+    searching: 'On it — searching now...'
+  },
+
+  images: {
+    bookingSaved: 'Got it! Saved booking {reference}{route} to your trip. Text STATUS {reference} anytime.',
+    unreadable: "I couldn't make out any flight details in that image. Could you text me the route and dates?"
+  },
+
+  reco: {
+    vibeQuestion: 'What are you in the mood for — beach and slow days, city buzz and culture, or adventure and big landscapes?',
+    whenQuestion: 'When are you thinking? And is that flexible or locked in?',
+    budgetQuestion: 'Are we going all-out, comfortable middle, or making it work on a budget?',
+    whoQuestion: 'Solo trip, romantic getaway, or rolling with friends?',
+    noIdeas: "I'm having trouble coming up with ideas right now. Tell me more about what you're looking for?",
+    anyCalling: 'Any of these calling to you?',
+    reroll: "No problem — tell me more about what you're after and I'll try again.",
+    clarify: "Which one's catching your eye? Just reply with the number (1, 2, or 3).",
+    selected: "{city} it is! Let's make it happen. When are you thinking of going?"
+  },
+
+  assumptions: {
+    intro: '💡 I assumed: {list}',
+    dates: 'Dates: {dates}',
+    defaultDates: 'Dates: 30 days from now for {nights} nights',
+    origin: 'Origin: {origin}',
+    travelersOne: '1 traveler',
+    travelersOther: '{count} travelers'
+  },
+
+  booking: {
+    confirmed: '✅ Booking Confirmed!',
+    reference: 'Reference: {reference}',
+    passenger: 'Passenger: {name}',
+    route: 'Route: {origin} → {destination}',
+    departure: 'Departure: {date}',
+    total: 'Total: {currency} {amount}',
+    farewell: '🎉 Have a great trip!',
+    monitoring: "We'll monitor your fare and alert you if a better option appears."
+  },
+
+  reset: {
+    fresh: "Sure! Let's start fresh. Where would you like to go?"
+  },
+
+  results: {
+    various: 'Various',
+    seeLink: 'See link',
+    search: 'Search',
+    nonstop: 'nonstop',
+    direct: 'Direct',
+    stopsOne: '{count} stop',
+    stopsOther: '{count} stops',
+    perNight: '{price}/night',
+    total: '{price} total',
+    out: 'OUT: {date}',
+    ret: 'RET: {date}',
+    duration: 'Duration: {duration}',
+    pickOrMore: 'Reply with a number to choose, or say "show more".',
+    pickEnd: "That's everything I found. Reply with a number to choose.",
+    pick: 'Reply with a number to choose.',
+    detailsOrMore: 'Reply with a number for details, or say "show more".',
+    details: 'Reply with a number for details.',
+    flightOptions: 'Here are your flight options:',
+    foundFlightsOne: '✈️ Found {count} flight!',
+    foundFlightsOther: '✈️ Found {count} flights!',
+    book: 'Book',
+    bookLink: '🔗 Book: {url}',
+    bookOnAirline: 'Book on {airline}',
+    googleFlights: 'View on Google Flights',
+    foundStays: '🏠 Found {count} great places in {destination}{dates}!\n\nBrowse & pick your favorite:\n{url}',
+    flightOption: '✈️ Option {number}: {airline} — {price}',
+    stayChosen: 'Great choice! 🏠',
+    stayCost: '{nights} nights = {subtotal}',
+    feesNote: 'Plus Airbnb service fees and taxes',
+    bookHere: '🔗 Book here: {url}',
+    searchAirbnb: 'Please search on Airbnb for this property.'
+  },
+
+  accommodation: {
+    flightOnly: 'All set! Your flight is ready to book. Safe travels! ✈️',
+    searching: 'Got it — pulling great places to stay near your dates. One sec…',
+    noResults: 'Hmm, having trouble finding places to stay. Try again in a moment?',
+    failed: 'Having trouble searching accommodations right now. Try again shortly!'
+  },
+
+  refine: {
+    cheaper: 'cheaper',
+    under: 'under {price}',
+    nonstop: 'nonstop only',
+    airline: 'only {airline}',
+    rating: '{rating}+ stars',
+    near: 'near {area}',
+    laterOne: '{count} day later',
+    laterOther: '{count} days later',
+    earlierOne: '{count} day earlier',
+    earlierOther: '{count} days earlier',
+    leaving: 'leaving {shift}',
+    returning: 'returning {shift}',
+    dates: 'dates {shift}',
+    flightsCount: 'Flights: {before} → {after}',
+    placesCount: 'Places: {before} → {after}',
+    priceChange: 'From: {before} → {after}',
+    price: 'From: {price}',
+    searchingFlights: '🔎 {change}\nSearching again for {dates}...',
+    searchingStays: '🔎 {change}\nSearching places in {area}...',
+    noFlightDates: "I don't have the dates of your last flight search. Which dates should I look at?",
+    badFlightDates: "Those dates don't work - the return would be before departure or in the past. Which dates would you like?",
+    badStayDates: "Those dates don't work - check-out would be before check-in or in the past. Which dates would you like?",
+    noFlightsMatch: 'None of these {count} flights are {change}. Want me to search again?',
+    noStaysMatch: 'None of these {count} places are {change}. Where should I search?',
+    noStaysFound: "I couldn't find places that are {change}. Your earlier options are still there - reply with a number to choose."
+  },
+
+  timePreference: {
+    searching: 'Got it! Searching for {preference} flights...',
+    afternoon: 'afternoon',
+    morning: 'morning',
+    evening: 'evening',
+    red_eye: 'red-eye',
+    no_red_eye: 'daytime'
+  },
+
+  callback: {
+    askTime: 'What time should I call? e.g. "call me at 6pm" or "call me tomorrow at 9am PT"',
+    tooFar: 'I can schedule calls up to {days} days out - what time works before then?',
+    cancelled: 'Done - I won\'t call at {time}. Text "call me at" a time whenever you want one.',
+    noneScheduled: 'You don\'t have a call scheduled. Text "call me at 6pm" to set one up.',
+    moved: '📞 Moved your call to {time}. Reply "cancel my call" to cancel.',
+    scheduled: '📞 Got it - I\'ll call you {time}. Reply "move my call to 7pm" to reschedule or "cancel my call" to cancel.',
+    scheduledAbout: '📞 Got it - I\'ll call you {time} about {topic}. Reply "move my call to 7pm" to reschedule or "cancel my call" to cancel.',
+    tripTopic: 'your {destination} trip',
+    placeFailed: 'Sorry - I couldn\'t place the call you asked for. 📞\n\nText me here and we\'ll keep planning, or reply "call me at" another time.',
+    missed: 'We tried to call you at {time} but couldn\'t reach you. 📞\n\nReply "call me at" another time, or just text me here and we\'ll keep planning.'
+  },
+
+  voice: {
+    handoffFallback: "Thanks for calling! 📞\n\nText me where you'd like to go and I'll help you plan your trip."
+  },
+
+  commands: {
+    help: 'Otherwhere: AI travel concierge - text where you want to go. Cmds: MY TRIPS, PREFS, STATUS <ref>, UNDO. Msg & data rates may apply. Reply STOP to opt out.',
+    more: '+{count} more',
+    tripsHeader: 'Your trips:',
+    noTrips: "No trips yet. Text me where you want to go and I'll find options.",
+    prefsHeader: 'Your prefs:',
+    noPrefs: 'No saved preferences yet. Tell me things like "I fly business" or "avoid Spirit" and I\'ll remember.',
+    statusUsage: 'Send STATUS and your booking reference, e.g. STATUS ABC123',
+    bookingNotFound: "I couldn't find booking {reference} for this number. Check the reference and try again.",
+    nothingToUndo: 'Nothing to undo - no recent preference changes.',
+    undone: "Undone: {changes}. Text PREFS to see what's saved.",
+    labels: {
+      preferredClass: 'Class',
+      preferredAirlines: 'Airlines',
+      avoidedAirlines: 'Avoid',
+      preferredAirports: 'Airports',
+      avoidedAirports: 'Avoid airports',
+      departureTimePreference: 'Departs',
+      maxStops: 'Max stops',
+      connectionPreference: 'Connections',
+      budgetFlexibility: 'Budget',
+      travelCreditCards: 'Cards'
+    }
+  }
+};
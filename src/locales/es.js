@@ -0,0 +1,177 @@
+/**
+ * Spanish message catalog
+ * Keys mirror en.js; missing keys fall back to English.
+ */
+
+module.exports = {
+  errors: {
+    processing: 'Estoy teniendo problemas para procesar tu mensaje. Inténtalo de nuevo en un momento.',
+    flightDelivery: 'Encontré vuelos, pero no pude enviarte los detalles. Inténtalo de nuevo o contacta a soporte.',
+    assistantTimeout: 'Perdón, esto me está tomando más de lo normal. ¿Me lo envías de nuevo en un minuto?'
+  },
+
+  assistant: {
+    searching: 'Voy — buscando ahora...'
+  },
+
+  images: {
+    bookingSaved: '¡Listo! Guardé la reserva {reference}{route} en tu viaje. Escribe STATUS {reference} cuando quieras.',
+    unreadable: 'No pude leer detalles de vuelo en esa imagen. ¿Me escribes la ruta y las fechas?'
+  },
+
+  reco: {
+    vibeQuestion: '¿Qué se te antoja — playa y días tranquilos, ciudad y cultura, o aventura y grandes paisajes?',
+    whenQuestion: '¿Cuándo estás pensando ir? ¿Tus fechas son flexibles o fijas?',
+    budgetQuestion: '¿Vamos con todo, algo cómodo e intermedio, o con presupuesto ajustado?',
+    whoQuestion: '¿Viaje solo, escapada romántica o con amigos?',
+    noIdeas: 'Me está costando pensar en ideas ahora mismo. ¿Me cuentas más sobre lo que buscas?',
+    anyCalling: '¿Alguno de estos te llama la atención?',
+    reroll: 'Sin problema — cuéntame más sobre lo que buscas y lo intento de nuevo.',
+    clarify: '¿Cuál te llama? Responde solo con el número (1, 2 o 3).',
+    selected: '¡{city}, entonces! ¿Cuándo estás pensando ir?'
+  },
+
+  assumptions: {
+    intro: '💡 Supuse: {list}',
+    dates: 'Fechas: {dates}',
+    defaultDates: 'Fechas: dentro de 30 días, por {nights} noches',
+    origin: 'Origen: {origin}',
+    travelersOne: '1 viajero',
+    travelersOther: '{count} viajeros'
+  },
+
+  booking: {
+    confirmed: '✅ ¡Reserva confirmada!',
+    reference: 'Referencia: {reference}',
+    passenger: 'Pasajero: {name}',
+    route: 'Ruta: {origin} → {destination}',
+    departure: 'Salida: {date}',
+    total: 'Total: {currency} {amount}',
+    farewell: '🎉 ¡Buen viaje!',
+    monitoring: 'Vigilaremos tu tarifa y te avisaremos si aparece una mejor opción.'
+  },
+
+  reset: {
+    fresh: '¡Claro! Empecemos de nuevo. ¿A dónde te gustaría ir?'
+  },
+
+  results: {
+    various: 'Varias',
+    seeLink: 'Ver enlace',
+    search: 'Buscar',
+    nonstop: 'directo',
+    direct: 'Directo',
+    stopsOne: '{count} escala',
+    stopsOther: '{count} escalas',
+    perNight: '{price}/noche',
+    total: '{price} en total',
+    out: 'IDA: {date}',
+    ret: 'VUELTA: {date}',
+    duration: 'Duración: {duration}',
+    pickOrMore: 'Responde con un número para elegir, o di "más".',
+    pickEnd: 'Eso es todo lo que encontré. Responde con un número para elegir.',
+    pick: 'Responde con un número para elegir.',
+    detailsOrMore: 'Responde con un número para ver detalles, o di "más".',
+    details: 'Responde con un número para ver detalles.',
+    flightOptions: 'Estas son tus opciones de vuelo:',
+    foundFlightsOne: '✈️ ¡Encontré {count} vuelo!',
+    foundFlightsOther: '✈️ ¡Encontré {count} vuelos!',
+    book: 'Reservar',
+    bookLink: '🔗 Reservar: {url}',
+    bookOnAirline: 'Reservar con {airline}',
+    googleFlights: 'Ver en Google Flights',
+    foundStays: '🏠 ¡Encontré {count} lugares geniales en {destination}{dates}!\n\nMíralos y elige tu favorito:\n{url}',
+    flightOption: '✈️ Opción {number}: {airline} — {price}',
+    stayChosen: '¡Buena elección! 🏠',
+    stayCost: '{nights} noches = {subtotal}',
+    feesNote: 'Más las tarifas de servicio de Airbnb e impuestos',
+    bookHere: '🔗 Reserva aquí: {url}',
+    searchAirbnb: 'Busca este alojamiento en Airbnb.'
+  },
+
+  accommodation: {
+    flightOnly: '¡Listo! Tu vuelo está listo para reservar. ¡Buen viaje! ✈️',
+    searching: 'Entendido — buscando buenos lugares para quedarte en tus fechas. Un momento…',
+    noResults: 'Mmm, me está costando encontrar alojamiento. ¿Lo intentamos de nuevo en un momento?',
+    failed: 'Estoy teniendo problemas para buscar alojamiento ahora mismo. ¡Inténtalo de nuevo en breve!'
+  },
+
+  refine: {
+    cheaper: 'más barato',
+    under: 'menos de {price}',
+    nonstop: 'solo directos',
+    airline: 'solo {airline}',
+    rating: '{rating}+ estrellas',
+    near: 'cerca de {area}',
+    laterOne: '{count} día después',
+    laterOther: '{count} días después',
+    earlierOne: '{count} día antes',
+    earlierOther: '{count} días antes',
+    leaving: 'salida {shift}',
+    returning: 'regreso {shift}',
+    dates: 'fechas {shift}',
+    flightsCount: 'Vuelos: {before} → {after}',
+    placesCount: 'Alojamientos: {before} → {after}',
+    priceChange: 'Desde: {before} → {after}',
+    price: 'Desde: {price}',
+    searchingFlights: '🔎 {change}\nBuscando de nuevo para {dates}...',
+    searchingStays: '🔎 {change}\nBuscando alojamiento en {area}...',
+    noFlightDates: 'No tengo las fechas de tu última búsqueda de vuelos. ¿Qué fechas reviso?',
+    badFlightDates: 'Esas fechas no funcionan - el regreso sería antes de la salida o en el pasado. ¿Qué fechas prefieres?',
+    badStayDates: 'Esas fechas no funcionan - la salida sería antes de la llegada o en el pasado. ¿Qué fechas prefieres?',
+    noFlightsMatch: 'Ninguno de estos {count} vuelos es "{change}". ¿Busco de nuevo?',
+    noStaysMatch: 'Ninguno de estos {count} alojamientos es "{change}". ¿Dónde busco?',
+    noStaysFound: 'No encontré alojamientos "{change}". Tus opciones anteriores siguen ahí - responde con un número para elegir.'
+  },
+
+  timePreference: {
+    searching: '¡Entendido! Buscando vuelos {preference}...',
+    afternoon: 'por la tarde',
+    morning: 'por la mañana',
+    evening: 'por la noche',
+    red_eye: 'nocturnos',
+    no_red_eye: 'de día'
+  },
+
+  callback: {
+    askTime: '¿A qué hora te llamo? p. ej. "llámame a las 6pm" o "call me tomorrow at 9am PT"',
+    tooFar: 'Puedo programar llamadas hasta con {days} días de anticipación - ¿qué hora te funciona antes?',
+    cancelled: 'Listo - no te llamaré {time}. Escribe "call me at" y una hora cuando quieras una llamada.',
+    noneScheduled: 'No tienes ninguna llamada programada. Escribe "call me at 6pm" para programar una.',
+    moved: '📞 Moví tu llamada a {time}. Responde "cancel my call" para cancelarla.',
+    scheduled: '📞 Entendido - te llamo {time}. Responde "move my call to 7pm" para cambiarla o "cancel my call" para cancelarla.',
+    scheduledAbout: '📞 Entendido - te llamo {time} sobre {topic}. Responde "move my call to 7pm" para cambiarla o "cancel my call" para cancelarla.',
+    tripTopic: 'tu viaje a {destination}',
+    placeFailed: 'Perdón - no pude hacer la llamada que pediste. 📞\n\nEscríbeme aquí y seguimos planeando, o responde "call me at" con otra hora.',
+    missed: 'Intentamos llamarte ({time}) pero no pudimos comunicarnos. 📞\n\nResponde "call me at" con otra hora, o escríbeme aquí y seguimos planeando.'
+  },
+
+  voice: {
+    handoffFallback: '¡Gracias por llamar! 📞\n\nEscríbeme a dónde te gustaría ir y te ayudo a planear tu viaje.'
+  },
+
+  commands: {
+    help: 'Otherwhere: concierge de viajes con IA - escribe a dónde quieres ir. Comandos: MY TRIPS, PREFS, STATUS <ref>, UNDO. Pueden aplicar tarifas de mensajes y datos. Responde STOP para darte de baja.',
+    more: '+{count} más',
+    tripsHeader: 'Tus viajes:',
+    noTrips: 'Aún no tienes viajes. Escríbeme a dónde quieres ir y te busco opciones.',
+    prefsHeader: 'Tus preferencias:',
+    noPrefs: 'Aún no hay preferencias guardadas. Dime cosas como "vuelo en business" o "evita Spirit" y lo recordaré.',
+    statusUsage: 'Envía STATUS y tu referencia de reserva, p. ej. STATUS ABC123',
+    bookingNotFound: 'No encontré la reserva {reference} para este número. Revisa la referencia e inténtalo de nuevo.',
+    nothingToUndo: 'Nada que deshacer - no hay cambios recientes de preferencias.',
+    undone: 'Deshecho: {changes}. Escribe PREFS para ver lo guardado.',
+    labels: {
+      preferredClass: 'Clase',
+      preferredAirlines: 'Aerolíneas',
+      avoidedAirlines: 'Evitar',
+      preferredAirports: 'Aeropuertos',
+      avoidedAirports: 'Aeropuertos a evitar',
+      departureTimePreference: 'Salida',
+      maxStops: 'Escalas máx.',
+      connectionPreference: 'Conexiones',
+      budgetFlexibility: 'Presupuesto',
+      travelCreditCards: 'Tarjetas'
+    }
+  }
+};
@@ -0,0 +1,177 @@
+/**
+ * French message catalog (Canadian French - Montreal and Ottawa users)
+ * Keys mirror en.js; missing keys fall back to English.
+ */
+
+module.exports = {
+  errors: {
+    processing: "J'ai du mal à traiter votre message pour le moment. Réessayez dans un instant.",
+    flightDelivery: "J'ai trouvé des vols, mais je n'arrive pas à vous envoyer les détails. Réessayez ou contactez le soutien.",
+    assistantTimeout: "Désolé, ça me prend plus de temps que prévu. Pouvez-vous me le renvoyer dans une minute?"
+  },
+
+  assistant: {
+    searching: "Je m'en occupe — recherche en cours..."
+  },
+
+  images: {
+    bookingSaved: "C'est noté! Réservation {reference}{route} ajoutée à votre voyage. Textez STATUS {reference} en tout temps.",
+    unreadable: "Je ne vois aucun détail de vol dans cette image. Pouvez-vous m'écrire le trajet et les dates?"
+  },
+
+  reco: {
+    vibeQuestion: "Vous avez envie de quoi — plage et journées tranquilles, ville et culture, ou aventure et grands espaces?",
+    whenQuestion: 'Vous pensez partir quand? Et vos dates sont-elles flexibles ou fixes?',
+    budgetQuestion: 'On se gâte, on reste dans le confortable, ou on voyage avec un petit budget?',
+    whoQuestion: 'En solo, en amoureux, ou entre amis?',
+    noIdeas: "J'ai du mal à trouver des idées pour le moment. Dites-m'en plus sur ce que vous cherchez?",
+    anyCalling: "Une de ces destinations vous fait envie?",
+    reroll: "Pas de problème — dites-m'en plus sur ce que vous cherchez et je réessaie.",
+    clarify: 'Laquelle vous tente? Répondez simplement avec le numéro (1, 2 ou 3).',
+    selected: "Va pour {city}! Vous pensez partir quand?"
+  },
+
+  assumptions: {
+    intro: "💡 J'ai supposé : {list}",
+    dates: 'Dates : {dates}',
+    defaultDates: 'Dates : dans 30 jours, pour {nights} nuits',
+    origin: 'Départ : {origin}',
+    travelersOne: '1 voyageur',
+    travelersOther: '{count} voyageurs'
+  },
+
+  booking: {
+    confirmed: '✅ Réservation confirmée!',
+    reference: 'Référence : {reference}',
+    passenger: 'Passager : {name}',
+    route: 'Trajet : {origin} → {destination}',
+    departure: 'Départ : {date}',
+    total: 'Total : {amount} {currency}',
+    farewell: '🎉 Bon voyage!',
+    monitoring: 'Nous surveillons votre tarif et vous avertirons si une meilleure option se présente.'
+  },
+
+  reset: {
+    fresh: 'Bien sûr! On repart à zéro. Où aimeriez-vous aller?'
+  },
+
+  results: {
+    various: 'Plusieurs',
+    seeLink: 'Voir le lien',
+    search: 'Rechercher',
+    nonstop: 'sans escale',
+    direct: 'Direct',
+    stopsOne: '{count} escale',
+    stopsOther: '{count} escales',
+    perNight: '{price}/nuit',
+    total: '{price} au total',
+    out: 'ALLER : {date}',
+    ret: 'RETOUR : {date}',
+    duration: 'Durée : {duration}',
+    pickOrMore: 'Répondez avec un numéro pour choisir, ou dites « plus ».',
+    pickEnd: "C'est tout ce que j'ai trouvé. Répondez avec un numéro pour choisir.",
+    pick: 'Répondez avec un numéro pour choisir.',
+    detailsOrMore: 'Répondez avec un numéro pour les détails, ou dites « plus ».',
+    details: 'Répondez avec un numéro pour les détails.',
+    flightOptions: 'Voici vos options de vol :',
+    foundFlightsOne: "✈️ J'ai trouvé {count} vol!",
+    foundFlightsOther: "✈️ J'ai trouvé {count} vols!",
+    book: 'Réserver',
+    bookLink: '🔗 Réserver : {url}',
+    bookOnAirline: 'Réserver chez {airline}',
+    googleFlights: 'Voir sur Google Flights',
+    foundStays: "🏠 J'ai trouvé {count} super endroits à {destination}{dates}!\n\nParcourez et choisissez votre préféré :\n{url}",
+    flightOption: '✈️ Option {number} : {airline} — {price}',
+    stayChosen: 'Excellent choix! 🏠',
+    stayCost: '{nights} nuits = {subtotal}',
+    feesNote: 'Plus les frais de service Airbnb et les taxes',
+    bookHere: '🔗 Réservez ici : {url}',
+    searchAirbnb: 'Cherchez cet hébergement sur Airbnb.'
+  },
+
+  accommodation: {
+    flightOnly: 'Parfait! Votre vol est prêt à réserver. Bon voyage! ✈️',
+    searching: "C'est noté — je cherche de beaux endroits où loger pour vos dates. Un instant…",
+    noResults: "Hmm, j'ai du mal à trouver des hébergements. Réessayez dans un instant?",
+    failed: "J'ai du mal à chercher des hébergements en ce moment. Réessayez sous peu!"
+  },
+
+  refine: {
+    cheaper: 'moins cher',
+    under: 'moins de {price}',
+    nonstop: 'sans escale seulement',
+    airline: 'seulement {airline}',
+    rating: '{rating} étoiles et plus',
+    near: 'près de {area}',
+    laterOne: '{count} jour plus tard',
+    laterOther: '{count} jours plus tard',
+    earlierOne: '{count} jour plus tôt',
+    earlierOther: '{count} jours plus tôt',
+    leaving: 'départ {shift}',
+    returning: 'retour {shift}',
+    dates: 'dates {shift}',
+    flightsCount: 'Vols : {before} → {after}',
+    placesCount: 'Hébergements : {before} → {after}',
+    priceChange: 'À partir de : {before} → {after}',
+    price: 'À partir de : {price}',
+    searchingFlights: '🔎 {change}\nNouvelle recherche pour {dates}...',
+    searchingStays: '🔎 {change}\nRecherche d\'hébergements à {area}...',
+    noFlightDates: "Je n'ai pas les dates de votre dernière recherche de vols. Quelles dates dois-je regarder?",
+    badFlightDates: 'Ces dates ne fonctionnent pas - le retour serait avant le départ ou dans le passé. Quelles dates voulez-vous?',
+    badStayDates: "Ces dates ne fonctionnent pas - le départ serait avant l'arrivée ou dans le passé. Quelles dates voulez-vous?",
+    noFlightsMatch: 'Aucun de ces {count} vols ne correspond à « {change} ». Voulez-vous que je cherche de nouveau?',
+    noStaysMatch: 'Aucun de ces {count} hébergements ne correspond à « {change} ». Où dois-je chercher?',
+    noStaysFound: "Je n'ai trouvé aucun hébergement « {change} ». Vos options précédentes sont toujours là - répondez avec un numéro pour choisir."
+  },
+
+  timePreference: {
+    searching: "C'est noté! Je cherche des vols {preference}...",
+    afternoon: "l'après-midi",
+    morning: 'le matin',
+    evening: 'en soirée',
+    red_eye: 'de nuit',
+    no_red_eye: 'de jour'
+  },
+
+  callback: {
+    askTime: "À quelle heure dois-je appeler? p. ex. « appelle-moi à 18 h » ou « call me tomorrow at 9am PT »",
+    tooFar: "Je peux planifier des appels jusqu'à {days} jours à l'avance - quelle heure vous convient d'ici là?",
+    cancelled: "C'est fait - je n'appellerai pas {time}. Textez « call me at » et une heure quand vous voulez un appel.",
+    noneScheduled: "Vous n'avez aucun appel prévu. Textez « call me at 6pm » pour en planifier un.",
+    moved: '📞 Votre appel est déplacé à {time}. Répondez « cancel my call » pour l\'annuler.',
+    scheduled: "📞 C'est noté - je vous appelle {time}. Répondez « move my call to 7pm » pour le déplacer ou « cancel my call » pour l'annuler.",
+    scheduledAbout: "📞 C'est noté - je vous appelle {time} au sujet de {topic}. Répondez « move my call to 7pm » pour le déplacer ou « cancel my call » pour l'annuler.",
+    tripTopic: 'votre voyage à {destination}',
+    placeFailed: "Désolé - je n'ai pas pu passer l'appel demandé. 📞\n\nÉcrivez-moi ici et on continue la planification, ou répondez « call me at » avec une autre heure.",
+    missed: "Nous avons essayé de vous appeler ({time}), sans succès. 📞\n\nRépondez « call me at » avec une autre heure, ou écrivez-moi ici et on continue la planification."
+  },
+
+  voice: {
+    handoffFallback: "Merci de votre appel! 📞\n\nÉcrivez-moi où vous aimeriez aller et je vous aide à planifier votre voyage."
+  },
+
+  commands: {
+    help: 'Otherwhere : concierge voyage IA - textez où vous voulez aller. Commandes : MY TRIPS, PREFS, STATUS <réf>, UNDO. Des frais de messagerie peuvent s\'appliquer. Répondez STOP pour vous désabonner.',
+    more: '+{count} de plus',
+    tripsHeader: 'Vos voyages :',
+    noTrips: "Aucun voyage pour l'instant. Écrivez-moi où vous voulez aller et je vous trouve des options.",
+    prefsHeader: 'Vos préférences :',
+    noPrefs: "Aucune préférence enregistrée. Dites-moi par exemple « je voyage en affaires » ou « évite Spirit » et je m'en souviendrai.",
+    statusUsage: 'Envoyez STATUS et votre référence de réservation, p. ex. STATUS ABC123',
+    bookingNotFound: 'Je ne trouve pas la réservation {reference} pour ce numéro. Vérifiez la référence et réessayez.',
+    nothingToUndo: 'Rien à annuler - aucun changement de préférence récent.',
+    undone: 'Annulé : {changes}. Textez PREFS pour voir ce qui est enregistré.',
+    labels: {
+      preferredClass: 'Classe',
+      preferredAirlines: 'Compagnies',
+      avoidedAirlines: 'À éviter',
+      preferredAirports: 'Aéroports',
+      avoidedAirports: 'Aéroports à éviter',
+      departureTimePreference: 'Départ',
+      maxStops: 'Escales max',
+      connectionPreference: 'Correspondances',
+      budgetFlexibility: 'Budget',
+      travelCreditCards: 'Cartes'
+    }
+  }
+};
@@ -9,6 +9,9 @@ const router = express.Router();
 const userProfileService = require('../services/userProfileService');
 const loyaltyProgramService = require('../services/loyaltyProgramService');
 const userPreferencesService = require('../services/userPreferencesService');
+const callTranscriptService = require('../services/callTranscriptService');
+const userMemoryService = require('../services/userMemoryService');
+const callerVerificationService = require('../services/callerVerificationService');
 
 /**
  * POST /api/users/onboard
@@ -136,6 +139,88 @@ router.put('/:phoneNumber', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/users/:phoneNumber/voice-pin/code
+ * Text a one-time code that allows setting the voice PIN
+ */
+router.post('/:phoneNumber/voice-pin/code', async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+
+    const result = await callerVerificationService.startPinChange(phoneNumber);
+    if (!result.sent) {
+      return res.status(result.reason === 'number_locked' ? 429 : 400).json({
+        success: false,
+        error: result.reason
+      });
+    }
+
+    res.json({
+      success: true,
+      verificationId: result.verificationId,
+      expiresAt: result.expiresAt,
+      message: 'Code sent - send it back with the new PIN'
+    });
+
+  } catch (error) {
+    console.error('Error sending voice PIN code:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/users/:phoneNumber/voice-pin
+ * Set or replace the PIN callers can say instead of a texted code
+ * Body: pin, plus verificationId + code from POST .../voice-pin/code, or
+ * callSid of a call that already passed verification
+ */
+router.put('/:phoneNumber/voice-pin', async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+    const { pin, verificationId, code, callSid } = req.body;
+
+    if (!/^\d{4,8}$/.test(String(pin || ''))) {
+      return res.status(400).json({
+        success: false,
+        error: 'PIN must be 4 to 8 digits'
+      });
+    }
+
+    const authorization = await callerVerificationService.authorizePinChange(phoneNumber, { verificationId, code, callSid });
+    if (!authorization.allowed) {
+      return res.status(403).json({
+        success: false,
+        error: authorization.reason,
+        attemptsLeft: authorization.attemptsLeft,
+        message: 'Verify the number first: POST /api/users/:phoneNumber/voice-pin/code texts a code to send back with the PIN'
+      });
+    }
+
+    const updated = await callerVerificationService.setPin(phoneNumber, String(pin));
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Voice PIN updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error setting voice PIN:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/users/:phoneNumber
  * Delete user account and all data
@@ -473,4 +558,117 @@ router.put('/:phoneNumber/preferences', async (req, res) => {
   }
 });
 
+/**
+ * CALLS
+ */
+
+/**
+ * GET /api/users/:phoneNumber/calls
+ * Get voice call transcripts and summaries, newest first
+ * Query: limit (default 20, max 100)
+ */
+router.get('/:phoneNumber/calls', async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const calls = await callTranscriptService.getCallsByPhone(phoneNumber, limit);
+
+    res.json({
+      success: true,
+      calls
+    });
+
+  } catch (error) {
+    console.error('Error getting call transcripts:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * MEMORY
+ */
+
+/**
+ * GET /api/users/:phoneNumber/memory
+ * Get long-term memories about the user, newest first
+ */
+router.get('/:phoneNumber/memory', async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+
+    const memories = await userMemoryService.listMemories(phoneNumber);
+
+    res.json({
+      success: true,
+      memories
+    });
+
+  } catch (error) {
+    console.error('Error getting user memories:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/:phoneNumber/memory/:memoryId
+ * Forget one memory
+ */
+router.delete('/:phoneNumber/memory/:memoryId', async (req, res) => {
+  try {
+    const { phoneNumber, memoryId } = req.params;
+
+    const deleted = await userMemoryService.deleteMemory(phoneNumber, memoryId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Memory not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Memory deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting user memory:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/:phoneNumber/memory
+ * Forget everything remembered about the user
+ */
+router.delete('/:phoneNumber/memory', async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+
+    const deleted = await userMemoryService.clearMemories(phoneNumber);
+
+    res.json({
+      success: true,
+      deleted
+    });
+
+  } catch (error) {
+    console.error('Error clearing user memories:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
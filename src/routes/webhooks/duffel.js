@@ -7,6 +7,7 @@ const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
 const {
+  getConversationById,
   getLinkSessionByDuffelId,
   createBooking,
   updateBookingStatus,
@@ -16,6 +17,8 @@ const {
 } = require('../../db/queries');
 const { query } = require('../../db');
 const twilioService = require('../../services/twilioService');
+const localizationService = require('../../services/localizationService');
+const promptRegistry = require('../../services/promptRegistry');
 
 /**
  * Verify Duffel webhook signature
@@ -151,6 +154,10 @@ async function handleOrderCreated(order) {
       linkSession = sessions.rows[0];
     }
 
+    // Prompt versions the user was on, so the booking counts toward that variant
+    const conversation = conversationId ? await getConversationById(conversationId) : null;
+    const promptVersions = conversation ? await promptRegistry.getAttribution(conversation.phone) : {};
+
     // Extract flight details
     const firstSlice = order.slices?.[0];
     const firstSegment = firstSlice?.segments?.[0];
@@ -173,7 +180,8 @@ async function handleOrderCreated(order) {
       currency: order.total_currency,
       ticketNumbers: order.documents?.map(d => d.unique_identifier) || [],
       status: 'confirmed',
-      orderData: order
+      orderData: order,
+      promptVersions: Object.keys(promptVersions).length > 0 ? promptVersions : null
     };
 
     // Store booking
@@ -264,8 +272,9 @@ async function sendBookingConfirmationSMS(booking, order) {
 
     const phone = conversation.rows[0].phone;
 
-    // Format confirmation message
-    const message = formatConfirmationMessage(booking, order);
+    // Format confirmation message in the language the user texts in
+    const language = await localizationService.getLanguage(phone);
+    const message = formatConfirmationMessage(booking, order, language);
 
     // Send SMS
     await twilioService.sendSMS(phone, message);
@@ -284,29 +293,36 @@ async function sendBookingConfirmationSMS(booking, order) {
 
 /**
  * Format booking confirmation message
+ * @param {Object} booking - Booking row
+ * @param {Object} order - Duffel order
+ * @param {string} language - Language code (default 'en')
+ * @returns {string}
  */
-function formatConfirmationMessage(booking, order) {
-  let message = `✅ Booking Confirmed!\n\n`;
+function formatConfirmationMessage(booking, order, language = 'en') {
+  const t = (key, params) => localizationService.t(language, key, params);
+
+  let message = `${t('booking.confirmed')}\n\n`;
 
-  message += `Reference: ${booking.booking_reference}\n`;
-  message += `Passenger: ${booking.passenger_name}\n\n`;
+  message += `${t('booking.reference', { reference: booking.booking_reference })}\n`;
+  message += `${t('booking.passenger', { name: booking.passenger_name })}\n\n`;
 
   if (booking.origin && booking.destination) {
-    message += `Route: ${booking.origin} → ${booking.destination}\n`;
+    message += `${t('booking.route', { origin: booking.origin, destination: booking.destination })}\n`;
   }
 
   if (booking.departure_date) {
-    message += `Departure: ${booking.departure_date}\n`;
+    message += `${t('booking.departure', { date: booking.departure_date })}\n`;
   }
 
   if (booking.total_paid) {
-    message += `Total: ${booking.currency} ${booking.total_paid}\n`;
+    message += `${t('booking.total', { currency: booking.currency, amount: booking.total_paid })}\n`;
   }
 
-  message += `\n🎉 Have a great trip!\n`;
-  message += `We'll monitor your fare and alert you if a better option appears.`;
+  message += `\n${t('booking.farewell')}\n`;
+  message += t('booking.monitoring');
 
   return message;
 }
 
 module.exports = router;
+module.exports.formatConfirmationMessage = formatConfirmationMessage;
@@ -194,6 +194,20 @@ class AirportResolverService {
     // In commonAirports mapping
     return !!this.commonAirports[normalized];
   }
+
+  /**
+   * List the airports we know, one entry per IATA code
+   * @returns {Array<Object>} { code, name, city, country }
+   */
+  listAirports() {
+    const byCode = new Map();
+    for (const airports of Object.values(this.commonAirports)) {
+      for (const airport of airports) {
+        if (!byCode.has(airport.code)) byCode.set(airport.code, airport);
+      }
+    }
+    return [...byCode.values()];
+  }
 }
 
 // Export as singleton instance
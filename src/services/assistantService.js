@@ -1,545 +1,430 @@
-const OpenAI = require('openai');
-const travelPayoutsService = require('./travelPayoutsService');
-const airportResolverService = require('./airportResolverService');
-const airbnbService = require('./airbnbService');
-const hotelsService = require('./hotelsService');
+/**
+ * Assistant Service
+ *
+ * The SMS concierge: a tool-calling loop on Chat Completions. Turns are
+ * stateless - the prompt is rebuilt every time from the session (history,
+ * recent searches, preferences, last phone call) - and the model can call
+ * the search tools in toolRegistry, the same dispatch the voice agents use.
+ * Tool calls from one round run in parallel; up to MAX_TOOL_ROUNDS rounds.
+ *
+ * Reply text is streamed. When the model decides to search, what it has
+ * said so far (or a localized "searching..." line) goes out through
+ * onProgress before the tools run, since a search takes seconds. A turn
+ * that runs past its timeout ends with a localized fallback reply. Each turn
+ * records token and latency metrics (getStats(), served at /health/assistant).
+ *
+ * Sessions from the Assistants API days carry a threadId. They keep working:
+ * if the session has no history of its own, the thread's recent messages
+ * are imported once and the threadId is dropped.
+ */
+
+const llmProviderService = require('./llmProviderService');
+const sessionManager = require('./sessionManager');
+const toolRegistry = require('./toolRegistry');
+const localizationService = require('./localizationService');
+const userMemoryService = require('./userMemoryService');
+const promptRegistry = require('./promptRegistry');
+
+// Only the searches: the other tools are for calls (caller verification,
+// profile) or have their own SMS intents (recommendations, preferences)
+const SEARCH_TOOLS = [
+  require('../tools/searchTrips'),
+  require('../tools/searchAccommodations')
+];
+toolRegistry.registerAll(SEARCH_TOOLS);
+
+const ASSISTANT_TOOLS = SEARCH_TOOLS.map(tool => tool.name);
+
+const MAX_TOOL_ROUNDS = 4;
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.ASSISTANT_TIMEOUT_MS, 10) || 30000;
+const METRICS_SAMPLE_SIZE = 200;
+const THREAD_IMPORT_LIMIT = 20;
+
+const TIMED_OUT = Symbol('timed out');
+
+/**
+ * Value at a percentile
+ * @param {Array<number>} values - Samples
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null}
+ */
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+/**
+ * Describe what the session knows for the system prompt
+ * @param {Object} session - User session
+ * @returns {Array<string>} Context lines
+ */
+function describeSession(session) {
+  const lines = [];
+  const { lastCallSummary, userPreferences } = session;
+  const lastFlightSearch = session.lastFlightSearch || session.context?.lastFlightSearch;
+  const lastAccommodationSearch = session.lastAccommodationSearch;
+
+  if (lastCallSummary && lastCallSummary.summary) {
+    lines.push(`Earlier phone call with this traveler: ${lastCallSummary.summary}`);
+  }
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+  if (lastFlightSearch && lastFlightSearch.startDate) {
+    lines.push(`Last flight search: ${lastFlightSearch.origin} to ${lastFlightSearch.destination}, ${lastFlightSearch.startDate}${lastFlightSearch.endDate ? ` to ${lastFlightSearch.endDate}` : ''}. Use these dates for stays unless they say otherwise.`);
+  }
 
-const ASSISTANT_ID = process.env.OPENAI_ASSISTANT_ID;
+  if (lastAccommodationSearch && lastAccommodationSearch.checkIn) {
+    lines.push(`Last stay search: ${lastAccommodationSearch.destination || 'unknown destination'}, ${lastAccommodationSearch.checkIn} to ${lastAccommodationSearch.checkOut}.`);
+  }
+
+  if (userPreferences) {
+    const prefParts = [];
+    if (userPreferences.preferredClass) prefParts.push(`cabin: ${userPreferences.preferredClass}`);
+    if (userPreferences.preferredAirlines?.length) prefParts.push(`prefers: ${userPreferences.preferredAirlines.join(', ')}`);
+    if (userPreferences.avoidedAirlines?.length) prefParts.push(`avoids: ${userPreferences.avoidedAirlines.join(', ')}`);
+    if (userPreferences.preferredAirports?.length) prefParts.push(`airports: ${userPreferences.preferredAirports.join(', ')}`);
+    if (userPreferences.avoidedAirports?.length) prefParts.push(`avoid airports: ${userPreferences.avoidedAirports.join(', ')}`);
+    if (userPreferences.departureTimePreference) prefParts.push(`timing: ${userPreferences.departureTimePreference}`);
+    if (userPreferences.maxStops !== undefined && userPreferences.maxStops !== null) prefParts.push(`max stops: ${userPreferences.maxStops}`);
+
+    if (prefParts.length > 0) {
+      lines.push(`Saved preferences: ${prefParts.join(', ')}. Apply them unless the traveler says otherwise.`);
+    }
+  }
+
+  return lines;
+}
 
 class AssistantService {
+  constructor() {
+    this.samples = []; // per-turn metrics, most recent last
+    this.counters = { turns: 0, timeouts: 0, errors: 0 };
+  }
+
   /**
-   * Create a new thread for a conversation
-   * @returns {Promise<string>} Thread ID
+   * Render the system prompt version a user gets (see promptRegistry)
+   * @param {string} phoneNumber - User's phone number (default version without one)
+   * @returns {Object} { name, version, id, text }
    */
-  async createThread() {
-    try {
-      const thread = await openai.beta.threads.create();
-      console.log(`🧵 Created new thread: ${thread.id}`);
-      return thread.id;
-    } catch (error) {
-      console.error('Failed to create thread:', error);
-      throw new Error('Failed to create conversation thread');
-    }
+  renderPrompt(phoneNumber = null) {
+    const today = new Date().toISOString().split('T')[0];
+    return promptRegistry.render('assistant', { today }, { phoneNumber });
   }
 
   /**
-   * Send a message to the assistant and get a response
-   * @param {string} threadId - Thread ID for the conversation
+   * Build the Chat Completions messages for a turn
+   * @param {Object} session - User session (conversationHistory may already end with this message)
    * @param {string} userMessage - User's message
-   * @param {Object} options - Additional options
-   * @param {Object} options.sessionContext - Session context (lastFlightSearch, lastAccommodationSearch, etc.)
-   * @returns {Promise<Object>} Response object with text and metadata
+   * @param {string} language - Language to reply in
+   * @param {Array<Object>} memories - Long-term memories (userMemoryService)
+   * @param {Object} prompt - System prompt from renderPrompt()
+   * @returns {Array<Object>}
    */
-  async sendMessage(threadId, userMessage, options = {}) {
-    if (!ASSISTANT_ID) {
-      throw new Error('OpenAI Assistant ID not configured');
+  buildMessages(session, userMessage, language, memories = [], prompt = this.renderPrompt()) {
+    const system = [prompt.text];
+
+    const contextLines = describeSession(session);
+    if (contextLines.length > 0) {
+      system.push(`## What you know\n${contextLines.map(line => `- ${line}`).join('\n')}`);
     }
 
-    try {
-      // Build context message if we have session context
-      let contextMessage = '';
-      if (options.sessionContext) {
-        const { lastFlightSearch, lastAccommodationSearch, userPreferences } = options.sessionContext;
-
-        if (lastFlightSearch && lastFlightSearch.startDate) {
-          contextMessage += `\n\n[CONTEXT: User just searched for flights from ${lastFlightSearch.origin} to ${lastFlightSearch.destination} for ${lastFlightSearch.startDate}`;
-          if (lastFlightSearch.endDate) {
-            contextMessage += ` to ${lastFlightSearch.endDate}`;
-          }
-          contextMessage += `. If they're asking about accommodations, use these same dates unless they specify different ones.]`;
-        }
+    const memoryLines = userMemoryService.formatForPrompt(memories);
+    if (memoryLines) {
+      system.push(`## Long-term memory\nThings this traveler told you on earlier trips. Use them without repeating them back:\n${memoryLines}`);
+    }
 
-        if (lastAccommodationSearch && lastAccommodationSearch.checkIn) {
-          contextMessage += `\n\n[CONTEXT: User previously searched accommodations for ${lastAccommodationSearch.checkIn} to ${lastAccommodationSearch.checkOut}]`;
-        }
+    const languageInstruction = localizationService.languageInstruction(language);
+    if (languageInstruction) {
+      system.push(`## Language\n${languageInstruction}`);
+    }
 
-        // Add user preferences context if available
-        if (userPreferences) {
-          const prefParts = [];
-          if (userPreferences.preferredClass) prefParts.push(`cabin: ${userPreferences.preferredClass}`);
-          if (userPreferences.preferredAirlines?.length) prefParts.push(`prefers: ${userPreferences.preferredAirlines.join(', ')}`);
-          if (userPreferences.avoidedAirlines?.length) prefParts.push(`avoids: ${userPreferences.avoidedAirlines.join(', ')}`);
-          if (userPreferences.preferredAirports?.length) prefParts.push(`airports: ${userPreferences.preferredAirports.join(', ')}`);
-          if (userPreferences.avoidedAirports?.length) prefParts.push(`avoid airports: ${userPreferences.avoidedAirports.join(', ')}`);
-          if (userPreferences.departureTimePreference) prefParts.push(`timing: ${userPreferences.departureTimePreference}`);
-          if (userPreferences.maxStops !== undefined && userPreferences.maxStops !== null) prefParts.push(`max stops: ${userPreferences.maxStops}`);
-
-          if (prefParts.length > 0) {
-            contextMessage += `\n\n[USER PREFERENCES: ${prefParts.join(', ')}. Apply these to searches unless user specifies otherwise.]`;
-          }
-        }
-      }
+    // System entries are compaction and phone call summaries
+    const history = (session.conversationHistory || [])
+      .filter(msg => ['user', 'assistant', 'system'].includes(msg.role) && msg.content)
+      .map(msg => ({ role: msg.role, content: msg.content }));
 
-      // Add user message to thread (with context if available)
-      await openai.beta.threads.messages.create(threadId, {
-        role: 'user',
-        content: userMessage + contextMessage
-      });
+    const last = history[history.length - 1];
+    if (!last || last.role !== 'user' || last.content !== userMessage) {
+      history.push({ role: 'user', content: userMessage });
+    }
 
-      console.log(`💬 Added message to thread ${threadId}${contextMessage ? ' (with context)' : ''}`);
+    return [{ role: 'system', content: system.join('\n\n') }, ...history];
+  }
 
-      // Create a run
-      const run = await openai.beta.threads.runs.create(threadId, {
-        assistant_id: ASSISTANT_ID
-      });
+  /**
+   * Answer a turn, searching with tools when needed
+   * Throws when the model can't be reached, so callers can fall back to
+   * llmService; a timeout is not an error and comes back as timedOut.
+   * @param {Object} params - Turn
+   * @param {string} params.phoneNumber - User's phone number
+   * @param {string} params.message - User's message
+   * @param {Object} params.session - User session
+   * @param {string} params.language - Language to reply in (default 'en')
+   * @param {string} params.channel - 'sms' | 'whatsapp' | 'voice' (passed to the tools)
+   * @param {number} params.maxTokens - Reply length cap per model call
+   * @param {number} params.timeoutMs - Give up after this long (default ASSISTANT_TIMEOUT_MS or 30s)
+   * @param {Function} params.onProgress - Sends an interim message: (text) => Promise
+   * @param {Array<Object>} params.memories - Long-term memories to add to the prompt
+   * @returns {Promise<Object>} { text, flightResults, accommodationResults, prompt: { name, version }, timedOut, metrics }
+   */
+  async respond({ phoneNumber, message, session, language = 'en', channel = 'sms', maxTokens, timeoutMs = DEFAULT_TIMEOUT_MS, onProgress = null, memories = [] }) {
+    const metrics = {
+      channel,
+      model: null,
+      prompt: null,
+      rounds: 0,
+      toolCalls: [],
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      modelMs: 0,
+      firstTextMs: null,
+      latencyMs: null,
+      timedOut: false,
+      error: null
+    };
+    const startTime = Date.now();
+    let timer;
 
-      console.log(`🏃 Started run ${run.id}`);
+    try {
+      await this.importThreadHistory(phoneNumber, session);
 
-      // Poll for completion and handle function calls
-      const { run: completedRun, tripSearchData, flightResults, accommodationResults } = await this.waitForRunCompletion(threadId, run.id);
+      const prompt = this.renderPrompt(phoneNumber);
+      const promptVersion = { name: prompt.name, version: prompt.version };
+      metrics.prompt = prompt.id;
 
-      // Get the assistant's response
-      const messages = await openai.beta.threads.messages.list(threadId, {
-        order: 'desc',
-        limit: 1
+      const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve(TIMED_OUT), timeoutMs);
       });
+      const turn = this.runToolLoop({
+        phoneNumber,
+        channel,
+        language,
+        maxTokens,
+        onProgress,
+        messages: this.buildMessages(session, message, language, memories, prompt)
+      }, metrics, startTime);
+
+      const outcome = await Promise.race([turn, timeout]);
+
+      if (outcome === TIMED_OUT) {
+        // The loop can't be cancelled; it finishes in the background and its results are dropped
+        metrics.timedOut = true;
+        turn.catch(error => console.error('Assistant turn failed after timing out:', error.message));
+        console.warn(`⏱️  Assistant turn timed out after ${timeoutMs}ms`);
+        return {
+          text: localizationService.t(language, 'errors.assistantTimeout'),
+          flightResults: null,
+          accommodationResults: null,
+          prompt: promptVersion,
+          timedOut: true,
+          metrics
+        };
+      }
 
-      const assistantMessage = messages.data[0];
+      return { ...outcome, prompt: promptVersion, timedOut: false, metrics };
+    } catch (error) {
+      metrics.error = error.message;
+      console.error('Assistant error:', error);
+      throw new Error('Failed to get response from assistant');
+    } finally {
+      clearTimeout(timer);
+      metrics.latencyMs = Date.now() - startTime;
+      this.recordMetrics(metrics);
+    }
+  }
+
+  /**
+   * Model ↔ tools loop
+   * @param {Object} turn - { phoneNumber, channel, language, maxTokens, onProgress, messages }
+   * @param {Object} metrics - Turn metrics, updated in place
+   * @param {number} startTime - Turn start (ms)
+   * @returns {Promise<Object>} { text, flightResults, accommodationResults }
+   */
+  async runToolLoop({ phoneNumber, channel, language, maxTokens, onProgress, messages }, metrics, startTime) {
+    const definitions = toolRegistry.getDefinitions(ASSISTANT_TOOLS);
+    const toolContext = { phoneNumber, channel };
+    const results = { flightResults: null, accommodationResults: null };
+    let progressSent = false;
+
+    for (let round = 1; round <= MAX_TOOL_ROUNDS; round++) {
+      // Last round: no more searches, the model has to answer
+      const lastRound = round === MAX_TOOL_ROUNDS;
+      const roundStart = Date.now();
+
+      const reply = await llmProviderService.chatWithTools({
+        messages,
+        tools: definitions,
+        toolChoice: lastRound ? 'none' : 'auto',
+        maxTokens,
+        onText: () => {
+          if (metrics.firstTextMs === null) metrics.firstTextMs = Date.now() - startTime;
+        }
+      });
 
-      if (!assistantMessage || assistantMessage.role !== 'assistant') {
-        throw new Error('No assistant response found');
+      metrics.rounds++;
+      metrics.modelMs += Date.now() - roundStart;
+      metrics.model = reply.model || metrics.model;
+      if (reply.usage) {
+        metrics.promptTokens += reply.usage.prompt_tokens || 0;
+        metrics.completionTokens += reply.usage.completion_tokens || 0;
+        metrics.totalTokens += reply.usage.total_tokens || 0;
       }
 
-      // Extract text content
-      const textContent = assistantMessage.content
-        .filter(content => content.type === 'text')
-        .map(content => content.text.value)
-        .join('\n');
+      if (reply.toolCalls.length === 0 || lastRound) {
+        return { text: reply.text.trim() || 'Let me help you with that...', ...results };
+      }
 
-      console.log(`✅ Assistant response received (${textContent.length} chars)`);
+      // Tell them we're on it before the slow part
+      if (onProgress && !progressSent && !metrics.timedOut) {
+        progressSent = true;
+        const progressText = reply.text.trim() || localizationService.t(language, 'assistant.searching');
+        await Promise.resolve(onProgress(progressText))
+          .catch(error => console.error('❌ Failed to send progress message:', error.message));
+      }
 
-      return {
-        text: textContent || 'Let me help you with that...',
-        tripSearch: tripSearchData, // This comes from function calling
-        flightResults: flightResults, // This contains actual flight data from Google Flights
-        accommodationResults: accommodationResults, // This contains actual accommodation data from Airbnb
-        threadId: threadId,
-        runId: completedRun.id
-      };
+      console.log(`🔧 Assistant round ${round}: ${reply.toolCalls.map(call => call.name).join(', ')}`);
+      const outputs = await Promise.all(reply.toolCalls.map(call => this.runTool(call, toolContext, metrics)));
 
-    } catch (error) {
-      console.error('Assistant API Error:', error);
-      throw new Error('Failed to get response from assistant');
+      messages.push(reply.message);
+      reply.toolCalls.forEach((call, index) => {
+        // Result sets are for the intent to present; the model only gets the summary
+        const { flightResults, accommodationResults, statusCode, ...output } = outputs[index];
+        if (flightResults) results.flightResults = flightResults;
+        if (accommodationResults) results.accommodationResults = accommodationResults;
+        messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(output) });
+      });
     }
   }
 
   /**
-   * Poll for run completion and handle function calls
-   * @param {string} threadId - Thread ID
-   * @param {string} runId - Run ID
-   * @param {number} maxAttempts - Maximum polling attempts
-   * @returns {Promise<Object>} Completed run object with tripSearchData if applicable
+   * Run one tool call through the registry
+   * @param {Object} call - { id, name, arguments } (arguments null when not valid JSON)
+   * @param {Object} ctx - Tool context { phoneNumber, channel }
+   * @param {Object} metrics - Turn metrics, updated in place
+   * @returns {Promise<Object>} { result, success, ...extra }
    */
-  async waitForRunCompletion(threadId, runId, maxAttempts = 60) {
-    let tripSearchData = null;
-    let flightResults = null;
-    let accommodationResults = null;
-    const pollStartTime = Date.now();
-
-    for (let i = 0; i < maxAttempts; i++) {
-      const run = await openai.beta.threads.runs.retrieve(threadId, runId);
-
-      if (run.status === 'completed') {
-        const pollDuration = Date.now() - pollStartTime;
-        console.log(`⏱️  Assistant polling completed in ${pollDuration}ms after ${i + 1} attempts`);
-        return { run, tripSearchData, flightResults, accommodationResults };
-      }
+  async runTool(call, ctx, metrics) {
+    const startTime = Date.now();
+    let output;
+
+    if (!ASSISTANT_TOOLS.includes(call.name)) {
+      output = { result: `Unknown tool: ${call.name}`, success: false };
+    } else if (call.arguments === null) {
+      output = { result: `The arguments for ${call.name} were not valid JSON. Call it again with a JSON object.`, success: false };
+    } else {
+      output = await toolRegistry.execute(call.name, call.arguments, ctx);
+    }
 
-      if (run.status === 'requires_action') {
-        // Handle function calling
-        const toolCalls = run.required_action?.submit_tool_outputs?.tool_calls || [];
-
-        if (toolCalls.length > 0) {
-          console.log(`🔧 Handling ${toolCalls.length} function call(s)`);
-
-          const toolOutputs = [];
-
-          for (const toolCall of toolCalls) {
-            if (toolCall.function.name === 'search_trips') {
-              // Extract the function arguments
-              const args = JSON.parse(toolCall.function.arguments);
-              console.log(`🔍 search_trips called with:`, args);
-
-              // Extract cabin class if provided (economy, premium_economy, business, first)
-              const cabinClass = args.cabin_class || args.cabinClass || 'economy';
-
-              // Fix dates if they're in the past (smart correction)
-              const fixPastDate = (dateStr) => {
-                if (!dateStr) return null;
-
-                const inputDate = new Date(dateStr);
-                const now = new Date();
-
-                // If date is in the future, use it as-is
-                if (inputDate > now) {
-                  return dateStr;
-                }
-
-                // Date is in the past - need to correct it
-                // Extract month and day from the input date
-                const month = inputDate.getMonth(); // 0-11
-                const day = inputDate.getDate();
-                const currentYear = now.getFullYear();
-
-                // Try current year first
-                const currentYearDate = new Date(currentYear, month, day);
-
-                if (currentYearDate > now) {
-                  // The date hasn't happened yet this year - use current year
-                  const correctedDate = `${currentYear}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-                  console.log(`📅 Corrected past date: ${dateStr} → ${correctedDate} (this year)`);
-                  return correctedDate;
-                } else {
-                  // The date already passed this year - use next year
-                  const nextYear = currentYear + 1;
-                  const correctedDate = `${nextYear}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-                  console.log(`📅 Corrected past date: ${dateStr} → ${correctedDate} (next year)`);
-                  return correctedDate;
-                }
-              };
-
-              const correctedCheckIn = fixPastDate(args.check_in);
-              const correctedCheckOut = fixPastDate(args.check_out);
-
-              // Check if dates are too far in the future (warn but don't block)
-              let dateWarning = '';
-              if (correctedCheckIn) {
-                const checkInDate = new Date(correctedCheckIn);
-                const now = new Date();
-                const tenMonthsFromNow = new Date(now.getFullYear(), now.getMonth() + 10, now.getDate());
-
-                if (checkInDate > tenMonthsFromNow) {
-                  const monthsAway = Math.round((checkInDate - now) / (1000 * 60 * 60 * 24 * 30));
-                  dateWarning = `Note: Your travel date is ${monthsAway} months away. Flight availability may be limited for dates that far in advance. `;
-                  console.log(`⚠️ Date warning: Search is ${monthsAway} months in the future`);
-                }
-              }
-
-              // Store trip search data
-              tripSearchData = {
-                destination: args.destination,
-                origin: args.origin || 'LAX',
-                startDate: correctedCheckIn,
-                endDate: correctedCheckOut,
-                travelers: args.travelers || 1,
-                budget: args.budget_usd ? {
-                  amount: args.budget_usd,
-                  currency: 'USD'
-                } : null
-              };
-
-              // SEARCH FLIGHTS using Aviasales/TravelPayouts API
-              try {
-                const flightSearchStart = Date.now();
-                console.log('🛫 Searching flights via Aviasales/TravelPayouts API...');
-
-                // Resolve city names to IATA airport codes
-                let originCode, destCode;
-                try {
-                  originCode = travelPayoutsService.extractCityCode(tripSearchData.origin);
-                  destCode = travelPayoutsService.extractCityCode(tripSearchData.destination);
-                  console.log(`[TravelPayouts] ${tripSearchData.origin} → ${originCode}, ${tripSearchData.destination} → ${destCode}`);
-                } catch (resolveError) {
-                  throw new Error(`${resolveError.message} Please specify a major city or 3-letter airport code.`);
-                }
-
-                // Search flights using Aviasales/TravelPayouts
-                const searchResults = await travelPayoutsService.searchFlights({
-                  origin: originCode,
-                  destination: destCode,
-                  startDate: tripSearchData.startDate,
-                  endDate: tripSearchData.endDate,
-                  travelers: parseInt(tripSearchData.travelers) || 1,
-                  travelClass: cabinClass,
-                  budget: tripSearchData.budget
-                });
-
-                console.log(`✈️  Searching ${cabinClass} class flights`);
-
-                if (!searchResults.success || searchResults.flights.length === 0) {
-                  throw new Error('No flights found for your search');
-                }
-
-                // Store flight results for SMS handler (will use whitelabel booking link)
-                flightResults = {
-                  flights: searchResults.flights,
-                  originCode: originCode,
-                  destCode: destCode,
-                  searchParams: {
-                    outboundDate: tripSearchData.startDate,
-                    returnDate: tripSearchData.endDate,
-                    passengers: parseInt(tripSearchData.travelers) || 1,
-                    cabinClass: cabinClass,
-                    currency: tripSearchData.budget?.currency || 'USD'
-                  }
-                };
-
-                // Format message for assistant
-                const bestFlight = searchResults.flights[0];
-                const stops = bestFlight.transfers;
-                // Only show stops info if we have reliable data (not null/undefined)
-                const stopsInfo = stops !== null && stops !== undefined
-                  ? ` ${stops === 0 ? '(Direct)' : `(${stops} stop${stops > 1 ? 's' : ''})`}`
-                  : '';
-                const resultsMessage = `${dateWarning}Perfect! I found ${searchResults.flights.length} flights from ${tripSearchData.origin} to ${tripSearchData.destination}. Best option: ${bestFlight.airline || 'Various airlines'} for $${Math.round(bestFlight.priceValue)}${stopsInfo}. Check your texts for all options with booking link!`;
-
-                toolOutputs.push({
-                  tool_call_id: toolCall.id,
-                  output: JSON.stringify({
-                    success: true,
-                    message: resultsMessage,
-                    flightCount: searchResults.flights.length,
-                    bestPrice: Math.round(bestFlight.priceValue),
-                    airline: bestFlight.airline || 'Various'
-                  })
-                });
-
-                const flightSearchDuration = Date.now() - flightSearchStart;
-                console.log(`✅ Found ${searchResults.flights.length} flights via Aviasales in ${flightSearchDuration}ms`);
-
-              } catch (error) {
-                console.error('❌ Aviasales flight search error:', error.message);
-
-                // Return error to assistant
-                toolOutputs.push({
-                  tool_call_id: toolCall.id,
-                  output: JSON.stringify({
-                    success: false,
-                    message: 'Unable to find flights at the moment. Please try different cities or dates, or check the spelling of city names.'
-                  })
-                });
-              }
-            } else if (toolCall.function.name === 'search_accommodations') {
-              // Extract the function arguments
-              const args = JSON.parse(toolCall.function.arguments);
-              console.log(`🔍 search_accommodations called with:`, args);
-
-              // Fix dates if they're in the past (smart correction)
-              const fixPastDate = (dateStr) => {
-                if (!dateStr) return null;
-
-                const inputDate = new Date(dateStr);
-                const now = new Date();
-
-                if (inputDate > now) {
-                  return dateStr;
-                }
-
-                const month = inputDate.getMonth();
-                const day = inputDate.getDate();
-                const currentYear = now.getFullYear();
-
-                const currentYearDate = new Date(currentYear, month, day);
-
-                if (currentYearDate > now) {
-                  const correctedDate = `${currentYear}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-                  console.log(`📅 Corrected past date: ${dateStr} → ${correctedDate} (this year)`);
-                  return correctedDate;
-                } else {
-                  const nextYear = currentYear + 1;
-                  const correctedDate = `${nextYear}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-                  console.log(`📅 Corrected past date: ${dateStr} → ${correctedDate} (next year)`);
-                  return correctedDate;
-                }
-              };
-
-              const correctedCheckIn = fixPastDate(args.check_in || args.checkIn);
-              const correctedCheckOut = fixPastDate(args.check_out || args.checkOut);
-
-              // Determine accommodation type: "airbnb", "hotel", or "both" (default)
-              const accommodationType = (args.accommodation_type || args.accommodationType || 'both').toLowerCase();
-              console.log(`🏠 Accommodation type preference: "${accommodationType}" (type: ${typeof accommodationType})`);
-
-              // SEARCH FOR ACCOMMODATIONS (Airbnb, Hotels.com, or both)
-              try {
-                const accommodationSearchStart = Date.now();
-
-                let allProperties = [];
-                let destinationName = args.destination;
-                let searchType = '';
-
-                // Search Airbnb if requested
-                const shouldSearchAirbnb = (accommodationType === 'airbnb' || accommodationType === 'both');
-                const shouldSearchHotels = (accommodationType === 'hotel' || accommodationType === 'both');
-
-                console.log(`🔍 Search decisions: Airbnb=${shouldSearchAirbnb}, Hotels=${shouldSearchHotels}`);
-
-                if (shouldSearchAirbnb) {
-                  try {
-                    console.log('🏠 Calling Airbnb API...');
-
-                    const destinations = await airbnbService.searchDestination(args.destination, 'USA');
-                    if (destinations && destinations.length > 0) {
-                      const airbnbDestId = destinations[0]?.id;
-                      destinationName = destinations[0]?.name || args.destination;
-
-                      const airbnbParams = {
-                        destinationId: airbnbDestId,
-                        checkIn: correctedCheckIn,
-                        checkOut: correctedCheckOut,
-                        adults: parseInt(args.guests) || 1,
-                        maxPrice: args.budget_per_night_usd || args.budgetPerNight || undefined,
-                        currency: 'USD',
-                        limit: 10
-                      };
-
-                      const airbnbResults = await airbnbService.searchProperties(airbnbParams);
-                      const formattedAirbnb = airbnbService.formatPropertyResults(airbnbResults, 5, {
-                        privateOnly: true,
-                        minRating: 4.0,
-                        minReviews: 0
-                      });
-
-                      // Tag as Airbnb
-                      formattedAirbnb.forEach(prop => prop.source = 'airbnb');
-                      allProperties = allProperties.concat(formattedAirbnb);
-                      searchType = 'Airbnb';
-
-                      console.log(`✅ Found ${formattedAirbnb.length} Airbnb properties`);
-                    }
-                  } catch (airbnbError) {
-                    console.error('❌ Airbnb search failed:', airbnbError.message);
-                  }
-                }
-
-                // Search Hotels.com if requested
-                if (shouldSearchHotels) {
-                  try {
-                    console.log('🏨 Calling Hotels.com API...');
-
-                    const regions = await hotelsService.searchRegion(args.destination);
-                    if (regions && regions.length > 0) {
-                      const hotelLocationId = regions[0]?.id;
-                      destinationName = regions[0]?.name || destinationName;
-
-                      const hotelParams = {
-                        locationId: hotelLocationId,
-                        checkIn: correctedCheckIn,
-                        checkOut: correctedCheckOut,
-                        adults: parseInt(args.guests) || 1,
-                        maxPrice: args.budget_per_night_usd || args.budgetPerNight || undefined,
-                        currency: 'USD',
-                        limit: 10
-                      };
-
-                      const hotelResults = await hotelsService.searchHotels(hotelParams);
-                      const formattedHotels = hotelsService.formatHotelResults(hotelResults, 5, {
-                        minRating: 3.5,
-                        minReviews: 10
-                      });
-
-                      // Tag as hotel
-                      formattedHotels.forEach(hotel => hotel.source = 'hotel');
-                      allProperties = allProperties.concat(formattedHotels);
-                      searchType = searchType ? 'Airbnb & Hotels' : 'Hotels';
-
-                      console.log(`✅ Found ${formattedHotels.length} Hotels.com properties`);
-                    }
-                  } catch (hotelError) {
-                    console.error('❌ Hotels.com search failed:', hotelError.message);
-                  }
-                }
-
-                // If we got no results from either, throw an error
-                if (allProperties.length === 0) {
-                  throw new Error(`No accommodations found from ${searchType || 'any source'}`);
-                }
-
-                // Sort all properties by price (lowest first) and take top 3
-                allProperties.sort((a, b) => a.pricePerNight - b.pricePerNight);
-                const topProperties = allProperties.slice(0, 3);
-
-                // Re-index to be sequential
-                topProperties.forEach((prop, idx) => prop.index = idx + 1);
-
-                // Store formatted results for SMS sending later
-                accommodationResults = {
-                  properties: topProperties,
-                  destinationName,
-                  searchParams: {
-                    checkIn: correctedCheckIn,
-                    checkOut: correctedCheckOut,
-                    guests: parseInt(args.guests) || 1
-                  },
-                  searchType
-                };
-
-                // Return accommodation results to the assistant
-                const resultsMessage = topProperties.length > 0
-                  ? `Found ${topProperties.length} great ${searchType} options! Best: $${topProperties[0].pricePerNight}/night with ${topProperties[0].rating}⭐ rating. Details being sent via SMS.`
-                  : `No accommodations found for these dates. Try different dates or a nearby location.`;
-
-                toolOutputs.push({
-                  tool_call_id: toolCall.id,
-                  output: JSON.stringify({
-                    success: true,
-                    message: resultsMessage,
-                    propertyCount: topProperties.length,
-                    bestPrice: topProperties[0]?.pricePerNight || null,
-                    bestRating: topProperties[0]?.rating || null,
-                    searchType
-                  })
-                });
-
-                const accommodationSearchDuration = Date.now() - accommodationSearchStart;
-                console.log(`✅ Accommodation search completed: ${topProperties.length} results (${searchType}) in ${accommodationSearchDuration}ms`);
-
-              } catch (error) {
-                console.error('❌ Accommodation search error:', error.message);
-
-                // Return error to assistant
-                toolOutputs.push({
-                  tool_call_id: toolCall.id,
-                  output: JSON.stringify({
-                    success: false,
-                    message: 'Unable to search accommodations at the moment. Please try again or check location name.'
-                  })
-                });
-              }
-            }
-          }
-
-          // Submit tool outputs
-          if (toolOutputs.length > 0) {
-            await openai.beta.threads.runs.submitToolOutputs(threadId, runId, {
-              tool_outputs: toolOutputs
-            });
-            console.log(`✅ Submitted ${toolOutputs.length} tool output(s)`);
-          }
-        }
-      }
+    metrics.toolCalls.push({ name: call.name, success: output.success !== false, latencyMs: Date.now() - startTime });
+    return output;
+  }
 
-      if (run.status === 'failed' || run.status === 'cancelled' || run.status === 'expired') {
-        throw new Error(`Run ${run.status}: ${run.last_error?.message || 'Unknown error'}`);
+  /**
+   * Keep a finished turn's metrics and log them
+   * @param {Object} metrics - Turn metrics
+   */
+  recordMetrics(metrics) {
+    this.counters.turns++;
+    if (metrics.timedOut) this.counters.timeouts++;
+    if (metrics.error) this.counters.errors++;
+
+    this.samples.push(metrics);
+    if (this.samples.length > METRICS_SAMPLE_SIZE) {
+      this.samples.shift();
+    }
+
+    console.log(`📈 Assistant turn: ${metrics.rounds} round(s), ${metrics.toolCalls.length} tool call(s), ${metrics.totalTokens} tokens (${metrics.promptTokens} in / ${metrics.completionTokens} out), ${metrics.latencyMs}ms${metrics.prompt ? ` [${metrics.prompt}]` : ''}${metrics.timedOut ? ' [timed out]' : ''}`);
+  }
+
+  /**
+   * Aggregate metrics over recent turns
+   * @returns {Object} { turns, timeouts, errors, latencyMs, firstTextMs, tokens, toolCalls }
+   */
+  getStats() {
+    const latencies = this.samples.map(s => s.latencyMs);
+    const firstText = this.samples.map(s => s.firstTextMs).filter(ms => ms !== null);
+    const tokens = this.samples.map(s => s.totalTokens);
+    const calls = this.samples.flatMap(s => s.toolCalls);
+    const average = (values) => values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null;
+
+    return {
+      ...this.counters,
+      latencyMs: {
+        samples: latencies.length,
+        avg: average(latencies),
+        p95: percentile(latencies, 95)
+      },
+      firstTextMs: {
+        avg: average(firstText),
+        p95: percentile(firstText, 95)
+      },
+      tokens: {
+        perTurnAvg: average(tokens),
+        prompt: this.samples.reduce((sum, s) => sum + s.promptTokens, 0),
+        completion: this.samples.reduce((sum, s) => sum + s.completionTokens, 0)
+      },
+      toolCalls: {
+        total: calls.length,
+        failed: calls.filter(call => !call.success).length,
+        latencyAvgMs: average(calls.map(call => call.latencyMs))
       }
+    };
+  }
 
-      // Wait before polling again (faster polling, max 2s instead of 5s)
-      // Start at 500ms, increase to 1s, then 2s max
-      const waitTime = i < 3 ? 500 : (i < 10 ? 1000 : 2000);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+  /**
+   * Carry an Assistants API thread over to the session history
+   * Only needed when the session has nothing before the current message;
+   * the threadId is dropped afterwards either way.
+   * @param {string} phoneNumber - User's phone number
+   * @param {Object} session - User session (updated in place)
+   */
+  async importThreadHistory(phoneNumber, session) {
+    if (!session.threadId) return;
+
+    const history = session.conversationHistory || [];
+    const updates = { threadId: null };
+
+    if (history.length <= 1) {
+      const imported = (await this.getThreadMessages(session.threadId, THREAD_IMPORT_LIMIT))
+        .filter(msg => (msg.role === 'user' || msg.role === 'assistant') && msg.content)
+        .map(msg => ({
+          role: msg.role,
+          // Session context used to be appended to user messages as [CONTEXT: ...] notes
+          content: msg.content.replace(/\n\n\[(CONTEXT|USER PREFERENCES|LANGUAGE):[\s\S]*$/, ''),
+          timestamp: new Date(msg.timestamp * 1000).toISOString()
+        }));
+
+      if (imported.length > 0) {
+        updates.conversationHistory = [...imported, ...history].slice(-THREAD_IMPORT_LIMIT);
+        console.log(`🧵 Imported ${imported.length} message(s) from thread ${session.threadId}`);
+      }
     }
 
-    throw new Error('Run timed out waiting for completion');
+    await sessionManager.updateSession(phoneNumber, updates);
+    Object.assign(session, updates);
   }
 
   /**
-   * Get thread messages
+   * Most recent messages of an Assistants API thread
    * @param {string} threadId - Thread ID
    * @param {number} limit - Number of messages to retrieve
-   * @returns {Promise<Array>} Array of messages
+   * @returns {Promise<Array>} [{ role, content, timestamp }], oldest first; [] when unavailable
    */
   async getThreadMessages(threadId, limit = 20) {
     try {
-      const messages = await openai.beta.threads.messages.list(threadId, {
-        order: 'asc',
+      const provider = llmProviderService.getProvider('tools');
+      if (typeof provider.getClient !== 'function') {
+        return [];
+      }
+
+      const messages = await provider.getClient().beta.threads.messages.list(threadId, {
+        order: 'desc',
         limit: limit
       });
 
-      return messages.data.map(msg => ({
+      return messages.data.reverse().map(msg => ({
         role: msg.role,
         content: msg.content
           .filter(content => content.type === 'text')
@@ -548,57 +433,20 @@ class AssistantService {
         timestamp: msg.created_at
       }));
     } catch (error) {
-      console.error('Failed to get thread messages:', error);
+      console.error('Failed to get thread messages:', error.message);
       return [];
     }
   }
 
   /**
-   * Delete a thread
-   * @param {string} threadId - Thread ID to delete
-   * @returns {Promise<boolean>} Success status
-   */
-  async deleteThread(threadId) {
-    try {
-      await openai.beta.threads.del(threadId);
-      console.log(`🗑️  Deleted thread ${threadId}`);
-      return true;
-    } catch (error) {
-      console.error('Failed to delete thread:', error);
-      return false;
-    }
-  }
-
-  /**
-   * Check if assistant is configured
-   * @returns {boolean} True if configured
+   * Check if the assistant can run
+   * @returns {boolean} True when the 'tools' capability is configured
    */
   isConfigured() {
-    return !!(process.env.OPENAI_API_KEY && ASSISTANT_ID);
-  }
-
-  /**
-   * Get assistant details
-   * @returns {Promise<Object>} Assistant object
-   */
-  async getAssistantDetails() {
-    if (!ASSISTANT_ID) {
-      throw new Error('Assistant ID not configured');
-    }
-
-    try {
-      const assistant = await openai.beta.assistants.retrieve(ASSISTANT_ID);
-      return {
-        id: assistant.id,
-        name: assistant.name,
-        model: assistant.model,
-        instructions: assistant.instructions
-      };
-    } catch (error) {
-      console.error('Failed to get assistant details:', error);
-      throw error;
-    }
+    return llmProviderService.isConfigured('tools');
   }
 }
 
 module.exports = new AssistantService();
+module.exports.AssistantService = AssistantService;
+module.exports.ASSISTANT_TOOLS = ASSISTANT_TOOLS;
@@ -0,0 +1,240 @@
+/**
+ * Call Transcript Service
+ * Records each voice call (turns and tool calls), summarizes it at hangup and
+ * folds the summary into the caller's session so a later SMS conversation
+ * knows what was said on the phone.
+ * Calls are persisted in call_transcripts; without a database the in-memory
+ * store is the record.
+ */
+
+const db = require('../db');
+const llmService = require('./llmService');
+const sessionManager = require('./sessionManager');
+const { normalizePhone } = require('./userProfileService');
+
+// Returned by llmService.summarizeConversation when the model call fails
+const SUMMARY_UNAVAILABLE = 'Unable to generate summary';
+
+// Finished calls kept in memory when there is no database
+const MAX_STORED_CALLS = 200;
+
+// callSid -> call record, while the call is live
+const activeCalls = new Map();
+
+// callSid -> call record, finished calls (no-database fallback)
+const storedCalls = new Map();
+
+/**
+ * Start recording a call
+ * @param {Object} params - Call details
+ * @param {string} params.callSid - Twilio Call SID
+ * @param {string} params.phoneNumber - Caller phone number
+ * @param {string} params.channel - Voice stack ('realtime', 'voice', ...)
+ * @returns {Object} Call record
+ */
+function startCall({ callSid, phoneNumber, channel = 'realtime' }) {
+  const call = {
+    callSid,
+    phoneNumber: normalizePhone(phoneNumber),
+    channel,
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    turns: [],
+    toolCalls: [],
+    summary: null
+  };
+
+  activeCalls.set(callSid, call);
+  console.log(`📝 Recording call ${callSid} from ${call.phoneNumber || 'unknown'}`);
+  return call;
+}
+
+/**
+ * Get a live call record
+ * @param {string} callSid - Twilio Call SID
+ * @returns {Object|null}
+ */
+function getActiveCall(callSid) {
+  return activeCalls.get(callSid) || null;
+}
+
+/**
+ * Add a spoken turn to a live call
+ * @param {string} callSid - Twilio Call SID
+ * @param {string} role - 'user' | 'assistant'
+ * @param {string} content - Transcript text
+ */
+function addTurn(callSid, role, content) {
+  const call = activeCalls.get(callSid);
+  if (!call || !content || !content.trim()) return;
+
+  call.turns.push({ role, content: content.trim(), at: new Date().toISOString() });
+}
+
+/**
+ * Add a tool call to a live call
+ * @param {string} callSid - Twilio Call SID
+ * @param {Object} toolCall - { name, arguments, output }
+ */
+function addToolCall(callSid, { name, arguments: args, output }) {
+  const call = activeCalls.get(callSid);
+  if (!call) return;
+
+  call.toolCalls.push({
+    name,
+    arguments: args,
+    success: output?.success !== false,
+    result: output?.result || null,
+    at: new Date().toISOString()
+  });
+}
+
+/**
+ * Persist a call record
+ * @param {Object} call - Call record
+ * @returns {Promise<void>}
+ */
+async function saveCall(call) {
+  if (!db.isConfigured) {
+    storedCalls.set(call.callSid, call);
+    if (storedCalls.size > MAX_STORED_CALLS) {
+      storedCalls.delete(storedCalls.keys().next().value);
+    }
+    return;
+  }
+
+  await db.query(
+    `INSERT INTO call_transcripts (call_sid, phone_number, channel, started_at, ended_at, turns, tool_calls, summary)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (call_sid) DO UPDATE SET
+       ended_at = EXCLUDED.ended_at,
+       turns = EXCLUDED.turns,
+       tool_calls = EXCLUDED.tool_calls,
+       summary = EXCLUDED.summary,
+       updated_at = NOW()`,
+    [
+      call.callSid,
+      call.phoneNumber,
+      call.channel,
+      call.startedAt,
+      call.endedAt,
+      JSON.stringify(call.turns),
+      JSON.stringify(call.toolCalls),
+      call.summary
+    ]
+  );
+}
+
+/**
+ * Make the call summary part of the caller's SMS conversation
+ * @param {Object} call - Finished call record with a summary
+ * @returns {Promise<void>}
+ */
+async function foldIntoSession(call) {
+  await sessionManager.addMessage(call.phoneNumber, {
+    role: 'system',
+    content: `[Phone call on ${call.startedAt.slice(0, 10)}] ${call.summary}`
+  });
+
+  await sessionManager.updateSession(call.phoneNumber, {
+    lastCallSummary: {
+      callSid: call.callSid,
+      summary: call.summary,
+      endedAt: call.endedAt
+    }
+  });
+}
+
+/**
+ * Finish a call: summarize, persist and fold the summary into the session
+ * Safe to call more than once - only the first call does anything.
+ * @param {string} callSid - Twilio Call SID
+ * @returns {Promise<Object|null>} Finished call record
+ */
+async function endCall(callSid) {
+  const call = activeCalls.get(callSid);
+  if (!call) return null;
+
+  activeCalls.delete(callSid);
+  call.endedAt = new Date().toISOString();
+
+  if (call.turns.length > 0) {
+    const summary = await llmService.summarizeConversation(
+      call.turns.map(turn => ({ role: turn.role, content: turn.content }))
+    );
+    call.summary = summary && summary !== SUMMARY_UNAVAILABLE ? summary : null;
+  }
+
+  try {
+    await saveCall(call);
+  } catch (dbErr) {
+    console.warn(`Could not save transcript for call ${callSid}:`, dbErr.message);
+  }
+
+  if (call.phoneNumber && call.summary) {
+    try {
+      await foldIntoSession(call);
+    } catch (sessionErr) {
+      console.warn(`Could not add call summary to session:`, sessionErr.message);
+    }
+  }
+
+  console.log(`📝 Call ${callSid} ended: ${call.turns.length} turns, ${call.toolCalls.length} tool calls${call.summary ? ', summarized' : ''}`);
+  return call;
+}
+
+/**
+ * Convert a call_transcripts row into a call record
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function fromRow(row) {
+  return {
+    callSid: row.call_sid,
+    phoneNumber: row.phone_number,
+    channel: row.channel,
+    startedAt: row.started_at instanceof Date ? row.started_at.toISOString() : row.started_at,
+    endedAt: row.ended_at instanceof Date ? row.ended_at.toISOString() : row.ended_at,
+    turns: row.turns || [],
+    toolCalls: row.tool_calls || [],
+    summary: row.summary
+  };
+}
+
+/**
+ * Get a user's calls, newest first (calls still in progress included)
+ * @param {string} phoneNumber - Phone number
+ * @param {number} limit - Max calls to return
+ * @returns {Promise<Array<Object>>} Call records
+ */
+async function getCallsByPhone(phoneNumber, limit = 20) {
+  const phone = normalizePhone(phoneNumber);
+  const live = [...activeCalls.values()].filter(call => call.phoneNumber === phone);
+
+  let finished;
+  if (db.isConfigured) {
+    const result = await db.query(
+      `SELECT * FROM call_transcripts
+       WHERE phone_number = $1
+       ORDER BY started_at DESC
+       LIMIT $2`,
+      [phone, limit]
+    );
+    finished = result.rows.map(fromRow);
+  } else {
+    finished = [...storedCalls.values()].filter(call => call.phoneNumber === phone);
+  }
+
+  return [...live, ...finished]
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+    .slice(0, limit);
+}
+
+module.exports = {
+  startCall,
+  getActiveCall,
+  addTurn,
+  addToolCall,
+  endCall,
+  getCallsByPhone
+};
@@ -0,0 +1,537 @@
+/**
+ * Callback Service
+ * Outbound concierge calls users schedule over SMS ("call me at 6pm about
+ * this trip"). Requests are persisted with the user's timezone; a poller
+ * places each call when it comes due, seeded with the caller's current
+ * session (last search, trip, preferences).
+ * Calls go through the ElevenLabs agent when configured, otherwise through
+ * Twilio to /voice/callback/:id (OpenAI Realtime or <Gather>).
+ * Requests are stored in callback_requests; without a database the
+ * in-memory store is the record.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const sessionManager = require('./sessionManager');
+const twilioService = require('./twilioService');
+const elevenLabsService = require('./elevenLabsService');
+const localizationService = require('./localizationService');
+const { normalizePhone } = require('./userProfileService');
+const { formatDateShort } = require('../intents/presenters');
+const { formatLocalTime } = require('../utils/timeParser');
+
+const POLL_INTERVAL_MS = parseInt(process.env.CALLBACK_POLL_INTERVAL_MS, 10) || 30 * 1000;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+// A callback stuck in 'calling' this long belonged to a worker that died while placing it
+const CALLING_TIMEOUT_MS = parseInt(process.env.CALLBACK_CALLING_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+
+// id -> callback (no-database fallback)
+const storedCallbacks = new Map();
+
+let pollTimer = null;
+
+/**
+ * Snapshot the session fields a call should start from
+ * @param {Object} session - User session
+ * @returns {Object} { tripDetails, lastFlightSearch, lastAccommodationSearch, preferences, lastCallSummary }
+ */
+function buildCallContext(session = {}) {
+  const flightSearch = session.context?.lastFlightSearch || session.lastFlightSearch || null;
+
+  return {
+    tripDetails: session.tripDetails || null,
+    lastFlightSearch: flightSearch && {
+      origin: flightSearch.origin,
+      destination: flightSearch.destination,
+      startDate: flightSearch.startDate,
+      endDate: flightSearch.endDate,
+      passengers: flightSearch.passengers || flightSearch.travelers || null
+    },
+    lastAccommodationSearch: session.lastAccommodationSearch || null,
+    preferences: session.userPreferences || null,
+    lastCallSummary: session.lastCallSummary?.summary || null
+  };
+}
+
+/**
+ * Destination the caller is most likely asking about
+ * @param {Object} context - From buildCallContext()
+ * @returns {string|null}
+ */
+function getContextDestination(context = {}) {
+  return context.tripDetails?.destination ||
+    context.lastFlightSearch?.destination ||
+    context.lastAccommodationSearch?.destination ||
+    null;
+}
+
+/**
+ * Describe a callback's context for the voice agent
+ * @param {Object} callback - Callback request
+ * @returns {string}
+ */
+function describeCallContext(callback) {
+  const context = callback.context || {};
+  const lines = ['This is an outbound call the user scheduled by text message.'];
+
+  if (callback.topic) {
+    lines.push(`They asked to talk about: ${callback.topic}.`);
+  }
+
+  const flight = context.lastFlightSearch;
+  if (flight?.destination) {
+    const dates = flight.startDate
+      ? `, ${formatDateShort(flight.startDate)}${flight.endDate ? ` to ${formatDateShort(flight.endDate)}` : ''}`
+      : '';
+    const travelers = flight.passengers ? `, ${flight.passengers} traveler${flight.passengers > 1 ? 's' : ''}` : '';
+    lines.push(`Last flight search: ${flight.origin || '?'} to ${flight.destination}${dates}${travelers}.`);
+  }
+
+  const stays = context.lastAccommodationSearch;
+  if (stays?.destination) {
+    lines.push(`Last stay search: ${stays.destination}${stays.checkIn ? `, ${formatDateShort(stays.checkIn)} to ${formatDateShort(stays.checkOut)}` : ''}.`);
+  }
+
+  const preferences = Object.entries(context.preferences || {})
+    .filter(([, value]) => value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0))
+    .map(([field, value]) => `${field}: ${Array.isArray(value) ? value.join(', ') : value}`);
+  if (preferences.length > 0) {
+    lines.push(`Preferences: ${preferences.join('; ')}.`);
+  }
+
+  if (context.lastCallSummary) {
+    lines.push(`Previous call: ${context.lastCallSummary}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Convert a callback_requests row into a callback record
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function fromRow(row) {
+  return {
+    id: row.id,
+    phoneNumber: row.phone_number,
+    scheduledFor: row.scheduled_for instanceof Date ? row.scheduled_for.toISOString() : row.scheduled_for,
+    timezone: row.timezone,
+    status: row.status,
+    topic: row.topic,
+    context: row.context || {},
+    attempts: row.attempts,
+    callSid: row.call_sid,
+    conversationId: row.conversation_id || null,
+    lastError: row.last_error,
+    createdAt: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at,
+    updatedAt: row.updated_at instanceof Date ? row.updated_at.toISOString() : row.updated_at
+  };
+}
+
+/**
+ * Apply changes to a callback record and persist them
+ * @param {Object} callback - Callback record
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} Updated record
+ */
+async function saveChanges(callback, changes) {
+  const updated = { ...callback, ...changes, updatedAt: new Date().toISOString() };
+
+  if (!db.isConfigured) {
+    storedCallbacks.set(updated.id, updated);
+    return updated;
+  }
+
+  const result = await db.query(
+    `UPDATE callback_requests SET
+       scheduled_for = $2, timezone = $3, status = $4, topic = $5, context = $6,
+       attempts = $7, call_sid = $8, conversation_id = $9, last_error = $10, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [
+      updated.id,
+      updated.scheduledFor,
+      updated.timezone,
+      updated.status,
+      updated.topic,
+      JSON.stringify(updated.context || {}),
+      updated.attempts,
+      updated.callSid,
+      updated.conversationId || null,
+      updated.lastError
+    ]
+  );
+  return fromRow(result.rows[0]);
+}
+
+/**
+ * Get a callback by ID
+ * @param {string} id - Callback ID
+ * @returns {Promise<Object|null>}
+ */
+async function getCallback(id) {
+  if (!id) return null;
+
+  if (!db.isConfigured) {
+    return storedCallbacks.get(id) || null;
+  }
+
+  const result = await db.query('SELECT * FROM callback_requests WHERE id = $1', [id]);
+  return result.rows[0] ? fromRow(result.rows[0]) : null;
+}
+
+/**
+ * Get the most recent callback for a number (any status)
+ * @param {string} phoneNumber - Phone number
+ * @returns {Promise<Object|null>}
+ */
+async function getLatestCallback(phoneNumber) {
+  const phone = normalizePhone(phoneNumber);
+
+  if (!db.isConfigured) {
+    const callbacks = [...storedCallbacks.values()].filter(cb => cb.phoneNumber === phone);
+    return callbacks[callbacks.length - 1] || null;
+  }
+
+  const result = await db.query(
+    'SELECT * FROM callback_requests WHERE phone_number = $1 ORDER BY created_at DESC LIMIT 1',
+    [phone]
+  );
+  return result.rows[0] ? fromRow(result.rows[0]) : null;
+}
+
+/**
+ * Get the callback still waiting to be placed for a number
+ * @param {string} phoneNumber - Phone number
+ * @returns {Promise<Object|null>}
+ */
+async function getPendingCallback(phoneNumber) {
+  const phone = normalizePhone(phoneNumber);
+
+  if (!db.isConfigured) {
+    return [...storedCallbacks.values()].find(cb => cb.phoneNumber === phone && cb.status === 'scheduled') || null;
+  }
+
+  const result = await db.query(
+    `SELECT * FROM callback_requests
+     WHERE phone_number = $1 AND status = 'scheduled'
+     ORDER BY scheduled_for ASC
+     LIMIT 1`,
+    [phone]
+  );
+  return result.rows[0] ? fromRow(result.rows[0]) : null;
+}
+
+/**
+ * Schedule a callback
+ * A number has at most one pending callback - asking again moves it.
+ * @param {Object} params - Request
+ * @param {string} params.phoneNumber - Number to call
+ * @param {Date} params.scheduledFor - When to call
+ * @param {string} params.timezone - IANA zone the user asked in
+ * @param {string} params.topic - What the call is about (optional)
+ * @param {Object} params.context - From buildCallContext()
+ * @returns {Promise<Object>} { callback, rescheduled }
+ */
+async function scheduleCallback({ phoneNumber, scheduledFor, timezone, topic = null, context = {} }) {
+  const phone = normalizePhone(phoneNumber);
+  const existing = await getPendingCallback(phone);
+
+  if (existing) {
+    const callback = await saveChanges(existing, {
+      scheduledFor: new Date(scheduledFor).toISOString(),
+      timezone,
+      topic: topic || existing.topic,
+      context,
+      attempts: 0,
+      lastError: null
+    });
+    console.log(`📅 Callback ${callback.id} for ${phone} moved to ${callback.scheduledFor} (${timezone})`);
+    return { callback, rescheduled: true };
+  }
+
+  let callback = {
+    id: uuidv4(),
+    phoneNumber: phone,
+    scheduledFor: new Date(scheduledFor).toISOString(),
+    timezone,
+    status: 'scheduled',
+    topic,
+    context,
+    attempts: 0,
+    callSid: null,
+    conversationId: null,
+    lastError: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  if (db.isConfigured) {
+    const result = await db.query(
+      `INSERT INTO callback_requests (phone_number, scheduled_for, timezone, status, topic, context)
+       VALUES ($1, $2, $3, 'scheduled', $4, $5)
+       RETURNING *`,
+      [phone, callback.scheduledFor, timezone, topic, JSON.stringify(context)]
+    );
+    callback = fromRow(result.rows[0]);
+  } else {
+    storedCallbacks.set(callback.id, callback);
+  }
+
+  console.log(`📅 Callback ${callback.id} scheduled for ${phone} at ${callback.scheduledFor} (${timezone})`);
+  return { callback, rescheduled: false };
+}
+
+/**
+ * Move a number's pending callback
+ * @param {string} phoneNumber - Phone number
+ * @param {Date} scheduledFor - New time
+ * @param {string} timezone - IANA zone the user asked in
+ * @returns {Promise<Object|null>} Updated callback, or null if none is pending
+ */
+async function rescheduleCallback(phoneNumber, scheduledFor, timezone) {
+  const pending = await getPendingCallback(phoneNumber);
+  if (!pending) return null;
+
+  const callback = await saveChanges(pending, {
+    scheduledFor: new Date(scheduledFor).toISOString(),
+    timezone: timezone || pending.timezone,
+    attempts: 0,
+    lastError: null
+  });
+  console.log(`📅 Callback ${callback.id} moved to ${callback.scheduledFor}`);
+  return callback;
+}
+
+/**
+ * Cancel a number's pending callback
+ * @param {string} phoneNumber - Phone number
+ * @returns {Promise<Object|null>} Cancelled callback, or null if none is pending
+ */
+async function cancelCallback(phoneNumber) {
+  const pending = await getPendingCallback(phoneNumber);
+  if (!pending) return null;
+
+  const callback = await saveChanges(pending, { status: 'cancelled' });
+  console.log(`🚫 Callback ${callback.id} cancelled by ${callback.phoneNumber}`);
+  return callback;
+}
+
+/**
+ * Claim callbacks that are due so only one worker places each call
+ * Callbacks left in 'calling' for CALLING_TIMEOUT_MS are claimed again: the
+ * worker that claimed them stopped before recording the outcome.
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array<Object>>} Claimed callbacks (status 'calling')
+ */
+async function claimDueCallbacks(now = new Date()) {
+  if (!db.isConfigured) {
+    const staleBefore = Date.now() - CALLING_TIMEOUT_MS;
+    const due = [...storedCallbacks.values()].filter(cb =>
+      (cb.status === 'scheduled' && new Date(cb.scheduledFor) <= now) ||
+      (cb.status === 'calling' && new Date(cb.updatedAt) <= staleBefore));
+    due.forEach(cb => {
+      if (cb.status === 'calling') console.warn(`⚠️ Reclaiming callback ${cb.id}, stuck in 'calling' since ${cb.updatedAt}`);
+      storedCallbacks.set(cb.id, { ...cb, status: 'calling', updatedAt: new Date().toISOString() });
+    });
+    return due.map(cb => storedCallbacks.get(cb.id));
+  }
+
+  const result = await db.query(
+    `UPDATE callback_requests SET status = 'calling', updated_at = NOW()
+     WHERE id IN (
+       SELECT id FROM callback_requests
+       WHERE (status = 'scheduled' AND scheduled_for <= $1)
+          OR (status = 'calling' AND updated_at <= NOW() - $2 * INTERVAL '1 millisecond')
+       ORDER BY scheduled_for
+       LIMIT 20
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [now.toISOString(), CALLING_TIMEOUT_MS]
+  );
+  return result.rows.map(fromRow);
+}
+
+/**
+ * Place the outbound call for a callback
+ * Failures are retried a few minutes later; after the last attempt the user
+ * gets a text instead.
+ * @param {Object} callback - Claimed callback
+ * @returns {Promise<Object>} Updated callback
+ */
+async function placeCallback(callback) {
+  // Calls start from the session as it is now, not as it was when scheduled
+  let context = callback.context;
+  try {
+    const session = await sessionManager.getSession(callback.phoneNumber);
+    context = buildCallContext(session);
+  } catch (sessionErr) {
+    console.warn(`Could not refresh context for callback ${callback.id}:`, sessionErr.message);
+  }
+
+  const seeded = { ...callback, context };
+
+  try {
+    let callSid;
+    let conversationId = null;
+    if (elevenLabsService.isConfigured() && process.env.ELEVENLABS_VOICE_AGENT_ID) {
+      const conversation = await elevenLabsService.initiateVoiceConversation(
+        callback.phoneNumber,
+        process.env.ELEVENLABS_VOICE_AGENT_ID,
+        {
+          callbackId: callback.id,
+          topic: callback.topic,
+          userId: callback.phoneNumber,
+          callContext: describeCallContext(seeded)
+        }
+      );
+      // The agent dials through Twilio: status callbacks carry the CallSid,
+      // ElevenLabs events the conversation ID
+      callSid = conversation?.callSid || conversation?.call_sid || null;
+      conversationId = conversation?.conversation_id || null;
+    } else {
+      const backendUrl = process.env.BACKEND_WEBHOOK_URL;
+      if (!backendUrl) {
+        throw new Error('BACKEND_WEBHOOK_URL is required to place outbound calls');
+      }
+      const call = await twilioService.makeCall(callback.phoneNumber, `${backendUrl}/voice/callback/${callback.id}`);
+      callSid = call.sid;
+    }
+
+    console.log(`📞 Placed callback ${callback.id} to ${callback.phoneNumber}`);
+    return saveChanges(seeded, { status: 'placed', callSid, conversationId, attempts: callback.attempts + 1, lastError: null });
+
+  } catch (error) {
+    const attempts = callback.attempts + 1;
+    console.error(`❌ Callback ${callback.id} attempt ${attempts} failed:`, error.message);
+
+    if (attempts < MAX_ATTEMPTS) {
+      return saveChanges(seeded, {
+        status: 'scheduled',
+        attempts,
+        lastError: error.message,
+        scheduledFor: new Date(Date.now() + RETRY_DELAY_MS).toISOString()
+      });
+    }
+
+    const failed = await saveChanges(seeded, { status: 'failed', attempts, lastError: error.message });
+    try {
+      const language = await localizationService.getLanguage(callback.phoneNumber);
+      await twilioService.sendSMS(callback.phoneNumber, localizationService.t(language, 'callback.placeFailed'));
+    } catch (smsErr) {
+      console.error('Failed to send callback failure SMS:', smsErr.message);
+    }
+    return failed;
+  }
+}
+
+/**
+ * Record that a placed callback was not answered and tell the user by SMS
+ * @param {string} callId - Twilio CallSid, or ElevenLabs conversation ID, of the outbound call
+ * @param {string} status - Twilio CallStatus (busy, no-answer, failed, canceled)
+ * @returns {Promise<Object|null>} Updated callback, or null if the call was not a callback
+ */
+async function markCallbackUnanswered(callId, status) {
+  if (!callId) return null;
+
+  let callback;
+  if (!db.isConfigured) {
+    callback = [...storedCallbacks.values()]
+      .find(cb => (cb.callSid === callId || cb.conversationId === callId) && cb.status === 'placed') || null;
+  } else {
+    const result = await db.query(
+      "SELECT * FROM callback_requests WHERE (call_sid = $1 OR conversation_id = $1) AND status = 'placed'",
+      [callId]
+    );
+    callback = result.rows[0] ? fromRow(result.rows[0]) : null;
+  }
+  if (!callback) return null;
+
+  const updated = await saveChanges(callback, {
+    status: status === 'failed' ? 'failed' : 'missed',
+    lastError: `Call ${status}`
+  });
+  console.log(`📵 Callback ${callback.id} ${updated.status} (${status})`);
+
+  try {
+    const language = await localizationService.getLanguage(callback.phoneNumber);
+    await twilioService.sendSMS(
+      callback.phoneNumber,
+      localizationService.t(language, 'callback.missed', { time: formatCallbackTime(callback, language) })
+    );
+  } catch (smsErr) {
+    console.error('Failed to send missed callback SMS:', smsErr.message);
+  }
+  return updated;
+}
+
+/**
+ * Place every callback that is due
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array<Object>>} Updated callbacks
+ */
+async function runDueCallbacks(now = new Date()) {
+  const due = await claimDueCallbacks(now);
+  const results = [];
+
+  for (const callback of due) {
+    results.push(await placeCallback(callback));
+  }
+
+  return results;
+}
+
+/**
+ * Start the callback poller
+ */
+function start() {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(() => {
+    runDueCallbacks().catch(error => console.error('❌ Callback poll failed:', error.message));
+  }, POLL_INTERVAL_MS);
+  pollTimer.unref();
+
+  console.log(`📅 Callback scheduler started (every ${POLL_INTERVAL_MS / 1000}s)`);
+}
+
+/**
+ * Stop the callback poller
+ */
+function stop() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+/**
+ * Format a callback's time for the user, in their timezone
+ * @param {Object} callback - Callback record
+ * @param {string} language - Language code
+ * @returns {string} e.g. "Mon, 6:00 PM EDT"
+ */
+function formatCallbackTime(callback, language = 'en') {
+  return formatLocalTime(callback.scheduledFor, callback.timezone, localizationService.getLocale(language));
+}
+
+module.exports = {
+  buildCallContext,
+  getContextDestination,
+  describeCallContext,
+  getCallback,
+  getLatestCallback,
+  getPendingCallback,
+  scheduleCallback,
+  rescheduleCallback,
+  cancelCallback,
+  runDueCallbacks,
+  placeCallback,
+  markCallbackUnanswered,
+  formatCallbackTime,
+  start,
+  stop
+};
@@ -0,0 +1,238 @@
+/**
+ * Caller Context Service
+ * Everything the voice agent should already know when a call connects:
+ * the caller's name, home airport, saved preferences, loyalty programs,
+ * long-term memories, upcoming trips and the last few SMS turns. ElevenLabs gets it as dynamic
+ * variables, OpenAI Realtime as a system message before the greeting, so a
+ * returning caller is greeted by name and isn't asked again for known facts.
+ * Loyalty numbers and documents are never included - only program names.
+ * The From number can be spoofed, so until the caller passes
+ * callerVerificationService only their first name and home airport are
+ * shared; verify_caller hands the agent the rest.
+ */
+
+const sessionManager = require('./sessionManager');
+const tripService = require('./tripService');
+const userProfileService = require('./userProfileService');
+const userMemoryService = require('./userMemoryService');
+const { toPreferenceFields } = require('./userPreferencesService');
+const { formatDateShort } = require('../intents/presenters');
+
+// SMS turns carried into the call
+const RECENT_MESSAGE_LIMIT = 6;
+const MESSAGE_MAX_LENGTH = 200;
+
+const UPCOMING_TRIP_LIMIT = 3;
+
+const MEMORY_LIMIT = 10;
+
+// Dynamic variables an unverified caller may hear; the others stay empty until verify_caller passes
+const UNVERIFIED_VARIABLES = ['caller_name', 'home_airport', 'language', 'is_returning_caller'];
+
+// Preference field -> how the agent should read it
+const PREFERENCE_LABELS = {
+  preferredClass: 'cabin',
+  preferredAirlines: 'preferred airlines',
+  avoidedAirlines: 'avoid airlines',
+  preferredAirports: 'preferred airports',
+  avoidedAirports: 'avoid airports',
+  departureTimePreference: 'departure time',
+  maxStops: 'max stops',
+  connectionPreference: 'connections',
+  budgetFlexibility: 'budget',
+  travelCreditCards: 'travel cards'
+};
+
+/**
+ * Describe preference fields as "cabin: business; max stops: 0"
+ * @param {Object} preferences - Preference fields (camelCase)
+ * @returns {string} '' when nothing is set
+ */
+function formatPreferences(preferences = {}) {
+  return Object.entries(preferences || {})
+    .filter(([field, value]) => PREFERENCE_LABELS[field] && value !== null && value !== undefined &&
+      !(Array.isArray(value) && value.length === 0))
+    .map(([field, value]) => `${PREFERENCE_LABELS[field]}: ${Array.isArray(value) ? value.join(', ') : value}`)
+    .join('; ');
+}
+
+/**
+ * Trips that haven't departed yet (or have no date), soonest first
+ * @param {string} phoneNumber - Phone number
+ * @returns {Array<Object>} { destination, origin, departureDate, returnDate, status }
+ */
+function getUpcomingTrips(phoneNumber) {
+  const today = new Date().toISOString().split('T')[0];
+
+  return tripService.getTripsByPhone(phoneNumber)
+    .filter(trip => trip.destination && trip.status !== 'cancelled' &&
+      (!trip.departureDate || trip.departureDate >= today))
+    .sort((a, b) => (a.departureDate || '9999').localeCompare(b.departureDate || '9999'))
+    .slice(0, UPCOMING_TRIP_LIMIT)
+    .map(trip => ({
+      destination: trip.destination,
+      origin: trip.origin || null,
+      departureDate: trip.departureDate || null,
+      returnDate: trip.returnDate || null,
+      status: trip.status
+    }));
+}
+
+/**
+ * Gather what is known about a caller
+ * Every source is best-effort: without a database the session and trips
+ * still give a useful context.
+ * @param {string} phoneNumber - Caller's phone number
+ * @param {Object} session - Caller's session (loaded if not given)
+ * @returns {Promise<Object>} { name, homeAirport, preferences, loyaltyPrograms, upcomingTrips, memories, recentMessages, lastCallSummary, language, isReturning }
+ */
+async function buildCallerContext(phoneNumber, session = null) {
+  if (!session) {
+    session = await sessionManager.getSession(phoneNumber);
+  }
+
+  let profile = null;
+  try {
+    profile = await userProfileService.getFullProfile(phoneNumber);
+  } catch (profileErr) {
+    console.warn(`Could not load profile for ${phoneNumber}:`, profileErr.message);
+  }
+
+  // Travelers entered on the booking form are the fallback for the name
+  const traveler = tripService.getTravelerProfiles(phoneNumber)[0];
+
+  const preferences = session.userPreferences ||
+    (profile?.preferences ? toPreferenceFields(profile.preferences) : null);
+
+  const loyaltyPrograms = [
+    ...(profile?.airlineLoyaltyPrograms || []).map(program => ({
+      type: 'airline',
+      name: program.airline_name,
+      program: program.program_name || null
+    })),
+    ...(profile?.hotelLoyaltyPrograms || []).map(program => ({
+      type: 'hotel',
+      name: program.hotel_chain,
+      program: program.program_name || null
+    }))
+  ];
+
+  const memories = (await userMemoryService.loadForPrompt(phoneNumber))
+    .slice(0, MEMORY_LIMIT)
+    .map(memory => memory.content);
+
+  const recentMessages = (session.conversationHistory || [])
+    .filter(message => ['user', 'assistant'].includes(message.role) && typeof message.content === 'string')
+    .slice(-RECENT_MESSAGE_LIMIT)
+    .map(message => ({
+      role: message.role,
+      content: message.content.length > MESSAGE_MAX_LENGTH
+        ? `${message.content.slice(0, MESSAGE_MAX_LENGTH - 3)}...`
+        : message.content
+    }));
+
+  const upcomingTrips = getUpcomingTrips(phoneNumber);
+  const name = profile?.first_name || traveler?.firstName || null;
+  const lastCallSummary = session.lastCallSummary?.summary || null;
+
+  return {
+    name,
+    homeAirport: profile?.home_airport || session.context?.homeAirport || null,
+    preferences: formatPreferences(preferences) ? preferences : null,
+    loyaltyPrograms,
+    upcomingTrips,
+    memories,
+    recentMessages,
+    lastCallSummary,
+    language: session.language || 'en',
+    isReturning: !!(name || recentMessages.length > 0 || upcomingTrips.length > 0 || lastCallSummary || memories.length > 0)
+  };
+}
+
+/**
+ * Describe one trip as "YYZ to Lisbon, Mar 3 to Mar 10 (awaiting booking)"
+ * @param {Object} trip - From getUpcomingTrips()
+ * @returns {string}
+ */
+function formatTrip(trip) {
+  const route = trip.origin ? `${trip.origin} to ${trip.destination}` : trip.destination;
+  const dates = trip.departureDate
+    ? `, ${formatDateShort(trip.departureDate)}${trip.returnDate ? ` to ${formatDateShort(trip.returnDate)}` : ''}`
+    : '';
+  return `${route}${dates} (${String(trip.status).replace(/_/g, ' ')})`;
+}
+
+/**
+ * Flatten a caller context into ElevenLabs dynamic variables
+ * Values are always strings ('' when unknown) so agent prompts can
+ * reference every variable without the conversation failing to start.
+ * @param {Object} context - From buildCallerContext()
+ * @param {Object} options - Options
+ * @param {boolean} options.verified - Caller passed verification; otherwise only UNVERIFIED_VARIABLES are filled in
+ * @returns {Object} { caller_name, home_airport, preferences, loyalty_programs, upcoming_trips, memories, recent_messages, last_call_summary, language, is_returning_caller }
+ */
+function toDynamicVariables(context, { verified = false } = {}) {
+  const variables = {
+    caller_name: context.name || '',
+    home_airport: context.homeAirport || '',
+    preferences: formatPreferences(context.preferences),
+    loyalty_programs: context.loyaltyPrograms
+      .map(program => (program.program ? `${program.name} ${program.program}` : program.name))
+      .join(', '),
+    upcoming_trips: context.upcomingTrips.map(formatTrip).join('; '),
+    memories: (context.memories || []).join('; '),
+    recent_messages: context.recentMessages
+      .map(message => `${message.role === 'user' ? 'Caller' : 'You'}: ${message.content}`)
+      .join('\n'),
+    last_call_summary: context.lastCallSummary || '',
+    language: context.language,
+    is_returning_caller: context.isReturning ? 'true' : 'false'
+  };
+
+  if (verified) return variables;
+  return Object.fromEntries(Object.entries(variables)
+    .map(([name, value]) => [name, UNVERIFIED_VARIABLES.includes(name) ? value : '']));
+}
+
+/**
+ * Describe a caller context for the voice agent
+ * @param {Object} context - From buildCallerContext()
+ * @param {Object} options - Options
+ * @param {boolean} options.verified - Caller passed verification; otherwise only name and home airport are described
+ * @returns {string|null} null for a first-time caller we know nothing about
+ */
+function describeCallerContext(context, { verified = false } = {}) {
+  const variables = toDynamicVariables(context, { verified });
+  const lines = [];
+
+  if (context.name) {
+    lines.push(`The caller is ${context.name}. Greet them by name.`);
+  } else if (context.isReturning) {
+    lines.push('The caller has used Otherwhere before.');
+  }
+
+  if (variables.home_airport) lines.push(`Home airport: ${variables.home_airport}.`);
+  if (variables.preferences) lines.push(`Preferences: ${variables.preferences}.`);
+  if (variables.loyalty_programs) lines.push(`Loyalty programs: ${variables.loyalty_programs}.`);
+  if (variables.upcoming_trips) lines.push(`Upcoming trips: ${variables.upcoming_trips}.`);
+  if (variables.memories) lines.push(`Known about them: ${variables.memories}.`);
+  if (variables.last_call_summary) lines.push(`Previous call: ${variables.last_call_summary}`);
+  if (variables.recent_messages) lines.push(`Recent text messages:\n${variables.recent_messages}`);
+
+  if (lines.length === 0) return null;
+
+  if (!verified && context.isReturning) {
+    lines.push('Their trips, preferences and past conversations are shared once they pass verify_caller - don\'t guess at them before then.');
+  }
+
+  lines.push("Don't ask again for anything listed here; confirm it only if it matters for what they ask.");
+  return lines.join('\n');
+}
+
+module.exports = {
+  RECENT_MESSAGE_LIMIT,
+  buildCallerContext,
+  toDynamicVariables,
+  describeCallerContext,
+  formatPreferences
+};
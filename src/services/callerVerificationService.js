@@ -0,0 +1,489 @@
+/**
+ * Caller Verification Service
+ * Step-up identity check for voice calls. Profiles are keyed on the caller's
+ * From number, which can be spoofed, so before a voice agent reads or
+ * changes passport, KTN or loyalty numbers the caller proves they hold the
+ * phone (a one-time code texted to it and read back) or know their PIN.
+ * A check passes for one call SID only; every new call starts unverified.
+ * Codes and wrong attempts are also capped per number across calls, so
+ * hanging up and calling again does not reset the count.
+ * Setting a voice PIN goes through the same check: outside a verified call,
+ * a code is texted to the number under a one-off verification ID.
+ * Checks are stored in caller_verifications and PINs on users; without a
+ * database the in-memory stores are the record.
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+const twilioService = require('./twilioService');
+const { normalizePhone } = require('./userProfileService');
+
+const CODE_LENGTH = 6;
+const CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_CODES_PER_CALL = 3;
+const MAX_ATTEMPTS = 5; // wrong codes and PINs combined, per call
+const NUMBER_WINDOW_MS = 60 * 60 * 1000;
+const MAX_CODES_PER_NUMBER = 8; // across calls started within NUMBER_WINDOW_MS
+const MAX_ATTEMPTS_PER_NUMBER = 10;
+const PIN_PATTERN = /^\d{4,8}$/;
+
+// What the code text says, by what it unlocks
+const CODE_MESSAGES = {
+  call: (code) => `Your Otherwhere verification code is ${code}. Read it to the agent on your call. It expires in ${CODE_TTL_MS / 60000} minutes - if you're not on a call with us, ignore this text.`,
+  voice_pin: (code) => `Your Otherwhere verification code is ${code}. Enter it to set your voice PIN. It expires in ${CODE_TTL_MS / 60000} minutes - if you didn't ask to set a PIN, ignore this text.`
+};
+
+// callSid -> verification (no-database fallback)
+const storedVerifications = new Map();
+// phone -> PIN hash (no-database fallback)
+const storedPins = new Map();
+
+/**
+ * Hash a one-time code, bound to the call it was sent on
+ * @param {string} callSid - Call SID
+ * @param {string} code - Code digits
+ * @returns {string}
+ */
+function hashCode(callSid, code) {
+  return crypto.createHash('sha256').update(`${callSid}:${code}`).digest('hex');
+}
+
+/**
+ * Hash a PIN for storage (salted scrypt)
+ * @param {string} pin - PIN digits
+ * @returns {string} "scrypt:<salt>:<hash>"
+ */
+function hashPin(pin) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(pin, salt, 32).toString('hex');
+  return `scrypt:${salt}:${hash}`;
+}
+
+/**
+ * Compare a PIN with a stored hash in constant time
+ * @param {string} pin - PIN digits
+ * @param {string} stored - From hashPin()
+ * @returns {boolean}
+ */
+function matchesPin(pin, stored) {
+  const [scheme, salt, hash] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(pin, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Compare two hex digests in constant time
+ * @param {string} a - Digest
+ * @param {string} b - Digest
+ * @returns {boolean}
+ */
+function sameDigest(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+/**
+ * Digits only - callers say "one two three four" and the agent may keep spaces
+ * @param {string} value - Code or PIN as received
+ * @returns {string}
+ */
+function digitsOnly(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+/**
+ * Convert a caller_verifications row into a verification record
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function fromRow(row) {
+  const toISO = (value) => (value instanceof Date ? value.toISOString() : value);
+  return {
+    callSid: row.call_sid,
+    phoneNumber: row.phone_number,
+    codeHash: row.code_hash,
+    codeExpiresAt: toISO(row.code_expires_at),
+    codesSent: row.codes_sent,
+    attempts: row.attempts,
+    verifiedAt: toISO(row.verified_at),
+    method: row.method,
+    createdAt: toISO(row.created_at)
+  };
+}
+
+/**
+ * Get the verification record for a call
+ * @param {string} callSid - Call SID
+ * @returns {Promise<Object|null>}
+ */
+async function getVerification(callSid) {
+  if (!callSid) return null;
+
+  if (!db.isConfigured) {
+    return storedVerifications.get(callSid) || null;
+  }
+
+  const result = await db.query('SELECT * FROM caller_verifications WHERE call_sid = $1', [callSid]);
+  return result.rows[0] ? fromRow(result.rows[0]) : null;
+}
+
+/**
+ * Persist a verification record
+ * @param {Object} verification - Verification record
+ * @returns {Promise<Object>} Saved record
+ */
+async function saveVerification(verification) {
+  if (!db.isConfigured) {
+    storedVerifications.set(verification.callSid, verification);
+    return verification;
+  }
+
+  const result = await db.query(
+    `INSERT INTO caller_verifications
+       (call_sid, phone_number, code_hash, code_expires_at, codes_sent, attempts, verified_at, method)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (call_sid) DO UPDATE SET
+       code_hash = $3, code_expires_at = $4, codes_sent = $5, attempts = $6,
+       verified_at = $7, method = $8, updated_at = NOW()
+     RETURNING *`,
+    [
+      verification.callSid,
+      verification.phoneNumber,
+      verification.codeHash,
+      verification.codeExpiresAt,
+      verification.codesSent,
+      verification.attempts,
+      verification.verifiedAt,
+      verification.method
+    ]
+  );
+  return fromRow(result.rows[0]);
+}
+
+/**
+ * Get the call's record, starting a new one if needed
+ * A call SID is bound to the number it started with; a record for another
+ * number is never reused.
+ * @param {string} callSid - Call SID
+ * @param {string} phone - Normalized phone number
+ * @returns {Promise<Object|null>} Record, or null if the SID belongs to another number
+ */
+async function getOrStartVerification(callSid, phone) {
+  const existing = await getVerification(callSid);
+  if (existing) {
+    return existing.phoneNumber === phone ? existing : null;
+  }
+
+  return {
+    callSid,
+    phoneNumber: phone,
+    codeHash: null,
+    codeExpiresAt: null,
+    codesSent: 0,
+    attempts: 0,
+    verifiedAt: null,
+    method: null,
+    createdAt: new Date(Date.now()).toISOString()
+  };
+}
+
+/**
+ * Codes sent and wrong attempts for a number, over calls started within NUMBER_WINDOW_MS
+ * @param {string} phone - Normalized phone number
+ * @returns {Promise<Object>} { codesSent, attempts }
+ */
+async function getNumberUsage(phone) {
+  if (!db.isConfigured) {
+    const since = Date.now() - NUMBER_WINDOW_MS;
+    return [...storedVerifications.values()]
+      .filter(v => v.phoneNumber === phone && new Date(v.createdAt).getTime() > since)
+      .reduce((usage, v) => ({
+        codesSent: usage.codesSent + v.codesSent,
+        attempts: usage.attempts + v.attempts
+      }), { codesSent: 0, attempts: 0 });
+  }
+
+  const result = await db.query(
+    `SELECT COALESCE(SUM(codes_sent), 0)::int AS codes_sent, COALESCE(SUM(attempts), 0)::int AS attempts
+     FROM caller_verifications
+     WHERE phone_number = $1 AND created_at > NOW() - ($2 * INTERVAL '1 millisecond')`,
+    [phone, NUMBER_WINDOW_MS]
+  );
+  return { codesSent: result.rows[0].codes_sent, attempts: result.rows[0].attempts };
+}
+
+/**
+ * Wrong attempts left before the call or the number locks
+ * @param {Object} verification - Verification record
+ * @param {Object} usage - From getNumberUsage()
+ * @returns {number}
+ */
+function attemptsLeftFor(verification, usage) {
+  return Math.max(0, Math.min(MAX_ATTEMPTS - verification.attempts, MAX_ATTEMPTS_PER_NUMBER - usage.attempts));
+}
+
+/**
+ * Get the PIN hash stored for a number
+ * @param {string} phone - Normalized phone number
+ * @returns {Promise<string|null>}
+ */
+async function getPinHash(phone) {
+  if (!db.isConfigured) {
+    return storedPins.get(phone) || null;
+  }
+
+  const result = await db.query('SELECT voice_pin_hash FROM users WHERE phone_number = $1', [phone]);
+  return result.rows[0]?.voice_pin_hash || null;
+}
+
+/**
+ * Check whether a number has a voice PIN set
+ * @param {string} phoneNumber - Phone number
+ * @returns {Promise<boolean>}
+ */
+async function hasPin(phoneNumber) {
+  return !!(await getPinHash(normalizePhone(phoneNumber)));
+}
+
+/**
+ * Set or replace a number's voice PIN
+ * @param {string} phoneNumber - Phone number
+ * @param {string} pin - 4 to 8 digits
+ * @returns {Promise<boolean>} false if there is no user with that number
+ */
+async function setPin(phoneNumber, pin) {
+  const phone = normalizePhone(phoneNumber);
+  if (!PIN_PATTERN.test(String(pin || ''))) {
+    throw new Error('PIN must be 4 to 8 digits');
+  }
+
+  const pinHash = hashPin(String(pin));
+
+  if (!db.isConfigured) {
+    storedPins.set(phone, pinHash);
+    console.log(`🔐 Voice PIN set for ${phone}`);
+    return true;
+  }
+
+  const result = await db.query(
+    `UPDATE users SET voice_pin_hash = $2, voice_pin_updated_at = NOW(), updated_at = NOW()
+     WHERE phone_number = $1
+     RETURNING id`,
+    [phone, pinHash]
+  );
+  if (result.rows.length === 0) return false;
+
+  console.log(`🔐 Voice PIN set for ${phone}`);
+  return true;
+}
+
+/**
+ * Text a one-time code to the number the call claims to be from
+ * Only the real owner of the number receives it. Sending again replaces the
+ * previous code.
+ * @param {string} callSid - Call SID (or a verification ID from startPinChange())
+ * @param {string} phoneNumber - Caller's number
+ * @param {Object} options - Options
+ * @param {string} options.purpose - 'call' (default) or 'voice_pin', picks the text's wording
+ * @returns {Promise<Object>} { sent, expiresAt } or { sent: false, reason: 'already_verified'|'locked'|'too_many_codes'|'number_locked'|'unknown_call'|'sms_failed' }
+ */
+async function sendCode(callSid, phoneNumber, { purpose = 'call' } = {}) {
+  const phone = normalizePhone(phoneNumber);
+  const verification = await getOrStartVerification(callSid, phone);
+
+  if (!verification) return { sent: false, reason: 'unknown_call' };
+  if (verification.verifiedAt) return { sent: false, reason: 'already_verified' };
+  if (verification.attempts >= MAX_ATTEMPTS) return { sent: false, reason: 'locked' };
+  if (verification.codesSent >= MAX_CODES_PER_CALL) return { sent: false, reason: 'too_many_codes' };
+
+  const usage = await getNumberUsage(phone);
+  if (usage.attempts >= MAX_ATTEMPTS_PER_NUMBER || usage.codesSent >= MAX_CODES_PER_NUMBER) {
+    console.log(`🔐 Verification code refused for ${phone} - number limit reached`);
+    return { sent: false, reason: 'number_locked' };
+  }
+
+  const code = String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+  const expiresAt = new Date(Date.now() + CODE_TTL_MS).toISOString();
+
+  try {
+    const message = await twilioService.sendSMS(phone, CODE_MESSAGES[purpose](code));
+    // null means the number opted out of texts
+    if (!message) return { sent: false, reason: 'sms_failed' };
+  } catch (error) {
+    console.error(`Failed to send verification code to ${phone}:`, error.message);
+    return { sent: false, reason: 'sms_failed' };
+  }
+
+  await saveVerification({
+    ...verification,
+    codeHash: hashCode(callSid, code),
+    codeExpiresAt: expiresAt,
+    codesSent: verification.codesSent + 1
+  });
+
+  console.log(`🔐 Verification code sent to ${phone} for call ${callSid}`);
+  return { sent: true, expiresAt };
+}
+
+/**
+ * Record a failed attempt and report what's left
+ * @param {Object} verification - Verification record
+ * @param {string} reason - Failure reason
+ * @returns {Promise<Object>} { verified: false, reason, attemptsLeft }
+ */
+async function recordFailure(verification, reason) {
+  const saved = await saveVerification({ ...verification, attempts: verification.attempts + 1 });
+  const usage = await getNumberUsage(saved.phoneNumber);
+  const attemptsLeft = attemptsLeftFor(saved, usage);
+  console.log(`🔐 Verification failed for call ${verification.callSid} (${reason}, ${attemptsLeft} attempts left)`);
+
+  if (attemptsLeft > 0) return { verified: false, reason, attemptsLeft };
+  return { verified: false, reason: saved.attempts >= MAX_ATTEMPTS ? 'locked' : 'number_locked', attemptsLeft };
+}
+
+/**
+ * Check whether a call or its number has run out of attempts
+ * @param {Object} verification - Verification record
+ * @returns {Promise<Object|null>} { verified: false, reason, attemptsLeft: 0 }, or null if attempts are left
+ */
+async function checkLockout(verification) {
+  if (verification.attempts >= MAX_ATTEMPTS) return { verified: false, reason: 'locked', attemptsLeft: 0 };
+
+  const usage = await getNumberUsage(verification.phoneNumber);
+  if (usage.attempts >= MAX_ATTEMPTS_PER_NUMBER) return { verified: false, reason: 'number_locked', attemptsLeft: 0 };
+  return null;
+}
+
+/**
+ * Mark a call verified
+ * @param {Object} verification - Verification record
+ * @param {string} method - 'sms_code' or 'pin'
+ * @returns {Promise<Object>} { verified: true, method }
+ */
+async function markVerified(verification, method) {
+  await saveVerification({
+    ...verification,
+    codeHash: null,
+    codeExpiresAt: null,
+    verifiedAt: new Date().toISOString(),
+    method
+  });
+  console.log(`✅ Caller verified on call ${verification.callSid} (${method})`);
+  return { verified: true, method };
+}
+
+/**
+ * Check a code the caller read back
+ * @param {string} callSid - Call SID
+ * @param {string} phoneNumber - Caller's number
+ * @param {string} code - Digits as heard
+ * @returns {Promise<Object>} { verified, method } or { verified: false, reason: 'no_code'|'expired'|'mismatch'|'locked'|'number_locked'|'unknown_call', attemptsLeft }
+ */
+async function verifyCode(callSid, phoneNumber, code) {
+  const phone = normalizePhone(phoneNumber);
+  const verification = await getOrStartVerification(callSid, phone);
+
+  if (!verification) return { verified: false, reason: 'unknown_call', attemptsLeft: 0 };
+  if (verification.verifiedAt) return { verified: true, method: verification.method };
+
+  const lockout = await checkLockout(verification);
+  if (lockout) return lockout;
+
+  const attemptsLeft = attemptsLeftFor(verification, await getNumberUsage(phone));
+  if (!verification.codeHash) return { verified: false, reason: 'no_code', attemptsLeft };
+  if (new Date(verification.codeExpiresAt) <= new Date()) return { verified: false, reason: 'expired', attemptsLeft };
+
+  if (!sameDigest(hashCode(callSid, digitsOnly(code)), verification.codeHash)) {
+    return recordFailure(verification, 'mismatch');
+  }
+  return markVerified(verification, 'sms_code');
+}
+
+/**
+ * Check the PIN the caller said or keyed in
+ * @param {string} callSid - Call SID
+ * @param {string} phoneNumber - Caller's number
+ * @param {string} pin - Digits as heard
+ * @returns {Promise<Object>} { verified, method } or { verified: false, reason: 'no_pin'|'mismatch'|'locked'|'number_locked'|'unknown_call', attemptsLeft }
+ */
+async function verifyPin(callSid, phoneNumber, pin) {
+  const phone = normalizePhone(phoneNumber);
+  const verification = await getOrStartVerification(callSid, phone);
+
+  if (!verification) return { verified: false, reason: 'unknown_call', attemptsLeft: 0 };
+  if (verification.verifiedAt) return { verified: true, method: verification.method };
+
+  const lockout = await checkLockout(verification);
+  if (lockout) return lockout;
+
+  const pinHash = await getPinHash(phone);
+  if (!pinHash) return { verified: false, reason: 'no_pin', attemptsLeft: attemptsLeftFor(verification, await getNumberUsage(phone)) };
+
+  if (!matchesPin(digitsOnly(pin), pinHash)) {
+    return recordFailure(verification, 'mismatch');
+  }
+  return markVerified(verification, 'pin');
+}
+
+/**
+ * Text a code that allows setting the number's voice PIN
+ * @param {string} phoneNumber - Phone number
+ * @returns {Promise<Object>} { sent, verificationId, expiresAt } or { sent: false, reason } as from sendCode()
+ */
+async function startPinChange(phoneNumber) {
+  const verificationId = `pin_${crypto.randomUUID()}`;
+  const result = await sendCode(verificationId, phoneNumber, { purpose: 'voice_pin' });
+  return result.sent ? { ...result, verificationId } : result;
+}
+
+/**
+ * Check that a PIN change comes from someone holding the phone
+ * Either the code from startPinChange() read back with its verification ID,
+ * or a call SID that already passed verification for this number.
+ * @param {string} phoneNumber - Phone number
+ * @param {Object} proof - { verificationId, code } or { callSid }
+ * @returns {Promise<Object>} { allowed: true } or { allowed: false, reason, attemptsLeft }
+ */
+async function authorizePinChange(phoneNumber, { verificationId, code, callSid } = {}) {
+  if (verificationId && code) {
+    const check = await verifyCode(verificationId, phoneNumber, code);
+    return check.verified ? { allowed: true } : { allowed: false, reason: check.reason, attemptsLeft: check.attemptsLeft };
+  }
+
+  if (callSid && await isVerified(callSid, phoneNumber)) {
+    return { allowed: true };
+  }
+  return { allowed: false, reason: 'verification_required' };
+}
+
+/**
+ * Check whether a call has passed verification for this number
+ * @param {string} callSid - Call SID
+ * @param {string} phoneNumber - Caller's number
+ * @returns {Promise<boolean>}
+ */
+async function isVerified(callSid, phoneNumber) {
+  if (!callSid || !phoneNumber) return false;
+
+  const verification = await getVerification(callSid);
+  return !!(verification?.verifiedAt && verification.phoneNumber === normalizePhone(phoneNumber));
+}
+
+module.exports = {
+  sendCode,
+  verifyCode,
+  verifyPin,
+  isVerified,
+  hasPin,
+  setPin,
+  startPinChange,
+  authorizePinChange,
+  getVerification,
+  MAX_ATTEMPTS,
+  MAX_CODES_PER_NUMBER,
+  MAX_ATTEMPTS_PER_NUMBER,
+  NUMBER_WINDOW_MS
+};
@@ -4,107 +4,9 @@
  * Handles fluid, informal phrasing and normalizes into structured data
  */
 
-const OpenAI = require('openai');
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-// Extraction prompt - handles all the casual phrasing variations
-const EXTRACTION_PROMPT = `You are a travel preference extractor. Parse the user's natural language into structured data.
-
-IMPORTANT: Extract ONLY what's explicitly mentioned. Return null for fields not mentioned.
-
-## Field Mappings
-
-**Cabin Class** (cabin_class):
-- "economy", "coach", "basic" → "economy"
-- "premium economy", "premium", "extra legroom" → "premium_economy"
-- "business", "biz", "biz class", "J class" → "business"
-- "first", "first class", "F class" → "first"
-
-**Time Windows** (departure_time_preference):
-- "morning", "early", "AM flight" → "morning" (6am-12pm)
-- "afternoon" → "afternoon" (12pm-6pm)
-- "evening", "after work", "after 5", "after 6pm" → "evening" (6pm-10pm)
-- "red-eye", "overnight", "late night" → "red_eye" (10pm-6am)
-- "no red-eye", "avoid overnight" → "no_red_eye"
-
-**Airline Preferences** (preferred_airlines, avoided_airlines):
-- "I like United", "prefer Delta", "fly AA" → add to preferred_airlines
-- "avoid Spirit", "hate Frontier", "no basic carriers" → add to avoided_airlines
-- Common aliases: AA=American, UA=United, DL=Delta, WN=Southwest, B6=JetBlue, AS=Alaska
-
-**Airport Constraints** (preferred_airports, avoided_airports):
-- "fly out of JFK", "from LAX", "use SFO" → add to preferred_airports
-- "avoid LAX", "not Newark", "hate EWR" → add to avoided_airports
-- "any NYC airport", "flexible on airport" → null (no constraint)
-
-**Budget** (max_budget, budget_flexibility):
-- "$500", "under 500", "max $500" → max_budget: 500
-- "around $500", "about 500" → max_budget: 500, budget_flexibility: "flexible"
-- "cheapest", "lowest price", "budget" → budget_flexibility: "strict"
-- "price doesn't matter", "whatever it costs" → budget_flexibility: "unlimited"
-
-**Loyalty Programs** (loyalty_programs):
-- "I have United miles", "MileagePlus member" → { airline: "United", program: "MileagePlus" }
-- "Marriott Bonvoy", "Hilton Honors" → { hotel_chain: "Marriott/Hilton", program: "Bonvoy/Honors" }
-- Include number if mentioned: "my United number is 12345"
-
-**Stops/Routing** (max_stops, connection_preferences):
-- "direct only", "nonstop", "no stops" → max_stops: 0
-- "one stop max", "1 stop okay" → max_stops: 1
-- "avoid long layovers", "short connections" → connection_preferences: "short"
-- "don't care about stops" → null
-
-**Trip Details** (origin, destination, dates, travelers):
-- Extract city/airport codes when mentioned
-- Parse dates naturally: "March 15", "next weekend", "spring break"
-- "me and my wife", "2 of us", "solo" → travelers count
-
-Return JSON with these fields (null if not mentioned):
-{
-  "trip": {
-    "origin": string | null,
-    "destination": string | null,
-    "departure_date": "YYYY-MM-DD" | null,
-    "return_date": "YYYY-MM-DD" | null,
-    "travelers": number | null,
-    "trip_type": "roundtrip" | "one_way" | null
-  },
-  "flight_preferences": {
-    "cabin_class": "economy" | "premium_economy" | "business" | "first" | null,
-    "preferred_airlines": string[] | null,
-    "avoided_airlines": string[] | null,
-    "max_stops": number | null,
-    "departure_time_preference": "morning" | "afternoon" | "evening" | "red_eye" | "no_red_eye" | null,
-    "connection_preferences": "short" | "any" | null
-  },
-  "airport_preferences": {
-    "preferred_airports": string[] | null,
-    "avoided_airports": string[] | null
-  },
-  "budget": {
-    "max_amount": number | null,
-    "currency": "USD",
-    "flexibility": "strict" | "flexible" | "unlimited" | null
-  },
-  "loyalty_programs": [
-    {
-      "type": "airline" | "hotel",
-      "company": string,
-      "program_name": string | null,
-      "member_number": string | null
-    }
-  ] | null,
-  "accommodation_preferences": {
-    "type": "hotel" | "airbnb" | "both" | null,
-    "max_per_night": number | null,
-    "preferred_chains": string[] | null
-  },
-  "extracted_intent": "search_flights" | "search_accommodations" | "search_both" | "update_preferences" | "general_question" | null,
-  "missing_critical": string[] // What's needed to search (e.g., ["destination", "dates"])
-}`;
+const llmProviderService = require('./llmProviderService');
+const visionService = require('./visionService');
+const promptRegistry = require('./promptRegistry');
 
 /**
  * Extract structured travel data from natural language
@@ -123,19 +25,16 @@ async function extractFromMessage(userMessage, conversationContext = {}) {
       contextHint += `\n[Known preferences: ${JSON.stringify(conversationContext.userPreferences)}]`;
     }
 
-    const completion = await openai.chat.completions.create({
+    const extracted = await llmProviderService.extractJson({
       model: 'gpt-4-turbo-preview',
       messages: [
-        { role: 'system', content: EXTRACTION_PROMPT },
+        { role: 'system', content: promptRegistry.render('preferenceExtraction').text },
         { role: 'user', content: `${contextHint}\n\nUser message: "${userMessage}"` }
       ],
-      response_format: { type: 'json_object' },
-      max_tokens: 800,
+      maxTokens: 800,
       temperature: 0.1 // Low temp for consistent extraction
     });
 
-    const extracted = JSON.parse(completion.choices[0].message.content);
-
     // Merge with context - user's new input takes precedence
     return mergeWithContext(extracted, conversationContext);
 
@@ -149,6 +48,95 @@ async function extractFromMessage(userMessage, conversationContext = {}) {
   }
 }
 
+// Image extraction prompt - screenshots of flight searches and booking confirmations
+const IMAGE_EXTRACTION_PROMPT = `You read screenshots that travelers text us: flight search results, airline pages, or booking confirmations.
+
+Extract ONLY what is visible. Return null for anything not shown.
+
+- If several flights are listed, describe the one that is highlighted or listed first.
+- Airports as 3-letter IATA codes when shown (e.g. "JFK"), otherwise the city name.
+- Dates as YYYY-MM-DD. If the year is not shown, assume the next occurrence of that date.
+- booking_reference is the 6-character confirmation code / PNR (e.g. "ABC123") - only on confirmations.
+- kind: "booking" for a confirmation or e-ticket, "flight" for a flight being considered, "other" if it's not travel related.
+
+Return JSON:
+{
+  "kind": "booking" | "flight" | "other",
+  "origin": string | null,
+  "destination": string | null,
+  "departure_date": "YYYY-MM-DD" | null,
+  "return_date": "YYYY-MM-DD" | null,
+  "airline": string | null,
+  "flight_number": string | null,
+  "price": number | null,
+  "currency": string | null,
+  "booking_reference": string | null,
+  "passenger_name": string | null,
+  "travelers": number | null
+}`;
+
+/**
+ * Uppercase airport codes, leave city names as written
+ * @param {string} value - Airport code or city
+ * @returns {string|null}
+ */
+function normalizePlace(value) {
+  if (!value) return null;
+  const trimmed = String(value).trim();
+  return /^[a-z]{3}$/i.test(trimmed) ? trimmed.toUpperCase() : trimmed;
+}
+
+/**
+ * Extract flight / booking details from images (screenshots, confirmations)
+ * @param {Array<Object>} images - [{ url, contentType }] from the inbound message
+ * @returns {Promise<Object>} { kind, origin, destination, departureDate, returnDate, airline,
+ *   flightNumber, price, currency, bookingReference, passengerName, travelers } or { kind: 'other', error }
+ */
+async function extractFromImages(images) {
+  if (!images || images.length === 0) {
+    return { kind: 'other' };
+  }
+
+  try {
+    const raw = await visionService.analyzeImages({ images, prompt: IMAGE_EXTRACTION_PROMPT });
+
+    const bookingReference = typeof raw.booking_reference === 'string'
+      ? raw.booking_reference.trim().toUpperCase()
+      : null;
+    const hasRoute = !!(raw.origin && raw.destination);
+
+    let kind = raw.kind;
+    if (bookingReference) {
+      kind = 'booking';
+    } else if (!hasRoute) {
+      kind = 'other';
+    } else if (kind !== 'flight') {
+      kind = 'flight';
+    }
+
+    const price = parseFloat(raw.price);
+
+    return {
+      kind,
+      origin: normalizePlace(raw.origin),
+      destination: normalizePlace(raw.destination),
+      departureDate: raw.departure_date || null,
+      returnDate: raw.return_date || null,
+      airline: raw.airline ? normalizeAirline(raw.airline) : null,
+      flightNumber: raw.flight_number || null,
+      price: price > 0 ? price : null,
+      currency: raw.currency || (price > 0 ? 'USD' : null),
+      bookingReference,
+      passengerName: raw.passenger_name || null,
+      travelers: parseInt(raw.travelers, 10) || null
+    };
+
+  } catch (error) {
+    console.error('Image extraction error:', error.message);
+    return { kind: 'other', error: true };
+  }
+}
+
 /**
  * Merge extracted data with existing context
  * New data takes precedence, but fills gaps from context
@@ -302,6 +290,7 @@ function extractPreferenceUpdates(extracted) {
 
 module.exports = {
   extractFromMessage,
+  extractFromImages,
   getGentleClarification,
   normalizeAirline,
   normalizeCabinClass,
@@ -0,0 +1,227 @@
+/**
+ * Conversation Router
+ *
+ * Channel-agnostic state machine that decides which intent handler owns an
+ * inbound message. SMS, voice and any other entry point build a turn context
+ * and call route(); handlers never touch Twilio or Express directly.
+ *
+ * A handler is a plain object:
+ * {
+ *   name: 'reset',                  // unique, re-registering replaces it
+ *   priority: 10,                   // lower runs first
+ *   states: '*' | ['flight_results'], // conversation states it applies in
+ *   channels: ['sms'],              // optional, defaults to every channel
+ *   matches(ctx) -> boolean,        // optional, defaults to always
+ *   handle(ctx) -> { handled, message? }
+ * }
+ *
+ * A handler that returns { handled: false, message } rewrites the message for
+ * the handlers after it (e.g. "afternoon" → a full re-search request).
+ */
+
+// Named conversation states, derived from the session
+const CONVERSATION_STATES = {
+  IDLE: 'idle',
+  RECO: 'reco',
+  AWAITING_SELECTION: 'awaiting_selection',
+  FLIGHT_RESULTS: 'flight_results',
+  STAYS_RESULTS: 'stays_results',
+  BOOKING: 'booking'
+};
+
+// Session booking states that mean the user is actively booking
+const BOOKING_STATES = ['booking_intent', 'awaiting_data', 'booking'];
+
+const DEFAULT_PRIORITY = 100;
+
+class ConversationRouter {
+  constructor() {
+    this.handlers = [];
+  }
+
+  /**
+   * Register an intent handler
+   * @param {Object} handler - Intent handler definition
+   * @returns {ConversationRouter} this, for chaining
+   */
+  register(handler) {
+    if (!handler || !handler.name || typeof handler.handle !== 'function') {
+      throw new Error('Intent handler requires a name and a handle() function');
+    }
+
+    const normalized = {
+      priority: DEFAULT_PRIORITY,
+      states: '*',
+      ...handler
+    };
+
+    this.handlers = this.handlers.filter(h => h.name !== handler.name);
+    this.handlers.push(normalized);
+
+    // Stable sort keeps registration order for equal priorities
+    this.handlers.sort((a, b) => a.priority - b.priority);
+
+    return this;
+  }
+
+  /**
+   * Register several intent handlers
+   * @param {Array<Object>} handlers - Intent handler definitions
+   * @returns {ConversationRouter} this, for chaining
+   */
+  registerAll(handlers) {
+    handlers.forEach(handler => this.register(handler));
+    return this;
+  }
+
+  /**
+   * Remove a handler by name
+   * @param {string} name - Handler name
+   * @returns {boolean} True if a handler was removed
+   */
+  unregister(name) {
+    const before = this.handlers.length;
+    this.handlers = this.handlers.filter(h => h.name !== name);
+    return this.handlers.length !== before;
+  }
+
+  /**
+   * Get registered handler names in evaluation order
+   * @returns {Array<string>}
+   */
+  getHandlerNames() {
+    return this.handlers.map(h => h.name);
+  }
+
+  /**
+   * Build a turn context for route()
+   * Entry points supply transport callbacks; handlers only ever see this object.
+   * @param {Object} options - Context options
+   * @param {string} options.phoneNumber - User identifier
+   * @param {string} options.message - Inbound message text
+   * @param {Object} options.session - Current session
+   * @param {string} options.channel - 'sms' | 'whatsapp' | 'voice' | 'elevenlabs'
+   * @param {string} [options.language] - Reply language (defaults to the session's, then 'en')
+   * @param {Function} options.reply - Respond on the inbound channel
+   * @param {Function} [options.replyLong] - Respond with text that may need splitting
+   * @param {Function} [options.notify] - Out-of-band message (links, results)
+   * @param {Function} [options.record] - Persist the user's message, called at most once per turn
+   * @returns {Object} Turn context
+   */
+  createContext({ phoneNumber, message, session, channel, language, reply, replyLong, notify, record }) {
+    let recorded = false;
+
+    const ctx = {
+      phoneNumber,
+      message,
+      session,
+      channel,
+      language: language || session?.language || 'en',
+      state: null,
+      reply,
+      replyLong: replyLong || reply,
+      notify: notify || reply,
+
+      // Handlers call this before doing work that depends on history; the
+      // message may have been rewritten by an earlier handler
+      recordUserMessage: async () => {
+        if (recorded || !record) return;
+        recorded = true;
+        await record(ctx.message);
+      }
+    };
+
+    return ctx;
+  }
+
+  /**
+   * Derive the conversation state from session data
+   * @param {Object} session - User session
+   * @returns {string} One of CONVERSATION_STATES
+   */
+  resolveState(session = {}) {
+    if (session.recoMode === 'awaiting_selection') {
+      return CONVERSATION_STATES.AWAITING_SELECTION;
+    }
+    if (session.recoMode) {
+      return CONVERSATION_STATES.RECO;
+    }
+    if (BOOKING_STATES.includes(session.bookingState)) {
+      return CONVERSATION_STATES.BOOKING;
+    }
+    if (session.lastAccommodationResults) {
+      return CONVERSATION_STATES.STAYS_RESULTS;
+    }
+    if (session.lastFlightResults) {
+      return CONVERSATION_STATES.FLIGHT_RESULTS;
+    }
+    return CONVERSATION_STATES.IDLE;
+  }
+
+  /**
+   * Check whether a handler is eligible for a state and channel
+   * @param {Object} handler - Registered handler
+   * @param {string} state - Current conversation state
+   * @param {string} channel - Inbound channel
+   * @returns {boolean}
+   */
+  appliesTo(handler, state, channel) {
+    if (handler.channels && channel && !handler.channels.includes(channel)) {
+      return false;
+    }
+    if (handler.states === '*') {
+      return true;
+    }
+    return Array.isArray(handler.states) && handler.states.includes(state);
+  }
+
+  /**
+   * Route a turn to the first handler that claims it
+   * @param {Object} ctx - Turn context
+   * @param {string} ctx.phoneNumber - User identifier
+   * @param {string} ctx.message - Inbound message text
+   * @param {Object} ctx.session - Current session
+   * @param {string} ctx.channel - 'sms' | 'voice' | ...
+   * @param {Function} ctx.reply - Respond on the inbound channel
+   * @returns {Promise<Object>} { handled, handler, state, message }
+   */
+  async route(ctx) {
+    const state = this.resolveState(ctx.session);
+    ctx.state = state;
+
+    for (const handler of this.handlers) {
+      if (!this.appliesTo(handler, state, ctx.channel)) {
+        continue;
+      }
+
+      if (handler.matches && !(await handler.matches(ctx))) {
+        continue;
+      }
+
+      const result = (await handler.handle(ctx)) || {};
+
+      if (result.message) {
+        ctx.message = result.message;
+      }
+
+      if (result.handled) {
+        console.log(`🧭 Routed to "${handler.name}" (state: ${state}, channel: ${ctx.channel || 'unknown'})`);
+        return {
+          ...result,
+          handled: true,
+          handler: handler.name,
+          state,
+          message: ctx.message
+        };
+      }
+    }
+
+    console.log(`🧭 No intent handler claimed the message (state: ${state})`);
+    return { handled: false, handler: null, state, message: ctx.message };
+  }
+}
+
+// Export singleton and constants
+module.exports = new ConversationRouter();
+module.exports.ConversationRouter = ConversationRouter;
+module.exports.CONVERSATION_STATES = CONVERSATION_STATES;
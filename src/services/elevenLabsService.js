@@ -167,6 +167,7 @@ class ElevenLabsService {
       conversation_id,
       message,
       metadata,
+      failure_reason,
       timestamp
     } = webhookData;
 
@@ -178,6 +179,7 @@ class ElevenLabsService {
       conversationId: conversation_id,
       message: message || null,
       metadata: metadata || {},
+      failureReason: failure_reason || null,
       timestamp: timestamp || new Date().toISOString()
     };
   }
@@ -0,0 +1,128 @@
+/**
+ * History Compaction Service
+ * Keeps conversationHistory within a token budget. Once the history runs
+ * over, the older turns are summarized with llmService.summarizeConversation
+ * into a single system message and the most recent turns are kept verbatim.
+ * Durable facts in the turns being compacted are saved to long-term memory
+ * (userMemoryService) so they survive the summary.
+ */
+
+const llmService = require('./llmService');
+const sessionManager = require('./sessionManager');
+const userMemoryService = require('./userMemoryService');
+
+// Returned by llmService.summarizeConversation when the model call fails
+const SUMMARY_UNAVAILABLE = 'Unable to generate summary';
+
+const SUMMARY_PREFIX = '[Earlier in this conversation]';
+
+// Estimated tokens of history replayed into each prompt before compacting
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.HISTORY_TOKEN_BUDGET, 10) || 1500;
+
+// Most recent messages always kept verbatim
+const KEEP_RECENT_MESSAGES = 8;
+
+/**
+ * Rough token count (~4 characters per token)
+ * @param {Array<Object>} messages - [{ role, content }]
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(messages = []) {
+  return messages.reduce((total, msg) => total + Math.ceil(String(msg.content || '').length / 4) + 4, 0);
+}
+
+/**
+ * Whether a history is over the budget and has something to compact
+ * @param {Array<Object>} history - conversationHistory
+ * @returns {boolean}
+ */
+function needsCompaction(history = []) {
+  return history.length > KEEP_RECENT_MESSAGES && estimateTokens(history) > HISTORY_TOKEN_BUDGET;
+}
+
+/**
+ * Whether two history entries are the same message
+ * Compared by value - with Redis every read is a fresh copy.
+ * @param {Object} a - History entry
+ * @param {Object} b - History entry
+ * @returns {boolean}
+ */
+function sameMessage(a, b) {
+  return a.role === b.role && a.content === b.content && a.timestamp === b.timestamp;
+}
+
+/**
+ * Save durable facts from the turns being compacted, without failing compaction
+ * @param {string} phoneNumber - Phone number
+ * @param {Array<Object>} messages - Turns being compacted
+ * @returns {Promise<number>} Memories added
+ */
+async function rememberFacts(phoneNumber, messages) {
+  try {
+    const known = await userMemoryService.listMemories(phoneNumber);
+    const facts = await userMemoryService.extractMemories(messages, known);
+    const added = await userMemoryService.addMemories(phoneNumber, facts);
+    return added.length;
+  } catch (error) {
+    console.warn('Could not save memories during compaction:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Compact a user's conversation history if it is over the token budget
+ * The history can grow while the summary is generated; the compacted turns
+ * are only replaced if they are still at the front of the history.
+ * @param {string} phoneNumber - Phone number (session key)
+ * @returns {Promise<Object>} { compacted, summarizedMessages, memoriesAdded }
+ */
+async function compactIfNeeded(phoneNumber) {
+  const session = await sessionManager.getSession(phoneNumber);
+  const history = session.conversationHistory || [];
+
+  if (!needsCompaction(history)) {
+    return { compacted: false, summarizedMessages: 0, memoriesAdded: 0 };
+  }
+
+  const older = history.slice(0, -KEEP_RECENT_MESSAGES);
+  const turns = older.map(msg => ({ role: msg.role, content: msg.content }));
+
+  const [summary, memoriesAdded] = await Promise.all([
+    llmService.summarizeConversation(turns),
+    rememberFacts(phoneNumber, turns)
+  ]);
+
+  if (!summary || summary === SUMMARY_UNAVAILABLE) {
+    console.warn(`⚠️ Could not summarize history for ${phoneNumber}, keeping it as is`);
+    return { compacted: false, summarizedMessages: 0, memoriesAdded };
+  }
+
+  const current = (await sessionManager.getSession(phoneNumber)).conversationHistory || [];
+  const unchanged = older.every((msg, i) => current[i] && sameMessage(msg, current[i]));
+  if (!unchanged) {
+    console.warn(`⚠️ History for ${phoneNumber} changed while compacting, skipping`);
+    return { compacted: false, summarizedMessages: 0, memoriesAdded };
+  }
+
+  await sessionManager.updateSession(phoneNumber, {
+    conversationHistory: [
+      {
+        role: 'system',
+        content: `${SUMMARY_PREFIX} ${summary}`,
+        timestamp: older[older.length - 1].timestamp || new Date().toISOString()
+      },
+      ...current.slice(older.length)
+    ]
+  });
+
+  console.log(`🗜️ Compacted ${older.length} messages for ${phoneNumber}${memoriesAdded ? `, ${memoriesAdded} new memories` : ''}`);
+  return { compacted: true, summarizedMessages: older.length, memoriesAdded };
+}
+
+module.exports = {
+  HISTORY_TOKEN_BUDGET,
+  SUMMARY_PREFIX,
+  estimateTokens,
+  needsCompaction,
+  compactIfNeeded
+};
@@ -15,7 +15,7 @@ class LinkRedirectorService {
 
     // Cleanup old bundles every hour
     this.BUNDLE_TTL = 24 * 60 * 60 * 1000; // 24 hours
-    setInterval(() => this.cleanupOldBundles(), 60 * 60 * 1000);
+    setInterval(() => this.cleanupOldBundles(), 60 * 60 * 1000).unref();
   }
 
   /**
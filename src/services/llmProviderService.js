@@ -0,0 +1,621 @@
+/**
+ * LLM Provider Service
+ * One interface for every model call the app makes, so services don't each
+ * build their own OpenAI client and the SMS flow can run offline in tests.
+ *
+ * A provider implements:
+ *   chat({ messages, model, maxTokens, temperature, ... }) → Promise<{ text, usage, model }>
+ *   chatWithTools({ messages, tools, toolChoice, model, maxTokens, onText }) → Promise<{ text, toolCalls, message, usage, model }>
+ *     toolCalls are [{ id, name, arguments }] with arguments parsed (null if invalid JSON);
+ *     message is the assistant message to append to the history before the tool outputs;
+ *     onText(delta), when given, receives the reply text as it streams in
+ *   extractJson({ messages, model, maxTokens, temperature }) → Promise<Object>
+ *   summarize({ messages, instructions, model, maxTokens }) → Promise<string>
+ *   analyzeImages({ images, prompt, model, maxTokens }) → Promise<Object>
+ *     images are [{ data: Buffer, contentType }]; the answer is the model's parsed JSON
+ *   createRealtimeSession({ model, voice, prompt }) → Promise<{ id, client_secret, expires_at, model }>
+ *   isConfigured(capability) → boolean
+ *
+ * LLM_PROVIDER selects the backend for every capability ('openai' | 'mock');
+ * LLM_PROVIDER_CHAT, _TOOLS, _JSON, _SUMMARIZE, _VISION and _REALTIME override it for
+ * one capability. The mock answers from scripted fixtures (LLM_MOCK_FIXTURES,
+ * a .json or .js file) and deterministic defaults; tests can also install a
+ * MockLLMProvider directly with setProvider().
+ */
+
+const path = require('path');
+const axios = require('axios');
+const OpenAI = require('openai');
+
+const CAPABILITIES = ['chat', 'tools', 'json', 'summarize', 'vision', 'realtime'];
+
+const DEFAULT_MODEL = process.env.OPENAI_MODEL || 'gpt-4-turbo-preview';
+const SUMMARY_MODEL = 'gpt-3.5-turbo';
+const VISION_MODEL = process.env.VISION_MODEL || 'gpt-4o';
+
+/**
+ * Text of a chat message (string content or text parts)
+ * @param {Object} message - Chat message
+ * @returns {string}
+ */
+function messageText(message) {
+  if (!message) return '';
+  if (typeof message.content === 'string') return message.content;
+  if (Array.isArray(message.content)) {
+    return message.content
+      .filter(part => part.type === 'text' || part.type === 'input_text')
+      .map(part => part.text)
+      .join('\n');
+  }
+  return '';
+}
+
+/**
+ * Text of the last user message in a request
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {string}
+ */
+function lastUserText(messages = []) {
+  const message = [...messages].reverse().find(m => m.role === 'user');
+  return messageText(message);
+}
+
+/**
+ * Parse a Chat Completions tool call
+ * @param {Object} call - { id, function: { name, arguments } }
+ * @returns {Object} { id, name, arguments } - arguments is null when not valid JSON
+ */
+function parseToolCall(call) {
+  let args = null;
+  try {
+    args = JSON.parse(call.function.arguments || '{}');
+  } catch (parseErr) {
+    console.warn(`Invalid arguments for tool ${call.function.name}:`, parseErr.message);
+  }
+  return { id: call.id, name: call.function.name, arguments: args };
+}
+
+/**
+ * Tool definition in Chat Completions format
+ * Accepts { name, description, parameters } (toolRegistry) or a ready { type, function } tool.
+ * @param {Object} tool - Tool definition
+ * @returns {Object}
+ */
+function toChatTool(tool) {
+  if (tool.function) return tool;
+  return {
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+  };
+}
+
+class OpenAIProvider {
+  constructor() {
+    this.name = 'openai';
+    this.client = null;
+  }
+
+  /**
+   * Lazily create the OpenAI client so requiring this module never needs a key
+   * @returns {OpenAI}
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+    return this.client;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - Request
+   * @param {Array<Object>} request.messages - Chat messages
+   * @param {string} request.model - Model (default OPENAI_MODEL)
+   * @param {number} request.maxTokens - Completion token cap
+   * @param {number} request.temperature - Sampling temperature
+   * @param {number} request.presencePenalty - Presence penalty
+   * @param {number} request.frequencyPenalty - Frequency penalty
+   * @param {Array<Object>} request.tools - Tool definitions
+   * @param {string} request.toolChoice - 'auto' | 'none' | 'required'
+   * @param {boolean} request.json - Ask for a JSON object
+   * @param {boolean} request.stream - Stream the completion (usage comes in the last chunk)
+   * @returns {Promise<Object>} Raw completion, or a chunk stream
+   */
+  async complete({ messages, model = DEFAULT_MODEL, maxTokens, temperature, presencePenalty, frequencyPenalty, tools, toolChoice, json = false, stream = false }) {
+    const params = { model, messages };
+    if (maxTokens !== undefined) params.max_completion_tokens = maxTokens;
+    if (temperature !== undefined) params.temperature = temperature;
+    if (presencePenalty !== undefined) params.presence_penalty = presencePenalty;
+    if (frequencyPenalty !== undefined) params.frequency_penalty = frequencyPenalty;
+    if (tools && tools.length > 0) {
+      params.tools = tools.map(toChatTool);
+      params.tool_choice = toolChoice || 'auto';
+    }
+    if (json) params.response_format = { type: 'json_object' };
+    if (stream) {
+      params.stream = true;
+      params.stream_options = { include_usage: true };
+    }
+
+    return this.getClient().chat.completions.create(params);
+  }
+
+  /**
+   * Plain chat reply
+   * @param {Object} request - See complete()
+   * @returns {Promise<Object>} { text, usage, model }
+   */
+  async chat(request) {
+    const completion = await this.complete(request);
+    return {
+      text: completion.choices[0].message.content || '',
+      usage: completion.usage,
+      model: completion.model
+    };
+  }
+
+  /**
+   * Chat turn that may call tools
+   * @param {Object} request - See complete(); request.tools is required
+   * @param {Function} request.onText - Streams the reply text: (delta) => void
+   * @returns {Promise<Object>} { text, toolCalls, message, usage, model }
+   */
+  async chatWithTools({ onText, ...request }) {
+    if (onText) {
+      return this.streamWithTools(request, onText);
+    }
+
+    const completion = await this.complete(request);
+    const message = completion.choices[0].message;
+
+    return {
+      text: message.content || '',
+      toolCalls: (message.tool_calls || []).map(parseToolCall),
+      message,
+      usage: completion.usage,
+      model: completion.model
+    };
+  }
+
+  /**
+   * Streamed chatWithTools(): text deltas go to onText as they arrive and
+   * tool calls are assembled from their fragments
+   * @param {Object} request - See complete()
+   * @param {Function} onText - (delta) => void
+   * @returns {Promise<Object>} { text, toolCalls, message, usage, model }
+   */
+  async streamWithTools(request, onText) {
+    const stream = await this.complete({ ...request, stream: true });
+
+    let text = '';
+    let usage = null;
+    let model = request.model || DEFAULT_MODEL;
+    const calls = [];
+
+    for await (const chunk of stream) {
+      if (chunk.model) model = chunk.model;
+      if (chunk.usage) usage = chunk.usage;
+
+      const delta = chunk.choices[0]?.delta;
+      if (!delta) continue;
+
+      if (delta.content) {
+        text += delta.content;
+        onText(delta.content);
+      }
+      for (const fragment of delta.tool_calls || []) {
+        const call = calls[fragment.index] || (calls[fragment.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name) call.function.name += fragment.function.name;
+        if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+      }
+    }
+
+    const toolCalls = calls.filter(Boolean);
+    const message = { role: 'assistant', content: text || null };
+    if (toolCalls.length > 0) message.tool_calls = toolCalls;
+
+    return { text, toolCalls: toolCalls.map(parseToolCall), message, usage, model };
+  }
+
+  /**
+   * Chat completion that must answer with a JSON object
+   * @param {Object} request - See complete()
+   * @returns {Promise<Object>} Parsed JSON
+   */
+  async extractJson(request) {
+    const completion = await this.complete({ ...request, json: true });
+    return JSON.parse(completion.choices[0].message.content);
+  }
+
+  /**
+   * Summarize a conversation
+   * @param {Object} request - Request
+   * @param {Array<Object>} request.messages - Conversation ({ role, content })
+   * @param {string} request.instructions - What the summary should focus on
+   * @param {string} request.model - Model (default gpt-3.5-turbo)
+   * @param {number} request.maxTokens - Summary token cap (default 200)
+   * @returns {Promise<string>}
+   */
+  async summarize({ messages, instructions, model = SUMMARY_MODEL, maxTokens = 200 }) {
+    const { text } = await this.chat({
+      model,
+      maxTokens,
+      messages: [
+        { role: 'system', content: instructions },
+        ...messages.map(msg => ({ role: msg.role, content: msg.content }))
+      ]
+    });
+    return text;
+  }
+
+  /**
+   * Read images and answer with a JSON object
+   * Images go inline as data URLs, so the model never fetches anything itself.
+   * @param {Object} request - Request
+   * @param {Array<Object>} request.images - [{ data: Buffer, contentType }]
+   * @param {string} request.prompt - System prompt describing the JSON to return
+   * @param {string} request.model - Vision-capable model (default VISION_MODEL or gpt-4o)
+   * @param {number} request.maxTokens - Completion token cap (default 600)
+   * @returns {Promise<Object>} Parsed JSON
+   */
+  async analyzeImages({ images, prompt, model = VISION_MODEL, maxTokens = 600 }) {
+    const content = images.map(image => ({
+      type: 'image_url',
+      image_url: { url: `data:${image.contentType};base64,${image.data.toString('base64')}` }
+    }));
+
+    return this.extractJson({
+      model,
+      maxTokens,
+      temperature: 0.1,
+      messages: [
+        { role: 'system', content: prompt },
+        { role: 'user', content }
+      ]
+    });
+  }
+
+  /**
+   * Create an OpenAI Realtime session
+   * @param {Object} config - Session config ({ model, voice, prompt })
+   * @returns {Promise<Object>} { id, client_secret, expires_at, model }
+   */
+  async createRealtimeSession(config) {
+    const response = await axios.post('https://api.openai.com/v1/realtime/sessions', config, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+        'OpenAI-Beta': 'realtime=v1'
+      }
+    });
+
+    return {
+      id: response.data.id,
+      client_secret: response.data.client_secret.value,
+      expires_at: response.data.expires_at,
+      model: response.data.model
+    };
+  }
+
+  /**
+   * @returns {boolean} True when an API key is set
+   */
+  isConfigured() {
+    return !!process.env.OPENAI_API_KEY;
+  }
+}
+
+/**
+ * Normalize a fixture from code or a fixtures file
+ * In files, `match` is a case-insensitive substring and `pattern` a regex source.
+ * @param {Object} fixture - { capability, match, pattern, response, times }
+ * @returns {Object}
+ */
+function normalizeFixture(fixture) {
+  let match = fixture.match;
+  if (fixture.pattern) {
+    match = new RegExp(fixture.pattern, 'i');
+  } else if (typeof match === 'string') {
+    const needle = match.toLowerCase();
+    match = input => input.toLowerCase().includes(needle);
+  }
+
+  return {
+    capability: fixture.capability || null,
+    match: match || null,
+    response: fixture.response,
+    remaining: fixture.times || Infinity
+  };
+}
+
+class MockLLMProvider {
+  /**
+   * @param {Object} options - Options
+   * @param {Array<Object>} options.fixtures - Scripted answers, tried in order:
+   *   { capability, match, response, times }. `match` is a substring, RegExp or
+   *   (input, request) => boolean tested against the last user message; `response`
+   *   is the answer or (request) => answer (an Error is thrown).
+   */
+  constructor({ fixtures = [] } = {}) {
+    this.name = 'mock';
+    this.fixtures = [];
+    this.calls = [];
+    this.addFixtures(fixtures);
+  }
+
+  /**
+   * Load fixtures from a .json or .js file
+   * @param {string} file - Path (relative to the working directory)
+   * @returns {MockLLMProvider}
+   */
+  static fromFile(file) {
+    return new MockLLMProvider({ fixtures: require(path.resolve(file)) });
+  }
+
+  /**
+   * Add scripted answers (checked after the existing ones)
+   * @param {Array<Object>} fixtures - See constructor
+   */
+  addFixtures(fixtures) {
+    this.fixtures.push(...fixtures.map(normalizeFixture));
+  }
+
+  /**
+   * Find the scripted answer for a request
+   * @param {string} capability - Capability being called
+   * @param {Object} request - Request
+   * @returns {*} The fixture's answer, or undefined when none matches
+   */
+  respond(capability, request) {
+    const input = lastUserText(request.messages);
+    this.calls.push({ capability, input, request });
+
+    const fixture = this.fixtures.find(candidate => {
+      if (candidate.remaining <= 0) return false;
+      if (candidate.capability && candidate.capability !== capability) return false;
+      if (!candidate.match) return true;
+      if (candidate.match instanceof RegExp) return candidate.match.test(input);
+      return candidate.match(input, request);
+    });
+
+    if (!fixture) return undefined;
+
+    fixture.remaining--;
+    const response = typeof fixture.response === 'function' ? fixture.response(request) : fixture.response;
+    if (response instanceof Error) throw response;
+
+    // Hand out copies so callers can't change the script
+    return response && typeof response === 'object' ? JSON.parse(JSON.stringify(response)) : response;
+  }
+
+  /**
+   * Calls made so far, optionally for one capability
+   * @param {string} capability - Capability to filter on
+   * @returns {Array<Object>} [{ capability, input, request }]
+   */
+  getCalls(capability = null) {
+    return capability ? this.calls.filter(call => call.capability === capability) : this.calls;
+  }
+
+  /**
+   * Scripted chat reply; defaults to echoing the user
+   * @param {Object} request - { messages, ... }
+   * @returns {Promise<Object>} { text, usage, model }
+   */
+  async chat(request) {
+    const response = this.respond('chat', request);
+    const text = typeof response === 'string' ? response : response?.text;
+    return {
+      text: text !== undefined ? text : `(mock) You said: ${lastUserText(request.messages)}`,
+      usage: null,
+      model: 'mock'
+    };
+  }
+
+  /**
+   * Scripted tool-calling turn; defaults to a plain reply with no tool calls
+   * A scripted response is a string or { text, toolCalls: [{ name, arguments }], usage }.
+   * @param {Object} request - { messages, tools, onText, ... }
+   * @returns {Promise<Object>} { text, toolCalls, message, usage, model }
+   */
+  async chatWithTools(request) {
+    const response = this.respond('tools', request);
+    const scripted = typeof response === 'string' ? { text: response } : (response || {});
+    const text = scripted.text !== undefined ? scripted.text : (scripted.toolCalls ? '' : `(mock) You said: ${lastUserText(request.messages)}`);
+
+    const toolCalls = (scripted.toolCalls || []).map((call, index) => ({
+      id: call.id || `call_mock_${this.calls.length}_${index + 1}`,
+      name: call.name,
+      arguments: call.arguments || {}
+    }));
+
+    const message = { role: 'assistant', content: text || null };
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+      }));
+    }
+
+    if (text && request.onText) request.onText(text);
+
+    return { text, toolCalls, message, usage: scripted.usage || null, model: 'mock' };
+  }
+
+  /**
+   * Scripted JSON answer; defaults to {}
+   * @param {Object} request - { messages, ... }
+   * @returns {Promise<Object>}
+   */
+  async extractJson(request) {
+    const response = this.respond('json', request);
+    return response && typeof response === 'object' ? response : {};
+  }
+
+  /**
+   * Scripted summary; defaults to the user's turns joined together
+   * @param {Object} request - { messages, instructions }
+   * @returns {Promise<string>}
+   */
+  async summarize(request) {
+    const response = this.respond('summarize', request);
+    if (typeof response === 'string') return response;
+
+    const userTurns = (request.messages || []).filter(m => m.role === 'user').map(messageText);
+    return `(mock) ${userTurns.join(' / ')}`.slice(0, 200);
+  }
+
+  /**
+   * Scripted image reading; defaults to {} (nothing recognized)
+   * Fixtures match on the prompt, or with (input, request) => boolean on request.images.
+   * @param {Object} request - { images, prompt }
+   * @returns {Promise<Object>}
+   */
+  async analyzeImages(request) {
+    const response = this.respond('vision', { ...request, messages: [{ role: 'user', content: request.prompt || '' }] });
+    return response && typeof response === 'object' ? response : {};
+  }
+
+  /**
+   * Realtime voice needs the real API
+   */
+  async createRealtimeSession() {
+    throw new Error('The mock LLM provider has no Realtime voice sessions');
+  }
+
+  /**
+   * @param {string} capability - Capability
+   * @returns {boolean} Everything but Realtime voice
+   */
+  isConfigured(capability) {
+    return capability !== 'realtime';
+  }
+}
+
+class LLMProviderService {
+  constructor() {
+    this.providers = {}; // backend name -> provider
+    this.overrides = {}; // capability -> provider set by setProvider()
+  }
+
+  /**
+   * Backend configured for a capability
+   * @param {string} capability - One of CAPABILITIES
+   * @returns {string} 'openai' | 'mock'
+   */
+  getBackend(capability) {
+    const configured = (process.env[`LLM_PROVIDER_${capability.toUpperCase()}`] || process.env.LLM_PROVIDER || 'openai').toLowerCase();
+    if (configured !== 'openai' && configured !== 'mock') {
+      console.warn(`Unknown LLM provider "${configured}" for ${capability}, using openai`);
+      return 'openai';
+    }
+    return configured;
+  }
+
+  /**
+   * Get the provider for a capability, creating the configured backend on first use
+   * @param {string} capability - One of CAPABILITIES
+   * @returns {Object} Provider
+   */
+  getProvider(capability) {
+    if (!CAPABILITIES.includes(capability)) {
+      throw new Error(`Unknown LLM capability: ${capability}`);
+    }
+    if (this.overrides[capability]) {
+      return this.overrides[capability];
+    }
+
+    const backend = this.getBackend(capability);
+    if (!this.providers[backend]) {
+      this.providers[backend] = backend === 'mock'
+        ? (process.env.LLM_MOCK_FIXTURES ? MockLLMProvider.fromFile(process.env.LLM_MOCK_FIXTURES) : new MockLLMProvider())
+        : new OpenAIProvider();
+      console.log(`🧠 LLM provider: ${backend}`);
+    }
+    return this.providers[backend];
+  }
+
+  /**
+   * Replace the provider for some or all capabilities
+   * @param {Object} provider - Object implementing the provider interface
+   * @param {Array<string>} capabilities - Capabilities to route to it (default: all)
+   */
+  setProvider(provider, capabilities = CAPABILITIES) {
+    for (const capability of capabilities) {
+      this.overrides[capability] = provider;
+    }
+  }
+
+  /**
+   * Drop overrides and created providers (config is read again on next use)
+   */
+  reset() {
+    this.providers = {};
+    this.overrides = {};
+  }
+
+  /**
+   * Whether a capability can be used
+   * @param {string} capability - One of CAPABILITIES
+   * @returns {boolean}
+   */
+  isConfigured(capability) {
+    return this.getProvider(capability).isConfigured(capability);
+  }
+
+  /**
+   * @param {Object} request - See OpenAIProvider.complete()
+   * @returns {Promise<Object>} { text, usage, model }
+   */
+  chat(request) {
+    return this.getProvider('chat').chat(request);
+  }
+
+  /**
+   * @param {Object} request - See OpenAIProvider.complete()
+   * @returns {Promise<Object>} { text, toolCalls, message, usage, model }
+   */
+  chatWithTools(request) {
+    return this.getProvider('tools').chatWithTools(request);
+  }
+
+  /**
+   * @param {Object} request - See OpenAIProvider.complete()
+   * @returns {Promise<Object>} Parsed JSON
+   */
+  extractJson(request) {
+    return this.getProvider('json').extractJson(request);
+  }
+
+  /**
+   * @param {Object} request - { messages, instructions, model, maxTokens }
+   * @returns {Promise<string>}
+   */
+  summarize(request) {
+    return this.getProvider('summarize').summarize(request);
+  }
+
+  /**
+   * @param {Object} request - { images, prompt, model, maxTokens }
+   * @returns {Promise<Object>} Parsed JSON
+   */
+  analyzeImages(request) {
+    return this.getProvider('vision').analyzeImages(request);
+  }
+
+  /**
+   * @param {Object} config - { model, voice, prompt }
+   * @returns {Promise<Object>} { id, client_secret, expires_at, model }
+   */
+  createRealtimeSession(config) {
+    return this.getProvider('realtime').createRealtimeSession(config);
+  }
+}
+
+module.exports = new LLMProviderService();
+module.exports.LLMProviderService = LLMProviderService;
+module.exports.OpenAIProvider = OpenAIProvider;
+module.exports.MockLLMProvider = MockLLMProvider;
+module.exports.CAPABILITIES = CAPABILITIES;
@@ -0,0 +1,225 @@
+/**
+ * Localization Service
+ *
+ * Detects the language a user writes in, remembers it (session and user
+ * profile), and renders system-generated messages from the catalogs in
+ * src/locales. LLM prompts get languageInstruction() so free-form replies
+ * match the catalog strings.
+ *
+ * Detection is a cheap word-marker score, not a model call: it only has to
+ * tell English, French and Spanish apart, and only switches the stored
+ * language on a clear signal - "ok", "YUL" or "2" keep the current one.
+ */
+
+const sessionManager = require('./sessionManager');
+const userProfileService = require('./userProfileService');
+
+const CATALOGS = {
+  en: require('../locales/en'),
+  fr: require('../locales/fr'),
+  es: require('../locales/es')
+};
+
+const DEFAULT_LANGUAGE = 'en';
+const SUPPORTED_LANGUAGES = Object.keys(CATALOGS);
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  fr: 'French',
+  es: 'Spanish'
+};
+
+// Locale used to format dates and times for each language
+const LOCALES = {
+  en: 'en-US',
+  fr: 'fr-CA',
+  es: 'es-US'
+};
+
+// Words common in one language and rare in the others. Articles that show
+// up in place names (los, las, la, le, san) are left out on purpose.
+const LANGUAGE_MARKERS = {
+  en: ['i', 'im', 'want', 'need', 'flight', 'flights', 'from', 'to', 'the', 'and', 'trip', 'we', 'my', 'for', 'please',
+    'hi', 'hello', 'thanks', 'next', 'week', 'looking', 'with', 'what', 'how', 'can', 'you', 'going', 'cheap', 'book'],
+  fr: ['je', 'veux', 'vol', 'vols', 'voyage', 'pour', 'avec', 'merci', 'bonjour', 'salut', 'nous', 'semaine', 'prochaine',
+    'cherche', 'aller', 'billet', 'une', 'des', 'du', 'et', 'mois', 'combien', 'moi', 'mon', 'ma', 'est', 'pas', 'vers', 'partir'],
+  es: ['quiero', 'necesito', 'vuelo', 'vuelos', 'viaje', 'para', 'con', 'gracias', 'hola', 'buscar', 'busco', 'semana',
+    'próxima', 'proxima', 'mi', 'por', 'favor', 'dónde', 'donde', 'cuánto', 'cuanto', 'somos', 'personas', 'ir', 'una', 'el', 'y', 'mes', 'barato']
+};
+
+// Greetings and thanks settle a one-word message on their own
+const STRONG_MARKERS = ['bonjour', 'salut', 'merci', 'hola', 'gracias', 'hello', 'thanks'];
+
+const MIN_SCORE = 2;
+
+/**
+ * Look up a dotted key in a catalog
+ * @param {Object} catalog - Message catalog
+ * @param {string} key - e.g. "reco.vibeQuestion"
+ * @returns {string|undefined}
+ */
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node ? node[part] : undefined), catalog);
+}
+
+class LocalizationService {
+  /**
+   * Check a language code is one we have a catalog for
+   * @param {string} language - Language code
+   * @returns {boolean}
+   */
+  isSupported(language) {
+    return SUPPORTED_LANGUAGES.includes(language);
+  }
+
+  /**
+   * Supported language, or the default
+   * @param {string} language - Language code (may be null or unsupported)
+   * @returns {string}
+   */
+  normalize(language) {
+    const code = String(language || '').toLowerCase().slice(0, 2);
+    return this.isSupported(code) ? code : DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Render a catalog message
+   * Falls back to English for keys a catalog doesn't define, and to the
+   * key itself if English doesn't either (so a typo is visible, not blank).
+   * @param {string} language - Language code
+   * @param {string} key - Dotted key, e.g. "reco.selected"
+   * @param {Object} params - Placeholder values, e.g. { city: 'Lisbon' }
+   * @returns {string}
+   */
+  t(language, key, params = {}) {
+    const template = lookup(CATALOGS[this.normalize(language)], key) ?? lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+    if (typeof template !== 'string') {
+      console.warn(`Missing message: ${key}`);
+      return key;
+    }
+
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined && params[name] !== null ? String(params[name]) : ''));
+  }
+
+  /**
+   * Locale for formatting dates and times in a language
+   * @param {string} language - Language code
+   * @returns {string} e.g. 'fr-CA'
+   */
+  getLocale(language) {
+    return LOCALES[this.normalize(language)];
+  }
+
+  /**
+   * Score a message against each language's markers
+   * @param {string} text - Message text
+   * @returns {Object|null} { language, score, scores } for the best match, or null with no signal
+   */
+  detectLanguage(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    const words = text.toLowerCase().replace(/['’]/g, ' ').match(/[a-zà-ÿñ]+/g) || [];
+    const scores = { en: 0, fr: 0, es: 0 };
+
+    for (const word of words) {
+      for (const language of SUPPORTED_LANGUAGES) {
+        if (LANGUAGE_MARKERS[language].includes(word)) {
+          scores[language] += STRONG_MARKERS.includes(word) ? MIN_SCORE : 1;
+        }
+      }
+    }
+
+    // Spelling that only one of the three uses
+    if (/[ñ¿¡]/.test(text)) scores.es += MIN_SCORE;
+    if (/[çèêùœ]/i.test(text)) scores.fr += 1;
+
+    const [best, runnerUp] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (best[1] === 0) return null;
+
+    return { language: best[0], score: best[1], margin: best[1] - runnerUp[1], scores };
+  }
+
+  /**
+   * Decide which language to answer a message in
+   * A clear signal in the message wins; otherwise the user keeps the
+   * language they had, or the regional default for their number.
+   * @param {string} text - Message text
+   * @param {Object} options - Options
+   * @param {string} options.current - Language already stored for the user
+   * @param {string} options.hint - Regional default (e.g. 'fr' for Montreal numbers)
+   * @returns {string} Language code
+   */
+  resolveLanguage(text, { current = null, hint = null } = {}) {
+    const detected = this.detectLanguage(text);
+
+    if (detected && detected.score >= MIN_SCORE && detected.margin >= MIN_SCORE) {
+      return detected.language;
+    }
+    if (this.isSupported(current)) return current;
+    if (this.isSupported(hint)) return hint;
+    return DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Get the language saved for a user (session first, then profile)
+   * @param {string} phoneNumber - Phone number
+   * @returns {Promise<string|null>} Language code, or null if none is saved
+   */
+  async getStoredLanguage(phoneNumber) {
+    try {
+      const session = await sessionManager.getSession(phoneNumber);
+      if (this.isSupported(session.language)) return session.language;
+
+      const user = await userProfileService.getUserByPhone(phoneNumber);
+      return this.isSupported(user?.preferred_language) ? user.preferred_language : null;
+    } catch (error) {
+      console.warn(`Could not load language for ${phoneNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Language to use for a user outside a conversation turn (errors, webhooks)
+   * @param {string} phoneNumber - Phone number
+   * @returns {Promise<string>} Language code
+   */
+  async getLanguage(phoneNumber) {
+    return (await this.getStoredLanguage(phoneNumber)) || DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Remember a user's language on the session and their profile
+   * @param {string} phoneNumber - Phone number
+   * @param {string} language - Language code
+   * @returns {Promise<void>}
+   */
+  async saveLanguage(phoneNumber, language) {
+    const code = this.normalize(language);
+    await sessionManager.updateSession(phoneNumber, { language: code });
+
+    try {
+      await userProfileService.updateUser(phoneNumber, { preferredLanguage: code });
+    } catch (error) {
+      // No database or no profile yet - the session still has it
+      console.warn(`Could not save language for ${phoneNumber}:`, error.message);
+    }
+
+    console.log(`🌐 Language for ${phoneNumber}: ${LANGUAGE_NAMES[code]}`);
+  }
+
+  /**
+   * Prompt line telling the model which language to answer in
+   * @param {string} language - Language code
+   * @returns {string} '' for English (the prompts' own language)
+   */
+  languageInstruction(language) {
+    const code = this.normalize(language);
+    if (code === DEFAULT_LANGUAGE) return '';
+    return `Reply in ${LANGUAGE_NAMES[code]}${code === 'fr' ? ' (Canadian French)' : ''}, whatever language the rest of these instructions are in. Keep airport codes, prices and links as they are.`;
+  }
+}
+
+module.exports = new LocalizationService();
+module.exports.LocalizationService = LocalizationService;
+module.exports.SUPPORTED_LANGUAGES = SUPPORTED_LANGUAGES;
+module.exports.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
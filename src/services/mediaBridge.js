@@ -0,0 +1,497 @@
+/**
+ * Media Bridge
+ * One live call between a Twilio media stream and an OpenAI Realtime socket.
+ *
+ * States:
+ *   waiting      - Twilio connected, no 'start' event yet
+ *   connecting   - opening the OpenAI socket
+ *   listening    - caller's turn (idle timer running once the assistant has spoken)
+ *   responding   - assistant is generating / playing audio
+ *   reconnecting - OpenAI socket dropped; retrying with backoff, caller audio dropped
+ *   closing      - wrapping up (goodbye line), hangs up when it finishes
+ *   closed       - both sockets closed, onEnd has run
+ *
+ * Handles barge-in (caller talks over the assistant: response.cancel, truncate
+ * what was not heard, Twilio 'clear'), idle reprompts, a max call duration and
+ * reconnection after a transient OpenAI failure. What to say and what to do
+ * with events is up to the owner (realtimeService) through the hooks.
+ */
+
+const WebSocket = require('ws');
+
+const BRIDGE_STATES = {
+  WAITING: 'waiting',
+  CONNECTING: 'connecting',
+  LISTENING: 'listening',
+  RESPONDING: 'responding',
+  RECONNECTING: 'reconnecting',
+  CLOSING: 'closing',
+  CLOSED: 'closed'
+};
+
+const DEFAULT_OPTIONS = {
+  maxCallDurationMs: (parseInt(process.env.REALTIME_MAX_CALL_SECONDS, 10) || 30 * 60) * 1000,
+  idleTimeoutMs: (parseInt(process.env.REALTIME_IDLE_TIMEOUT_SECONDS, 10) || 12) * 1000,
+  maxIdleReprompts: 2,
+  maxReconnectAttempts: 3,
+  reconnectDelayMs: 500,
+  wrapUpGraceMs: 10 * 1000
+};
+
+const IDLE_REPROMPT_INSTRUCTIONS = 'The caller has gone quiet. In one short sentence, check whether they are still there or need a moment.';
+
+const WRAP_UP_INSTRUCTIONS = {
+  idle: "The caller hasn't answered. Say a brief goodbye and tell them you'll text a recap so they can pick up by SMS.",
+  max_duration: "We're out of time for this call. Briefly wrap up and tell them you'll text a recap so they can carry on by SMS."
+};
+
+class MediaBridge {
+  /**
+   * @param {WebSocket} twilioWs - Twilio media stream socket
+   * @param {Object} options - Hooks and timing (see DEFAULT_OPTIONS)
+   * @param {Function} options.connect - async () => OpenAI WebSocket; without it a dropped socket ends the call
+   * @param {Function} options.onStart - async ({ streamSid, callSid, from, customParameters }) when Twilio starts the stream
+   * @param {Function} options.onOpen - (openaiWs, { reconnected }) when an OpenAI socket opens
+   * @param {Function} options.onEvent - (event, openaiWs) for every OpenAI event
+   * @param {Function} options.onEnd - (reason) once, when the bridge closes
+   */
+  constructor(twilioWs, options = {}) {
+    this.twilioWs = twilioWs;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.hooks = {
+      connect: options.connect || null,
+      onStart: options.onStart || (async () => {}),
+      onOpen: options.onOpen || (() => {}),
+      onEvent: options.onEvent || (() => {}),
+      onEnd: options.onEnd || (() => {})
+    };
+
+    this.state = BRIDGE_STATES.WAITING;
+    this.openaiWs = null;
+    this.streamSid = null;
+    this.callSid = null;
+    this.from = null;
+    this.endReason = null;
+
+    this.reconnectAttempts = 0;
+    this.idleReprompts = 0;
+    this.timers = { maxDuration: null, idle: null, reconnect: null, wrapUp: null };
+
+    // Barge-in bookkeeping
+    this.latestMediaTimestamp = 0;
+    this.responseStartTimestamp = null;
+    this.lastAssistantItemId = null;
+    this.markQueue = [];
+    this.wrapUpReason = null;
+    this.wrapUpResponseDone = false;
+
+    twilioWs.on('message', (message) => this.handleTwilioMessage(message));
+    twilioWs.on('close', () => this.teardown('caller_hangup'));
+    twilioWs.on('error', (error) => {
+      console.error(`Twilio WebSocket error for ${this.callSid || 'unknown'}:`, error.message);
+      this.teardown('twilio_error');
+    });
+  }
+
+  /**
+   * Move to a new state
+   * @param {string} state - One of BRIDGE_STATES
+   */
+  setState(state) {
+    if (this.state === state || this.state === BRIDGE_STATES.CLOSED) return;
+    this.state = state;
+  }
+
+  /**
+   * Send a JSON event on a socket if it is open
+   * @param {WebSocket} ws - Socket
+   * @param {Object} payload - Event
+   * @returns {boolean} Whether it was sent
+   */
+  sendJson(ws, payload) {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+    ws.send(JSON.stringify(payload));
+    return true;
+  }
+
+  /**
+   * Handle a message from Twilio
+   * @param {Buffer|string} message - Raw message
+   */
+  async handleTwilioMessage(message) {
+    let msg;
+    try {
+      msg = JSON.parse(message);
+    } catch (error) {
+      console.error('Error parsing Twilio message:', error.message);
+      return;
+    }
+
+    switch (msg.event) {
+      case 'start':
+        await this.start(msg.start);
+        break;
+
+      case 'media':
+        this.latestMediaTimestamp = parseInt(msg.media.timestamp, 10) || this.latestMediaTimestamp;
+        // Caller audio is dropped while reconnecting - there is nowhere to send it
+        this.sendJson(this.openaiWs, { type: 'input_audio_buffer.append', audio: msg.media.payload });
+        break;
+
+      case 'mark':
+        this.markQueue.shift();
+        this.maybeFinishWrapUp();
+        break;
+
+      case 'stop':
+        console.log(`📴 Twilio stream stopped: ${this.streamSid}`);
+        this.teardown('stream_stopped');
+        break;
+    }
+  }
+
+  /**
+   * Twilio started the stream: run onStart, start the call timer, connect
+   * @param {Object} start - Twilio 'start' payload
+   */
+  async start(start) {
+    this.streamSid = start.streamSid;
+    this.callSid = start.callSid;
+    this.from = start.customParameters?.from || start.customParameters?.From || null;
+
+    console.log(`📞 Twilio stream started: ${this.streamSid} from ${this.from}`);
+
+    try {
+      await this.hooks.onStart({
+        streamSid: this.streamSid,
+        callSid: this.callSid,
+        from: this.from,
+        customParameters: start.customParameters || {}
+      });
+    } catch (error) {
+      console.error(`Call setup failed for ${this.callSid}:`, error.message);
+    }
+
+    if (this.state === BRIDGE_STATES.CLOSED) return;
+
+    this.startCallTimer();
+    await this.connect();
+  }
+
+  /**
+   * Start the max call duration timer (once per call)
+   */
+  startCallTimer() {
+    if (this.timers.maxDuration) return;
+    this.timers.maxDuration = setTimeout(() => {
+      console.log(`⏱️ Call ${this.callSid} reached the max duration`);
+      this.wrapUp('max_duration');
+    }, this.options.maxCallDurationMs);
+    this.timers.maxDuration.unref?.();
+  }
+
+  /**
+   * Open an OpenAI socket through the connect hook
+   */
+  async connect() {
+    if (!this.hooks.connect) {
+      this.teardown('openai_closed');
+      return;
+    }
+
+    if (this.state !== BRIDGE_STATES.RECONNECTING) {
+      this.setState(BRIDGE_STATES.CONNECTING);
+    }
+
+    try {
+      const openaiWs = await this.hooks.connect();
+      if (this.state === BRIDGE_STATES.CLOSED) {
+        openaiWs.close();
+        return;
+      }
+      this.attach(openaiWs);
+    } catch (error) {
+      console.error(`Could not connect to OpenAI for ${this.callSid}:`, error.message);
+      this.handleOpenAIDrop();
+    }
+  }
+
+  /**
+   * Wire up an OpenAI socket
+   * @param {WebSocket} openaiWs - OpenAI Realtime socket (open or opening)
+   */
+  attach(openaiWs) {
+    const reconnected = this.state === BRIDGE_STATES.RECONNECTING;
+    this.openaiWs = openaiWs;
+
+    const onOpen = () => {
+      console.log(`✅ Connected to OpenAI Realtime API${reconnected ? ' (reconnected)' : ''}`);
+      this.reconnectAttempts = 0;
+      this.setState(BRIDGE_STATES.LISTENING);
+      this.hooks.onOpen(openaiWs, { reconnected });
+    };
+
+    if (openaiWs.readyState === WebSocket.OPEN) {
+      onOpen();
+    } else {
+      openaiWs.on('open', onOpen);
+    }
+
+    openaiWs.on('message', (data) => {
+      let event;
+      try {
+        event = JSON.parse(data.toString());
+      } catch (error) {
+        console.error('Error parsing OpenAI message:', error.message);
+        return;
+      }
+      this.handleOpenAIEvent(event, openaiWs);
+    });
+
+    openaiWs.on('close', () => {
+      // A socket we replaced or closed ourselves
+      if (this.openaiWs !== openaiWs) return;
+      console.log(`📴 OpenAI WebSocket closed for ${this.callSid}`);
+      this.openaiWs = null;
+      this.handleOpenAIDrop();
+    });
+
+    openaiWs.on('error', (error) => {
+      console.error(`OpenAI WebSocket error for ${this.callSid}:`, error.message);
+    });
+  }
+
+  /**
+   * Handle an event from OpenAI: bridge bookkeeping, then the owner's hook
+   * @param {Object} event - Realtime event
+   * @param {WebSocket} openaiWs - Socket it came from
+   */
+  handleOpenAIEvent(event, openaiWs) {
+    switch (event.type) {
+      case 'response.created':
+        if (this.state !== BRIDGE_STATES.CLOSING) this.setState(BRIDGE_STATES.RESPONDING);
+        this.clearTimer('idle');
+        break;
+
+      case 'response.audio.delta':
+        this.forwardAudio(event);
+        break;
+
+      case 'response.done':
+        this.responseStartTimestamp = null;
+        if (this.state === BRIDGE_STATES.CLOSING) {
+          this.wrapUpResponseDone = true;
+          this.maybeFinishWrapUp();
+        } else {
+          this.setState(BRIDGE_STATES.LISTENING);
+          // A tool call is running - the model speaks again when it returns
+          const awaitingTool = (event.response?.output || []).some(item => item.type === 'function_call');
+          if (!awaitingTool) this.armIdleTimer();
+        }
+        break;
+
+      case 'input_audio_buffer.speech_started':
+        this.clearTimer('idle');
+        this.idleReprompts = 0;
+        this.handleBargeIn();
+        break;
+    }
+
+    try {
+      this.hooks.onEvent(event, openaiWs);
+    } catch (error) {
+      console.error('Error processing OpenAI message:', error);
+    }
+  }
+
+  /**
+   * Send assistant audio to Twilio, with a mark to know when it has played
+   * @param {Object} event - response.audio.delta event
+   */
+  forwardAudio(event) {
+    if (!this.streamSid) return;
+
+    if (this.responseStartTimestamp === null) {
+      this.responseStartTimestamp = this.latestMediaTimestamp;
+    }
+    if (event.item_id) {
+      this.lastAssistantItemId = event.item_id;
+    }
+
+    this.sendJson(this.twilioWs, { event: 'media', streamSid: this.streamSid, media: { payload: event.delta } });
+    if (this.sendJson(this.twilioWs, { event: 'mark', streamSid: this.streamSid, mark: { name: 'responsePart' } })) {
+      this.markQueue.push('responsePart');
+    }
+  }
+
+  /**
+   * The caller started talking: stop the assistant if it is still talking
+   * Cancels the response, truncates the assistant item to what was actually
+   * heard and clears Twilio's playback buffer.
+   */
+  handleBargeIn() {
+    const assistantTalking = this.state === BRIDGE_STATES.RESPONDING || this.markQueue.length > 0;
+    if (!assistantTalking || this.state === BRIDGE_STATES.CLOSING) return;
+
+    console.log(`✋ Caller interrupted on ${this.callSid}`);
+
+    if (this.state === BRIDGE_STATES.RESPONDING) {
+      this.sendJson(this.openaiWs, { type: 'response.cancel' });
+    }
+
+    if (this.lastAssistantItemId && this.responseStartTimestamp !== null) {
+      this.sendJson(this.openaiWs, {
+        type: 'conversation.item.truncate',
+        item_id: this.lastAssistantItemId,
+        content_index: 0,
+        audio_end_ms: Math.max(0, this.latestMediaTimestamp - this.responseStartTimestamp)
+      });
+    }
+
+    this.sendJson(this.twilioWs, { event: 'clear', streamSid: this.streamSid });
+    this.markQueue = [];
+    this.responseStartTimestamp = null;
+    this.lastAssistantItemId = null;
+    this.setState(BRIDGE_STATES.LISTENING);
+  }
+
+  /**
+   * Start waiting for the caller; reprompt (then hang up) if they stay silent
+   */
+  armIdleTimer() {
+    this.clearTimer('idle');
+    this.timers.idle = setTimeout(() => {
+      if (this.state !== BRIDGE_STATES.LISTENING) return;
+
+      if (this.idleReprompts >= this.options.maxIdleReprompts) {
+        console.log(`🔇 Caller silent on ${this.callSid}, ending call`);
+        this.wrapUp('idle');
+        return;
+      }
+
+      this.idleReprompts++;
+      console.log(`🔇 Caller silent on ${this.callSid}, reprompt ${this.idleReprompts}`);
+      this.sendJson(this.openaiWs, { type: 'response.create', response: { instructions: IDLE_REPROMPT_INSTRUCTIONS } });
+    }, this.options.idleTimeoutMs);
+    this.timers.idle.unref?.();
+  }
+
+  /**
+   * Say a closing line, then hang up once it has played (or after a grace period)
+   * @param {string} reason - 'idle' | 'max_duration'
+   */
+  wrapUp(reason) {
+    if (this.state === BRIDGE_STATES.CLOSING || this.state === BRIDGE_STATES.CLOSED) return;
+
+    const wasResponding = this.state === BRIDGE_STATES.RESPONDING;
+    this.clearTimer('idle');
+    this.setState(BRIDGE_STATES.CLOSING);
+    this.wrapUpReason = reason;
+    this.wrapUpResponseDone = false;
+
+    if (wasResponding) {
+      this.sendJson(this.openaiWs, { type: 'response.cancel' });
+    }
+    const asked = this.sendJson(this.openaiWs, {
+      type: 'response.create',
+      response: { instructions: WRAP_UP_INSTRUCTIONS[reason] }
+    });
+
+    if (!asked) {
+      this.teardown(reason);
+      return;
+    }
+
+    this.timers.wrapUp = setTimeout(() => this.teardown(reason), this.options.wrapUpGraceMs);
+    this.timers.wrapUp.unref?.();
+  }
+
+  /**
+   * Hang up once the closing line has been generated and played
+   */
+  maybeFinishWrapUp() {
+    if (this.state === BRIDGE_STATES.CLOSING && this.wrapUpResponseDone && this.markQueue.length === 0) {
+      this.teardown(this.wrapUpReason);
+    }
+  }
+
+  /**
+   * The OpenAI socket closed or could not be opened: retry with backoff or end the call
+   */
+  handleOpenAIDrop() {
+    if (this.state === BRIDGE_STATES.CLOSED) return;
+    if (this.state === BRIDGE_STATES.CLOSING) {
+      this.teardown(this.wrapUpReason);
+      return;
+    }
+
+    if (!this.hooks.connect) {
+      this.teardown('openai_closed');
+      return;
+    }
+    if (this.reconnectAttempts >= this.options.maxReconnectAttempts) {
+      console.error(`❌ Giving up on OpenAI for ${this.callSid} after ${this.reconnectAttempts} attempts`);
+      this.teardown('openai_unavailable');
+      return;
+    }
+
+    this.reconnectAttempts++;
+    this.setState(BRIDGE_STATES.RECONNECTING);
+    this.clearTimer('idle');
+
+    // Whatever was half-played belongs to the lost session
+    this.sendJson(this.twilioWs, { event: 'clear', streamSid: this.streamSid });
+    this.markQueue = [];
+    this.responseStartTimestamp = null;
+    this.lastAssistantItemId = null;
+
+    const delay = this.options.reconnectDelayMs * Math.pow(2, this.reconnectAttempts - 1);
+    console.log(`🔁 Reconnecting to OpenAI for ${this.callSid} in ${delay}ms (attempt ${this.reconnectAttempts})`);
+    this.timers.reconnect = setTimeout(() => this.connect(), delay);
+    this.timers.reconnect.unref?.();
+  }
+
+  /**
+   * Clear one timer
+   * @param {string} name - Timer name
+   */
+  clearTimer(name) {
+    if (this.timers[name]) {
+      clearTimeout(this.timers[name]);
+      this.timers[name] = null;
+    }
+  }
+
+  /**
+   * Close both sockets and finish the call (safe to call more than once)
+   * @param {string} reason - Why the call ended
+   */
+  teardown(reason) {
+    if (this.state === BRIDGE_STATES.CLOSED) return;
+
+    this.state = BRIDGE_STATES.CLOSED;
+    this.endReason = reason;
+    Object.keys(this.timers).forEach(name => this.clearTimer(name));
+
+    const openaiWs = this.openaiWs;
+    this.openaiWs = null;
+    if (openaiWs && openaiWs.readyState !== WebSocket.CLOSED) {
+      openaiWs.close();
+    }
+    if (this.twilioWs.readyState === WebSocket.OPEN) {
+      this.twilioWs.close();
+    }
+
+    console.log(`📴 Call ${this.callSid || 'unknown'} bridge closed (${reason})`);
+
+    try {
+      this.hooks.onEnd(reason);
+    } catch (error) {
+      console.error(`Error finishing call ${this.callSid}:`, error);
+    }
+  }
+}
+
+module.exports = MediaBridge;
+module.exports.MediaBridge = MediaBridge;
+module.exports.BRIDGE_STATES = BRIDGE_STATES;
@@ -0,0 +1,153 @@
+/**
+ * Message Dedupe Service
+ * Remembers processed Twilio MessageSids so webhook retries are not handled twice.
+ * Uses Redis when USE_REDIS is set (shared across instances), in-memory otherwise.
+ */
+
+const USE_REDIS = process.env.USE_REDIS === 'true';
+
+// How long a MessageSid is remembered (Twilio retries arrive within minutes)
+const DEDUPE_TTL_SECONDS = parseInt(process.env.MESSAGE_DEDUPE_TTL_SECONDS, 10) || 24 * 60 * 60;
+
+let redisClient = null;
+
+// Initialize Redis if enabled
+if (USE_REDIS) {
+  try {
+    const redis = require('redis');
+    redisClient = redis.createClient({
+      url: process.env.REDIS_URL || 'redis://localhost:6379'
+    });
+
+    redisClient.on('error', (err) => console.error('Redis Client Error (dedupe)', err));
+
+    redisClient.connect();
+  } catch (error) {
+    console.error('Failed to initialize Redis for message dedupe:', error);
+    console.log('Falling back to in-memory dedupe');
+    redisClient = null;
+  }
+}
+
+class MessageDedupeService {
+  constructor() {
+    // MessageSid -> expiry timestamp (ms)
+    this.seen = new Map();
+    this.ttlSeconds = DEDUPE_TTL_SECONDS;
+
+    // Cleanup expired entries every 10 minutes
+    const timer = setInterval(() => this.cleanupExpired(), 10 * 60 * 1000);
+    timer.unref();
+  }
+
+  /**
+   * Claim a message for processing
+   * The first caller for a MessageSid gets true; retries within the TTL get false.
+   * @param {string} messageSid - Twilio MessageSid
+   * @returns {Promise<boolean>} True if this is the first time the message is seen
+   */
+  async claim(messageSid) {
+    if (!messageSid) {
+      return true;
+    }
+
+    if (USE_REDIS && redisClient) {
+      try {
+        // SET NX is atomic, so concurrent retries across instances can't both win
+        const result = await redisClient.set(`sms:processed:${messageSid}`, Date.now().toString(), {
+          NX: true,
+          EX: this.ttlSeconds
+        });
+        return result === 'OK';
+      } catch (error) {
+        console.warn('Redis dedupe check failed, using in-memory:', error.message);
+      }
+    }
+
+    const now = Date.now();
+    const expiresAt = this.seen.get(messageSid);
+    if (expiresAt && expiresAt > now) {
+      return false;
+    }
+
+    this.seen.set(messageSid, now + this.ttlSeconds * 1000);
+    return true;
+  }
+
+  /**
+   * Give up a claim so a retry of the message is processed
+   * Used when handling fails before the message was safely queued.
+   * @param {string} messageSid - Twilio MessageSid
+   * @returns {Promise<void>}
+   */
+  async release(messageSid) {
+    if (!messageSid) {
+      return;
+    }
+
+    if (USE_REDIS && redisClient) {
+      try {
+        await redisClient.del(`sms:processed:${messageSid}`);
+      } catch (error) {
+        console.warn('Redis dedupe release failed:', error.message);
+      }
+    }
+
+    this.seen.delete(messageSid);
+  }
+
+  /**
+   * Check whether a message has already been claimed, without claiming it
+   * @param {string} messageSid - Twilio MessageSid
+   * @returns {Promise<boolean>}
+   */
+  async isDuplicate(messageSid) {
+    if (!messageSid) {
+      return false;
+    }
+
+    if (USE_REDIS && redisClient) {
+      try {
+        return (await redisClient.exists(`sms:processed:${messageSid}`)) === 1;
+      } catch (error) {
+        console.warn('Redis dedupe lookup failed, using in-memory:', error.message);
+      }
+    }
+
+    const expiresAt = this.seen.get(messageSid);
+    return !!expiresAt && expiresAt > Date.now();
+  }
+
+  /**
+   * Remove expired in-memory entries
+   */
+  cleanupExpired() {
+    const now = Date.now();
+    let cleaned = 0;
+
+    for (const [messageSid, expiresAt] of this.seen.entries()) {
+      if (expiresAt <= now) {
+        this.seen.delete(messageSid);
+        cleaned++;
+      }
+    }
+
+    if (cleaned > 0) {
+      console.log(`🧹 Cleaned up ${cleaned} expired MessageSid entries`);
+    }
+  }
+
+  /**
+   * Get stats for debugging
+   */
+  getStats() {
+    return {
+      backend: USE_REDIS && redisClient ? 'redis' : 'memory',
+      ttlSeconds: this.ttlSeconds,
+      trackedInMemory: this.seen.size
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new MessageDedupeService();
@@ -0,0 +1,597 @@
+/**
+ * Message Queue
+ * Lets webhooks acknowledge immediately while a worker does the slow work.
+ *
+ * - Jobs are keyed (phone number); jobs with the same key run one at a time, in order
+ * - Bursts of jobs for the same key can be coalesced into one (debounce window)
+ * - Failed jobs are retried with exponential backoff, then moved to a dead-letter list;
+ *   handlers wrap side effects in runOnce() so a retry doesn't repeat them
+ * - Redis-backed when USE_REDIS is set (shared across instances), in-process otherwise.
+ *   A job taken from Redis is moved to a per-key processing list and only removed once
+ *   it finishes, so jobs in flight when a process dies are requeued (see recover())
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { logEvent } = require('../db/queries');
+
+const USE_REDIS = process.env.USE_REDIS === 'true';
+const QUEUE_PREFIX = 'queue:messages';
+
+const MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const POLL_INTERVAL_MS = 250;
+const LOCK_TTL_MS = 5 * 60 * 1000;
+const DEAD_LETTER_LIMIT = 500;
+const LATENCY_SAMPLE_SIZE = 200;
+
+let redisClient = null;
+
+// Initialize Redis if enabled
+if (USE_REDIS) {
+  try {
+    const redis = require('redis');
+    redisClient = redis.createClient({
+      url: process.env.REDIS_URL || 'redis://localhost:6379'
+    });
+
+    redisClient.on('error', (err) => console.error('Redis Client Error (queue)', err));
+
+    redisClient.connect();
+  } catch (error) {
+    console.error('Failed to initialize Redis for message queue:', error);
+    console.log('Falling back to in-process queue');
+    redisClient = null;
+  }
+}
+
+/**
+ * Percentile of a numeric array
+ * @param {Array<number>} values - Samples
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null}
+ */
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+class MessageQueue {
+  constructor() {
+    this.processors = new Map(); // job type -> { handler, onDeadLetter, coalesce }
+
+    // In-process backend
+    this.pending = new Map(); // key -> [jobs]
+    this.deadLetters = [];
+
+    this.active = new Set(); // keys being drained by this process
+    this.samples = []; // { waitMs, runMs }
+    this.counters = { enqueued: 0, completed: 0, coalesced: 0, retried: 0, deadLettered: 0 };
+
+    this.maxAttempts = MAX_ATTEMPTS;
+    this.retryDelayMs = RETRY_BASE_DELAY_MS;
+    this.pollTimer = null;
+    this.polling = false;
+    this.claimed = new Map(); // job id -> raw entry in the Redis processing list
+  }
+
+  /**
+   * Whether Redis is backing the queue
+   * @returns {boolean}
+   */
+  isRedisBacked() {
+    return USE_REDIS && !!redisClient;
+  }
+
+  /**
+   * Whether a key's jobs are in Redis
+   * Jobs Redis refused at enqueue are held in memory and drained locally.
+   * @param {string} key - Serialization key
+   * @returns {boolean}
+   */
+  inRedis(key) {
+    return this.isRedisBacked() && !this.pending.has(key);
+  }
+
+  /**
+   * Register the processor for a job type
+   * @param {string} type - Job type, e.g. 'sms_inbound'
+   * @param {Function} handler - async (payload, job) => void; throw to retry
+   * @param {Object} options - Processor options
+   * @param {Function} options.onDeadLetter - async (payload, error) => void, called when retries are exhausted
+   * @param {Object} options.coalesce - Merge bursts of jobs for the same key into one
+   * @param {number} options.coalesce.windowMs - Quiet period that ends a burst
+   * @param {number} options.coalesce.maxWaitMs - Longest a burst can hold the first job back
+   * @param {Function} options.coalesce.merge - (payloads) => payload
+   */
+  registerProcessor(type, handler, options = {}) {
+    const coalesce = options.coalesce && options.coalesce.windowMs > 0
+      ? { maxWaitMs: options.coalesce.windowMs * 4, ...options.coalesce }
+      : null;
+
+    this.processors.set(type, {
+      handler,
+      onDeadLetter: options.onDeadLetter || null,
+      coalesce
+    });
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type
+   * @param {string} key - Serialization key (phone number)
+   * @param {Object} payload - JSON-serializable job data
+   * @returns {Promise<Object>} Enqueued job
+   */
+  async enqueue(type, key, payload) {
+    const job = {
+      id: uuidv4(),
+      type,
+      key,
+      payload,
+      attempts: 0,
+      enqueuedAt: Date.now()
+    };
+
+    this.counters.enqueued++;
+
+    if (this.isRedisBacked()) {
+      let stored = false;
+      try {
+        await redisClient.rPush(`${QUEUE_PREFIX}:jobs:${key}`, JSON.stringify(job));
+        stored = true;
+        await redisClient.incr(`${QUEUE_PREFIX}:depth`);
+        await redisClient.rPush(`${QUEUE_PREFIX}:ready`, key);
+      } catch (error) {
+        if (!stored) {
+          console.warn('Redis enqueue failed, using in-process queue:', error.message);
+        } else {
+          // The job is in Redis; queuing it in memory as well would run it twice.
+          // recover() picks the key up if it never made it onto the ready list.
+          console.warn(`Redis enqueue for ${key} was stored but not signalled:`, error.message);
+        }
+      }
+
+      if (stored) {
+        this.start();
+        return job;
+      }
+    }
+
+    const jobs = this.pending.get(key) || [];
+    jobs.push(job);
+    this.pending.set(key, jobs);
+    setImmediate(() => this.drain(key));
+
+    return job;
+  }
+
+  /**
+   * Start polling Redis for ready keys (no-op for the in-process backend)
+   */
+  start() {
+    if (!this.isRedisBacked() || this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    this.recover().catch(error => console.error('❌ Queue recovery failed:', error.message));
+
+    const poll = async () => {
+      try {
+        let key;
+        while ((key = await redisClient.lPop(`${QUEUE_PREFIX}:ready`))) {
+          this.drain(key);
+        }
+      } catch (error) {
+        console.error('❌ Queue poll failed:', error.message);
+      }
+      if (!this.polling) return;
+      this.pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+      this.pollTimer.unref();
+    };
+
+    console.log('📬 Message queue worker started (redis)');
+    poll();
+  }
+
+  /**
+   * Mark every key with queued or unfinished Redis jobs as ready
+   * Run at startup: jobs a dead process had taken are still in its processing
+   * lists, and drain() puts them back at the front of their key's queue once
+   * it holds the key's lock.
+   * @returns {Promise<number>} Keys marked ready
+   */
+  async recover() {
+    if (!this.isRedisBacked()) return 0;
+
+    const keys = new Set();
+    for (const list of ['processing', 'jobs']) {
+      const prefix = `${QUEUE_PREFIX}:${list}:`;
+      for await (const name of redisClient.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+        keys.add(name.slice(prefix.length));
+      }
+    }
+
+    for (const key of keys) {
+      await redisClient.rPush(`${QUEUE_PREFIX}:ready`, key);
+    }
+
+    if (keys.size > 0) {
+      console.log(`📬 Recovered ${keys.size} queue key(s) with pending jobs`);
+    }
+    return keys.size;
+  }
+
+  /**
+   * Move a key's unfinished jobs back to the front of its queue
+   * Only called with the key's lock held, so nothing else is processing them.
+   * @param {string} key - Serialization key
+   * @returns {Promise<number>} Jobs requeued
+   */
+  async requeueProcessing(key) {
+    let count = 0;
+    while (await redisClient.lMove(`${QUEUE_PREFIX}:processing:${key}`, `${QUEUE_PREFIX}:jobs:${key}`, 'RIGHT', 'LEFT')) {
+      count++;
+    }
+
+    if (count > 0) {
+      await redisClient.incrBy(`${QUEUE_PREFIX}:depth`, count);
+      console.warn(`♻️ Requeued ${count} unfinished job(s) for ${key}`);
+    }
+    return count;
+  }
+
+  /**
+   * Stop polling Redis
+   */
+  stop() {
+    this.polling = false;
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Take the next job for a key
+   * In Redis the job moves to the key's processing list until finishJob().
+   * @param {string} key - Serialization key
+   * @returns {Promise<Object|null>}
+   */
+  async nextJob(key) {
+    if (this.inRedis(key)) {
+      const raw = await redisClient.lMove(`${QUEUE_PREFIX}:jobs:${key}`, `${QUEUE_PREFIX}:processing:${key}`, 'LEFT', 'RIGHT');
+      if (!raw) return null;
+      await redisClient.decr(`${QUEUE_PREFIX}:depth`);
+      const job = JSON.parse(raw);
+      this.claimed.set(job.id, raw);
+      return job;
+    }
+
+    const jobs = this.pending.get(key);
+    if (!jobs || jobs.length === 0) {
+      this.pending.delete(key);
+      return null;
+    }
+    return jobs.shift();
+  }
+
+  /**
+   * Remove a finished (completed or dead-lettered) job from the processing list
+   * @param {string} key - Serialization key
+   * @param {Object} job - Job as run, possibly merged from several
+   */
+  async finishJob(key, job) {
+    if (!this.isRedisBacked()) return;
+
+    for (const id of job.coalescedJobIds || [job.id]) {
+      const raw = this.claimed.get(id);
+      if (!raw) continue;
+      await redisClient.lRem(`${QUEUE_PREFIX}:processing:${key}`, 1, raw);
+      this.claimed.delete(id);
+    }
+  }
+
+  /**
+   * Look at the next job for a key without taking it
+   * @param {string} key - Serialization key
+   * @returns {Promise<Object|null>}
+   */
+  async peekJob(key) {
+    if (this.inRedis(key)) {
+      const raw = await redisClient.lIndex(`${QUEUE_PREFIX}:jobs:${key}`, 0);
+      return raw ? JSON.parse(raw) : null;
+    }
+    return (this.pending.get(key) || [])[0] || null;
+  }
+
+  /**
+   * Check whether a key still has queued jobs
+   * @param {string} key - Serialization key
+   * @returns {Promise<boolean>}
+   */
+  async hasPending(key) {
+    if (this.inRedis(key)) {
+      return (await redisClient.lLen(`${QUEUE_PREFIX}:jobs:${key}`)) > 0;
+    }
+    return (this.pending.get(key) || []).length > 0;
+  }
+
+  /**
+   * Process every queued job for a key, one at a time
+   * @param {string} key - Serialization key
+   */
+  async drain(key) {
+    if (this.active.has(key)) {
+      return; // Already draining in this process; new jobs are picked up by that loop
+    }
+    this.active.add(key);
+
+    const lockKey = `${QUEUE_PREFIX}:lock:${key}`;
+    const redis = this.inRedis(key);
+    let locked = true;
+
+    try {
+      if (redis) {
+        // Another instance may be draining the same phone
+        locked = (await redisClient.set(lockKey, process.pid.toString(), { NX: true, PX: LOCK_TTL_MS })) === 'OK';
+        if (!locked) {
+          await redisClient.rPush(`${QUEUE_PREFIX}:ready`, key);
+          return;
+        }
+
+        // Anything still processing under our lock was left by a process that died
+        await this.requeueProcessing(key);
+      }
+
+      let job;
+      while ((job = await this.nextJob(key))) {
+        const processor = this.processors.get(job.type);
+        if (processor?.coalesce) {
+          job = await this.coalesce(key, job, processor.coalesce);
+        }
+        await this.runJob(job);
+        await this.finishJob(key, job);
+      }
+    } catch (error) {
+      console.error(`❌ Queue drain failed for ${key}:`, error.message);
+    } finally {
+      if (redis && locked) {
+        await redisClient.del(lockKey).catch(() => {});
+      }
+      this.active.delete(key);
+    }
+
+    // A job may have arrived between the last pop and releasing the key
+    try {
+      if (locked && await this.hasPending(key)) {
+        if (this.inRedis(key)) {
+          await redisClient.rPush(`${QUEUE_PREFIX}:ready`, key);
+        } else {
+          setImmediate(() => this.drain(key));
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Queue re-check failed for ${key}:`, error.message);
+    }
+  }
+
+  /**
+   * Merge the burst of same-type jobs that follows the first one
+   * Waits until the key has been quiet for windowMs (capped at maxWaitMs from
+   * the first job). Jobs that queued up behind an in-flight run are already
+   * past their window, so they are merged and chained straight away.
+   * @param {string} key - Serialization key
+   * @param {Object} first - Job just taken from the queue
+   * @param {Object} options - { windowMs, maxWaitMs, merge }
+   * @returns {Promise<Object>} The first job, or a merged job
+   */
+  async coalesce(key, first, { windowMs, maxWaitMs, merge }) {
+    const batch = [first];
+    const deadline = first.enqueuedAt + maxWaitMs;
+
+    while (true) {
+      // Take everything that has already arrived
+      let next;
+      while ((next = await this.peekJob(key)) && next.type === first.type) {
+        batch.push(await this.nextJob(key));
+      }
+
+      const quietAt = batch[batch.length - 1].enqueuedAt + windowMs;
+      const now = Date.now();
+      if (now >= quietAt || now >= deadline) {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.min(quietAt, deadline) - now));
+    }
+
+    if (batch.length === 1) {
+      return first;
+    }
+
+    this.counters.coalesced += batch.length - 1;
+    console.log(`🧩 Coalesced ${batch.length} ${first.type} jobs for ${key}`);
+
+    return {
+      ...first,
+      payload: merge(batch.map(job => job.payload)),
+      coalescedJobIds: batch.map(job => job.id)
+    };
+  }
+
+  /**
+   * Run a job with retries
+   * @param {Object} job - Queued job
+   */
+  async runJob(job) {
+    const processor = this.processors.get(job.type);
+    if (!processor) {
+      await this.deadLetter(job, new Error(`No processor registered for ${job.type}`));
+      return;
+    }
+
+    const startedAt = Date.now();
+    const waitMs = startedAt - job.enqueuedAt;
+
+    while (job.attempts < this.maxAttempts) {
+      job.attempts++;
+
+      try {
+        await processor.handler(job.payload, job);
+
+        this.counters.completed++;
+        this.recordSample(waitMs, Date.now() - startedAt);
+        return;
+      } catch (error) {
+        if (job.attempts >= this.maxAttempts) {
+          await this.deadLetter(job, error);
+          return;
+        }
+
+        const delay = this.retryDelayMs * Math.pow(2, job.attempts - 1);
+        this.counters.retried++;
+        console.warn(`⚠️ Job ${job.id} (${job.type}) failed attempt ${job.attempts}/${this.maxAttempts}, retrying in ${delay}ms:`, error.message);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Run one step of a job once across its retries
+   * A retried job runs its handler from the start; steps that finished on an
+   * earlier attempt (a message recorded, a text sent) are skipped. Called
+   * without a job (outside the queue), fn just runs.
+   * @param {Object} job - Job passed to the handler
+   * @param {string} step - Step name, unique within the job
+   * @param {Function} fn - async () => result
+   * @returns {Promise<*>} fn's result, undefined when the step already ran
+   */
+  async runOnce(job, step, fn) {
+    if (!job) return fn();
+
+    job.completedSteps = job.completedSteps || [];
+    if (job.completedSteps.includes(step)) {
+      console.log(`⏭️  Job ${job.id}: ${step} already done on an earlier attempt, skipping`);
+      return undefined;
+    }
+
+    const result = await fn();
+    job.completedSteps.push(step);
+    return result;
+  }
+
+  /**
+   * Move a job to the dead-letter list
+   * @param {Object} job - Failed job
+   * @param {Error} error - Last error
+   */
+  async deadLetter(job, error) {
+    this.counters.deadLettered++;
+    console.error(`💀 Job ${job.id} (${job.type}) dead-lettered after ${job.attempts} attempt(s):`, error.message);
+
+    const entry = {
+      ...job,
+      error: error.message,
+      failedAt: new Date().toISOString()
+    };
+
+    if (this.isRedisBacked()) {
+      try {
+        await redisClient.rPush(`${QUEUE_PREFIX}:dead`, JSON.stringify(entry));
+        await redisClient.lTrim(`${QUEUE_PREFIX}:dead`, -DEAD_LETTER_LIMIT, -1);
+      } catch (redisError) {
+        console.warn('Could not store dead letter in Redis:', redisError.message);
+        this.deadLetters.push(entry);
+      }
+    } else {
+      this.deadLetters.push(entry);
+      if (this.deadLetters.length > DEAD_LETTER_LIMIT) {
+        this.deadLetters.shift();
+      }
+    }
+
+    logEvent('queue_job_dead_lettered', 'message', null, {
+      jobId: job.id,
+      type: job.type,
+      key: job.key,
+      attempts: job.attempts,
+      error: error.message
+    }).catch(err => console.warn('Could not log dead letter:', err.message));
+
+    const processor = this.processors.get(job.type);
+    if (processor?.onDeadLetter) {
+      try {
+        await processor.onDeadLetter(job.payload, error);
+      } catch (hookError) {
+        console.error('❌ Dead-letter handler failed:', hookError.message);
+      }
+    }
+  }
+
+  /**
+   * Get dead-lettered jobs
+   * @param {number} limit - Max entries, newest last
+   * @returns {Promise<Array<Object>>}
+   */
+  async getDeadLetters(limit = 50) {
+    if (this.isRedisBacked()) {
+      const raw = await redisClient.lRange(`${QUEUE_PREFIX}:dead`, -limit, -1);
+      return raw.map(item => JSON.parse(item));
+    }
+    return this.deadLetters.slice(-limit);
+  }
+
+  /**
+   * Record a latency sample
+   * @param {number} waitMs - Time spent queued
+   * @param {number} runMs - Time spent processing (including retries)
+   */
+  recordSample(waitMs, runMs) {
+    this.samples.push({ waitMs, runMs });
+    if (this.samples.length > LATENCY_SAMPLE_SIZE) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * Get queue depth and latency stats
+   * @returns {Promise<Object>}
+   */
+  async getStats() {
+    let depth;
+    let deadLetterCount;
+
+    if (this.isRedisBacked()) {
+      depth = parseInt(await redisClient.get(`${QUEUE_PREFIX}:depth`), 10) || 0;
+      deadLetterCount = await redisClient.lLen(`${QUEUE_PREFIX}:dead`);
+    } else {
+      depth = Array.from(this.pending.values()).reduce((sum, jobs) => sum + jobs.length, 0);
+      deadLetterCount = this.deadLetters.length;
+    }
+
+    const waits = this.samples.map(s => s.waitMs);
+    const runs = this.samples.map(s => s.runMs);
+    const average = (values) => values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null;
+
+    return {
+      backend: this.isRedisBacked() ? 'redis' : 'memory',
+      depth,
+      inFlight: this.active.size,
+      deadLetters: deadLetterCount,
+      ...this.counters,
+      latencyMs: {
+        samples: this.samples.length,
+        waitAvg: average(waits),
+        waitP95: percentile(waits, 95),
+        runAvg: average(runs),
+        runP95: percentile(runs, 95)
+      }
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new MessageQueue();
+module.exports.MessageQueue = MessageQueue;
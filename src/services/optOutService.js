@@ -0,0 +1,167 @@
+/**
+ * Opt-Out Service
+ * SMS compliance keywords (STOP/START/HELP) and the opt-out registry.
+ * Status is persisted in sms_opt_outs and cached in memory; without a
+ * database the in-memory cache is the registry.
+ */
+
+const db = require('../db');
+const { logEvent } = require('../db/queries');
+const { normalizePhone } = require('./userProfileService');
+
+// Standard carrier keywords (whole-message, case-insensitive)
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP', 'YES'];
+const HELP_KEYWORDS = ['HELP', 'INFO'];
+
+const BRAND = 'Otherwhere';
+
+const COMPLIANCE_MESSAGES = {
+  STOP: `${BRAND}: You're unsubscribed and will not receive any more messages. Reply START to resubscribe.`,
+  START: `${BRAND}: You're resubscribed! Text us where you want to go anytime. Msg & data rates may apply. Reply HELP for help, STOP to opt out.`,
+  HELP: `${BRAND}: AI travel concierge - text where you want to go. Cmds: MY TRIPS, PREFS, STATUS <ref>, UNDO. Msg & data rates may apply. Reply STOP to opt out.`
+};
+
+// phone -> boolean (true = opted out)
+const statusCache = new Map();
+
+/**
+ * Classify a message as a compliance keyword
+ * YES only counts as opt-in for numbers that are currently opted out, since
+ * it is also an everyday conversational reply.
+ * @param {string} message - Inbound message body
+ * @param {boolean} isOptedOut - Current opt-out status of the sender
+ * @returns {string|null} 'STOP' | 'START' | 'HELP' | null
+ */
+function detectKeyword(message, isOptedOut = false) {
+  if (!message) return null;
+
+  const normalized = message.trim().toUpperCase().replace(/[.!]+$/, '');
+
+  if (OPT_OUT_KEYWORDS.includes(normalized)) return 'STOP';
+  if (HELP_KEYWORDS.includes(normalized)) return 'HELP';
+  if (OPT_IN_KEYWORDS.includes(normalized)) {
+    if (normalized === 'YES' && !isOptedOut) return null;
+    return 'START';
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a number has opted out of SMS
+ * @param {string} phoneNumber - Phone number
+ * @returns {Promise<boolean>}
+ */
+async function isOptedOut(phoneNumber) {
+  const phone = normalizePhone(phoneNumber);
+  if (!phone) return false;
+
+  if (statusCache.has(phone)) {
+    return statusCache.get(phone);
+  }
+
+  if (!db.isConfigured) {
+    return false;
+  }
+
+  const result = await db.query(
+    'SELECT opted_out FROM sms_opt_outs WHERE phone_number = $1',
+    [phone]
+  );
+
+  const optedOut = !!result.rows[0]?.opted_out;
+  statusCache.set(phone, optedOut);
+  return optedOut;
+}
+
+/**
+ * Persist a status change and record it in event_logs
+ * @param {string} phone - Normalized phone number
+ * @param {boolean} optedOut - New status
+ * @param {string} keyword - Keyword (or source) that triggered the change
+ * @returns {Promise<Object|null>} Registry row (null without a database)
+ */
+async function setStatus(phone, optedOut, keyword) {
+  statusCache.set(phone, optedOut);
+
+  let row = null;
+  if (db.isConfigured) {
+    const result = await db.query(
+      `INSERT INTO sms_opt_outs (phone_number, opted_out, keyword, opted_out_at, opted_in_at)
+       VALUES ($1, $2, $3, CASE WHEN $2 THEN NOW() END, CASE WHEN $2 THEN NULL ELSE NOW() END)
+       ON CONFLICT (phone_number) DO UPDATE SET
+         opted_out = EXCLUDED.opted_out,
+         keyword = EXCLUDED.keyword,
+         opted_out_at = COALESCE(EXCLUDED.opted_out_at, sms_opt_outs.opted_out_at),
+         opted_in_at = COALESCE(EXCLUDED.opted_in_at, sms_opt_outs.opted_in_at),
+         updated_at = NOW()
+       RETURNING *`,
+      [phone, optedOut, keyword]
+    );
+    row = result.rows[0];
+  }
+
+  await logEvent(optedOut ? 'sms_opt_out' : 'sms_opt_in', 'phone', null, {
+    phoneNumber: phone,
+    keyword
+  }).catch(err => console.warn('Could not log opt-out event:', err.message));
+
+  console.log(`${optedOut ? '🔕' : '🔔'} ${phone} opted ${optedOut ? 'out' : 'in'} (${keyword})`);
+  return row;
+}
+
+/**
+ * Opt a number out of all SMS
+ * @param {string} phoneNumber - Phone number
+ * @param {string} keyword - Keyword received (e.g. 'STOP')
+ * @returns {Promise<Object|null>}
+ */
+async function optOut(phoneNumber, keyword = 'STOP') {
+  return setStatus(normalizePhone(phoneNumber), true, keyword);
+}
+
+/**
+ * Opt a number back in
+ * @param {string} phoneNumber - Phone number
+ * @param {string} keyword - Keyword received (e.g. 'START')
+ * @returns {Promise<Object|null>}
+ */
+async function optIn(phoneNumber, keyword = 'START') {
+  return setStatus(normalizePhone(phoneNumber), false, keyword);
+}
+
+/**
+ * Handle an inbound compliance keyword
+ * @param {string} phoneNumber - Sender
+ * @param {string} message - Inbound message body
+ * @returns {Promise<Object>} { keyword, reply } - keyword is null when the message isn't one
+ */
+async function handleKeyword(phoneNumber, message) {
+  const optedOut = await isOptedOut(phoneNumber);
+  const keyword = detectKeyword(message, optedOut);
+
+  if (keyword === 'STOP') {
+    await optOut(phoneNumber, message.trim().toUpperCase());
+  } else if (keyword === 'START') {
+    await optIn(phoneNumber, message.trim().toUpperCase());
+  }
+
+  return {
+    keyword,
+    reply: keyword ? COMPLIANCE_MESSAGES[keyword] : null,
+    optedOut: keyword === 'STOP' || (optedOut && keyword !== 'START')
+  };
+}
+
+module.exports = {
+  detectKeyword,
+  isOptedOut,
+  optOut,
+  optIn,
+  handleKeyword,
+  COMPLIANCE_MESSAGES,
+  OPT_OUT_KEYWORDS,
+  OPT_IN_KEYWORDS,
+  HELP_KEYWORDS
+};
@@ -0,0 +1,293 @@
+/**
+ * Prompt Registry
+ *
+ * System prompts live in src/prompts as versioned templates:
+ *   { description, defaultVersion, versions: { v1: `... {{variable}} ...` } }
+ * A version that has run in production is never edited - add v2 instead, so
+ * the turns and bookings recorded against v1 keep meaning what they meant.
+ *
+ * PROMPT_<NAME> (e.g. PROMPT_ASSISTANT, PROMPT_PREFERENCE_EXTRACTION) picks the
+ * version: "v2" pins it, "v1:80,v2:20" splits users between variants. Users
+ * are bucketed by a hash of their phone number, so they keep their variant
+ * across turns and restarts as long as the split doesn't change.
+ *
+ * Each assistant reply carries the id of the prompt that produced it
+ * ("assistant@v3") on its conversation-history entry. recordTurn() writes a
+ * prompt_turn row to event_logs for every reply and bumps the per-user,
+ * per-version turn count in prompt_assignments. A booking is stamped with the
+ * versions its user was last on (getAttribution), so getReport() compares
+ * conversion per variant by user, not by the individual reply.
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+const { normalizePhone } = require('./userProfileService');
+const { logEvent } = require('../db/queries');
+
+const PROMPTS = {
+  assistant: require('../prompts/assistant'),
+  concierge: require('../prompts/concierge'),
+  recommendations: require('../prompts/recommendations'),
+  preferenceExtraction: require('../prompts/preferenceExtraction')
+};
+
+// phone -> { promptName: { version, turns, lastSeenAt } } (no-database fallback)
+const storedAssignments = new Map();
+
+/**
+ * Environment variable that configures a prompt
+ * @param {string} name - Prompt name, e.g. "preferenceExtraction"
+ * @returns {string} e.g. "PROMPT_PREFERENCE_EXTRACTION"
+ */
+function envName(name) {
+  return `PROMPT_${name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}`;
+}
+
+/**
+ * Bucket 0-9999 for a prompt and user
+ * @param {string} name - Prompt name
+ * @param {string} key - User key (phone number)
+ * @returns {number}
+ */
+function bucket(name, key) {
+  const hash = crypto.createHash('sha256').update(`${name}:${key}`).digest();
+  return hash.readUInt32BE(0) % 10000;
+}
+
+class PromptRegistry {
+  constructor() {
+    this.prompts = {};
+    for (const [name, definition] of Object.entries(PROMPTS)) {
+      this.register(name, definition);
+    }
+  }
+
+  /**
+   * Add (or replace) a prompt
+   * @param {string} name - Prompt name
+   * @param {Object} definition - { description, defaultVersion, versions }
+   */
+  register(name, definition) {
+    if (!definition.versions || !definition.versions[definition.defaultVersion]) {
+      throw new Error(`Prompt ${name} has no default version "${definition.defaultVersion}"`);
+    }
+    this.prompts[name] = definition;
+  }
+
+  /**
+   * Get a registered prompt
+   * @param {string} name - Prompt name
+   * @returns {Object} Definition
+   */
+  getPrompt(name) {
+    const prompt = this.prompts[name];
+    if (!prompt) throw new Error(`Unknown prompt: ${name}`);
+    return prompt;
+  }
+
+  /**
+   * How users are split between versions
+   * An unset or invalid PROMPT_<NAME> serves the default version to everyone.
+   * @param {string} name - Prompt name
+   * @returns {Array<Object>} [{ version, weight }]
+   */
+  getSplit(name) {
+    const prompt = this.getPrompt(name);
+    const setting = process.env[envName(name)];
+    if (!setting) return [{ version: prompt.defaultVersion, weight: 100 }];
+
+    const split = setting.split(',').map(part => {
+      const [version, weight] = part.trim().split(':');
+      return { version, weight: weight === undefined ? 100 : Number(weight) };
+    });
+
+    const valid = split.every(({ version, weight }) => prompt.versions[version] && weight >= 0) &&
+      split.some(({ weight }) => weight > 0);
+    if (!valid) {
+      console.warn(`⚠️ Ignoring ${envName(name)}="${setting}" - unknown version or bad weights`);
+      return [{ version: prompt.defaultVersion, weight: 100 }];
+    }
+
+    return split;
+  }
+
+  /**
+   * Pick the version a user gets
+   * Without a user (one-off extraction calls), the highest-weighted version.
+   * @param {string} name - Prompt name
+   * @param {string} phoneNumber - User's phone number
+   * @returns {string} Version
+   */
+  assign(name, phoneNumber = null) {
+    const split = this.getSplit(name);
+    const phone = normalizePhone(phoneNumber);
+
+    if (split.length === 1 || !phone) {
+      return split.reduce((best, entry) => (entry.weight > best.weight ? entry : best)).version;
+    }
+
+    const total = split.reduce((sum, entry) => sum + entry.weight, 0);
+    let point = (bucket(name, phone) / 10000) * total;
+    for (const entry of split) {
+      if (point < entry.weight) return entry.version;
+      point -= entry.weight;
+    }
+    return split[split.length - 1].version;
+  }
+
+  /**
+   * Render a prompt for a user
+   * @param {string} name - Prompt name
+   * @param {Object} variables - Values for {{variable}} placeholders
+   * @param {Object} options - Options
+   * @param {string} options.phoneNumber - User, for A/B assignment
+   * @param {string} options.version - Force a version (skips assignment)
+   * @returns {Object} { name, version, id: "name@version", text }
+   */
+  render(name, variables = {}, { phoneNumber = null, version = null } = {}) {
+    const prompt = this.getPrompt(name);
+    const chosen = version || this.assign(name, phoneNumber);
+    const template = prompt.versions[chosen];
+    if (template === undefined) throw new Error(`Unknown prompt version: ${name}@${chosen}`);
+
+    const text = template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) => {
+      if (variables[key] === undefined || variables[key] === null) {
+        throw new Error(`Prompt ${name}@${chosen} needs variable "${key}"`);
+      }
+      return String(variables[key]);
+    });
+
+    return { name, version: chosen, id: `${name}@${chosen}`, text };
+  }
+
+  /**
+   * Record that a reply was produced with a prompt version: one prompt_turn
+   * event per reply, plus the user's turn count for that version.
+   * Best-effort: a failure is logged, never thrown.
+   * @param {string} phoneNumber - User's phone number
+   * @param {Object} prompt - { name, version } from render()
+   * @returns {Promise<void>}
+   */
+  async recordTurn(phoneNumber, prompt) {
+    const phone = normalizePhone(phoneNumber);
+    if (!phone || !prompt) return;
+
+    try {
+      if (!db.isConfigured) {
+        const assignments = storedAssignments.get(phone) || {};
+        const current = assignments[prompt.name];
+        assignments[prompt.name] = {
+          version: prompt.version,
+          turns: current && current.version === prompt.version ? current.turns + 1 : 1,
+          lastSeenAt: new Date().toISOString()
+        };
+        storedAssignments.set(phone, assignments);
+        return;
+      }
+
+      await db.query(
+        `INSERT INTO prompt_assignments (phone_number, prompt_name, version, turns)
+         VALUES ($1, $2, $3, 1)
+         ON CONFLICT (phone_number, prompt_name, version)
+         DO UPDATE SET turns = prompt_assignments.turns + 1, last_seen_at = NOW()`,
+        [phone, prompt.name, prompt.version]
+      );
+      await logEvent('prompt_turn', 'phone', null, {
+        phoneNumber: phone,
+        prompt: `${prompt.name}@${prompt.version}`,
+        name: prompt.name,
+        version: prompt.version
+      });
+    } catch (error) {
+      console.warn(`Could not record prompt ${prompt.name}@${prompt.version}:`, error.message);
+    }
+  }
+
+  /**
+   * Prompt versions a user's conversation most recently ran on
+   * @param {string} phoneNumber - User's phone number
+   * @returns {Promise<Object>} { promptName: version }, {} when none are known
+   */
+  async getAttribution(phoneNumber) {
+    const phone = normalizePhone(phoneNumber);
+    if (!phone) return {};
+
+    if (!db.isConfigured) {
+      const assignments = storedAssignments.get(phone) || {};
+      return Object.fromEntries(Object.entries(assignments).map(([name, { version }]) => [name, version]));
+    }
+
+    const result = await db.query(
+      `SELECT DISTINCT ON (prompt_name) prompt_name, version
+       FROM prompt_assignments
+       WHERE phone_number = $1
+       ORDER BY prompt_name, last_seen_at DESC`,
+      [phone]
+    );
+    return Object.fromEntries(result.rows.map(row => [row.prompt_name, row.version]));
+  }
+
+  /**
+   * Compare prompt versions: users, replies and confirmed bookings per version
+   * Bookings are only stored with a database, so without one they are 0.
+   * @returns {Promise<Array<Object>>} [{ name, description, split, versions: [{ version, users, turns, bookings, conversionRate }] }]
+   */
+  async getReport() {
+    const usage = {}; // "name@version" -> { users, turns, bookings }
+    const entry = (name, version) => {
+      usage[`${name}@${version}`] = usage[`${name}@${version}`] || { users: 0, turns: 0, bookings: 0 };
+      return usage[`${name}@${version}`];
+    };
+
+    if (!db.isConfigured) {
+      for (const assignments of storedAssignments.values()) {
+        for (const [name, { version, turns }] of Object.entries(assignments)) {
+          const stats = entry(name, version);
+          stats.users++;
+          stats.turns += turns;
+        }
+      }
+    } else {
+      const [assignments, bookings] = await Promise.all([
+        db.query(
+          `SELECT prompt_name, version, COUNT(*) AS users, SUM(turns) AS turns
+           FROM prompt_assignments
+           GROUP BY prompt_name, version`
+        ),
+        db.query(
+          `SELECT versions.key AS prompt_name, versions.value AS version, COUNT(*) AS bookings
+           FROM bookings, jsonb_each_text(bookings.prompt_versions) AS versions
+           WHERE bookings.status = 'confirmed'
+           GROUP BY versions.key, versions.value`
+        )
+      ]);
+
+      for (const row of assignments.rows) {
+        const stats = entry(row.prompt_name, row.version);
+        stats.users = parseInt(row.users, 10);
+        stats.turns = parseInt(row.turns, 10);
+      }
+      for (const row of bookings.rows) {
+        entry(row.prompt_name, row.version).bookings = parseInt(row.bookings, 10);
+      }
+    }
+
+    return Object.entries(this.prompts).map(([name, prompt]) => ({
+      name,
+      description: prompt.description,
+      split: this.getSplit(name),
+      versions: Object.keys(prompt.versions).map(version => {
+        const stats = usage[`${name}@${version}`] || { users: 0, turns: 0, bookings: 0 };
+        return {
+          version,
+          ...stats,
+          conversionRate: stats.users > 0 ? Math.round((stats.bookings / stats.users) * 10000) / 10000 : null
+        };
+      })
+    }));
+  }
+}
+
+module.exports = new PromptRegistry();
+module.exports.PromptRegistry = PromptRegistry;
+module.exports.envName = envName;
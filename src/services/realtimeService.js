@@ -1,51 +1,47 @@
-const axios = require('axios');
 const WebSocket = require('ws');
-const twilioService = require('./twilioService');
-const googleFlightsService = require('./googleFlightsService');
+const llmProviderService = require('./llmProviderService');
+const toolRegistry = require('./toolRegistry');
+const callTranscriptService = require('./callTranscriptService');
+const callbackService = require('./callbackService');
+const callerContextService = require('./callerContextService');
+const MediaBridge = require('./mediaBridge');
+const tools = require('../tools');
+
+toolRegistry.registerAll(tools);
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const OPENAI_PROMPT_ID = process.env.OPENAI_PROMPT_ID || 'pmpt_6908682a4f608190bf9ccc7211db3dcb0f52166b142036f3';
 
+// Told to the model when a dropped OpenAI socket is replaced mid-call
+const RECONNECTED_NOTE = 'The call audio dropped briefly and you were reconnected. Do not greet the caller again; ' +
+  'if you were mid-answer, briefly say you got cut off and ask them to repeat their last request.';
+
+// Transcript turns replayed into the new session after a reconnect
+const RECONNECT_REPLAY_TURNS = 10;
+
 class RealtimeService {
   /**
    * Create a new OpenAI Realtime session with prompt
    * @returns {Promise<Object>} Session data with client_secret
    */
   async createRealtimeSession() {
-    if (!OPENAI_API_KEY) {
+    if (!llmProviderService.isConfigured('realtime')) {
       throw new Error('OpenAI API key not configured');
     }
 
     try {
       console.log(`🎙️ Creating OpenAI Realtime session with prompt ${OPENAI_PROMPT_ID}`);
 
-      const response = await axios.post(
-        'https://api.openai.com/v1/realtime/sessions',
-        {
-          model: 'gpt-realtime',
-          voice: 'verse',
-          prompt: {
-            id: OPENAI_PROMPT_ID,
-            version: '1'
-          }
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${OPENAI_API_KEY}`,
-            'OpenAI-Beta': 'realtime=v1'
-          }
+      const session = await llmProviderService.createRealtimeSession({
+        model: 'gpt-realtime',
+        voice: 'verse',
+        prompt: {
+          id: OPENAI_PROMPT_ID,
+          version: '1'
         }
-      );
+      });
 
-      console.log(`✅ Realtime session created: ${response.data.id}`);
-
-      return {
-        id: response.data.id,
-        client_secret: response.data.client_secret.value,
-        expires_at: response.data.expires_at,
-        model: response.data.model
-      };
+      console.log(`✅ Realtime session created: ${session.id}`);
+      return session;
 
     } catch (error) {
       console.error('Failed to create Realtime session:', error.response?.data || error.message);
@@ -54,270 +50,281 @@ class RealtimeService {
   }
 
   /**
-   * Handle WebSocket connection between Twilio and OpenAI Realtime API
-   * @param {WebSocket} twilioWs - Twilio WebSocket connection
+   * Open a WebSocket to the OpenAI Realtime API (new session each time)
+   * @returns {Promise<WebSocket>} Socket, still connecting
    */
-  async handleMediaStream(twilioWs) {
-    let callSid = null;
-    let from = null;
-    let streamSid = null;
-    let openaiWs = null;
-
-    // Handle messages from Twilio
-    twilioWs.on('message', async (message) => {
-      try {
-        const msg = JSON.parse(message);
-
-        if (msg.event === 'start') {
-          streamSid = msg.start.streamSid;
-          callSid = msg.start.callSid;
-          from = msg.start.customParameters?.from || msg.start.customParameters?.From;
-
-          console.log(`📞 Twilio stream started: ${streamSid} from ${from}`);
-
-          // Create OpenAI Realtime session
-          const session = await this.createRealtimeSession();
-          console.log(`🔌 Connecting to OpenAI Realtime API for call ${callSid}`);
-
-          // Connect to OpenAI Realtime API via WebSocket
-          openaiWs = new WebSocket(
-            'wss://api.openai.com/v1/realtime',
-            {
-              headers: {
-                'Authorization': `Bearer ${session.client_secret}`,
-                'OpenAI-Beta': 'realtime=v1'
-              }
-            }
-          );
-
-          // Set up OpenAI WebSocket handlers
-          this.setupOpenAIHandlers(openaiWs, twilioWs, streamSid, from, callSid);
+  async connectOpenAI() {
+    const session = await this.createRealtimeSession();
+
+    return new WebSocket(
+      'wss://api.openai.com/v1/realtime',
+      {
+        headers: {
+          'Authorization': `Bearer ${session.client_secret}`,
+          'OpenAI-Beta': 'realtime=v1'
         }
+      }
+    );
+  }
 
-        if (msg.event === 'media' && openaiWs && openaiWs.readyState === WebSocket.OPEN) {
-          // Forward audio to OpenAI
-          openaiWs.send(JSON.stringify({
-            type: 'input_audio_buffer.append',
-            audio: msg.media.payload
-          }));
+  /**
+   * Bridge a Twilio media stream to OpenAI Realtime
+   * The MediaBridge owns the call lifecycle (barge-in, idle reprompts, max
+   * duration, reconnects); this service configures the session and handles
+   * transcripts and tool calls.
+   * @param {WebSocket} twilioWs - Twilio WebSocket connection
+   * @param {Object} options - MediaBridge timing overrides; options.connect replaces connectOpenAI (tests)
+   * @returns {MediaBridge}
+   */
+  handleMediaStream(twilioWs, options = {}) {
+    let seedContext = null;
+
+    const bridge = new MediaBridge(twilioWs, {
+      ...options,
+      connect: options.connect || (() => this.connectOpenAI()),
+
+      onStart: async ({ callSid, from, customParameters }) => {
+        const seeds = [];
+
+        // Scheduled callbacks start from what the user was planning
+        if (customParameters.callbackId) {
+          try {
+            const callback = await callbackService.getCallback(customParameters.callbackId);
+            if (callback) seeds.push(callbackService.describeCallContext(callback));
+          } catch (callbackErr) {
+            console.warn(`Could not load callback ${customParameters.callbackId}:`, callbackErr.message);
+          }
         }
 
-        if (msg.event === 'stop') {
-          console.log(`📴 Twilio stream stopped: ${streamSid}`);
-          if (openaiWs) {
-            openaiWs.close();
-          }
+        // Who the caller is, so they're greeted by name (the rest waits for verify_caller)
+        try {
+          const callerContext = await callerContextService.buildCallerContext(from);
+          const description = callerContextService.describeCallerContext(callerContext);
+          if (description) seeds.push(description);
+        } catch (contextErr) {
+          console.warn(`Could not build caller context for ${from}:`, contextErr.message);
         }
 
-      } catch (error) {
-        console.error('Error processing Twilio message:', error);
-      }
-    });
+        seedContext = seeds.length > 0 ? seeds.join('\n\n') : null;
 
-    // Handle WebSocket closures
-    twilioWs.on('close', () => {
-      console.log(`📴 Twilio WebSocket closed for ${callSid || 'unknown'}`);
-      if (openaiWs && openaiWs.readyState === WebSocket.OPEN) {
-        openaiWs.close();
-      }
-    });
+        callTranscriptService.startCall({ callSid, phoneNumber: from, channel: 'realtime' });
+        console.log(`🔌 Connecting to OpenAI Realtime API for call ${callSid}`);
+      },
 
-    twilioWs.on('error', (error) => {
-      console.error('Twilio WebSocket error:', error);
-      if (openaiWs && openaiWs.readyState === WebSocket.OPEN) {
-        openaiWs.close();
-      }
+      onOpen: (openaiWs, { reconnected }) => this.configureSession(openaiWs, {
+        seedContext,
+        reconnected,
+        turns: reconnected ? callTranscriptService.getActiveCall(bridge.callSid)?.turns : null
+      }),
+      onEvent: (event, openaiWs) => this.handleOpenAIEvent(openaiWs, event, bridge.from, bridge.callSid),
+      onEnd: (reason) => this.finishCall(bridge.callSid, reason)
     });
+
+    return bridge;
   }
 
   /**
-   * Set up OpenAI WebSocket event handlers
+   * Bridge an OpenAI socket that is already connected (no reconnection)
    * @param {WebSocket} openaiWs - OpenAI WebSocket
    * @param {WebSocket} twilioWs - Twilio WebSocket
    * @param {string} streamSid - Stream SID
    * @param {string} from - Phone number
    * @param {string} callSid - Call SID
+   * @param {Object} options - Options
+   * @param {string} options.seedContext - Context given to the model before it speaks (scheduled callbacks)
+   * @returns {MediaBridge}
    */
-  setupOpenAIHandlers(openaiWs, twilioWs, streamSid, from, callSid) {
-    let conversationMessages = [];
+  setupOpenAIHandlers(openaiWs, twilioWs, streamSid, from, callSid, { seedContext = null } = {}) {
+    callTranscriptService.startCall({ callSid, phoneNumber: from, channel: 'realtime' });
 
-    // OpenAI WebSocket opened
-    openaiWs.on('open', () => {
-      console.log(`✅ Connected to OpenAI Realtime API`);
+    const bridge = new MediaBridge(twilioWs, {
+      onOpen: (ws, { reconnected }) => this.configureSession(ws, { seedContext, reconnected }),
+      onEvent: (event, ws) => this.handleOpenAIEvent(ws, event, from, callSid),
+      onEnd: (reason) => this.finishCall(callSid, reason)
+    });
+    bridge.streamSid = streamSid;
+    bridge.callSid = callSid;
+    bridge.from = from;
+    bridge.startCallTimer();
+    bridge.attach(openaiWs);
+
+    return bridge;
+  }
+
+  /**
+   * Configure a freshly opened OpenAI session
+   * @param {WebSocket} openaiWs - OpenAI WebSocket
+   * @param {Object} options - Options
+   * @param {string} options.seedContext - Context given to the model before it speaks (caller profile, callback topic)
+   * @param {boolean} options.reconnected - Replacing a dropped socket mid-call
+   * @param {Array<Object>} options.turns - Transcript so far, replayed after a reconnect
+   */
+  configureSession(openaiWs, { seedContext = null, reconnected = false, turns = null } = {}) {
+    // When using a prompt, don't override with session.update
+    // The prompt already contains voice, instructions, etc.
+    // Just set audio formats for Twilio compatibility, plus the shared
+    // tool set so callers get the same tools as on ElevenLabs.
+    // Per-caller instructions (seedContext) go in as a system message instead,
+    // which adds to the prompt's instructions rather than replacing them.
+    openaiWs.send(JSON.stringify({
+      type: 'session.update',
+      session: {
+        input_audio_format: 'g711_ulaw',
+        output_audio_format: 'g711_ulaw',
+        tools: toolRegistry.getDefinitions(),
+        tool_choice: 'auto'
+      }
+    }));
 
-      // When using a prompt, don't override with session.update
-      // The prompt already contains voice, instructions, etc.
-      // Just set audio formats for Twilio compatibility
+    if (seedContext) {
       openaiWs.send(JSON.stringify({
-        type: 'session.update',
-        session: {
-          input_audio_format: 'g711_ulaw',
-          output_audio_format: 'g711_ulaw'
+        type: 'conversation.item.create',
+        item: {
+          type: 'message',
+          role: 'system',
+          content: [{ type: 'input_text', text: seedContext }]
         }
       }));
+    }
 
-      // Trigger auto-greeting by creating a response
-      // This makes the AI speak first when the call connects
-      setTimeout(() => {
-        openaiWs.send(JSON.stringify({
-          type: 'response.create'
-        }));
-        console.log('🎤 Triggered AI greeting');
-      }, 500);
-    });
-
-    // Handle messages from OpenAI
-    openaiWs.on('message', (data) => {
-      try {
-        const event = JSON.parse(data.toString());
-
-        // Log important events
-        if (event.type === 'session.created') {
-          console.log(`🎯 OpenAI session created: ${event.session.id}`);
+    if (reconnected) {
+      // The new session has no memory of the call; replay it and don't greet again
+      const recent = (turns || []).slice(-RECONNECT_REPLAY_TURNS)
+        .map(turn => `${turn.role === 'user' ? 'Caller' : 'You'}: ${turn.content}`);
+      openaiWs.send(JSON.stringify({
+        type: 'conversation.item.create',
+        item: {
+          type: 'message',
+          role: 'system',
+          content: [{
+            type: 'input_text',
+            text: recent.length > 0 ? `${RECONNECTED_NOTE}\nConversation so far:\n${recent.join('\n')}` : RECONNECTED_NOTE
+          }]
         }
+      }));
+      return;
+    }
 
-        if (event.type === 'session.updated') {
-          console.log(`🔄 OpenAI session updated`);
-        }
+    // Trigger auto-greeting by creating a response
+    // This makes the AI speak first when the call connects
+    setTimeout(() => {
+      if (openaiWs.readyState !== WebSocket.OPEN) return;
+      openaiWs.send(JSON.stringify({
+        type: 'response.create'
+      }));
+      console.log('🎤 Triggered AI greeting');
+    }, 500);
+  }
 
-        if (event.type === 'conversation.item.created') {
-          console.log(`💬 Conversation item: ${event.item.type}`);
-        }
+  /**
+   * Handle an event from OpenAI (audio forwarding is done by the bridge)
+   * @param {WebSocket} openaiWs - OpenAI WebSocket
+   * @param {Object} event - Realtime event
+   * @param {string} from - Caller phone number
+   * @param {string} callSid - Call SID
+   */
+  handleOpenAIEvent(openaiWs, event, from, callSid) {
+    // Log important events
+    if (event.type === 'session.created') {
+      console.log(`🎯 OpenAI session created: ${event.session.id}`);
+    }
 
-        // Capture transcript for trip extraction
-        if (event.type === 'response.audio_transcript.done') {
-          console.log(`🤖 Assistant: ${event.transcript}`);
-          conversationMessages.push({
-            role: 'assistant',
-            content: event.transcript
-          });
-        }
+    if (event.type === 'session.updated') {
+      console.log(`🔄 OpenAI session updated`);
+    }
 
-        if (event.type === 'conversation.item.input_audio_transcription.completed') {
-          console.log(`👤 User: ${event.transcript}`);
-          conversationMessages.push({
-            role: 'user',
-            content: event.transcript
-          });
-        }
+    if (event.type === 'conversation.item.created') {
+      console.log(`💬 Conversation item: ${event.item.type}`);
+    }
 
-        // Forward audio to Twilio
-        if (event.type === 'response.audio.delta' && streamSid) {
-          const audioData = {
-            event: 'media',
-            streamSid: streamSid,
-            media: {
-              payload: event.delta
-            }
-          };
-          twilioWs.send(JSON.stringify(audioData));
-        }
+    // Record the transcript; it is summarized into the session at hangup
+    if (event.type === 'response.audio_transcript.done') {
+      console.log(`🤖 Assistant: ${event.transcript}`);
+      callTranscriptService.addTurn(callSid, 'assistant', event.transcript);
+    }
 
-        // Handle function calls for trip search
-        if (event.type === 'response.function_call_arguments.done') {
-          console.log(`🔧 Function call: ${event.name}`);
-          if (event.name === 'search_trips') {
-            try {
-              const args = JSON.parse(event.arguments);
-              const tripDetails = {
-                destination: args.destination,
-                origin: args.origin || 'LAX',
-                startDate: args.check_in,
-                endDate: args.check_out,
-                travelers: args.travelers || 1,
-                budget: args.budget_usd ? {
-                  amount: args.budget_usd,
-                  currency: 'USD'
-                } : null
-              };
-
-              // Search flights directly and send SMS using Google Flights API
-              console.log(`🛫 Searching flights for ${from}...`);
-
-              // Async function to handle the flight search
-              (async () => {
-                try {
-                  // Step 1: Resolve airport codes
-                  const [originAirports, destAirports] = await Promise.all([
-                    googleFlightsService.searchAirport(tripDetails.origin),
-                    googleFlightsService.searchAirport(tripDetails.destination)
-                  ]);
-
-                  if (!originAirports || originAirports.length === 0) {
-                    throw new Error(`Could not find airport for: ${tripDetails.origin}`);
-                  }
-
-                  if (!destAirports || destAirports.length === 0) {
-                    throw new Error(`Could not find airport for: ${tripDetails.destination}`);
-                  }
-
-                  const originCode = originAirports[0].code;
-                  const destCode = destAirports[0].code;
-
-                  console.log(`[GoogleFlights] Resolved: ${originCode} → ${destCode}`);
-
-                  // Step 2: Search flights
-                  const searchParams = {
-                    departureId: originCode,
-                    arrivalId: destCode,
-                    outboundDate: tripDetails.startDate,
-                    returnDate: tripDetails.endDate || undefined,
-                    adults: parseInt(tripDetails.travelers) || 1,
-                    travelClass: 'ECONOMY',
-                    currency: 'USD'
-                  };
-
-                  const searchResults = await googleFlightsService.searchFlights(searchParams);
-
-                  // Step 3: Format results
-                  const formattedFlights = googleFlightsService.formatFlightResults(searchResults, 3);
-
-                  if (formattedFlights.length === 0) {
-                    throw new Error('No flights found for your search');
-                  }
-
-                  // Step 4: Generate SMS message
-                  const smsMessage = googleFlightsService.formatSMSMessage(formattedFlights, {
-                    departureId: originCode,
-                    arrivalId: destCode,
-                    outboundDate: tripDetails.startDate
-                  });
-
-                  // Step 5: Send SMS
-                  await twilioService.sendLongSMS(from, smsMessage);
-                  console.log(`✅ Flight results sent via SMS to ${from}`);
-
-                } catch (err) {
-                  console.error(`❌ Flight search error:`, err.message);
-                  try {
-                    await twilioService.sendSMS(
-                      from,
-                      `Sorry, I had trouble finding flights from ${tripDetails.origin} to ${tripDetails.destination}. Please try different cities or dates, or text me for help!`
-                    );
-                  } catch (e) {
-                    console.error('Failed to send error SMS:', e);
-                  }
-                }
-              })();
-            } catch (err) {
-              console.error('Failed to parse function arguments:', err);
-            }
-          }
-        }
+    if (event.type === 'conversation.item.input_audio_transcription.completed') {
+      console.log(`👤 User: ${event.transcript}`);
+      callTranscriptService.addTurn(callSid, 'user', event.transcript);
+    }
 
-      } catch (error) {
-        console.error('Error processing OpenAI message:', error);
-      }
-    });
+    // Tool calls run through the shared registry; the output is sent back to the model
+    if (event.type === 'response.function_call_arguments.done') {
+      this.handleFunctionCall(openaiWs, event, from, callSid);
+    }
+  }
 
-    // Handle OpenAI WebSocket closure
-    openaiWs.on('close', () => {
-      console.log(`📴 OpenAI WebSocket closed for ${callSid}`);
+  /**
+   * Finish the transcript once the bridge has closed
+   * @param {string} callSid - Call SID
+   * @param {string} reason - Why the call ended
+   */
+  finishCall(callSid, reason) {
+    if (!callSid) return;
+    console.log(`📴 Call ${callSid} ended (${reason})`);
+    callTranscriptService.endCall(callSid).catch(err => {
+      console.error(`Failed to finish transcript for ${callSid}:`, err);
     });
+  }
 
-    openaiWs.on('error', (error) => {
-      console.error('OpenAI WebSocket error:', error);
-    });
+  /**
+   * Run a Realtime function call and return its output to the model
+   * @param {WebSocket} openaiWs - OpenAI WebSocket
+   * @param {Object} event - response.function_call_arguments.done event ({ name, call_id, arguments })
+   * @param {string} from - Caller phone number
+   * @param {string} callSid - Call SID
+   * @returns {Promise<Object>} Tool output sent to the model
+   */
+  async handleFunctionCall(openaiWs, event, from, callSid) {
+    console.log(`🔧 Function call: ${event.name}`);
+
+    let output;
+    let args = null;
+    try {
+      args = JSON.parse(event.arguments || '{}');
+      const { statusCode, ...result } = await toolRegistry.execute(event.name, args, {
+        phoneNumber: from,
+        conversationId: callSid,
+        callSid,
+        channel: 'realtime'
+      });
+      output = result;
+    } catch (err) {
+      console.error('Failed to parse function arguments:', err);
+      output = {
+        result: "Sorry, I didn't get that request right. Could you say it again?",
+        success: false,
+        error: err.message
+      };
+    }
+
+    callTranscriptService.addToolCall(callSid, { name: event.name, arguments: args, output });
+    this.sendFunctionOutput(openaiWs, event.call_id, output);
+    return output;
+  }
+
+  /**
+   * Send a function_call_output item and ask the model to respond to it
+   * @param {WebSocket} openaiWs - OpenAI WebSocket
+   * @param {string} callId - Function call ID from the model
+   * @param {Object} output - Tool output
+   */
+  sendFunctionOutput(openaiWs, callId, output) {
+    if (openaiWs.readyState !== WebSocket.OPEN) {
+      console.warn(`⚠️ OpenAI socket closed before tool output for ${callId} could be sent`);
+      return;
+    }
+
+    openaiWs.send(JSON.stringify({
+      type: 'conversation.item.create',
+      item: {
+        type: 'function_call_output',
+        call_id: callId,
+        output: JSON.stringify(output)
+      }
+    }));
+
+    openaiWs.send(JSON.stringify({ type: 'response.create' }));
   }
 
   /**
@@ -325,8 +332,9 @@ class RealtimeService {
    * @returns {boolean}
    */
   isConfigured() {
-    return !!(OPENAI_API_KEY && OPENAI_PROMPT_ID);
+    return !!(OPENAI_PROMPT_ID && llmProviderService.isConfigured('realtime'));
   }
 }
 
 module.exports = new RealtimeService();
+module.exports.RealtimeService = RealtimeService;
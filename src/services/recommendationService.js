@@ -7,18 +7,9 @@
  * Tone: Editorial, specific, alive with detail. No "hidden gems" or "something for everyone."
  */
 
-const OpenAI = require('openai');
-
-// Lazy initialization of OpenAI client to allow tests to run without API key
-let openai = null;
-function getOpenAI() {
-  if (!openai) {
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-  }
-  return openai;
-}
+const llmProviderService = require('./llmProviderService');
+const localizationService = require('./localizationService');
+const promptRegistry = require('./promptRegistry');
 
 // Recommendation flow states
 const RECO_STATES = {
@@ -110,43 +101,6 @@ const COMPANION_CATEGORIES = {
   family: 'family trip'
 };
 
-// System prompt for generating recommendations
-const RECO_SYSTEM_PROMPT = `You are a well-traveled friend who reads Condé Nast Traveler. You're helping someone decide where to go next.
-
-## YOUR VOICE
-- Editorial, specific, alive with detail
-- Sound like you've actually been there
-- Use sensory language (smells, light, texture, rhythm)
-- Show cultural momentum ("finally getting attention," "having a moment")
-
-## WHAT TO AVOID
-- "Hidden gem" / "off the beaten path" / "something for everyone"
-- "Rich history and culture" / "popular destination"
-- Anything that sounds like a brochure
-- Generic descriptions
-
-## RECOMMENDATION FORMAT
-Each recommendation must be under 35 words total. Structure:
-1. Destination + hook (one punchy sentence)
-2. One vivid detail that proves insider knowledge
-3. Vibe callback (reference what they asked for)
-
-## EXAMPLES OF GREAT RECOMMENDATIONS
-
-"Medellín, Colombia — City energy with mountain drama. Terrace bars in Provenza, cable cars over Comuna 13, a food scene finally getting global attention. You wanted city with landscapes — this doesn't stop after dark."
-
-"Oaxaca, Mexico — Culture without the crowds. Mezcal in candlelit courtyards, markets that smell like mole and woodsmoke, art everywhere. Slow days, deep flavor — exactly what you asked for."
-
-"Tasmania, Australia — Wild and uncrowded. Ancient rainforests, empty coastline, MONA if you want your brain rewired. You said adventure and landscapes — this is the quiet, weird, beautiful version."
-
-"Lisbon, Portugal — Old city, new energy. Tiled streets, natural wine bars in crumbling buildings, light that photographers lose their minds over. Comfortable budget, real culture — checks both."
-
-## IMPORTANT
-- Be specific: real neighborhoods, restaurants, details
-- Connect to what they said they wanted (vibe, budget, who they're with)
-- Make it feel current (what's happening there NOW)
-- Each recommendation should feel distinct, not variations on a theme`;
-
 class RecommendationService {
   /**
    * Check if a message triggers recommendation mode
@@ -203,34 +157,38 @@ class RecommendationService {
 
   /**
    * Get the initial recommendation mode prompt
+   * @param {string} language - Language code (default 'en')
    * @returns {string} First question to ask
    */
-  getVibeQuestion() {
-    return "What are you in the mood for — beach and slow days, city buzz and culture, or adventure and big landscapes?";
+  getVibeQuestion(language = 'en') {
+    return localizationService.t(language, 'reco.vibeQuestion');
   }
 
   /**
    * Get the when question
+   * @param {string} language - Language code (default 'en')
    * @returns {string}
    */
-  getWhenQuestion() {
-    return "When are you thinking? And is that flexible or locked in?";
+  getWhenQuestion(language = 'en') {
+    return localizationService.t(language, 'reco.whenQuestion');
   }
 
   /**
    * Get the budget question
+   * @param {string} language - Language code (default 'en')
    * @returns {string}
    */
-  getBudgetQuestion() {
-    return "Are we going all-out, comfortable middle, or making it work on a budget?";
+  getBudgetQuestion(language = 'en') {
+    return localizationService.t(language, 'reco.budgetQuestion');
   }
 
   /**
    * Get the who question
+   * @param {string} language - Language code (default 'en')
    * @returns {string}
    */
-  getWhoQuestion() {
-    return "Solo trip, romantic getaway, or rolling with friends?";
+  getWhoQuestion(language = 'en') {
+    return localizationService.t(language, 'reco.whoQuestion');
   }
 
   /**
@@ -241,13 +199,13 @@ class RecommendationService {
   parseVibeResponse(message) {
     const lower = message.toLowerCase();
 
-    if (/beach|slow|relax|chill|ocean|coast|water|swim|sun|tropical/i.test(lower)) {
+    if (/beach|slow|relax|chill|ocean|coast|water|swim|sun|tropical|plage|\bmer\b|détente|playa|tranquil/i.test(lower)) {
       return { category: 'beach', raw: message };
     }
-    if (/city|urban|culture|museum|food|restaurant|nightlife|bar|shop/i.test(lower)) {
+    if (/city|urban|culture|museum|food|restaurant|nightlife|bar|shop|ville|musée|bouffe|ciudad|museo|comida/i.test(lower)) {
       return { category: 'city', raw: message };
     }
-    if (/adventure|hik|mountain|nature|outdoor|wild|landscape|active|trek/i.test(lower)) {
+    if (/adventure|hik|mountain|nature|outdoor|wild|landscape|active|trek|aventure|montagne|plein air|aventura|montaña|paisaje/i.test(lower)) {
       return { category: 'adventure', raw: message };
     }
     if (/history|ancient|traditional|local|authentic|heritage/i.test(lower)) {
@@ -303,10 +261,10 @@ class RecommendationService {
   parseBudgetResponse(message) {
     const lower = message.toLowerCase();
 
-    if (/all[- ]?out|luxury|splurge|money.*(no|not).*(object|issue)|fancy|five[- ]?star|premium/i.test(lower)) {
+    if (/all[- ]?out|luxury|splurge|money.*(no|not).*(object|issue)|fancy|five[- ]?star|premium|luxe|gâte|lujo|con todo/i.test(lower)) {
       return { category: 'luxury', raw: message };
     }
-    if (/budget|cheap|save|tight|limit|afford|economical|backpack/i.test(lower)) {
+    if (/budget|cheap|save|tight|limit|afford|economical|backpack|pas cher|petit budget|barato|económico|presupuesto/i.test(lower)) {
       return { category: 'budget', raw: message };
     }
     if (/middle|moderate|comfortable|reasonable|not too|decent|mid/i.test(lower)) {
@@ -333,19 +291,19 @@ class RecommendationService {
   parseWhoResponse(message) {
     const lower = message.toLowerCase();
 
-    if (/solo|alone|myself|just me|by myself/i.test(lower)) {
+    if (/solo|alone|myself|just me|by myself|seul|sola/i.test(lower)) {
       return { category: 'solo', count: 1, raw: message };
     }
-    if (/romantic|partner|wife|husband|boyfriend|girlfriend|honeymoon|anniversary|couple|two of us/i.test(lower)) {
+    if (/romantic|partner|wife|husband|boyfriend|girlfriend|honeymoon|anniversary|couple|two of us|amoureux|romantique|pareja|romántic/i.test(lower)) {
       return { category: 'romantic', count: 2, raw: message };
     }
-    if (/friend|group|crew|squad|bunch/i.test(lower)) {
+    if (/friend|group|crew|squad|bunch|\bamis?\b|groupe|amigo|grupo/i.test(lower)) {
       // Try to extract count
       const countMatch = message.match(/(\d+)/);
       const count = countMatch ? parseInt(countMatch[1]) : 4;
       return { category: 'friends', count, raw: message };
     }
-    if (/family|kids|children|parents/i.test(lower)) {
+    if (/family|kids|children|parents|famille|enfants|familia|niños/i.test(lower)) {
       const countMatch = message.match(/(\d+)/);
       const count = countMatch ? parseInt(countMatch[1]) : 4;
       return { category: 'family', count, raw: message };
@@ -357,10 +315,14 @@ class RecommendationService {
   /**
    * Generate 3 destination recommendations based on preferences
    * @param {Object} preferences - Collected user preferences
+   * @param {Object} options - Options
+   * @param {string} options.language - Language to write the pitches in (default 'en')
+   * @param {string} options.phoneNumber - User, for the prompt version (see promptRegistry)
    * @returns {Promise<Object>} Recommendations and follow-up
    */
-  async generateRecommendations(preferences) {
+  async generateRecommendations(preferences, { language = 'en', phoneNumber = null } = {}) {
     const { vibe, when, budget, who } = preferences;
+    const languageInstruction = localizationService.languageInstruction(language);
 
     // Build context for LLM
     const vibeInfo = VIBE_CATEGORIES[vibe?.category] || VIBE_CATEGORIES.mixed;
@@ -384,7 +346,7 @@ User said: "${who?.raw || 'not specified'}"
 
 Generate 3 diverse recommendations. Each MUST be under 35 words.
 Format each as: "Destination — Hook sentence. Vivid detail. Vibe callback."
-
+${languageInstruction ? `${languageInstruction} Write the pitches in that language; keep "destination" as "City, Country" in English.\n` : ''}
 Return as JSON:
 {
   "recommendations": [
@@ -395,23 +357,23 @@ Return as JSON:
   ]
 }`;
 
+    const systemPrompt = promptRegistry.render('recommendations', {}, { phoneNumber });
+
     try {
-      const completion = await getOpenAI().chat.completions.create({
+      const result = await llmProviderService.extractJson({
         model: process.env.OPENAI_MODEL || 'gpt-4-turbo-preview',
         messages: [
-          { role: 'system', content: RECO_SYSTEM_PROMPT },
+          { role: 'system', content: systemPrompt.text },
           { role: 'user', content: prompt }
         ],
-        response_format: { type: 'json_object' },
-        max_completion_tokens: 800,
+        maxTokens: 800,
         temperature: 0.9 // Higher creativity for recommendations
       });
-
-      const result = JSON.parse(completion.choices[0].message.content);
       return {
         success: true,
         recommendations: result.recommendations || [],
-        preferences
+        preferences,
+        prompt: { name: systemPrompt.name, version: systemPrompt.version }
       };
     } catch (error) {
       console.error('Failed to generate recommendations:', error);
@@ -462,11 +424,12 @@ Return as JSON:
   /**
    * Format recommendations for SMS/voice (no bullets, no bold)
    * @param {Array} recommendations
+   * @param {string} language - Language code (default 'en')
    * @returns {string}
    */
-  formatRecommendationsForChannel(recommendations) {
+  formatRecommendationsForChannel(recommendations, language = 'en') {
     if (!recommendations || recommendations.length === 0) {
-      return "I'm having trouble coming up with ideas right now. Tell me more about what you're looking for?";
+      return localizationService.t(language, 'reco.noIdeas');
     }
 
     let message = '';
@@ -474,7 +437,7 @@ Return as JSON:
       message += `${idx + 1}. ${reco.pitch}\n\n`;
     });
 
-    message += "Any of these calling to you?";
+    message += localizationService.t(language, 'reco.anyCalling');
     return message.trim();
   }
 
@@ -526,28 +489,31 @@ Return as JSON:
 
   /**
    * Get reroll prompt
+   * @param {string} language - Language code (default 'en')
    * @returns {string}
    */
-  getRerollPrompt() {
-    return "No problem — tell me more about what you're after and I'll try again.";
+  getRerollPrompt(language = 'en') {
+    return localizationService.t(language, 'reco.reroll');
   }
 
   /**
    * Get clarification prompt when selection is unclear
+   * @param {string} language - Language code (default 'en')
    * @returns {string}
    */
-  getClarificationPrompt() {
-    return "Which one's catching your eye? Just reply with the number (1, 2, or 3).";
+  getClarificationPrompt(language = 'en') {
+    return localizationService.t(language, 'reco.clarify');
   }
 
   /**
    * Get transition message after selection
    * @param {string} destination
+   * @param {string} language - Language code (default 'en')
    * @returns {string}
    */
-  getSelectionConfirmation(destination) {
+  getSelectionConfirmation(destination, language = 'en') {
     const city = destination.split(',')[0];
-    return `${city} it is! Let's make it happen. When are you thinking of going?`;
+    return localizationService.t(language, 'reco.selected', { city });
   }
 }
 
@@ -0,0 +1,321 @@
+const airbnbService = require('./airbnbService');
+const hotelsService = require('./hotelsService');
+const localizationService = require('./localizationService');
+const { resolveAirlineCode, getAirlineInfo } = require('../utils/deeplinksBuilder');
+
+/**
+ * Refinement Service
+ *
+ * Parses "cheaper", "nonstop only", "leave a day later", "under $400",
+ * "only United", "4+ stars", "closer to downtown"... and applies them to a
+ * result set the user already has. Filters run locally; date and area
+ * changes need a fresh search, which the caller performs.
+ */
+
+const WORD_NUMBERS = { a: 1, an: 1, one: 1, two: 2, three: 3 };
+
+const CHEAPER_PATTERN = /\b(cheaper|less\s+expensive|lower\s+price|more\s+affordable)\b/i;
+// A bare number is only a price when no other unit follows: "up to 2 stops" and
+// "under 3 nights" are not price caps
+const MAX_PRICE_PATTERN = /\b(?:under|below|less\s+than|max(?:imum)?|no\s+more\s+than|up\s+to)\s+\$\s?(\d[\d,]*)|\b(?:under|below|less\s+than|max(?:imum)?|no\s+more\s+than|up\s+to)\s+(\d+(?:,\d{3})*)(?!\d|,\d|\s*(?:stops?|layovers?|connections?|nights?|days?|weeks?|hours?|hrs?|minutes?|mins?|people|persons?|guests?|adults?|kids?|children|travell?ers?|passengers?|rooms?|beds?|bedrooms?|bags?|stars?|miles?|km|am|pm)\b|\s*%)\s*(?:dollars|bucks|usd)?\b/i;
+const NONSTOP_PATTERN = /\b(non[-\s]?stops?|direct(?:\s+flights?)?)\b/i;
+const AIRLINE_PATTERNS = [
+  /^(?:only|just)\s+([a-z][a-z.&' -]+?)(?:\s+(?:flights?|airlines?))?(?:\s+only)?[.!]*$/i,
+  /^([a-z][a-z.&' -]+?)\s+(?:flights?\s+)?only[.!]*$/i
+];
+const STARS_PATTERN = /\b(?:at\s+least\s+)?([1-5](?:\.\d)?)\s*(?:\+|plus|or\s+more|or\s+higher|or\s+better)?\s*-?\s*stars?\b/i;
+const DATE_SHIFT_PATTERN = /\b(?:(leave|depart|fly\s+out|go|check\s+in|arrive|return|come\s+back|fly\s+back|head\s+back|check\s+out)\s+)?(a|an|one|two|three|\d)\s+days?\s+(later|earlier|sooner)\b/i;
+const AREA_PATTERN = /\b(?:closer\s+to|near(?:er)?(?:\s+to)?|close\s+to|in)\s+(downtown|the\s+beach|the\s+airport|(?:the\s+)?city\s+cent(?:er|re)|the\s+cent(?:er|re)|old\s+town)\b/i;
+
+// Refinements that only make sense for one result type
+const FLIGHT_ONLY = ['nonstop', 'airline'];
+const STAY_ONLY = ['minRating', 'area'];
+
+class RefinementService {
+  /**
+   * Parse refinement requests out of a message
+   * @param {string} message - User's message
+   * @returns {Object|null} { cheaper, maxPrice, nonstop, airline, minRating, area, dateShift } or null
+   */
+  parse(message) {
+    const text = (message || '').trim();
+    if (!text || text.length > 120) {
+      return null;
+    }
+
+    const refinement = {};
+
+    if (CHEAPER_PATTERN.test(text)) {
+      refinement.cheaper = true;
+    }
+
+    const priceMatch = text.match(MAX_PRICE_PATTERN);
+    if (priceMatch) {
+      refinement.maxPrice = parseInt((priceMatch[1] || priceMatch[2]).replace(/,/g, ''), 10);
+    }
+
+    if (NONSTOP_PATTERN.test(text)) {
+      refinement.nonstop = true;
+    }
+
+    for (const pattern of AIRLINE_PATTERNS) {
+      const match = text.match(pattern);
+      const name = match && match[1].trim();
+      const code = name && name.length >= 2 ? resolveAirlineCode(name) : null;
+      if (code) {
+        refinement.airline = code;
+        break;
+      }
+    }
+
+    const starsMatch = text.match(STARS_PATTERN);
+    if (starsMatch) {
+      refinement.minRating = parseFloat(starsMatch[1]);
+    }
+
+    const shiftMatch = text.match(DATE_SHIFT_PATTERN);
+    if (shiftMatch) {
+      const amount = WORD_NUMBERS[shiftMatch[2].toLowerCase()] || parseInt(shiftMatch[2], 10);
+      const verb = (shiftMatch[1] || '').toLowerCase();
+      refinement.dateShift = {
+        leg: /return|back|check\s+out/.test(verb) ? 'return' : (verb ? 'departure' : 'both'),
+        days: shiftMatch[3].toLowerCase() === 'later' ? amount : -amount
+      };
+    }
+
+    const areaMatch = text.match(AREA_PATTERN);
+    if (areaMatch) {
+      refinement.area = areaMatch[1].replace(/^the\s+/i, '').toLowerCase();
+    }
+
+    return Object.keys(refinement).length > 0 ? refinement : null;
+  }
+
+  /**
+   * Decide which result set a refinement targets
+   * @param {Object} refinement - Parsed refinement
+   * @param {string} activeType - Result set the user is looking at ('flights' | 'stays')
+   * @param {Object} available - { flights: boolean, stays: boolean }
+   * @returns {string|null} 'flights' | 'stays' | null if it applies to neither
+   */
+  resolveTarget(refinement, activeType, available) {
+    const keys = Object.keys(refinement);
+    const wantsFlights = keys.some(key => FLIGHT_ONLY.includes(key));
+    const wantsStays = keys.some(key => STAY_ONLY.includes(key));
+
+    if (wantsStays && !wantsFlights) {
+      return available.stays ? 'stays' : null;
+    }
+    if (wantsFlights && !wantsStays) {
+      return available.flights ? 'flights' : null;
+    }
+    return available[activeType] ? activeType : null;
+  }
+
+  /**
+   * Whether the refinement needs a new search rather than a filter
+   * @param {Object} refinement - Parsed refinement
+   * @returns {boolean}
+   */
+  needsSearch(refinement) {
+    return !!(refinement.dateShift || refinement.area);
+  }
+
+  /**
+   * Filter flight results
+   * @param {Array} flights - Current flight results
+   * @param {Object} refinement - Parsed refinement
+   * @param {number} [reference] - Price "cheaper" must beat (defaults to the first result)
+   * @returns {Array} Matching flights, cheapest first when "cheaper" was asked
+   */
+  filterFlights(flights, refinement, reference = this.getReferencePrice(flights, 'flights')) {
+    let filtered = flights.filter(flight => {
+      const price = flight.priceValue || 0;
+      const stops = flight.stops !== undefined ? flight.stops : flight.transfers;
+
+      if (refinement.maxPrice && !(price > 0 && price <= refinement.maxPrice)) {
+        return false;
+      }
+      if (refinement.cheaper && !(price > 0 && price < reference)) {
+        return false;
+      }
+      if (refinement.nonstop && stops !== 0) {
+        return false;
+      }
+      if (refinement.airline && resolveAirlineCode(flight.airline) !== refinement.airline) {
+        return false;
+      }
+      return true;
+    });
+
+    if (refinement.cheaper) {
+      filtered = [...filtered].sort((a, b) => a.priceValue - b.priceValue);
+    }
+
+    return filtered;
+  }
+
+  /**
+   * Filter stay results
+   * Quality and price checks reuse the Airbnb / Hotels.com filters on the raw
+   * API objects. Hotels report guest scores out of 10, so "4+ stars" is
+   * checked against the hotel's star class instead.
+   * @param {Array} properties - Current stay results (formatted, with rawData)
+   * @param {Object} refinement - Parsed refinement
+   * @param {number} [reference] - Price "cheaper" must beat (defaults to the first result)
+   * @returns {Array} Matching properties, cheapest first when "cheaper" was asked
+   */
+  filterStays(properties, refinement, reference = this.getReferencePrice(properties, 'stays')) {
+    const maxPrice = refinement.cheaper
+      ? Math.min(refinement.maxPrice || Infinity, reference - 1)
+      : refinement.maxPrice;
+
+    let filtered = properties.filter(property => {
+      const raw = property.rawData || property;
+
+      if (property.source === 'hotel') {
+        // filterHotels only checks price when the raw object carries one
+        if (hotelsService.filterHotels([raw], { minRating: 0, minReviews: 0, maxPrice }).length === 0) {
+          return false;
+        }
+        if (refinement.minRating && (property.starRating || 0) < refinement.minRating) {
+          return false;
+        }
+      } else if (refinement.minRating) {
+        const rated = airbnbService.filterProperties([raw], {
+          privateOnly: false,
+          minRating: refinement.minRating,
+          minReviews: 0
+        });
+        // filterProperties lets unrated listings through; an explicit star ask shouldn't
+        if (rated.length === 0 || !(parseFloat(property.rating) > 0)) {
+          return false;
+        }
+      }
+
+      if (maxPrice && !(property.pricePerNight > 0 && property.pricePerNight <= maxPrice)) {
+        return false;
+      }
+      return true;
+    });
+
+    if (refinement.cheaper) {
+      filtered = [...filtered].sort((a, b) => a.pricePerNight - b.pricePerNight);
+    }
+
+    return filtered;
+  }
+
+  /**
+   * Price "cheaper" is measured against: the first listed result
+   * @param {Array} results - Current results
+   * @param {string} type - 'flights' | 'stays'
+   * @returns {number}
+   */
+  getReferencePrice(results, type) {
+    const first = results[0] || {};
+    return (type === 'flights' ? first.priceValue : first.pricePerNight) || Infinity;
+  }
+
+  /**
+   * Shift a YYYY-MM-DD date by a number of days
+   * @param {string} dateStr - Date in YYYY-MM-DD format
+   * @param {number} days - Days to add (negative to go back)
+   * @returns {string|null}
+   */
+  shiftDate(dateStr, days) {
+    if (!dateStr) return null;
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    if (isNaN(date.getTime())) return null;
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Apply a date shift to a start/end pair
+   * @param {string} start - Departure / check-in date
+   * @param {string} end - Return / check-out date (optional)
+   * @param {Object} dateShift - { leg, days }
+   * @returns {Object|null} { start, end } or null if the result is invalid
+   */
+  shiftDates(start, end, dateShift) {
+    const { leg, days } = dateShift;
+    const newStart = leg === 'return' ? start : this.shiftDate(start, days);
+    const newEnd = end && leg !== 'departure' ? this.shiftDate(end, days) : end;
+
+    if (!newStart || (newEnd && newEnd <= newStart)) {
+      return null;
+    }
+    if (newStart < new Date().toISOString().split('T')[0]) {
+      return null;
+    }
+
+    return { start: newStart, end: newEnd };
+  }
+
+  /**
+   * Human-readable list of what was asked for
+   * English is also what gets handed to the assistant for a re-search.
+   * @param {Object} refinement - Parsed refinement
+   * @param {string} language - Language code
+   * @returns {string} e.g. "nonstop only, under $400"
+   */
+  describe(refinement, language = 'en') {
+    const t = (key, params) => localizationService.t(language, key, params);
+    const parts = [];
+
+    if (refinement.cheaper) parts.push(t('refine.cheaper'));
+    if (refinement.maxPrice) parts.push(t('refine.under', { price: `$${refinement.maxPrice}` }));
+    if (refinement.nonstop) parts.push(t('refine.nonstop'));
+    if (refinement.airline) {
+      parts.push(t('refine.airline', { airline: getAirlineInfo(refinement.airline)?.name || refinement.airline }));
+    }
+    if (refinement.minRating) parts.push(t('refine.rating', { rating: refinement.minRating }));
+    if (refinement.area) parts.push(t('refine.near', { area: refinement.area }));
+    if (refinement.dateShift) {
+      const { leg, days } = refinement.dateShift;
+      const count = Math.abs(days);
+      const shift = t(`refine.${days > 0 ? 'later' : 'earlier'}${count > 1 ? 'Other' : 'One'}`, { count });
+      const what = leg === 'departure' ? 'leaving' : leg === 'return' ? 'returning' : 'dates';
+      parts.push(t(`refine.${what}`, { shift }));
+    }
+
+    return parts.join(', ');
+  }
+
+  /**
+   * Diff-style summary of a refinement
+   * @param {string} type - 'flights' | 'stays'
+   * @param {Array} before - Results before refining
+   * @param {Array} after - Results after refining
+   * @param {Object} refinement - Parsed refinement
+   * @param {string} language - Language code
+   * @returns {string}
+   */
+  summarizeChange(type, before, after, refinement, language = 'en') {
+    const t = (key, params) => localizationService.t(language, key, params);
+    const cheapest = list => {
+      const prices = list
+        .map(item => (type === 'flights' ? item.priceValue : item.pricePerNight))
+        .filter(price => price > 0);
+      if (prices.length === 0) return null;
+      const price = `$${Math.round(Math.min(...prices))}`;
+      return type === 'flights' ? price : t('results.perNight', { price });
+    };
+
+    let summary = `🔎 ${this.describe(refinement, language)}\n`;
+    summary += t(type === 'flights' ? 'refine.flightsCount' : 'refine.placesCount', { before: before.length, after: after.length });
+
+    const was = cheapest(before);
+    const now = cheapest(after);
+    if (was && now && was !== now) {
+      summary += `\n${t('refine.priceChange', { before: was, after: now })}`;
+    } else if (now) {
+      summary += `\n${t('refine.price', { price: now })}`;
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new RefinementService();
@@ -59,7 +59,7 @@ class SessionManager {
       tripDetails: null,
       channel: null, // 'sms' or 'voice' or 'web'
       onboardedVia: null, // 'sms', 'voice', or 'web'
-      threadId: null, // OpenAI Assistant thread ID
+      threadId: null, // Legacy Assistants API thread, imported and dropped by assistantService
       // Trip tracking
       currentTripId: null, // Active trip ID
       bookingState: 'planning', // 'planning', 'booking_intent', 'awaiting_data', 'booking', 'booked'
@@ -70,6 +70,9 @@ class SessionManager {
       lastAccommodationResults: null, // Array of formatted accommodation results
       lastAccommodationSearch: null, // Last accommodation search parameters
       lastAccommodationSelection: null, // Selected accommodation details
+      // Result pagination
+      resultsCursor: null, // { type: 'flights' | 'stays', offset } - most recent result set and how much was shown
+      selectedFlight: null, // Flight picked by number from lastFlightResults
       // Search flow tracking
       searchType: null, // 'flights' | 'accommodations' | 'both'
       flightsCompleted: false, // For "both" flow sequencing
@@ -77,6 +80,12 @@ class SessionManager {
       recoMode: null, // null | 'asking_vibe' | 'asking_when' | 'asking_budget' | 'asking_who' | 'awaiting_selection' | 'rerolling'
       recoPreferences: null, // { vibe, when, budget, who }
       recoRecommendations: null, // Last generated recommendations
+      // Preference changes saved from conversation, newest last (for UNDO)
+      preferenceHistory: [], // [{ previous, applied, at }]
+      // Most recent voice call, summarized at hangup
+      lastCallSummary: null, // { callSid, summary, endedAt }
+      // Last post-call recap texted to the user (one per call)
+      voiceRecap: null, // { callKey, source, sentAt, optionsType, openQuestions }
       createdAt: new Date().toISOString(),
       lastActivity: new Date().toISOString()
     };
@@ -134,9 +143,9 @@ class SessionManager {
       timestamp: new Date().toISOString()
     });
 
-    // Keep only last 20 messages to prevent memory issues
-    if (session.conversationHistory.length > 20) {
-      session.conversationHistory = session.conversationHistory.slice(-20);
+    // Safety net - historyCompactionService normally summarizes long before this
+    if (session.conversationHistory.length > 50) {
+      session.conversationHistory = session.conversationHistory.slice(-50);
     }
 
     await this.updateSession(userId, { conversationHistory: session.conversationHistory });
@@ -207,7 +216,7 @@ if (!USE_REDIS) {
         console.log(`🧹 Cleaned up ${cleared} old sessions`);
       }
     });
-  }, 15 * 60 * 1000);
+  }, 15 * 60 * 1000).unref();
 }
 
 module.exports = new SessionManager();
@@ -1,4 +1,5 @@
 const { parseVagueDate, getDefaultDateRange } = require('../utils/dateParser');
+const localizationService = require('./localizationService');
 
 /**
  * Smart Defaults Service
@@ -108,6 +109,36 @@ const AREA_CODE_TO_AIRPORT = {
   '343': 'YOW'
 };
 
+// Home airports whose users get French until their texts say otherwise
+const FRENCH_AIRPORTS = ['YUL', 'YOW'];
+
+// Home airport -> IANA timezone, for reading "call me at 3pm"
+const AIRPORT_TIMEZONES = {
+  YYZ: 'America/Toronto', YUL: 'America/Toronto', YOW: 'America/Toronto',
+  JFK: 'America/New_York', BOS: 'America/New_York', PHL: 'America/New_York', MIA: 'America/New_York', ATL: 'America/New_York',
+  ORD: 'America/Chicago', DFW: 'America/Chicago', IAH: 'America/Chicago',
+  DEN: 'America/Denver', YYC: 'America/Edmonton', PHX: 'America/Phoenix',
+  LAX: 'America/Los_Angeles', SFO: 'America/Los_Angeles', SEA: 'America/Los_Angeles', SAN: 'America/Los_Angeles',
+  LAS: 'America/Los_Angeles', PDX: 'America/Los_Angeles', YVR: 'America/Vancouver'
+};
+
+// Country calling code -> IANA timezone, for countries with a single zone (longest codes first)
+const COUNTRY_CODE_TIMEZONES = [
+  ['353', 'Europe/Dublin'],
+  ['351', 'Europe/Lisbon'],
+  ['852', 'Asia/Hong_Kong'],
+  ['44', 'Europe/London'],
+  ['33', 'Europe/Paris'],
+  ['49', 'Europe/Berlin'],
+  ['34', 'Europe/Madrid'],
+  ['39', 'Europe/Rome'],
+  ['31', 'Europe/Amsterdam'],
+  ['41', 'Europe/Zurich'],
+  ['81', 'Asia/Tokyo'],
+  ['65', 'Asia/Singapore'],
+  ['91', 'Asia/Kolkata']
+];
+
 class SmartDefaultsService {
   /**
    * Infer origin airport from phone number
@@ -145,6 +176,36 @@ class SmartDefaultsService {
     return null;
   }
 
+  /**
+   * Infer a starting language from the phone number's area code
+   * Only a default - the language a user actually writes in wins.
+   * @param {string} phoneNumber - Phone number in format +1XXXXXXXXXX
+   * @returns {string|null} 'fr' for Montreal/Ottawa numbers, otherwise null
+   */
+  inferLanguage(phoneNumber) {
+    const areaCodeMatch = typeof phoneNumber === 'string' && phoneNumber.match(/\+1(\d{3})/);
+    if (!areaCodeMatch) return null;
+
+    return FRENCH_AIRPORTS.includes(AREA_CODE_TO_AIRPORT[areaCodeMatch[1]]) ? 'fr' : null;
+  }
+
+  /**
+   * Infer a timezone from the phone number's area code or country code
+   * @param {string} phoneNumber - Phone number in E.164 format
+   * @returns {string|null} IANA zone, or null if it can't be told from the number
+   */
+  inferTimezone(phoneNumber) {
+    if (typeof phoneNumber !== 'string') return null;
+
+    const areaCodeMatch = phoneNumber.match(/^\+1(\d{3})/);
+    if (areaCodeMatch) {
+      return AIRPORT_TIMEZONES[AREA_CODE_TO_AIRPORT[areaCodeMatch[1]]] || null;
+    }
+
+    const country = COUNTRY_CODE_TIMEZONES.find(([code]) => phoneNumber.startsWith(`+${code}`));
+    return country ? country[1] : null;
+  }
+
   /**
    * Infer number of travelers from message content
    * @param {string} message - User message
@@ -242,11 +303,11 @@ class SmartDefaultsService {
   /**
    * Fill missing parameters with smart defaults
    * @param {Object} params - Partial trip parameters
-   * @param {Object} context - Context (phoneNumber, session, message)
-   * @returns {Object} Complete trip parameters with assumptions array
+   * @param {Object} context - Context (phoneNumber, session, message, language)
+   * @returns {Object} Complete trip parameters with assumptions array (in the user's language)
    */
   fillMissingParams(params, context = {}) {
-    const { phoneNumber, session, message } = context;
+    const { phoneNumber, session, message, language = 'en' } = context;
     const filled = { ...params };
     const assumptions = [];
 
@@ -260,13 +321,13 @@ class SmartDefaultsService {
       if (parsedDates) {
         filled.checkIn = parsedDates.checkIn;
         filled.checkOut = parsedDates.checkOut;
-        assumptions.push(`Dates: ${parsedDates.matched}`);
+        assumptions.push(localizationService.t(language, 'assumptions.dates', { dates: parsedDates.matched }));
       } else {
         // Use default: 30 days out, 7 day trip
         const defaultDates = getDefaultDateRange();
         filled.checkIn = defaultDates.checkIn;
         filled.checkOut = defaultDates.checkOut;
-        assumptions.push(`Dates: ${defaultDates.matched} for 7 nights`);
+        assumptions.push(localizationService.t(language, 'assumptions.defaultDates', { nights: 7 }));
       }
     }
 
@@ -275,7 +336,7 @@ class SmartDefaultsService {
       const inferredOrigin = this.inferOrigin(phoneNumber, session);
       if (inferredOrigin) {
         filled.origin = inferredOrigin;
-        assumptions.push(`Origin: ${inferredOrigin}`);
+        assumptions.push(localizationService.t(language, 'assumptions.origin', { origin: inferredOrigin }));
       }
       // If still no origin, we'll need to ask - this is critical for flights
     }
@@ -287,9 +348,9 @@ class SmartDefaultsService {
       filled.guests = inferredTravelers;
 
       if (inferredTravelers === 1) {
-        assumptions.push(`1 traveler`);
+        assumptions.push(localizationService.t(language, 'assumptions.travelersOne'));
       } else {
-        assumptions.push(`${inferredTravelers} travelers`);
+        assumptions.push(localizationService.t(language, 'assumptions.travelersOther', { count: inferredTravelers }));
       }
     }
 
@@ -308,15 +369,17 @@ class SmartDefaultsService {
   /**
    * Format assumptions for display to user
    * @param {Array} assumptions - Array of assumption strings
+   * @param {string} language - Language code (default 'en')
    * @returns {string} Formatted string for user
    */
-  formatAssumptions(assumptions) {
+  formatAssumptions(assumptions, language = 'en') {
     if (!assumptions || assumptions.length === 0) {
       return '';
     }
 
-    return `\n\n💡 I assumed: ${assumptions.join(', ')}`;
+    return `\n\n${localizationService.t(language, 'assumptions.intro', { list: assumptions.join(', ') })}`;
   }
 }
 
 module.exports = new SmartDefaultsService();
+module.exports.AREA_CODE_TO_AIRPORT = AREA_CODE_TO_AIRPORT;
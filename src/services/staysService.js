@@ -15,7 +15,7 @@ class StaysService {
     this.SEARCH_TTL = 24 * 60 * 60 * 1000;
 
     // Cleanup expired searches every hour
-    setInterval(() => this.cleanupExpiredSearches(), 60 * 60 * 1000);
+    setInterval(() => this.cleanupExpiredSearches(), 60 * 60 * 1000).unref();
   }
 
   /**
@@ -278,6 +278,112 @@ class StaysService {
     };
   }
 
+  /**
+   * Search for accommodations using available services
+   * @param {Object} params - Search parameters
+   * @param {string} params.destination - Destination city
+   * @param {string} params.checkIn - Check-in date (YYYY-MM-DD)
+   * @param {string} params.checkOut - Check-out date (YYYY-MM-DD)
+   * @param {number} params.guests - Number of guests
+   * @param {number} params.maxPrice - Max price per night in USD (optional)
+   * @returns {Promise<Object>} Accommodation results
+   */
+  async searchAccommodations({ destination, checkIn, checkOut, guests, maxPrice }) {
+    const airbnbService = require('./airbnbService');
+    const hotelsService = require('./hotelsService');
+
+    let allProperties = [];
+    let destinationName = destination;
+    let searchType = '';
+
+    // Search Airbnb
+    try {
+      console.log('🏠 Searching Airbnb...');
+      const destinations = await airbnbService.searchDestination(destination, 'USA');
+      if (destinations && destinations.length > 0) {
+        const airbnbDestId = destinations[0]?.id;
+        destinationName = destinations[0]?.name || destination;
+
+        const airbnbParams = {
+          destinationId: airbnbDestId,
+          checkIn,
+          checkOut,
+          adults: parseInt(guests) || 1,
+          maxPrice: maxPrice || undefined,
+          currency: 'USD',
+          limit: 10
+        };
+
+        const airbnbResults = await airbnbService.searchProperties(airbnbParams);
+        const formattedAirbnb = airbnbService.formatPropertyResults(airbnbResults, 5, {
+          privateOnly: true,
+          minRating: 4.0,
+          minReviews: 0
+        });
+
+        formattedAirbnb.forEach(prop => prop.source = 'airbnb');
+        allProperties = allProperties.concat(formattedAirbnb);
+        searchType = 'Airbnb';
+        console.log(`✅ Found ${formattedAirbnb.length} Airbnb properties`);
+      }
+    } catch (airbnbError) {
+      console.error('❌ Airbnb search failed:', airbnbError.message);
+    }
+
+    // Search Hotels.com
+    try {
+      console.log('🏨 Searching Hotels.com...');
+      const regions = await hotelsService.searchRegion(destination);
+      if (regions && regions.length > 0) {
+        const hotelLocationId = regions[0]?.id;
+        destinationName = regions[0]?.name || destinationName;
+
+        const hotelParams = {
+          locationId: hotelLocationId,
+          checkIn,
+          checkOut,
+          adults: parseInt(guests) || 1,
+          maxPrice: maxPrice || undefined,
+          currency: 'USD',
+          limit: 10
+        };
+
+        const hotelResults = await hotelsService.searchHotels(hotelParams);
+        const formattedHotels = hotelsService.formatHotelResults(hotelResults, 5, {
+          minRating: 3.5,
+          minReviews: 10
+        });
+
+        formattedHotels.forEach(hotel => hotel.source = 'hotel');
+        allProperties = allProperties.concat(formattedHotels);
+        searchType = searchType ? 'Airbnb & Hotels' : 'Hotels';
+        console.log(`✅ Found ${formattedHotels.length} Hotels.com properties`);
+      }
+    } catch (hotelError) {
+      console.error('❌ Hotels.com search failed:', hotelError.message);
+    }
+
+    if (allProperties.length === 0) {
+      return null;
+    }
+
+    // Sort by price and keep enough for a few pages of "show more"
+    allProperties.sort((a, b) => a.pricePerNight - b.pricePerNight);
+    const topProperties = allProperties.slice(0, 9);
+    topProperties.forEach((prop, idx) => prop.index = idx + 1);
+
+    return {
+      properties: topProperties,
+      destinationName,
+      searchParams: {
+        checkIn,
+        checkOut,
+        guests: parseInt(guests) || 1
+      },
+      searchType
+    };
+  }
+
   /**
    * Get stats for debugging
    */
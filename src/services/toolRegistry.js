@@ -0,0 +1,302 @@
+/**
+ * Tool Registry
+ *
+ * Voice-agent tools (flight and stay search, destination ideas, preferences)
+ * defined once and dispatched from every voice stack - the ElevenLabs tool
+ * webhook and the OpenAI Realtime media stream - and from the SMS assistant's
+ * tool loop.
+ *
+ * A tool is a plain object:
+ * {
+ *   name: 'search_trips',           // unique, re-registering replaces it
+ *   description: '...',             // shown to the model
+ *   parameters: { type: 'object', properties: {...}, required: [...] },
+ *   normalize(params) -> params,    // optional, runs before validation
+ *   requiresVerification: true,     // optional, see below
+ *   execute(params, ctx) -> { result, success, ...extra }
+ * }
+ *
+ * `parameters` is the tool's contract: arguments are validated against it
+ * (see utils/jsonSchema) before execute() runs, and the same schema is what
+ * the models see - the Realtime session declares it and
+ * getElevenLabsToolConfigs() exports it for the ElevenLabs agent.
+ *
+ * Tools that read or change sensitive profile data set requiresVerification.
+ * Caller ID can be spoofed, so they only run once the call has passed the
+ * step-up check (send_verification_code + verify_caller); until then the
+ * agent gets a verification_required result telling it what to do.
+ *
+ * `result` is the text the agent speaks from. Refusals the agent can act on
+ * (invalid arguments, verification_required, unknown tools) are ordinary
+ * { success: false } results, answered with HTTP 200 so ElevenLabs hands them
+ * to the agent. Only a tool that throws sets `statusCode` (500) for HTTP
+ * callers; it is never passed to the model.
+ * ctx is { phoneNumber, conversationId, callSid, channel }; on the 'sms' and
+ * 'whatsapp' channels the search tools return their results as extras
+ * (flightResults, accommodationResults) rather than texting them.
+ */
+
+const { validate } = require('../utils/jsonSchema');
+const callerVerificationService = require('./callerVerificationService');
+
+// Filled in by ElevenLabs at call time (system dynamic variables)
+const ELEVENLABS_DYNAMIC_ENVELOPE = {
+  conversation_id: { type: 'string', dynamic_variable: 'system__conversation_id' },
+  call_sid: { type: 'string', dynamic_variable: 'system__call_sid' }
+};
+const ELEVENLABS_DYNAMIC_PARAMETERS = {
+  phone_number: { type: 'string', dynamic_variable: 'system__caller_id' }
+};
+
+// Schema keywords the ElevenLabs tool editor accepts
+const ELEVENLABS_SCHEMA_KEYS = ['type', 'description', 'enum', 'items', 'properties', 'required', 'dynamic_variable', 'constant_value'];
+
+/**
+ * Convert one of our schemas to the ElevenLabs request body schema format
+ * ElevenLabs needs a description on every property and rejects keywords it
+ * doesn't know, so validation-only keywords (format, minimum, ...) are
+ * dropped - the backend still enforces them.
+ * @param {Object} schema - JSON schema
+ * @param {string} name - Property name, used when there is no description
+ * @returns {Object}
+ */
+function toElevenLabsSchema(schema, name) {
+  const converted = {};
+  for (const key of ELEVENLABS_SCHEMA_KEYS) {
+    if (schema[key] !== undefined) converted[key] = schema[key];
+  }
+
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(Object.entries(schema.properties)
+      .map(([key, property]) => [key, toElevenLabsSchema(property, key)]));
+  }
+  if (schema.items) {
+    converted.items = toElevenLabsSchema(schema.items, name);
+  }
+  if (schema.type === 'integer') {
+    converted.type = 'number';
+  }
+  if (!converted.description && !converted.dynamic_variable && converted.constant_value === undefined) {
+    converted.description = schema.title || name.replace(/_/g, ' ');
+  }
+  return converted;
+}
+
+/**
+ * List field names in plain words: "a, b and c"
+ * @param {Array<string>} items - Names
+ * @returns {string}
+ */
+function joinWords(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+}
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /**
+   * Register a tool
+   * @param {Object} tool - Tool definition
+   * @returns {ToolRegistry} this, for chaining
+   */
+  register(tool) {
+    if (!tool || !tool.name || typeof tool.execute !== 'function') {
+      throw new Error('Tool requires a name and an execute() function');
+    }
+
+    this.tools.set(tool.name, tool);
+    return this;
+  }
+
+  /**
+   * Register several tools
+   * @param {Array<Object>} tools - Tool definitions
+   * @returns {ToolRegistry} this, for chaining
+   */
+  registerAll(tools) {
+    tools.forEach(tool => this.register(tool));
+    return this;
+  }
+
+  /**
+   * Look up a tool by name
+   * @param {string} name - Tool name
+   * @returns {Object|null}
+   */
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  /**
+   * Registered tool names
+   * @returns {Array<string>}
+   */
+  list() {
+    return [...this.tools.keys()];
+  }
+
+  /**
+   * Function definitions in the OpenAI Realtime session format
+   * @param {Array<string>} names - Only these tools (default: all)
+   * @returns {Array<Object>} [{ type: 'function', name, description, parameters }]
+   */
+  getDefinitions(names = null) {
+    const tools = names ? names.map(name => this.get(name)).filter(Boolean) : [...this.tools.values()];
+    return tools.map(tool => ({
+      type: 'function',
+      name: tool.name,
+      description: tool.description || '',
+      parameters: tool.parameters || { type: 'object', properties: {} }
+    }));
+  }
+
+  /**
+   * Tool configs for the ElevenLabs agent (webhook tools)
+   * Generated from the same schemas the backend validates against, so the
+   * agent definition can't drift from what the webhook accepts. Each tool
+   * posts { tool_name, conversation_id, call_sid, parameters } to webhookUrl.
+   * @param {Object} options - Options
+   * @param {string} options.webhookUrl - Public URL of /webhook/elevenlabs/tool-call
+   * @returns {Array<Object>} ElevenLabs tool configs
+   */
+  getElevenLabsToolConfigs({ webhookUrl }) {
+    return [...this.tools.values()].map(tool => {
+      const parameters = tool.parameters || { type: 'object', properties: {} };
+
+      return {
+        type: 'webhook',
+        name: tool.name,
+        description: tool.description || '',
+        api_schema: {
+          url: webhookUrl,
+          method: 'POST',
+          request_body_schema: {
+            type: 'object',
+            description: `Arguments for ${tool.name}`,
+            properties: {
+              tool_name: { type: 'string', constant_value: tool.name },
+              ...ELEVENLABS_DYNAMIC_ENVELOPE,
+              parameters: toElevenLabsSchema({
+                ...parameters,
+                description: parameters.description || `Arguments for ${tool.name}`,
+                properties: { ...parameters.properties, ...ELEVENLABS_DYNAMIC_PARAMETERS }
+              }, 'parameters')
+            },
+            required: ['tool_name', 'parameters']
+          }
+        }
+      };
+    });
+  }
+
+  /**
+   * Check arguments against a tool's schema
+   * @param {string} name - Tool name
+   * @param {Object} params - Arguments from the agent
+   * @returns {Object} { valid, value, errors } - value is normalized and coerced
+   */
+  validate(name, params = {}) {
+    const tool = this.get(name);
+    if (!tool) {
+      return { valid: false, value: params, errors: [{ field: '', code: 'unknown_tool', message: `Unknown tool: ${name}` }] };
+    }
+
+    const normalized = tool.normalize && params && typeof params === 'object' ? tool.normalize(params) : params;
+    return validate(tool.parameters || { type: 'object' }, normalized);
+  }
+
+  /**
+   * Failed result for arguments that don't match the schema
+   * The text tells the agent what to ask the caller for, and errors[] lists
+   * each problem by field so the agent can fix the call and retry.
+   * @param {string} name - Tool name
+   * @param {Array<Object>} errors - From validate()
+   * @returns {Object} { result, success: false, error, errors }
+   */
+  buildValidationError(name, errors) {
+    const missing = errors.filter(e => e.code === 'required').map(e => e.label);
+    const invalid = errors.filter(e => e.code !== 'required');
+
+    const sentences = [];
+    if (missing.length) {
+      sentences.push(`Missing ${joinWords(missing)}. Ask the caller for ${missing.length > 1 ? 'them' : 'it'}, then call ${name} again.`);
+    }
+    if (invalid.length) {
+      sentences.push(`Invalid arguments: ${invalid.map(e => e.message).join('; ')}. Correct ${invalid.length > 1 ? 'them' : 'it'} and call ${name} again.`);
+    }
+
+    return {
+      result: sentences.join(' '),
+      success: false,
+      error: errors[0].message,
+      errors: errors.map(({ field, code, message }) => ({ field, code, message }))
+    };
+  }
+
+  /**
+   * Failed result for a gated tool called before the caller is verified
+   * @param {string} name - Tool name
+   * @returns {Object} { result, success: false, error: 'verification_required' }
+   */
+  buildVerificationRequired(name) {
+    return {
+      result: `The caller must be verified before ${name} can be used. Call send_verification_code, ask the caller to read the code back, then call verify_caller.`,
+      success: false,
+      error: 'verification_required'
+    };
+  }
+
+  /**
+   * Run a tool
+   * Gated tools need a verified caller (see buildVerificationRequired), then
+   * arguments are validated; invalid ones come back as a structured
+   * error (see buildValidationError) without running the tool. Never throws -
+   * failures come back as { success: false } so the agent can tell the caller
+   * something went wrong.
+   * @param {string} name - Tool name
+   * @param {Object} params - Arguments from the agent
+   * @param {Object} ctx - { phoneNumber, conversationId, callSid, channel }
+   * @returns {Promise<Object>} { result, success, ... }
+   */
+  async execute(name, params = {}, ctx = {}) {
+    const tool = this.get(name);
+
+    if (!tool) {
+      console.log(`Unknown tool call: ${name}`);
+      return { result: `Unknown tool: ${name}`, success: false, error: 'unknown_tool' };
+    }
+
+    const startTime = Date.now();
+    console.log(`🔧 Tool: ${name} (channel: ${ctx.channel || 'unknown'}), Parameters:`, params);
+
+    try {
+      if (tool.requiresVerification && !(await callerVerificationService.isVerified(ctx.callSid, ctx.phoneNumber))) {
+        console.log(`🔐 Tool ${name} blocked - caller not verified on ${ctx.callSid || 'unknown call'}`);
+        return this.buildVerificationRequired(name);
+      }
+
+      const { valid, value, errors } = this.validate(name, params || {});
+      if (!valid) {
+        console.log(`⚠️ Tool ${name} rejected invalid arguments:`, errors.map(e => e.message).join('; '));
+        return this.buildValidationError(name, errors);
+      }
+
+      const output = await tool.execute(value, ctx);
+      console.log(`🔧 Tool ${name} ${output.success === false ? 'failed' : 'done'} in ${Date.now() - startTime}ms`);
+      return output;
+    } catch (error) {
+      console.error(`Error running tool ${name}:`, error);
+      return {
+        result: 'Sorry, I encountered an error processing your request.',
+        success: false,
+        error: error.message,
+        statusCode: 500
+      };
+    }
+  }
+}
+
+module.exports = new ToolRegistry();
+module.exports.ToolRegistry = ToolRegistry;
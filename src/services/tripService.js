@@ -167,6 +167,49 @@ class TripService {
     return updatedTrip;
   }
 
+  /**
+   * Attach an existing booking (e.g. from a confirmation screenshot) to a trip
+   * Uses the preferred trip, else one to the same destination, else creates one.
+   * @param {string} phoneNumber
+   * @param {Object} booking - { bookingReference, origin, destination, departureDate, returnDate, airline, ... }
+   * @param {string} [preferredTripId] - Trip to attach to if it belongs to this number
+   * @returns {Object} Updated trip
+   */
+  attachBooking(phoneNumber, booking, preferredTripId = null) {
+    const trips = this.getTripsByPhone(phoneNumber);
+    const sameDestination = destination => !!destination && !!booking.destination &&
+      destination.toLowerCase() === booking.destination.toLowerCase();
+
+    let trip = trips.find(t => t.bookingDetails?.bookingReference === booking.bookingReference) ||
+      trips.find(t => t.id === preferredTripId) ||
+      trips.find(t => sameDestination(t.destination));
+
+    if (!trip) {
+      trip = this.createTrip({
+        phoneNumber,
+        destination: booking.destination,
+        origin: booking.origin,
+        departureDate: booking.departureDate,
+        returnDate: booking.returnDate,
+        travelers: booking.travelers || 1
+      });
+    }
+
+    console.log(`[Trip Service] Attaching booking ${booking.bookingReference} to trip ${trip.id}`);
+
+    return this.updateTrip(trip.id, {
+      status: 'booked',
+      origin: trip.origin || booking.origin,
+      destination: trip.destination || booking.destination,
+      departureDate: trip.departureDate || booking.departureDate,
+      returnDate: trip.returnDate || booking.returnDate,
+      bookingDetails: {
+        ...(trip.bookingDetails || {}),
+        ...booking
+      }
+    });
+  }
+
   /**
    * Get all trips for a phone number
    * @param {string} phoneNumber
@@ -263,4 +306,4 @@ module.exports = new TripService();
 // Cleanup expired trips every hour
 setInterval(() => {
   module.exports.cleanupExpiredTrips();
-}, 60 * 60 * 1000);
+}, 60 * 60 * 1000).unref();
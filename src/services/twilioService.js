@@ -1,8 +1,31 @@
 const twilio = require('twilio');
+const axios = require('axios');
+const optOutService = require('./optOutService');
 
 const accountSid = process.env.TWILIO_ACCOUNT_SID;
 const authToken = process.env.TWILIO_AUTH_TOKEN;
 const twilioPhoneNumber = process.env.TWILIO_PHONE_NUMBER;
+// WhatsApp sender (defaults to the SMS number if it is WhatsApp-enabled)
+const twilioWhatsAppNumber = process.env.TWILIO_WHATSAPP_NUMBER || twilioPhoneNumber;
+
+const WHATSAPP_PREFIX = 'whatsapp:';
+
+// Inbound media is only downloaded from Twilio, and account credentials only go there
+const TWILIO_MEDIA_HOST = 'api.twilio.com';
+const MAX_MEDIA_BYTES = parseInt(process.env.MAX_MEDIA_BYTES, 10) || 10 * 1024 * 1024;
+const MAX_MEDIA_REDIRECTS = 5;
+
+// Max characters per outbound message, by channel
+// SMS is kept to two segments; WhatsApp bodies can be up to 1600 characters
+const CHANNEL_MESSAGE_LIMITS = {
+  sms: 320,
+  whatsapp: 1600
+};
+
+// GSM-7 alphabet: anything outside it sends the whole SMS as UCS-2.
+// Extension characters take two septets.
+const GSM7_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM7_EXTENSION = '^{}\\[~]|€\f';
 
 let client = null;
 
@@ -27,13 +50,71 @@ if (accountSid && authToken &&
 
 class TwilioService {
   /**
-   * Send an SMS message
-   * @param {string} to - Recipient phone number
+   * Work out the channel from a Twilio address
+   * @param {string} address - "+15551234567" or "whatsapp:+15551234567"
+   * @returns {string} 'sms' | 'whatsapp'
+   */
+  getChannel(address) {
+    return typeof address === 'string' && address.startsWith(WHATSAPP_PREFIX) ? 'whatsapp' : 'sms';
+  }
+
+  /**
+   * Whether a turn channel is one of the messaging channels (SMS, WhatsApp)
+   * @param {string} channel - Turn channel ('sms', 'whatsapp', 'voice', ...)
+   * @returns {boolean}
+   */
+  isMessagingChannel(channel) {
+    return Object.prototype.hasOwnProperty.call(CHANNEL_MESSAGE_LIMITS, channel);
+  }
+
+  /**
+   * Build the Twilio address for a phone number on a channel
+   * @param {string} phoneNumber - Phone number (with or without a channel prefix)
+   * @param {string} channel - 'sms' | 'whatsapp'
+   * @returns {string}
+   */
+  toAddress(phoneNumber, channel = 'sms') {
+    const bare = phoneNumber.startsWith(WHATSAPP_PREFIX) ? phoneNumber.slice(WHATSAPP_PREFIX.length) : phoneNumber;
+    return channel === 'whatsapp' ? `${WHATSAPP_PREFIX}${bare}` : bare;
+  }
+
+  /**
+   * Max characters per message for a channel
+   * @param {string} channel - 'sms' | 'whatsapp'
+   * @returns {number}
+   */
+  getMessageLimit(channel = 'sms') {
+    return CHANNEL_MESSAGE_LIMITS[channel] || CHANNEL_MESSAGE_LIMITS.sms;
+  }
+
+  /**
+   * Send an SMS or WhatsApp message
+   * The channel follows the recipient address: "whatsapp:+1..." goes out over WhatsApp.
+   * @param {string} to - Recipient phone number or whatsapp: address
    * @param {string} body - Message body
    * @param {Object} options - Additional options
-   * @returns {Promise<Object>} Message object
+   * @param {boolean} options.allowOptedOut - Send even if the number opted out (STOP confirmation and HELP replies only)
+   * @returns {Promise<Object|null>} Message object, or null if the recipient opted out
    */
   async sendSMS(to, body, options = {}) {
+    const { allowOptedOut, ...twilioOptions } = options;
+    const channel = this.getChannel(to);
+
+    // Never text a number that replied STOP
+    if (!allowOptedOut) {
+      let optedOut = false;
+      try {
+        optedOut = await optOutService.isOptedOut(to);
+      } catch (error) {
+        console.warn('Could not check opt-out status, sending anyway:', error.message);
+      }
+
+      if (optedOut) {
+        console.warn(`🔕 SMS to ${to} blocked - recipient opted out`);
+        return null;
+      }
+    }
+
     if (!client) {
       throw new Error('Twilio client not initialized. Check your credentials.');
     }
@@ -41,22 +122,22 @@ class TwilioService {
     try {
       const messageParams = {
         body,
-        from: twilioPhoneNumber,
+        from: channel === 'whatsapp' ? this.toAddress(twilioWhatsAppNumber, 'whatsapp') : twilioPhoneNumber,
         to,
-        ...options
+        ...twilioOptions
       };
 
       // Only add statusCallback if we have a valid public URL
       const backendUrl = process.env.BACKEND_WEBHOOK_URL;
-      if (options.statusCallback) {
-        messageParams.statusCallback = options.statusCallback;
+      if (twilioOptions.statusCallback) {
+        messageParams.statusCallback = twilioOptions.statusCallback;
       } else if (backendUrl && !backendUrl.includes('localhost') && !backendUrl.includes('127.0.0.1')) {
         messageParams.statusCallback = backendUrl + '/sms/status';
       }
 
       const message = await client.messages.create(messageParams);
 
-      console.log(`📱 SMS sent to ${to}: ${message.sid}`);
+      console.log(`📱 ${channel === 'whatsapp' ? 'WhatsApp' : 'SMS'} sent to ${to}: ${message.sid}`);
       return message;
     } catch (error) {
       console.error('Failed to send SMS:', error);
@@ -66,12 +147,12 @@ class TwilioService {
 
   /**
    * Send multiple SMS messages (for long content)
-   * @param {string} to - Recipient phone number
+   * @param {string} to - Recipient phone number or whatsapp: address
    * @param {string} body - Message body
-   * @param {number} chunkSize - Max characters per message
+   * @param {number} chunkSize - Max characters per message (defaults to the channel's limit)
    * @returns {Promise<Array>} Array of message objects
    */
-  async sendLongSMS(to, body, chunkSize = 320) {
+  async sendLongSMS(to, body, chunkSize = this.getMessageLimit(this.getChannel(to))) {
     const chunks = this.splitMessage(body, chunkSize);
     const messages = [];
 
@@ -89,33 +170,133 @@ class TwilioService {
     return messages;
   }
 
+  /**
+   * List the media attached to an inbound message
+   * Reads Twilio's NumMedia / MediaUrlN / MediaContentTypeN fields, or the
+   * already-collected Media array on merged payloads.
+   * @param {Object} payload - Twilio webhook body
+   * @param {Object} options - Options
+   * @param {boolean} options.imagesOnly - Skip non-image media (default: true)
+   * @returns {Array<Object>} [{ url, contentType }]
+   */
+  getInboundMedia(payload, options = {}) {
+    const { imagesOnly = true } = options;
+    let media = [];
+
+    if (Array.isArray(payload.Media)) {
+      media = payload.Media;
+    } else {
+      const count = parseInt(payload.NumMedia, 10) || 0;
+      for (let i = 0; i < count; i++) {
+        if (payload[`MediaUrl${i}`]) {
+          media.push({
+            url: payload[`MediaUrl${i}`],
+            contentType: payload[`MediaContentType${i}`] || ''
+          });
+        }
+      }
+    }
+
+    return imagesOnly ? media.filter(item => item.contentType.startsWith('image/')) : media;
+  }
+
+  /**
+   * Whether a URL is an https URL on Twilio's API host
+   * @param {string} url - URL to check
+   * @returns {boolean}
+   */
+  isTwilioMediaUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'https:' && parsed.hostname === TWILIO_MEDIA_HOST && !parsed.username && !parsed.password;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Download an image from a Twilio media URL
+   * Media URLs require account credentials unless public media is enabled.
+   * Redirects are followed by hand so the credentials are only ever sent to
+   * api.twilio.com (Twilio redirects to its CDN, which gets none).
+   * @param {string} url - MediaUrlN from the webhook
+   * @returns {Promise<Object>} { buffer, contentType }
+   */
+  async fetchMedia(url) {
+    if (!this.isTwilioMediaUrl(url)) {
+      throw new Error(`Refusing to fetch media from outside ${TWILIO_MEDIA_HOST}`);
+    }
+
+    let target = url;
+    for (let hop = 0; hop <= MAX_MEDIA_REDIRECTS; hop++) {
+      const onTwilio = this.isTwilioMediaUrl(target);
+      const response = await axios.get(target, {
+        responseType: 'arraybuffer',
+        auth: onTwilio && accountSid && authToken ? { username: accountSid, password: authToken } : undefined,
+        maxRedirects: 0,
+        maxContentLength: MAX_MEDIA_BYTES,
+        validateStatus: status => status >= 200 && status < 400,
+        timeout: 15000
+      });
+
+      if (response.status >= 300) {
+        const location = response.headers.location;
+        target = location && new URL(location, target).toString();
+        if (!target || !target.startsWith('https:')) {
+          throw new Error(`Media redirect to ${location || 'nowhere'} refused`);
+        }
+        continue;
+      }
+
+      const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      if (!contentType.startsWith('image/')) {
+        throw new Error(`Media is ${contentType || 'untyped'}, not an image`);
+      }
+
+      return {
+        buffer: Buffer.from(response.data),
+        contentType
+      };
+    }
+
+    throw new Error(`Media URL redirected more than ${MAX_MEDIA_REDIRECTS} times`);
+  }
+
   /**
    * Generate TwiML response for voice
+   * With options.gather the message is spoken inside the <Gather>, so the
+   * caller can answer (or press keys) while it plays.
    * @param {string} message - Message to speak
    * @param {Object} options - TwiML options
+   * @param {string} options.input - Gather input: 'speech' (default) or 'dtmf speech'
+   * @param {number} options.numDigits - Submit after this many key presses
+   * @param {string} options.finishOnKey - Key that submits the digits (Twilio default '#')
+   * @param {number} options.timeout - Seconds to wait for input
    * @returns {string} TwiML XML
    */
   generateVoiceResponse(message, options = {}) {
     const VoiceResponse = twilio.twiml.VoiceResponse;
     const response = new VoiceResponse();
-
-    const say = response.say({
+    const sayOptions = {
       voice: options.voice || 'Polly.Joanna',
       language: options.language || 'en-US'
-    }, message);
+    };
 
     if (options.gather) {
-      const gather = response.gather({
-        input: 'speech',
+      const gatherOptions = {
+        input: options.input || 'speech',
         action: options.gatherAction || '/voice/process-speech',
         method: 'POST',
         speechTimeout: options.speechTimeout || 'auto',
         language: options.language || 'en-US'
-      });
+      };
+      if (options.numDigits) gatherOptions.numDigits = options.numDigits;
+      if (options.finishOnKey) gatherOptions.finishOnKey = options.finishOnKey;
+      if (options.timeout) gatherOptions.timeout = options.timeout;
 
-      gather.say({
-        voice: options.voice || 'Polly.Joanna'
-      }, message);
+      response.gather(gatherOptions).say(sayOptions, message);
+    } else {
+      response.say(sayOptions, message);
     }
 
     if (options.hangup) {
@@ -207,13 +388,39 @@ class TwilioService {
     );
   }
 
+  /**
+   * Check that an inbound webhook request was signed by Twilio
+   * Twilio signs the URL it posted to, so BACKEND_WEBHOOK_URL (the public
+   * URL) is used when set, not the host the proxy forwarded to.
+   * @param {Object} req - Express request
+   * @returns {boolean} True if the signature matches (or no auth token is configured)
+   */
+  validateWebhookRequest(req) {
+    if (!authToken) {
+      console.warn('⚠️ TWILIO_AUTH_TOKEN not configured - skipping webhook signature validation');
+      return true; // Allow webhooks if the token is not configured (dev mode)
+    }
+
+    const signature = req.headers?.['x-twilio-signature'];
+    if (!signature) {
+      return false;
+    }
+
+    const baseUrl = (process.env.BACKEND_WEBHOOK_URL || `${req.protocol}://${req.headers.host}`).replace(/\/+$/, '');
+    return this.validateSignature(signature, `${baseUrl}${req.originalUrl}`, req.body || {});
+  }
+
   /**
    * Split long message into chunks
    * @param {string} message - Message to split
-   * @param {number} chunkSize - Max size per chunk
+   * @param {number|string} chunkSize - Max size per chunk, or a channel name ('sms' | 'whatsapp')
    * @returns {Array<string>} Message chunks
    */
-  splitMessage(message, chunkSize = 320) {
+  splitMessage(message, chunkSize = CHANNEL_MESSAGE_LIMITS.sms) {
+    if (typeof chunkSize === 'string') {
+      chunkSize = this.getMessageLimit(chunkSize);
+    }
+
     const chunks = [];
     let currentChunk = '';
 
@@ -237,6 +444,28 @@ class TwilioService {
     return chunks;
   }
 
+  /**
+   * Count the carrier segments an SMS body is billed as
+   * GSM-7 fits 160 characters in one segment (153 per part when split);
+   * a body with any other character (emoji, curly quotes, accents outside
+   * GSM-7) is UCS-2: 70 per segment, 67 per part.
+   * @param {string} body - Message body
+   * @returns {Object} { segments, encoding: 'GSM-7' | 'UCS-2' }
+   */
+  countSegments(body = '') {
+    const chars = Array.from(body);
+    const isGsm7 = chars.every(char => GSM7_BASIC.includes(char) || GSM7_EXTENSION.includes(char));
+
+    if (isGsm7) {
+      const septets = chars.reduce((total, char) => total + (GSM7_EXTENSION.includes(char) ? 2 : 1), 0);
+      return { segments: septets <= 160 ? 1 : Math.ceil(septets / 153), encoding: 'GSM-7' };
+    }
+
+    // UCS-2 counts UTF-16 code units: an emoji takes two
+    const units = body.length;
+    return { segments: units <= 70 ? 1 : Math.ceil(units / 67), encoding: 'UCS-2' };
+  }
+
   /**
    * Delay helper
    * @param {number} ms - Milliseconds to delay
@@ -248,3 +477,4 @@ class TwilioService {
 }
 
 module.exports = new TwilioService();
+module.exports.CHANNEL_MESSAGE_LIMITS = CHANNEL_MESSAGE_LIMITS;
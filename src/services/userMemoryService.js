@@ -0,0 +1,242 @@
+/**
+ * User Memory Service
+ * Long-term facts about a traveler - "travels with partner Sam", "hates
+ * early flights" - that outlive the session. They are distilled from the
+ * conversation when old turns are compacted (historyCompactionService) and
+ * added to the SMS assistant and voice agent prompts.
+ * Memories are stored in user_memories; without a database the in-memory
+ * store is the record.
+ */
+
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const db = require('../db');
+const llmProviderService = require('./llmProviderService');
+const { normalizePhone } = require('./userProfileService');
+
+const MEMORY_CATEGORIES = ['people', 'likes', 'dislikes', 'needs', 'other'];
+
+// Oldest memories are dropped beyond this
+const MAX_MEMORIES_PER_USER = 50;
+
+// Memories listed in a prompt (newest first)
+const PROMPT_MEMORY_LIMIT = 20;
+
+const MAX_MEMORY_LENGTH = 200;
+
+// phone -> [memory], newest first (no-database fallback)
+const storedMemories = new Map();
+
+const EXTRACTION_PROMPT = `You maintain long-term notes about a traveler for a travel concierge.
+From the conversation, list durable facts worth remembering on future trips: who they travel with, what they like or avoid, needs and routines (e.g. "travels with partner Sam", "hates early flights", "needs an aisle seat").
+Skip one-off details of the current trip (dates, destinations being searched, prices) and anything already in the known facts.
+Each fact is a short phrase about the traveler, in English.
+
+Return JSON: {"memories": [{"content": "...", "category": "people|likes|dislikes|needs|other"}]} - an empty list when there is nothing new.`;
+
+/**
+ * Convert a user_memories row into a memory
+ * @param {Object} row - Database row
+ * @returns {Object} { id, content, category, createdAt }
+ */
+function fromRow(row) {
+  return {
+    id: row.id,
+    content: row.content,
+    category: row.category,
+    createdAt: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at
+  };
+}
+
+/**
+ * Clean up a fact before storing it
+ * @param {Object} fact - { content, category }
+ * @returns {Object|null} { content, category }, or null when there is no text
+ */
+function normalizeFact(fact) {
+  const content = typeof fact?.content === 'string' ? fact.content.trim().replace(/\s+/g, ' ').slice(0, MAX_MEMORY_LENGTH) : '';
+  if (!content) return null;
+
+  const category = MEMORY_CATEGORIES.includes(fact.category) ? fact.category : 'other';
+  return { content, category };
+}
+
+/**
+ * Get a user's memories, newest first
+ * @param {string} phoneNumber - Phone number
+ * @returns {Promise<Array<Object>>} [{ id, content, category, createdAt }]
+ */
+async function listMemories(phoneNumber) {
+  const phone = normalizePhone(phoneNumber);
+  if (!phone) return [];
+
+  if (!db.isConfigured) {
+    return [...(storedMemories.get(phone) || [])];
+  }
+
+  const result = await db.query(
+    `SELECT * FROM user_memories
+     WHERE phone_number = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [phone, MAX_MEMORIES_PER_USER]
+  );
+  return result.rows.map(fromRow);
+}
+
+/**
+ * Remember new facts about a user
+ * Facts already known (case-insensitive) are skipped; past
+ * MAX_MEMORIES_PER_USER the oldest are forgotten.
+ * @param {string} phoneNumber - Phone number
+ * @param {Array<Object>} facts - [{ content, category }]
+ * @returns {Promise<Array<Object>>} Memories that were added
+ */
+async function addMemories(phoneNumber, facts = []) {
+  const phone = normalizePhone(phoneNumber);
+  if (!phone) return [];
+
+  const known = new Set((await listMemories(phone)).map(memory => memory.content.toLowerCase()));
+  const added = [];
+
+  for (const fact of facts.map(normalizeFact).filter(Boolean)) {
+    if (known.has(fact.content.toLowerCase())) continue;
+    known.add(fact.content.toLowerCase());
+
+    if (!db.isConfigured) {
+      added.push({ id: uuidv4(), ...fact, createdAt: new Date().toISOString() });
+      continue;
+    }
+
+    const result = await db.query(
+      `INSERT INTO user_memories (phone_number, content, category)
+       VALUES ($1, $2, $3)
+       ON CONFLICT DO NOTHING
+       RETURNING *`,
+      [phone, fact.content, fact.category]
+    );
+    if (result.rows[0]) added.push(fromRow(result.rows[0]));
+  }
+
+  if (added.length === 0) return [];
+
+  if (!db.isConfigured) {
+    const memories = [...added.slice().reverse(), ...(storedMemories.get(phone) || [])];
+    storedMemories.set(phone, memories.slice(0, MAX_MEMORIES_PER_USER));
+  } else {
+    await db.query(
+      `DELETE FROM user_memories
+       WHERE phone_number = $1 AND id NOT IN (
+         SELECT id FROM user_memories WHERE phone_number = $1 ORDER BY created_at DESC LIMIT $2
+       )`,
+      [phone, MAX_MEMORIES_PER_USER]
+    );
+  }
+
+  console.log(`🧠 Remembered ${added.length} fact(s) about ${phone}`);
+  return added;
+}
+
+/**
+ * Forget one memory
+ * @param {string} phoneNumber - Phone number
+ * @param {string} memoryId - Memory ID
+ * @returns {Promise<boolean>} True if it existed
+ */
+async function deleteMemory(phoneNumber, memoryId) {
+  const phone = normalizePhone(phoneNumber);
+  if (!phone || !isUuid(memoryId)) return false;
+
+  if (!db.isConfigured) {
+    const memories = storedMemories.get(phone) || [];
+    const remaining = memories.filter(memory => memory.id !== memoryId);
+    storedMemories.set(phone, remaining);
+    return remaining.length < memories.length;
+  }
+
+  const result = await db.query(
+    'DELETE FROM user_memories WHERE phone_number = $1 AND id = $2',
+    [phone, memoryId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Forget everything about a user
+ * @param {string} phoneNumber - Phone number
+ * @returns {Promise<number>} Memories deleted
+ */
+async function clearMemories(phoneNumber) {
+  const phone = normalizePhone(phoneNumber);
+  if (!phone) return 0;
+
+  if (!db.isConfigured) {
+    const count = (storedMemories.get(phone) || []).length;
+    storedMemories.delete(phone);
+    return count;
+  }
+
+  const result = await db.query('DELETE FROM user_memories WHERE phone_number = $1', [phone]);
+  return result.rowCount;
+}
+
+/**
+ * Memories as prompt lines
+ * @param {Array<Object>} memories - From listMemories()
+ * @returns {string} "- fact" lines, or '' when there are none
+ */
+function formatForPrompt(memories = []) {
+  return memories
+    .slice(0, PROMPT_MEMORY_LIMIT)
+    .map(memory => `- ${memory.content}`)
+    .join('\n');
+}
+
+/**
+ * Load a user's memories for a prompt without failing the turn
+ * @param {string} phoneNumber - Phone number
+ * @returns {Promise<Array<Object>>} Memories, [] when they can't be loaded
+ */
+async function loadForPrompt(phoneNumber) {
+  try {
+    return await listMemories(phoneNumber);
+  } catch (error) {
+    console.warn('Could not load user memories:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Ask the model for durable facts in a stretch of conversation
+ * @param {Array<Object>} messages - [{ role, content }]
+ * @param {Array<Object>} known - Memories already stored
+ * @returns {Promise<Array<Object>>} [{ content, category }]
+ */
+async function extractMemories(messages, known = []) {
+  const transcript = messages
+    .filter(msg => msg.content)
+    .map(msg => `${msg.role === 'user' ? 'Traveler' : msg.role === 'assistant' ? 'Concierge' : 'Note'}: ${msg.content}`)
+    .join('\n');
+  if (!transcript) return [];
+
+  const knownFacts = formatForPrompt(known) || '(none)';
+  const result = await llmProviderService.extractJson({
+    messages: [
+      { role: 'system', content: `${EXTRACTION_PROMPT}\n\nKnown facts:\n${knownFacts}` },
+      { role: 'user', content: transcript }
+    ],
+    temperature: 0
+  });
+
+  return Array.isArray(result?.memories) ? result.memories.map(normalizeFact).filter(Boolean) : [];
+}
+
+module.exports = {
+  MEMORY_CATEGORIES,
+  listMemories,
+  addMemories,
+  deleteMemory,
+  clearMemories,
+  formatForPrompt,
+  loadForPrompt,
+  extractMemories
+};
@@ -5,6 +5,25 @@
 
 const db = require('../db');
 const userProfileService = require('./userProfileService');
+const sessionManager = require('./sessionManager');
+
+// Preference changes kept per session for UNDO
+const PREFERENCE_HISTORY_LIMIT = 5;
+
+// Preference field -> user_preferences column
+const PREFERENCE_COLUMNS = {
+  preferredClass: 'preferred_class',
+  travelCreditCards: 'travel_credit_cards',
+  prioritizeCardBenefits: 'prioritize_card_benefits',
+  preferredAirlines: 'preferred_airlines',
+  avoidedAirlines: 'avoided_airlines',
+  preferredAirports: 'preferred_airports',
+  avoidedAirports: 'avoided_airports',
+  departureTimePreference: 'departure_time_preference',
+  maxStops: 'max_stops',
+  connectionPreference: 'connection_preference',
+  budgetFlexibility: 'budget_flexibility'
+};
 
 /**
  * Get user preferences
@@ -144,6 +163,113 @@ async function updatePreferences(phoneNumber, updates) {
   return setPreferences(phoneNumber, updates);
 }
 
+/**
+ * Convert a user_preferences row into preference fields
+ * @param {Object} row - Database row
+ * @param {Array<string>} [fields] - Only include these fields
+ * @returns {Object} e.g. { preferredClass: 'business', maxStops: null }
+ */
+function toPreferenceFields(row, fields = Object.keys(PREFERENCE_COLUMNS)) {
+  const preferences = {};
+
+  for (const field of fields) {
+    const column = PREFERENCE_COLUMNS[field];
+    if (column) {
+      preferences[field] = row && row[column] !== undefined ? row[column] : null;
+    }
+  }
+
+  return preferences;
+}
+
+/**
+ * Write preference fields back exactly as given, including nulls
+ * setPreferences() keeps existing values for nulls, so it can't undo a change
+ * that filled in a previously empty field.
+ * @param {string} phoneNumber - User's phone number
+ * @param {Object} values - Preference fields to restore
+ * @returns {Promise<Object|null>} Updated preferences or null if nothing to restore
+ */
+async function restorePreferences(phoneNumber, values) {
+  if (!db.isConfigured) {
+    throw new Error('Database not configured');
+  }
+
+  const user = await userProfileService.getUserByPhone(phoneNumber);
+  if (!user) {
+    return null;
+  }
+
+  const fields = Object.keys(values).filter(field => PREFERENCE_COLUMNS[field]);
+  if (fields.length === 0) {
+    return null;
+  }
+
+  const assignments = fields.map((field, idx) => `${PREFERENCE_COLUMNS[field]} = $${idx + 2}`);
+
+  const result = await db.query(
+    `UPDATE user_preferences SET
+      ${assignments.join(',\n      ')},
+      updated_at = NOW()
+    WHERE user_id = $1
+    RETURNING *`,
+    [user.id, ...fields.map(field => values[field])]
+  );
+
+  console.log(`↩️ Restored preferences for ${phoneNumber}: ${fields.join(', ')}`);
+  return result.rows[0] || null;
+}
+
+/**
+ * Save preference changes picked up from a conversation
+ * Writes to the database when available, mirrors the change into the session
+ * and records the previous values so UNDO can revert it.
+ * @param {string} phoneNumber - User's phone number
+ * @param {Object} updates - Preference fields to apply
+ * @param {Object} session - Current session data
+ * @returns {Promise<Object>} { previous, applied }
+ */
+async function applyPreferenceUpdates(phoneNumber, updates, session) {
+  // Remember what these fields were so UNDO can put them back
+  const changedFields = Object.keys(updates).filter(field => PREFERENCE_COLUMNS[field]);
+  let previous = null;
+  try {
+    const stored = await getPreferences(phoneNumber);
+    previous = stored ? toPreferenceFields(stored, changedFields) : null;
+  } catch (dbErr) {
+    console.warn('Could not read preferences before saving:', dbErr.message);
+  }
+  if (!previous) {
+    previous = Object.fromEntries(changedFields.map(field => [field, session.userPreferences?.[field] ?? null]));
+  }
+
+  // Update preferences in database (won't fail if DB not configured)
+  try {
+    await setPreferences(phoneNumber, updates);
+  } catch (dbErr) {
+    console.warn('Could not save preferences to DB:', dbErr.message);
+  }
+
+  // Also update session for immediate use
+  const sessionUpdates = {
+    userPreferences: {
+      ...(session.userPreferences || {}),
+      ...updates
+    }
+  };
+
+  if (changedFields.length > 0) {
+    const current = await sessionManager.getSession(phoneNumber);
+    sessionUpdates.preferenceHistory = [
+      ...(current.preferenceHistory || []),
+      { previous, applied: updates, at: new Date().toISOString() }
+    ].slice(-PREFERENCE_HISTORY_LIMIT);
+  }
+
+  await sessionManager.updateSession(phoneNumber, sessionUpdates);
+  return { previous, applied: updates };
+}
+
 /**
  * Delete user preferences
  * @param {string} phoneNumber - User's phone number
@@ -279,10 +405,15 @@ async function removeCreditCard(phoneNumber, cardName) {
 }
 
 module.exports = {
+  PREFERENCE_COLUMNS,
+  PREFERENCE_HISTORY_LIMIT,
   getPreferences,
   setPreferences,
   updatePreferences,
   deletePreferences,
+  restorePreferences,
+  applyPreferenceUpdates,
+  toPreferenceFields,
   getOrCreatePreferences,
   addCreditCard,
   removeCreditCard
@@ -29,6 +29,18 @@ function normalizePhone(phone) {
   return cleaned;
 }
 
+/**
+ * Strip secrets from a users row before it leaves this service
+ * The voice PIN hash is only read by callerVerificationService.
+ * @param {Object} row - Database row
+ * @returns {Object|null}
+ */
+function fromUserRow(row) {
+  if (!row) return null;
+  const { voice_pin_hash, ...user } = row;
+  return user;
+}
+
 /**
  * Get user by phone number
  * @param {string} phoneNumber - User's phone number
@@ -47,7 +59,7 @@ async function getUserByPhone(phoneNumber) {
     [normalizedPhone]
   );
 
-  return result.rows[0] || null;
+  return fromUserRow(result.rows[0]);
 }
 
 /**
@@ -66,7 +78,7 @@ async function getUserById(userId) {
     [userId]
   );
 
-  return result.rows[0] || null;
+  return fromUserRow(result.rows[0]);
 }
 
 /**
@@ -124,7 +136,7 @@ async function createUser(userData) {
   );
 
   console.log(`✅ Created user profile for ${normalizedPhone}`);
-  return result.rows[0];
+  return fromUserRow(result.rows[0]);
 }
 
 /**
@@ -155,7 +167,8 @@ async function updateUser(phoneNumber, updates) {
     knownTravelerNumber,
     passportNumber,
     passportExpiry,
-    homeAirport
+    homeAirport,
+    preferredLanguage
   } = updates;
 
   const result = await db.query(
@@ -169,6 +182,7 @@ async function updateUser(phoneNumber, updates) {
       passport_number = COALESCE($8, passport_number),
       passport_expiry = COALESCE($9, passport_expiry),
       home_airport = COALESCE($10, home_airport),
+      preferred_language = COALESCE($11, preferred_language),
       updated_at = NOW()
     WHERE phone_number = $1
     RETURNING *`,
@@ -182,12 +196,13 @@ async function updateUser(phoneNumber, updates) {
       knownTravelerNumber,
       passportNumber,
       passportExpiry,
-      homeAirport
+      homeAirport,
+      preferredLanguage
     ]
   );
 
   console.log(`✅ Updated user profile for ${normalizedPhone}`);
-  return result.rows[0];
+  return fromUserRow(result.rows[0]);
 }
 
 /**
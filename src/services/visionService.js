@@ -0,0 +1,34 @@
+/**
+ * Vision Service
+ * Reads images (screenshots, confirmations) through the 'vision' capability
+ * of llmProviderService, so LLM_PROVIDER / LLM_PROVIDER_VISION pick the
+ * backend and tests script answers with MockLLMProvider fixtures.
+ *
+ * Twilio media URLs are private: images are downloaded here and handed to
+ * the provider as bytes.
+ */
+
+const llmProviderService = require('./llmProviderService');
+const twilioService = require('./twilioService');
+
+class VisionService {
+  /**
+   * Download images and have the model describe them as JSON
+   * @param {Object} params - Parameters
+   * @param {Array<Object>} params.images - [{ url, contentType }] as received from Twilio
+   * @param {string} params.prompt - System prompt describing the JSON to return
+   * @returns {Promise<Object>} Parsed JSON
+   */
+  async analyzeImages({ images, prompt }) {
+    const downloaded = [];
+
+    for (const image of images) {
+      const { buffer, contentType } = await twilioService.fetchMedia(image.url);
+      downloaded.push({ url: image.url, data: buffer, contentType: image.contentType || contentType });
+    }
+
+    return llmProviderService.analyzeImages({ images: downloaded, prompt });
+  }
+}
+
+module.exports = new VisionService();
@@ -0,0 +1,188 @@
+/**
+ * Voice Menu Service
+ * Keypad fallbacks for the <Gather> voice flow. After each spoken reply we
+ * work out what the caller is being asked (pick an option, yes/no, a date,
+ * an airport) and offer keys for it; digits pressed on the next turn are
+ * turned back into the text the intents already understand.
+ * 0 always means "send me this by text".
+ */
+
+const airportResolverService = require('./airportResolverService');
+const { getActiveResults } = require('../intents/resultSelection');
+const { RESULTS_PAGE_SIZE } = require('../intents/presenters');
+const { matchAirportCode, parseKeypadDate } = require('../utils/keypad');
+
+const HANDOFF_KEY = '0';
+const HANDOFF_PROMPT = 'Or press 0 to get this by text.';
+
+// Last sentence of the reply decides what is being asked
+const AIRPORT_QUESTION = /\b(?:(?:flying|fly|leaving|departing|depart|heading out)\s+(?:out\s+)?from|which airport|home airport|nearest airport)\b/i;
+const DATE_QUESTION = /\b(?:when|what dates?|which dates?|what day|your dates|travel dates|date of)\b/i;
+const YES_NO_QUESTION = /^(?:should|shall|do|does|would|will|want|is|are|can|could|may)\b[^?]*\?$/i;
+
+class VoiceMenuService {
+  /**
+   * Work out which keypad menu goes with a spoken reply
+   * @param {Object} session - Session after the turn was handled
+   * @param {string} spokenText - What we are about to say
+   * @returns {Object|null} Menu ({ type, ... }) or null for free conversation
+   */
+  buildMenu(session, spokenText = '') {
+    const sentences = spokenText.trim().split(/(?<=[.!?])\s+/);
+    const question = sentences[sentences.length - 1] || '';
+
+    if (question.endsWith('?') && AIRPORT_QUESTION.test(question)) {
+      return { type: 'airport' };
+    }
+    if (question.endsWith('?') && DATE_QUESTION.test(question)) {
+      return { type: 'date' };
+    }
+
+    const count = this.countOptions(session);
+    if (count > 0) {
+      return { type: 'options', count };
+    }
+
+    if (YES_NO_QUESTION.test(question) && !/\bor\b/i.test(question)) {
+      return { type: 'confirm' };
+    }
+    return null;
+  }
+
+  /**
+   * Number of options the caller has heard and can pick with one key
+   * @param {Object} session - User session
+   * @returns {number} 0 when nothing is on offer
+   */
+  countOptions(session = {}) {
+    if (session.recoMode === 'awaiting_selection') {
+      return Math.min((session.recoRecommendations || []).length, 3);
+    }
+    const active = getActiveResults(session);
+    if (!active) {
+      return 0;
+    }
+    // The cursor points past the last result read out
+    const heard = active.offset || Math.min(active.results.length, RESULTS_PAGE_SIZE);
+    return Math.min(heard, 9);
+  }
+
+  /**
+   * What to say so the caller knows which keys work
+   * @param {Object|null} menu - From buildMenu()
+   * @returns {string}
+   */
+  getPrompt(menu) {
+    switch (menu?.type) {
+      case 'options':
+        return menu.count === 1
+          ? `Press 1 to choose it. ${HANDOFF_PROMPT}`
+          : `Press 1 to ${menu.count} to choose an option. ${HANDOFF_PROMPT}`;
+      case 'confirm':
+        return `Press 1 for yes or 2 for no. ${HANDOFF_PROMPT}`;
+      case 'date':
+        return 'You can also key in the month and day, like 0 3 1 5 for March 15th, then press pound.';
+      case 'airport':
+        return 'You can also spell the 3-letter airport code on your keypad, then press pound.';
+      case 'airportChoice':
+        return menu.airports
+          .map((airport, i) => `Press ${i + 1} for ${airport.code}, ${airport.city}.`)
+          .join(' ');
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * <Gather> settings for a menu
+   * Single-key menus submit on the first press; longer entries end with #.
+   * @param {Object|null} menu - From buildMenu()
+   * @returns {Object} Options for twilioService.generateVoiceResponse()
+   */
+  getGatherOptions(menu) {
+    const options = { input: 'dtmf speech' };
+
+    if (menu?.type === 'options' || menu?.type === 'confirm' || menu?.type === 'airportChoice') {
+      options.numDigits = 1;
+    } else if (menu?.type === 'date' || menu?.type === 'airport') {
+      options.finishOnKey = '#';
+      options.timeout = 8;
+    }
+    return options;
+  }
+
+  /**
+   * Turn keys pressed into something the conversation can use
+   * @param {string} digits - Twilio Digits (may end in #)
+   * @param {Object|null} menu - Menu offered on the previous turn
+   * @param {Object} options - Options
+   * @param {Date} options.now - Reference time for dates
+   * @returns {Object} One of:
+   *   { handoff: true } - caller pressed 0
+   *   { message } - text to route as if the caller had said it
+   *   { retry, menu } - ask again (retry is what to say)
+   */
+  interpretDigits(digits, menu, { now = new Date() } = {}) {
+    const keys = (digits || '').replace(/[^0-9]/g, '');
+
+    if (keys === HANDOFF_KEY) {
+      return { handoff: true };
+    }
+    if (!keys) {
+      return { retry: "Sorry, I didn't get that.", menu };
+    }
+
+    switch (menu?.type) {
+      case 'options': {
+        const choice = parseInt(keys, 10);
+        if (choice >= 1 && choice <= menu.count) {
+          return { message: String(choice) };
+        }
+        return { retry: `Please press a number from 1 to ${menu.count}.`, menu };
+      }
+
+      case 'confirm':
+        if (keys === '1') return { message: 'yes' };
+        if (keys === '2') return { message: 'no' };
+        return { retry: 'Please press 1 for yes or 2 for no.', menu };
+
+      case 'date': {
+        const date = parseKeypadDate(keys, { now });
+        if (!date) {
+          return { retry: "That doesn't look like a date. Key in the month and day, like 0 3 1 5 for March 15th.", menu };
+        }
+        const [year, month, day] = date.split('-').map(Number);
+        const spoken = new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', {
+          month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+        });
+        return { message: spoken };
+      }
+
+      case 'airport': {
+        const airports = matchAirportCode(keys, airportResolverService.listAirports());
+        if (airports.length === 1) {
+          return { message: airports[0].code };
+        }
+        if (airports.length > 1) {
+          return { retry: 'That could be a few airports.', menu: { type: 'airportChoice', airports: airports.slice(0, 3).map(({ code, city }) => ({ code, city })) } };
+        }
+        return { retry: "I couldn't match that airport code. You can also just say the city.", menu };
+      }
+
+      case 'airportChoice': {
+        const airport = menu.airports[parseInt(keys, 10) - 1];
+        if (airport) {
+          return { message: airport.code };
+        }
+        return { retry: 'Please choose one of these.', menu };
+      }
+
+      default:
+        // No menu on offer - pass the number through (e.g. "2" after a recap)
+        return { message: keys };
+    }
+  }
+}
+
+module.exports = new VoiceMenuService();
+module.exports.VoiceMenuService = VoiceMenuService;
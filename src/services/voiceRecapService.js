@@ -0,0 +1,185 @@
+/**
+ * Voice Recap Service
+ * After a voice session, texts the caller a structured recap - trip, dates,
+ * travelers, the options discussed with their links and what is still open -
+ * and primes the SMS session so "book option 2" picks the option that was
+ * discussed on the call.
+ * Used by the ElevenLabs conversation.ended webhook and by the Twilio
+ * <Gather> / Realtime paths when the call completes.
+ */
+
+const twilioService = require('./twilioService');
+const sessionManager = require('./sessionManager');
+const { RESULTS_PAGE_SIZE, formatDateShort, formatStops, formatFlightPrice } = require('../intents/presenters');
+const { getActiveResults, buildFlightLink } = require('../intents/resultSelection');
+
+const NO_DETAILS_MESSAGE = "We noticed you called Otherwhere! 👋\n\nText me where you want to go and I'll help you find amazing travel options.";
+
+class VoiceRecapService {
+  /**
+   * Collect the recap from what the call captured and what is in the session
+   * @param {Object} session - User session
+   * @param {Object} tripData - Trip details captured by the voice agent (optional)
+   * @returns {Object} { destination, origin, departureDate, returnDate, travelers, optionsType, options, openQuestions }
+   */
+  buildRecap(session, tripData = {}) {
+    const flightSearch = session.context?.lastFlightSearch || session.lastFlightSearch || {};
+    const staySearch = session.lastAccommodationSearch || session.context?.lastAccommodationSearch || {};
+    const tripDetails = session.tripDetails || {};
+
+    const destination = tripData.destination || tripDetails.destination || flightSearch.destination || staySearch.destination || null;
+    const origin = tripData.origin || tripDetails.origin || flightSearch.origin || null;
+    const departureDate = tripData.startDate || tripData.check_in || tripDetails.startDate || flightSearch.startDate || staySearch.checkIn || null;
+    const returnDate = tripData.endDate || tripData.check_out || tripDetails.endDate || flightSearch.endDate || staySearch.checkOut || null;
+    const travelers = parseInt(tripData.travelers || tripDetails.travelers || flightSearch.travelers || flightSearch.passengers || staySearch.guests, 10) || null;
+
+    // Options are the result set the caller last heard, numbered as in the session
+    const active = getActiveResults(session);
+    let options = [];
+    if (active) {
+      const count = Math.min(active.results.length, active.offset || RESULTS_PAGE_SIZE);
+      options = active.results.slice(0, count).map((result, idx) => (
+        active.type === 'flights'
+          ? this.describeFlight(result, idx + 1, flightSearch)
+          : this.describeStay(result, idx + 1)
+      ));
+    }
+
+    const openQuestions = [];
+    if (!destination) {
+      openQuestions.push('Where do you want to go?');
+    } else {
+      if (!origin && active?.type !== 'stays') openQuestions.push('Where are you flying from?');
+      if (!departureDate) openQuestions.push('What dates work for you?');
+      if (!travelers) openQuestions.push('How many people are traveling?');
+    }
+
+    return {
+      destination,
+      origin,
+      departureDate,
+      returnDate,
+      travelers,
+      optionsType: active && options.length > 0 ? active.type : null,
+      options,
+      openQuestions
+    };
+  }
+
+  /**
+   * Describe a flight option for the recap
+   * @param {Object} flight - Flight result
+   * @param {number} number - 1-based option number
+   * @param {Object} search - Flight search the result came from
+   * @returns {Object} { number, label, url }
+   */
+  describeFlight(flight, number, search) {
+    const stops = formatStops(flight);
+    const link = buildFlightLink(flight, search);
+    return {
+      number,
+      label: `${flight.airline || 'Various'} ${formatFlightPrice(flight)}${stops ? ` (${stops})` : ''}`,
+      url: link ? link.url : null
+    };
+  }
+
+  /**
+   * Describe a stay option for the recap
+   * @param {Object} property - Stay result
+   * @param {number} number - 1-based option number
+   * @returns {Object} { number, label, url }
+   */
+  describeStay(property, number) {
+    return {
+      number,
+      label: `${property.name} $${property.pricePerNight}/night${property.rating ? ` ⭐${property.rating}` : ''}`,
+      url: property.url || null
+    };
+  }
+
+  /**
+   * Format the recap as a text message
+   * @param {Object} recap - From buildRecap()
+   * @returns {string}
+   */
+  formatRecap(recap) {
+    if (!recap.destination && recap.options.length === 0) {
+      return NO_DETAILS_MESSAGE;
+    }
+
+    const lines = ['📋 Recap of our call'];
+
+    if (recap.destination) {
+      lines.push(`Trip: ${recap.origin ? `${recap.origin} → ` : ''}${recap.destination}`);
+    }
+    if (recap.departureDate) {
+      lines.push(`Dates: ${formatDateShort(recap.departureDate)}${recap.returnDate ? ` – ${formatDateShort(recap.returnDate)}` : ''}`);
+    }
+    if (recap.travelers) {
+      lines.push(`Travelers: ${recap.travelers}`);
+    }
+
+    if (recap.options.length > 0) {
+      lines.push('', `${recap.optionsType === 'flights' ? 'Flights' : 'Stays'} we discussed:`);
+      recap.options.forEach(option => {
+        lines.push(`${option.number}. ${option.label}${option.url ? `\n${option.url}` : ''}`);
+      });
+    }
+
+    if (recap.openQuestions.length > 0) {
+      lines.push('', 'Still open:');
+      recap.openQuestions.forEach(question => lines.push(`- ${question}`));
+    }
+
+    lines.push('', recap.options.length > 0
+      ? `Reply "book option ${Math.min(2, recap.options.length)}" (or just the number) to pick one.`
+      : 'Reply here and we\'ll pick up where we left off.');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Send the recap and prime the SMS session
+   * Sent at most once per call.
+   * @param {string} phoneNumber - Caller phone number
+   * @param {Object} tripData - Trip details captured by the voice agent (optional)
+   * @param {Object} options - Options
+   * @param {string} options.callKey - Call SID / conversation ID used to avoid duplicate recaps
+   * @param {string} options.source - 'elevenlabs' | 'gather' | 'realtime'
+   * @returns {Promise<Object|null>} Recap, or null if one was already sent for this call
+   */
+  async sendRecap(phoneNumber, tripData = {}, { callKey = null, source = 'voice' } = {}) {
+    const session = await sessionManager.getSession(phoneNumber);
+
+    if (callKey && session.voiceRecap?.callKey === callKey) {
+      console.log(`📋 Recap for ${callKey} already sent, skipping`);
+      return null;
+    }
+
+    const recap = this.buildRecap(session, tripData);
+
+    // Keep numbering aligned with the recap so "book option 2" and "show more" work over SMS
+    const updates = {
+      voiceRecap: {
+        callKey,
+        source,
+        sentAt: new Date().toISOString(),
+        optionsType: recap.optionsType,
+        openQuestions: recap.openQuestions
+      }
+    };
+    if (recap.optionsType) {
+      updates.resultsCursor = { type: recap.optionsType, offset: recap.options.length };
+      updates.selectedFlight = null;
+    }
+    await sessionManager.updateSession(phoneNumber, updates);
+
+    await twilioService.sendLongSMS(phoneNumber, this.formatRecap(recap));
+    console.log(`📋 Sent ${source} call recap to ${phoneNumber}: ${recap.options.length} options, ${recap.openQuestions.length} open questions`);
+
+    return recap;
+  }
+}
+
+module.exports = new VoiceRecapService();
+module.exports.VoiceRecapService = VoiceRecapService;
@@ -0,0 +1,144 @@
+/**
+ * get_recommendations tool
+ * Three destination ideas from a spoken vibe / timing / budget / crew.
+ * The ideas are also texted and saved so "the second one" works over SMS.
+ */
+
+const twilioService = require('../services/twilioService');
+const sessionManager = require('../services/sessionManager');
+const recommendationService = require('../services/recommendationService');
+
+/**
+ * Map voice vibe input to recommendation category
+ * @param {string} vibe - User's vibe description
+ * @returns {string} Category key
+ */
+function mapVibeToCategory(vibe) {
+  if (!vibe) return 'mixed';
+  const lower = vibe.toLowerCase();
+
+  if (/beach|relax|slow|chill|ocean|tropical|sun|water/i.test(lower)) return 'beach';
+  if (/city|urban|culture|museum|food|nightlife|buzz/i.test(lower)) return 'city';
+  if (/adventure|hik|mountain|nature|outdoor|wild|landscape/i.test(lower)) return 'adventure';
+  if (/history|ancient|traditional|heritage/i.test(lower)) return 'culture';
+
+  return 'mixed';
+}
+
+/**
+ * Map voice budget input to recommendation category
+ * @param {string} budget - User's budget description
+ * @returns {string} Category key
+ */
+function mapBudgetToCategory(budget) {
+  if (!budget) return 'moderate';
+  const lower = budget.toLowerCase();
+
+  if (/all[- ]?out|luxury|splurge|fancy|expensive|premium|high[- ]?end/i.test(lower)) return 'luxury';
+  if (/budget|cheap|economical|tight|limited|backpack|save/i.test(lower)) return 'budget';
+
+  return 'moderate';
+}
+
+/**
+ * Map travelers type to recommendation category
+ * @param {string} travelersType - Type of travelers
+ * @returns {string} Category key
+ */
+function mapTravelersToCategory(travelersType) {
+  if (!travelersType) return 'solo';
+  const lower = travelersType.toLowerCase();
+
+  if (/solo|alone|myself|just me/i.test(lower)) return 'solo';
+  if (/romantic|partner|couple|honeymoon|anniversary/i.test(lower)) return 'romantic';
+  if (/friend|group|crew|squad/i.test(lower)) return 'friends';
+  if (/family|kid|children/i.test(lower)) return 'family';
+
+  return 'solo';
+}
+
+module.exports = {
+  name: 'get_recommendations',
+  description: 'Suggest three destinations that fit the caller\'s vibe, timing, budget and who they travel with.',
+  parameters: {
+    type: 'object',
+    properties: {
+      vibe: { type: 'string', title: 'kind of trip', description: 'What the trip should feel like, e.g. "beach and slow days"' },
+      timing: { type: 'string', description: 'When they want to go, e.g. "late March"' },
+      budget: { type: 'string', description: 'Budget in their words, e.g. "mid-range"' },
+      travelers: { type: 'integer', minimum: 1, title: 'number of travelers', description: 'Number of travelers' },
+      travelers_type: { type: 'string', description: 'Who is going, e.g. "couple", "family", "friends"' }
+    },
+    required: ['vibe']
+  },
+
+  async execute(params, ctx) {
+    const { phoneNumber, conversationId } = ctx;
+    const { vibe, timing, budget, travelers, travelers_type } = params;
+
+    console.log(`🎯 Processing get_recommendations for voice`);
+    console.log(`Preferences: vibe=${vibe}, timing=${timing}, budget=${budget}, travelers=${travelers}, type=${travelers_type}`);
+
+    try {
+      // Map voice parameters to recommendation service format
+      const preferences = {
+        vibe: { category: mapVibeToCategory(vibe), raw: vibe },
+        when: { timing, raw: timing },
+        budget: { category: mapBudgetToCategory(budget), raw: budget },
+        who: {
+          category: mapTravelersToCategory(travelers_type),
+          count: parseInt(travelers) || 1,
+          raw: `${travelers} ${travelers_type || 'travelers'}`
+        }
+      };
+
+      const recoResult = await recommendationService.generateRecommendations(preferences);
+
+      if (!recoResult.recommendations || recoResult.recommendations.length === 0) {
+        throw new Error('No recommendations generated');
+      }
+
+      // Save to session for SMS follow-up
+      if (phoneNumber) {
+        await sessionManager.updateSession(phoneNumber, {
+          recoMode: 'awaiting_selection',
+          recoPreferences: preferences,
+          recoRecommendations: recoResult.recommendations,
+          context: {
+            conversationId,
+            recommendationsGeneratedAt: new Date().toISOString()
+          }
+        });
+
+        const formattedRecos = recommendationService.formatRecommendationsForChannel(recoResult.recommendations);
+        await twilioService.sendLongSMS(phoneNumber, formattedRecos);
+        console.log(`✅ Sent recommendations via SMS to ${phoneNumber}`);
+      }
+
+      // Spoken format, no bullets
+      const [reco1, reco2, reco3] = recoResult.recommendations;
+      const voiceResponse = `I've got three great options for you. First: ${reco1.pitch} Second: ${reco2.pitch} Third: ${reco3.pitch} Any of these calling to you? Just tell me which one sounds right.`;
+
+      return {
+        result: phoneNumber
+          ? `${voiceResponse} I've also texted you the details so you can review them.`
+          : voiceResponse,
+        success: true,
+        recommendations: recoResult.recommendations
+      };
+
+    } catch (error) {
+      console.error('Recommendation generation error:', error);
+
+      return {
+        result: "I'm having a bit of trouble coming up with ideas right now. Could you tell me more about what kind of trip you're looking for?",
+        success: false,
+        error: error.message
+      };
+    }
+  }
+};
+
+module.exports.mapVibeToCategory = mapVibeToCategory;
+module.exports.mapBudgetToCategory = mapBudgetToCategory;
+module.exports.mapTravelersToCategory = mapTravelersToCategory;
@@ -0,0 +1,107 @@
+/**
+ * get_traveler_profile tool
+ * Reads the caller's traveler details (names, date of birth, KTN, passport,
+ * loyalty numbers) so the agent can confirm them on the call. Requires a
+ * verified caller. Document and membership numbers are masked to the last
+ * four digits - enough to confirm "the one ending 1234", never enough to
+ * read a full number to whoever is on the line.
+ */
+
+const userProfileService = require('../services/userProfileService');
+
+/**
+ * Mask all but the last four characters
+ * @param {string} value - Document or membership number
+ * @returns {string|null}
+ */
+function lastFour(value) {
+  if (!value) return null;
+  const text = String(value);
+  return text.length > 4 ? `ending ${text.slice(-4)}` : 'on file';
+}
+
+/**
+ * Format a DATE column as YYYY-MM-DD
+ * @param {Date|string} value - Date
+ * @returns {string|null}
+ */
+function toDay(value) {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString().split('T')[0] : String(value).split('T')[0];
+}
+
+/**
+ * Masked view of a profile for the agent
+ * @param {Object} profile - From getFullProfile()
+ * @returns {Object}
+ */
+function toMaskedProfile(profile) {
+  return {
+    firstName: profile.first_name || null,
+    lastName: profile.last_name || null,
+    dateOfBirth: toDay(profile.date_of_birth),
+    homeAirport: profile.home_airport || null,
+    knownTravelerNumber: lastFour(profile.known_traveler_number),
+    passportNumber: lastFour(profile.passport_number),
+    passportExpiry: toDay(profile.passport_expiry),
+    airlineLoyalty: (profile.airlineLoyaltyPrograms || []).map(program => ({
+      airline: program.airline_name,
+      number: lastFour(program.program_number)
+    })),
+    hotelLoyalty: (profile.hotelLoyaltyPrograms || []).map(program => ({
+      hotel: program.hotel_chain,
+      number: lastFour(program.program_number)
+    }))
+  };
+}
+
+/**
+ * Summarize a masked profile as one spoken paragraph
+ * @param {Object} masked - From toMaskedProfile()
+ * @returns {string}
+ */
+function describeProfile(masked) {
+  const parts = [];
+  const name = [masked.firstName, masked.lastName].filter(Boolean).join(' ');
+  if (name) parts.push(`Name: ${name}.`);
+  if (masked.dateOfBirth) parts.push(`Date of birth: ${masked.dateOfBirth}.`);
+  parts.push(masked.knownTravelerNumber ? `Known Traveler Number ${masked.knownTravelerNumber}.` : 'No Known Traveler Number on file.');
+  parts.push(masked.passportNumber
+    ? `Passport ${masked.passportNumber}${masked.passportExpiry ? `, expires ${masked.passportExpiry}` : ''}.`
+    : 'No passport on file.');
+  if (masked.airlineLoyalty.length > 0) {
+    parts.push(`Airline programs: ${masked.airlineLoyalty.map(p => `${p.airline} ${p.number}`).join(', ')}.`);
+  }
+  if (masked.hotelLoyalty.length > 0) {
+    parts.push(`Hotel programs: ${masked.hotelLoyalty.map(p => `${p.hotel} ${p.number}`).join(', ')}.`);
+  }
+  return parts.join(' ');
+}
+
+module.exports = {
+  name: 'get_traveler_profile',
+  description: 'Read the caller\'s saved traveler details (name, date of birth, Known Traveler Number, passport, loyalty programs). Numbers come back masked to the last 4 digits. Requires verify_caller first.',
+  requiresVerification: true,
+  parameters: {
+    type: 'object',
+    properties: {}
+  },
+
+  async execute(params, ctx) {
+    const { phoneNumber } = ctx;
+
+    const profile = await userProfileService.getFullProfile(phoneNumber);
+    if (!profile) {
+      return {
+        result: 'There\'s no traveler profile saved for this number yet. You can add details with update_traveler_profile.',
+        success: true,
+        profile: null
+      };
+    }
+
+    const masked = toMaskedProfile(profile);
+    return { result: describeProfile(masked), success: true, profile: masked };
+  }
+};
+
+module.exports.toMaskedProfile = toMaskedProfile;
@@ -0,0 +1,16 @@
+/**
+ * Voice-agent tools for the tool registry
+ * Shared by the ElevenLabs tool webhook and the OpenAI Realtime stream.
+ */
+
+module.exports = [
+  require('./searchTrips'),
+  require('./searchAccommodations'),
+  require('./getRecommendations'),
+  require('./selectRecommendation'),
+  require('./setPreferences'),
+  require('./sendVerificationCode'),
+  require('./verifyCaller'),
+  require('./getTravelerProfile'),
+  require('./updateTravelerProfile')
+];
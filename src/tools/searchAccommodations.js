@@ -0,0 +1,186 @@
+/**
+ * search_accommodations tool
+ * Airbnb search for voice callers. The top three private stays are texted
+ * and saved to the session so the caller can reply with a number to book.
+ *
+ * In an SMS / WhatsApp conversation it searches Airbnb and Hotels.com for
+ * the stays page and returns accommodationResults; the assistant intent
+ * sends the link after the reply.
+ */
+
+const twilioService = require('../services/twilioService');
+const sessionManager = require('../services/sessionManager');
+const airbnbService = require('../services/airbnbService');
+const staysService = require('../services/staysService');
+const { correctPastDate } = require('../utils/dateParser');
+
+/**
+ * Airbnb + Hotels.com search for a text conversation
+ * @param {Object} params - { destination, checkIn, checkOut, guests, maxPrice }
+ * @returns {Promise<Object>} { result, success, accommodationResults }
+ */
+async function searchForConversation(params) {
+  const accommodationResults = await staysService.searchAccommodations(params);
+
+  if (!accommodationResults) {
+    return {
+      result: `No places to stay found in ${params.destination} for those dates. Suggest different dates or a nearby area.`,
+      success: false,
+      error: 'No properties found for your search'
+    };
+  }
+
+  const best = accommodationResults.properties[0];
+  return {
+    result: `Found ${accommodationResults.properties.length} ${accommodationResults.searchType} options in ${accommodationResults.destinationName}. Best: $${best.pricePerNight}/night with a ${best.rating} star rating. A link to browse them all is sent right after your reply.`,
+    success: true,
+    accommodationResults
+  };
+}
+
+module.exports = {
+  name: 'search_accommodations',
+  description: 'Search places to stay for the caller and text them the top options.',
+  parameters: {
+    type: 'object',
+    properties: {
+      destination: { type: 'string', title: 'destination', description: 'City or neighborhood to stay in' },
+      check_in: { type: 'string', format: 'date', title: 'check-in date', description: 'Check-in date, YYYY-MM-DD' },
+      check_out: { type: 'string', format: 'date', title: 'check-out date', description: 'Check-out date, YYYY-MM-DD' },
+      guests: { type: 'integer', minimum: 1, maximum: 16, title: 'number of guests', description: 'Number of guests' },
+      budget_per_night_usd: { type: 'number', minimum: 0, title: 'nightly budget', description: 'Max price per night in USD' }
+    },
+    required: ['destination', 'check_in', 'check_out']
+  },
+
+  async execute(params, ctx) {
+    const { phoneNumber, conversationId } = ctx;
+    const {
+      destination,
+      check_in,
+      check_out,
+      guests = 1,
+      budget_per_night_usd
+    } = params;
+
+    console.log(`🏠 Processing search_accommodations for ${destination}`);
+
+    const correctedCheckIn = correctPastDate(check_in);
+    const correctedCheckOut = correctPastDate(check_out);
+    const inConversation = twilioService.isMessagingChannel(ctx.channel);
+
+    if (inConversation) {
+      return searchForConversation({
+        destination,
+        checkIn: correctedCheckIn,
+        checkOut: correctedCheckOut,
+        guests,
+        maxPrice: budget_per_night_usd
+      });
+    }
+
+    try {
+      console.log(`[Airbnb] Searching: ${destination} (${correctedCheckIn} to ${correctedCheckOut})`);
+
+      // Step 1: Resolve destination ID
+      const destinations = await airbnbService.searchDestination(destination, 'USA');
+
+      if (!destinations || destinations.length === 0) {
+        throw new Error(`Could not find destination: ${destination}`);
+      }
+
+      const destinationId = destinations[0]?.id;
+      const destinationName = destinations[0]?.name || destination;
+
+      if (!destinationId) {
+        console.error(`[Airbnb] Destination missing ID:`, destinations[0]);
+        throw new Error(`Could not resolve destination ID for: ${destination}`);
+      }
+
+      console.log(`[Airbnb] Resolved destination: ${destinationName} (${destinationId})`);
+
+      // Step 2: Search properties
+      const searchResults = await airbnbService.searchProperties({
+        destinationId,
+        checkIn: correctedCheckIn,
+        checkOut: correctedCheckOut,
+        adults: parseInt(guests) || 1,
+        maxPrice: budget_per_night_usd || undefined,
+        currency: 'USD',
+        limit: 10
+      });
+
+      // Step 3: Top 3 private stays
+      const formattedProperties = airbnbService.formatPropertyResults(searchResults, 3, {
+        privateOnly: true,
+        minRating: 4.0,
+        minReviews: 3
+      });
+
+      if (formattedProperties.length === 0) {
+        throw new Error('No properties found for your search');
+      }
+
+      // Step 4: Save to session and text the results
+      if (phoneNumber) {
+        await sessionManager.updateSession(phoneNumber, {
+          context: {
+            conversationId,
+            lastAccommodationSearch: {
+              destination,
+              destinationId,
+              destinationName,
+              checkIn: correctedCheckIn,
+              checkOut: correctedCheckOut,
+              guests,
+              results: formattedProperties
+            },
+            accommodationSearchTimestamp: new Date().toISOString()
+          },
+          lastAccommodationResults: formattedProperties,
+          lastAccommodationSearch: {
+            destination: destinationName,
+            checkIn: correctedCheckIn,
+            checkOut: correctedCheckOut
+          }
+        });
+
+        const smsMessage = airbnbService.formatSMSMessage(formattedProperties, {
+          destinationName,
+          checkIn: correctedCheckIn,
+          checkOut: correctedCheckOut
+        });
+
+        await twilioService.sendLongSMS(phoneNumber, smsMessage);
+        console.log(`✅ Sent accommodation results via SMS to ${phoneNumber}`);
+      }
+
+      return {
+        result: phoneNumber
+          ? `Great! I found ${formattedProperties.length} places to stay in ${destinationName}. I've texted you the details with prices and ratings. Reply with a number to get the booking link!`
+          : `I found ${formattedProperties.length} places in ${destinationName}. The best option is $${formattedProperties[0].pricePerNight}/night with a ${formattedProperties[0].rating} star rating.`,
+        success: true
+      };
+
+    } catch (searchError) {
+      console.error('Accommodation search error:', searchError);
+
+      if (phoneNumber) {
+        try {
+          await twilioService.sendSMS(
+            phoneNumber,
+            `Sorry, I had trouble finding accommodations in ${destination}. Please try a different location or dates.`
+          );
+        } catch (smsError) {
+          console.error('Failed to send error SMS:', smsError);
+        }
+      }
+
+      return {
+        result: `I'm having trouble finding accommodations in ${destination} right now. Could you try a different city or check the spelling?`,
+        success: false,
+        error: searchError.message
+      };
+    }
+  }
+};
@@ -0,0 +1,224 @@
+/**
+ * search_trips tool
+ * Flight search for voice callers. Results are texted with a white-label
+ * booking link and saved to the session so SMS follow-ups ("2", "cheaper")
+ * pick up where the call left off.
+ *
+ * In an SMS / WhatsApp conversation the results come back as flightResults
+ * instead; the assistant intent sends them after the reply.
+ */
+
+const twilioService = require('../services/twilioService');
+const sessionManager = require('../services/sessionManager');
+const travelPayoutsService = require('../services/travelPayoutsService');
+const { correctPastDate } = require('../utils/dateParser');
+
+/**
+ * Warn when the departure is too far out for reliable availability
+ * @param {string} checkIn - YYYY-MM-DD
+ * @returns {string} Spoken warning, or ''
+ */
+function getDateWarning(checkIn) {
+  if (!checkIn) return '';
+
+  const checkInDate = new Date(checkIn);
+  const now = new Date();
+  const tenMonthsFromNow = new Date(now.getFullYear(), now.getMonth() + 10, now.getDate());
+
+  if (checkInDate > tenMonthsFromNow) {
+    const monthsAway = Math.round((checkInDate - now) / (1000 * 60 * 60 * 24 * 30));
+    console.log(`⚠️ Date warning: Search is ${monthsAway} months in the future`);
+    return `Note: Your travel date is ${monthsAway} months away. Flight availability may be limited for dates that far in advance. `;
+  }
+
+  return '';
+}
+
+/**
+ * Format the flight results text
+ * @param {Array<Object>} flights - TravelPayouts flights
+ * @param {string} bookingUrl - White-label booking URL
+ * @returns {string}
+ */
+function formatFlightsSMS(flights, bookingUrl) {
+  let smsMessage = `✈️ Found ${flights.length} flight${flights.length > 1 ? 's' : ''}!\n\n`;
+
+  // Show top 3 flights
+  flights.slice(0, 3).forEach((flight, idx) => {
+    const price = flight.price || `$${flight.priceValue || 'N/A'}`;
+    smsMessage += `${idx + 1}. ${price}`;
+    // Only show stops if we have reliable data (not null/undefined)
+    const stops = flight.transfers;
+    if (stops !== null && stops !== undefined) {
+      smsMessage += stops === 0 ? ' (Direct)' : ` (${stops} stop${stops > 1 ? 's' : ''})`;
+    }
+    if (flight.airline) {
+      smsMessage += ` - ${flight.airline}`;
+    }
+    smsMessage += `\n`;
+  });
+
+  smsMessage += `\n🔗 Book now: ${bookingUrl}`;
+  return smsMessage;
+}
+
+module.exports = {
+  name: 'search_trips',
+  description: 'Search flights for the caller and text them the options with a booking link.',
+  parameters: {
+    type: 'object',
+    properties: {
+      destination: { type: 'string', title: 'destination', description: 'City or airport the caller is flying to' },
+      origin: { type: 'string', title: 'departure city', description: 'City or airport the caller is flying from (default LAX)' },
+      check_in: { type: 'string', format: 'date', title: 'departure date', description: 'Departure date, YYYY-MM-DD' },
+      check_out: { type: 'string', format: 'date', title: 'return date', description: 'Return date, YYYY-MM-DD (omit for one-way)' },
+      travelers: { type: 'integer', minimum: 1, maximum: 9, title: 'number of travelers', description: 'Number of travelers' },
+      budget_usd: { type: 'number', minimum: 0, title: 'budget', description: 'Total budget in USD' },
+      cabin_class: { type: 'string', enum: ['economy', 'premium_economy', 'business', 'first'], title: 'cabin class', description: 'Cabin class (default economy)' }
+    },
+    required: ['destination', 'check_in']
+  },
+
+  /**
+   * ElevenLabs sometimes sends the destination as 'object'
+   * @param {Object} params - Raw tool arguments
+   * @returns {Object}
+   */
+  normalize(params) {
+    if (!params.destination && params.object) {
+      const { object, ...rest } = params;
+      return { ...rest, destination: object };
+    }
+    return params;
+  },
+
+  async execute(params, ctx) {
+    const { phoneNumber, conversationId } = ctx;
+    const {
+      destination,
+      origin = 'LAX',
+      check_in,
+      check_out,
+      travelers = 1,
+      budget_usd,
+      cabin_class = 'economy'
+    } = params;
+    const inConversation = twilioService.isMessagingChannel(ctx.channel);
+
+    console.log(`🛫 Processing search_trips for ${destination}`);
+
+    const correctedCheckIn = correctPastDate(check_in);
+    const correctedCheckOut = correctPastDate(check_out);
+    const dateWarning = getDateWarning(correctedCheckIn);
+
+    const budget = budget_usd ? { amount: budget_usd, currency: 'USD' } : null;
+    const tripDetails = {
+      destination,
+      origin,
+      startDate: correctedCheckIn,
+      endDate: correctedCheckOut,
+      travelers,
+      budget
+    };
+
+    console.log(`📱 Phone number for SMS: ${phoneNumber || 'NOT PROVIDED'}`);
+
+    try {
+      console.log(`[Aviasales] Searching flights: ${origin} → ${destination} on ${correctedCheckIn}`);
+
+      // Same TravelPayouts search as the SMS flow
+      const tripData = {
+        origin,
+        destination,
+        startDate: correctedCheckIn,
+        endDate: correctedCheckOut,
+        travelers: parseInt(travelers) || 1,
+        travelClass: cabin_class,
+        budget: budget || { currency: 'USD' }
+      };
+
+      const searchResults = await travelPayoutsService.searchFlights(tripData);
+
+      if (!searchResults.success || searchResults.flights.length === 0) {
+        throw new Error('No flights found for your search');
+      }
+
+      const originCode = searchResults.searchParams.origin;
+      const destCode = searchResults.searchParams.destination;
+      const bestFlight = searchResults.flights[0];
+      const stops = bestFlight.transfers;
+      const stopsInfo = stops !== null && stops !== undefined
+        ? ` ${stops === 0 ? '(Direct)' : `(${stops} stop${stops > 1 ? 's' : ''})`}`
+        : '';
+
+      if (inConversation) {
+        return {
+          result: `${dateWarning}Found ${searchResults.flights.length} flights from ${origin} to ${destination}. Best option: ${bestFlight.airline || 'Various'} for $${Math.round(bestFlight.priceValue)}${stopsInfo}. The full list with a booking link is sent right after your reply.`,
+          success: true,
+          flightResults: {
+            flights: searchResults.flights,
+            originCode,
+            destCode,
+            searchParams: { ...searchResults.searchParams, cabinClass: cabin_class }
+          }
+        };
+      }
+
+      const bookingUrl = travelPayoutsService.getBestBookingURL(searchResults, tripData, phoneNumber);
+
+      if (phoneNumber) {
+        await sessionManager.updateSession(phoneNumber, {
+          tripDetails,
+          lastFlightResults: searchResults.flights,
+          selectedFlight: null,
+          resultsCursor: { type: 'flights', offset: Math.min(3, searchResults.flights.length) },
+          context: {
+            conversationId,
+            lastFlightSearch: {
+              origin,
+              destination,
+              originCode,
+              destCode,
+              startDate: correctedCheckIn,
+              endDate: correctedCheckOut,
+              travelers,
+              results: searchResults.flights
+            },
+            tripSearchInitiated: true,
+            tripSearchTimestamp: new Date().toISOString()
+          }
+        });
+
+        await twilioService.sendLongSMS(phoneNumber, formatFlightsSMS(searchResults.flights, bookingUrl));
+        console.log(`✅ Sent flight results with white-label booking link via SMS to ${phoneNumber}`);
+      }
+
+      return {
+        result: phoneNumber
+          ? `${dateWarning}Perfect! I found ${searchResults.flights.length} flights from ${origin} to ${destination}. Best option: ${bestFlight.airline || 'Various'} for $${Math.round(bestFlight.priceValue)}${stopsInfo}. Check your texts for all options with booking link!`
+          : `${dateWarning}I found ${searchResults.flights.length} flights from ${origin} to ${destination}. The best option is ${bestFlight.airline || 'Various'} for $${Math.round(bestFlight.priceValue)}${stopsInfo}.`,
+        success: true
+      };
+
+    } catch (searchError) {
+      console.error('Flight search error:', searchError);
+
+      if (phoneNumber && !inConversation) {
+        try {
+          await twilioService.sendSMS(
+            phoneNumber,
+            `Sorry, I had trouble finding flights from ${origin} to ${destination}. Please try different cities or dates.`
+          );
+        } catch (smsError) {
+          console.error('Failed to send error SMS:', smsError);
+        }
+      }
+
+      return {
+        result: `I'm having trouble finding flights from ${origin} to ${destination} right now. Could you try different cities or check the spelling?`,
+        success: false,
+        error: searchError.message
+      };
+    }
+  }
+};
@@ -0,0 +1,95 @@
+/**
+ * select_recommendation tool
+ * The caller picks one of the destination ideas ("the second one", "Lisbon").
+ * Spoken selections are resolved by the same recommendation intent as SMS.
+ */
+
+const sessionManager = require('../services/sessionManager');
+const conversationRouter = require('../services/conversationRouter');
+const intents = require('../intents');
+
+const { CONVERSATION_STATES } = conversationRouter;
+
+conversationRouter.registerAll(intents);
+
+module.exports = {
+  name: 'select_recommendation',
+  description: 'Record which suggested destination the caller picked.',
+  parameters: {
+    type: 'object',
+    properties: {
+      selection: { type: 'string', description: 'What the caller said, e.g. "the second one" or "2"' },
+      destination: { type: 'string', description: 'Destination name, if the caller said it' }
+    }
+  },
+
+  async execute(params, ctx) {
+    const { phoneNumber } = ctx;
+    const { selection, destination } = params;
+
+    console.log(`🎯 Processing recommendation selection: ${selection || destination}`);
+
+    try {
+      let selectedDestination = destination;
+
+      // No explicit destination: let the shared recommendation intent
+      // resolve the selection against the session's recommendations
+      if (!selectedDestination && phoneNumber && selection) {
+        const session = await sessionManager.getSession(phoneNumber);
+
+        if (conversationRouter.resolveState(session) === CONVERSATION_STATES.AWAITING_SELECTION) {
+          const spoken = [];
+          const routerCtx = conversationRouter.createContext({
+            phoneNumber,
+            message: selection.toString(),
+            session,
+            channel: ctx.channel || 'elevenlabs',
+            reply: async (text) => { spoken.push(text); }
+          });
+
+          const routed = await conversationRouter.route(routerCtx);
+
+          if (routed.handled && !routed.destination) {
+            // Re-roll or clarification prompt - hand it back to the agent
+            return { result: spoken.join(' '), success: true };
+          }
+          selectedDestination = routed.destination;
+        }
+      }
+
+      if (!selectedDestination) {
+        throw new Error('Could not determine selected destination');
+      }
+
+      if (phoneNumber) {
+        await sessionManager.updateSession(phoneNumber, {
+          recoMode: null,
+          recoPreferences: null,
+          recoRecommendations: null,
+          tripDetails: {
+            destination: selectedDestination
+          },
+          context: {
+            selectedFromRecommendations: true,
+            recoSelection: selectedDestination
+          }
+        });
+      }
+
+      const city = selectedDestination.split(',')[0];
+      return {
+        result: `${city} it is! Great choice. Now let's figure out the details. When are you thinking of going?`,
+        success: true,
+        destination: selectedDestination
+      };
+
+    } catch (error) {
+      console.error('Selection error:', error);
+      return {
+        result: "I didn't quite catch that. Which destination sounded good to you — number one, two, or three?",
+        success: false,
+        error: error.message
+      };
+    }
+  }
+};
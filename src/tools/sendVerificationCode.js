@@ -0,0 +1,53 @@
+/**
+ * send_verification_code tool
+ * Starts the step-up check that unlocks profile tools: texts a one-time
+ * code to the number the call comes from. A spoofed caller ID never sees
+ * the text, so reading the code back proves the caller holds the phone.
+ */
+
+const callerVerificationService = require('../services/callerVerificationService');
+
+// Why a code couldn't be sent -> what the agent tells the caller
+const FAILURE_RESULTS = {
+  already_verified: 'The caller is already verified on this call - go ahead.',
+  locked: 'Too many wrong codes on this call. Ask the caller to text us instead; profile changes are not available by voice on this call.',
+  too_many_codes: 'Several codes were already sent on this call. Ask the caller to read back the most recent one.',
+  number_locked: 'Too many codes or wrong attempts for this number in the last hour. Ask the caller to text us instead or call back later.',
+  unknown_call: 'This call can\'t be verified. Ask the caller to text us instead.',
+  sms_failed: 'I couldn\'t text a code to this number. Ask the caller to text us instead.'
+};
+
+module.exports = {
+  name: 'send_verification_code',
+  description: 'Text a one-time code to the caller\'s phone. Call this before get_traveler_profile or update_traveler_profile, then ask the caller to read the code back and pass it to verify_caller.',
+  parameters: {
+    type: 'object',
+    properties: {}
+  },
+
+  async execute(params, ctx) {
+    const { phoneNumber, callSid } = ctx;
+
+    if (!phoneNumber || !callSid) {
+      return { result: FAILURE_RESULTS.unknown_call, success: false, error: 'phone number and call are required' };
+    }
+
+    const [sent, hasPin] = await Promise.all([
+      callerVerificationService.sendCode(callSid, phoneNumber),
+      callerVerificationService.hasPin(phoneNumber)
+    ]);
+
+    if (!sent.sent) {
+      return {
+        result: FAILURE_RESULTS[sent.reason],
+        success: sent.reason === 'already_verified',
+        error: sent.reason
+      };
+    }
+
+    return {
+      result: `I've texted a 6-digit code to the number they're calling from. Ask the caller to read it back${hasPin ? ', or to say their voice PIN instead' : ''}, then call verify_caller.`,
+      success: true
+    };
+  }
+};
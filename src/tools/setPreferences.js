@@ -0,0 +1,116 @@
+/**
+ * set_preferences tool
+ * Saves travel preferences the caller states out loud ("I always fly
+ * business", "never Spirit"). Same storage and UNDO history as preferences
+ * picked up over SMS.
+ */
+
+const sessionManager = require('../services/sessionManager');
+const userPreferencesService = require('../services/userPreferencesService');
+const { normalizeAirline, normalizeCabinClass } = require('../services/conversationExtractor');
+
+// Tool parameter -> preference field
+const PARAMETER_FIELDS = {
+  preferred_class: 'preferredClass',
+  preferred_airlines: 'preferredAirlines',
+  avoided_airlines: 'avoidedAirlines',
+  preferred_airports: 'preferredAirports',
+  avoided_airports: 'avoidedAirports',
+  departure_time_preference: 'departureTimePreference',
+  max_stops: 'maxStops',
+  budget_flexibility: 'budgetFlexibility'
+};
+
+/**
+ * Convert tool parameters into preference fields
+ * @param {Object} params - Tool arguments
+ * @returns {Object} Preference fields that were provided
+ */
+function toPreferenceUpdates(params) {
+  const updates = {};
+
+  for (const [param, field] of Object.entries(PARAMETER_FIELDS)) {
+    let value = params[param];
+    if (value === undefined || value === null || value === '') continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+
+    if (param === 'preferred_class') {
+      value = normalizeCabinClass(value);
+    } else if (param === 'preferred_airlines' || param === 'avoided_airlines') {
+      value = [].concat(value).map(normalizeAirline);
+    } else if (param === 'preferred_airports' || param === 'avoided_airports') {
+      value = [].concat(value).map(code => code.toUpperCase());
+    } else if (param === 'max_stops') {
+      value = parseInt(value, 10);
+      if (Number.isNaN(value)) continue;
+    }
+
+    if (value !== null) {
+      updates[field] = value;
+    }
+  }
+
+  return updates;
+}
+
+module.exports = {
+  name: 'set_preferences',
+  description: 'Save the caller\'s standing travel preferences (cabin, airlines, airports, departure times, stops, budget).',
+  parameters: {
+    type: 'object',
+    properties: {
+      preferred_class: { type: 'string', title: 'cabin class', enum: ['economy', 'premium_economy', 'business', 'first'], description: 'Cabin they usually fly' },
+      preferred_airlines: { type: 'array', items: { type: 'string', description: 'Airline name' }, description: 'Airlines they like' },
+      avoided_airlines: { type: 'array', items: { type: 'string', description: 'Airline name' }, description: 'Airlines they never want' },
+      preferred_airports: { type: 'array', items: { type: 'string', pattern: '^[A-Za-z]{3}$', description: 'IATA code' }, description: 'IATA codes' },
+      avoided_airports: { type: 'array', items: { type: 'string', pattern: '^[A-Za-z]{3}$', description: 'IATA code' }, description: 'IATA codes' },
+      departure_time_preference: { type: 'string', title: 'departure time', enum: ['morning', 'afternoon', 'evening', 'red_eye', 'no_red_eye'], description: 'When they like to leave' },
+      max_stops: { type: 'integer', minimum: 0, maximum: 3, title: 'maximum stops', description: 'Most stops they will accept (0 = nonstop only)' },
+      budget_flexibility: { type: 'string', title: 'budget flexibility', enum: ['strict', 'flexible', 'unlimited'], description: 'How firm their budget is' }
+    }
+  },
+
+  /**
+   * Map spoken cabin names ("biz", "coach") onto the enum before validation
+   * @param {Object} params - Raw tool arguments
+   * @returns {Object}
+   */
+  normalize(params) {
+    if (typeof params.preferred_class !== 'string') return params;
+    const cabin = normalizeCabinClass(params.preferred_class);
+    return cabin ? { ...params, preferred_class: cabin } : params;
+  },
+
+  async execute(params, ctx) {
+    const { phoneNumber } = ctx;
+    const updates = toPreferenceUpdates(params);
+
+    if (Object.keys(updates).length === 0) {
+      return {
+        result: "I didn't catch a preference to save. What should I remember for your trips?",
+        success: false,
+        error: 'No preferences provided'
+      };
+    }
+
+    if (!phoneNumber) {
+      return {
+        result: "I'll keep that in mind for this call, but I can't save it without your phone number.",
+        success: false,
+        error: 'phone_number is required to save preferences'
+      };
+    }
+
+    const session = await sessionManager.getSession(phoneNumber);
+    await userPreferencesService.applyPreferenceUpdates(phoneNumber, updates, session);
+    console.log(`💾 Saved preferences from voice for ${phoneNumber}:`, updates);
+
+    return {
+      result: "Got it, I'll remember that for your trips. You can text UNDO if I got it wrong.",
+      success: true,
+      preferences: updates
+    };
+  }
+};
+
+module.exports.toPreferenceUpdates = toPreferenceUpdates;
@@ -0,0 +1,114 @@
+/**
+ * update_traveler_profile tool
+ * Saves traveler details the caller reads out (KTN, passport, names, date
+ * of birth, airline loyalty numbers). Requires a verified caller - these
+ * are the fields a booking is made with, so a spoofed caller ID must not be
+ * able to change them.
+ */
+
+const userProfileService = require('../services/userProfileService');
+const loyaltyProgramService = require('../services/loyaltyProgramService');
+const { normalizeAirline } = require('../services/conversationExtractor');
+
+// Tool parameter -> updateUser() field
+const PARAMETER_FIELDS = {
+  first_name: 'firstName',
+  last_name: 'lastName',
+  date_of_birth: 'dateOfBirth',
+  known_traveler_number: 'knownTravelerNumber',
+  passport_number: 'passportNumber',
+  passport_expiry: 'passportExpiry'
+};
+
+// Spoken names of what was saved, for the confirmation
+const FIELD_LABELS = {
+  firstName: 'first name',
+  lastName: 'last name',
+  dateOfBirth: 'date of birth',
+  knownTravelerNumber: 'Known Traveler Number',
+  passportNumber: 'passport number',
+  passportExpiry: 'passport expiry'
+};
+
+/**
+ * Document numbers are read out with spaces and dashes
+ * @param {string} value - Number as heard
+ * @returns {string}
+ */
+function compactNumber(value) {
+  return String(value).replace(/[\s-]/g, '').toUpperCase();
+}
+
+module.exports = {
+  name: 'update_traveler_profile',
+  description: 'Save traveler details the caller gives you: names as on their passport, date of birth, Known Traveler Number, passport number and expiry, or an airline loyalty number. Requires verify_caller first.',
+  requiresVerification: true,
+  parameters: {
+    type: 'object',
+    properties: {
+      first_name: { type: 'string', maxLength: 100, description: 'First name as on the passport' },
+      last_name: { type: 'string', maxLength: 100, description: 'Last name as on the passport' },
+      date_of_birth: { type: 'string', format: 'date', title: 'date of birth', description: 'Date of birth, YYYY-MM-DD' },
+      known_traveler_number: { type: 'string', pattern: '^[A-Za-z0-9 -]{8,15}$', title: 'Known Traveler Number', description: 'TSA PreCheck / Global Entry Known Traveler Number' },
+      passport_number: { type: 'string', pattern: '^[A-Za-z0-9 -]{6,12}$', title: 'passport number', description: 'Passport number' },
+      passport_expiry: { type: 'string', format: 'date', title: 'passport expiry', description: 'Passport expiry date, YYYY-MM-DD' },
+      loyalty_airline: { type: 'string', title: 'airline', description: 'Airline of the loyalty number, e.g. "Delta"' },
+      loyalty_number: { type: 'string', pattern: '^[A-Za-z0-9 -]{4,20}$', title: 'loyalty number', description: 'Frequent flyer number for loyalty_airline' }
+    }
+  },
+
+  async execute(params, ctx) {
+    const { phoneNumber } = ctx;
+
+    const updates = {};
+    for (const [param, field] of Object.entries(PARAMETER_FIELDS)) {
+      if (params[param] === undefined) continue;
+      updates[field] = ['knownTravelerNumber', 'passportNumber'].includes(field)
+        ? compactNumber(params[param])
+        : params[param];
+    }
+
+    const hasLoyalty = params.loyalty_airline || params.loyalty_number;
+    if (hasLoyalty && !(params.loyalty_airline && params.loyalty_number)) {
+      return {
+        result: `Missing ${params.loyalty_airline ? 'loyalty number' : 'airline'}. Ask the caller for it, then call update_traveler_profile again.`,
+        success: false,
+        error: 'loyalty_airline and loyalty_number go together'
+      };
+    }
+
+    if (Object.keys(updates).length === 0 && !hasLoyalty) {
+      return { result: 'Nothing to save. Ask the caller which details they want to update.', success: false, error: 'no fields' };
+    }
+
+    try {
+      const saved = [];
+
+      if (Object.keys(updates).length > 0) {
+        await userProfileService.getOrCreateUser(phoneNumber);
+        await userProfileService.updateUser(phoneNumber, updates);
+        saved.push(...Object.keys(updates).map(field => FIELD_LABELS[field]));
+      }
+
+      if (hasLoyalty) {
+        const airlineName = normalizeAirline(params.loyalty_airline) || params.loyalty_airline;
+        await loyaltyProgramService.addAirlineLoyaltyProgram(phoneNumber, {
+          airlineName,
+          programNumber: compactNumber(params.loyalty_number)
+        });
+        saved.push(`${airlineName} loyalty number`);
+      }
+
+      console.log(`🪪 Voice profile update for ${phoneNumber}: ${saved.join(', ')}`);
+      return { result: `Saved the ${saved.join(', ')}.`, success: true, updated: saved };
+
+    } catch (error) {
+      console.error('Error updating traveler profile:', error);
+      return {
+        result: 'I couldn\'t save those details right now. Ask the caller to add them from their profile page or by text.',
+        success: false,
+        error: error.message
+      };
+    }
+  }
+};
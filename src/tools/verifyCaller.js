@@ -0,0 +1,76 @@
+/**
+ * verify_caller tool
+ * Checks the code the caller read back (or their voice PIN). Passing
+ * unlocks the profile tools for the rest of this call only, and the result
+ * carries the caller context that was held back until then.
+ */
+
+const callerVerificationService = require('../services/callerVerificationService');
+const callerContextService = require('../services/callerContextService');
+
+/**
+ * What the agent tells the caller after a failed check
+ * @param {Object} check - From verifyCode() / verifyPin()
+ * @returns {string}
+ */
+function describeFailure(check) {
+  switch (check.reason) {
+    case 'no_code':
+      return 'No code has been sent on this call yet. Call send_verification_code first.';
+    case 'expired':
+      return 'That code has expired. Call send_verification_code to send a new one.';
+    case 'no_pin':
+      return 'The caller hasn\'t set a voice PIN. Call send_verification_code and verify with the texted code instead.';
+    case 'locked':
+      return 'Too many wrong attempts on this call. Ask the caller to text us instead; profile details are not available by voice on this call.';
+    case 'number_locked':
+      return 'Too many wrong attempts for this number in the last hour. Ask the caller to text us instead or call back later.';
+    case 'unknown_call':
+      return 'This call can\'t be verified. Ask the caller to text us instead.';
+    default:
+      return `That doesn't match. Ask the caller to try again (${check.attemptsLeft} attempt${check.attemptsLeft === 1 ? '' : 's'} left).`;
+  }
+}
+
+module.exports = {
+  name: 'verify_caller',
+  description: 'Check the code the caller read back after send_verification_code, or their voice PIN. Profile tools work once this succeeds.',
+  parameters: {
+    type: 'object',
+    properties: {
+      code: { type: 'string', pattern: '^[0-9 -]{4,12}$', title: 'code', description: 'Digits the caller read back, e.g. "482913"' },
+      method: { type: 'string', enum: ['sms_code', 'pin'], description: 'sms_code for the texted code (default), pin for the caller\'s voice PIN' }
+    },
+    required: ['code']
+  },
+
+  async execute(params, ctx) {
+    const { phoneNumber, callSid } = ctx;
+    const { code, method = 'sms_code' } = params;
+
+    const check = method === 'pin'
+      ? await callerVerificationService.verifyPin(callSid, phoneNumber, code)
+      : await callerVerificationService.verifyCode(callSid, phoneNumber, code);
+
+    if (!check.verified) {
+      return { result: describeFailure(check), success: false, error: check.reason, attemptsLeft: check.attemptsLeft };
+    }
+
+    // What was held back until now: trips, preferences, memories, recent texts
+    let callerContext = null;
+    try {
+      callerContext = callerContextService.describeCallerContext(
+        await callerContextService.buildCallerContext(phoneNumber),
+        { verified: true }
+      );
+    } catch (contextErr) {
+      console.warn(`Could not build caller context for ${phoneNumber}:`, contextErr.message);
+    }
+
+    return {
+      result: 'The caller is verified. You can now use get_traveler_profile and update_traveler_profile on this call.' +
+        (callerContext ? `\n\n${callerContext}` : ''),
+      success: true
+    };
+  }
+};
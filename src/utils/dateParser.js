@@ -298,8 +298,37 @@ function getDefaultDateRange() {
   };
 }
 
+/**
+ * Move a past date to its next occurrence
+ * Voice agents often hear "March 10th" and fill in last year.
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {string|null} The date if it is in the future, otherwise the same month/day this year or next
+ */
+function correctPastDate(dateStr) {
+  if (!dateStr) return null;
+
+  const inputDate = new Date(dateStr);
+  const now = new Date();
+
+  // If date is in the future, use it as-is
+  if (inputDate > now) {
+    return dateStr;
+  }
+
+  // Date is in the past - keep the month and day, try this year then next
+  const month = inputDate.getMonth(); // 0-11
+  const day = inputDate.getDate();
+  const currentYear = now.getFullYear();
+  const year = new Date(currentYear, month, day) > now ? currentYear : currentYear + 1;
+
+  const correctedDate = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  console.log(`📅 Corrected past date: ${dateStr} → ${correctedDate} (${year === currentYear ? 'this year' : 'next year'})`);
+  return correctedDate;
+}
+
 module.exports = {
   parseVagueDate,
   getDefaultDateRange,
+  correctPastDate,
   DEFAULT_TRIP_LENGTH_DAYS
 };
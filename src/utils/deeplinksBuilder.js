@@ -157,6 +157,34 @@ function getAirlineInfo(airlineCode) {
   };
 }
 
+/**
+ * Resolve an airline code from whatever the flight search returned
+ *
+ * Flight results carry either an IATA code ("UA") or a display name
+ * ("United Airlines"), depending on the API that produced them.
+ *
+ * @param {string} airline - IATA code or airline name
+ * @returns {string|null} - IATA code or null if unknown
+ */
+function resolveAirlineCode(airline) {
+  if (!airline) {
+    return null;
+  }
+
+  const trimmed = airline.trim();
+  if (AIRLINE_DEEPLINKS[trimmed.toUpperCase()]) {
+    return trimmed.toUpperCase();
+  }
+
+  const lower = trimmed.toLowerCase();
+  const match = Object.entries(AIRLINE_DEEPLINKS).find(([, info]) => {
+    const name = info.name.toLowerCase();
+    return name === lower || name.startsWith(lower) || lower.startsWith(name);
+  });
+
+  return match ? match[0] : null;
+}
+
 /**
  * Check if airline supports deep linking
  *
@@ -271,6 +299,7 @@ module.exports = {
   buildGoogleFlightsUrl,
   buildDeeplinkWithFallback,
   getAirlineInfo,
+  resolveAirlineCode,
   isAirlineSupported,
   getSupportedAirlines,
   validateSearchParams,
@@ -0,0 +1,195 @@
+/**
+ * JSON Schema Validator
+ *
+ * Checks tool arguments against the JSON-schema subset our tool definitions
+ * use: type, properties, required, items, enum, format: 'date', pattern,
+ * minimum/maximum, minLength/maxLength and minItems/maxItems.
+ *
+ * Voice agents send loosely typed arguments, so values are coerced where the
+ * intent is clear ("2" -> 2, "true" -> true, "Spirit" -> ["Spirit"]) and
+ * empty optional values ("", null) are dropped rather than rejected.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Human name for a property, used in error messages
+ * @param {string} name - Property name
+ * @param {Object} schema - Property schema
+ * @returns {string}
+ */
+function describeField(name, schema = {}) {
+  return schema.title || name.replace(/_/g, ' ');
+}
+
+/**
+ * Check a YYYY-MM-DD string is a real calendar date
+ * @param {string} value - Date string
+ * @returns {boolean}
+ */
+function isCalendarDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Coerce a loosely typed value to the schema type, if that is unambiguous
+ * @param {*} value - Input value
+ * @param {string} type - Schema type
+ * @returns {*} Coerced value (unchanged if it can't be coerced)
+ */
+function coerce(value, type) {
+  if (type === 'number' || type === 'integer') {
+    if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+      return Number(value);
+    }
+  } else if (type === 'boolean') {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+  } else if (type === 'string') {
+    if (typeof value === 'number') return String(value);
+  } else if (type === 'array') {
+    if (value !== undefined && !Array.isArray(value)) return [value];
+  }
+  return value;
+}
+
+/**
+ * Check a value matches a schema type
+ * @param {*} value - Value
+ * @param {string} type - Schema type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+/**
+ * Validate one value against its schema
+ * @param {*} value - Value (already known to be present)
+ * @param {Object} schema - Schema
+ * @param {string} path - Field path for errors, e.g. "check_in" or "airlines[0]"
+ * @param {Array<Object>} errors - Collects { field, code, message }
+ * @returns {*} Coerced value
+ */
+function validateValue(value, schema, path, errors) {
+  const name = describeField(path, schema);
+  const coerced = schema.type ? coerce(value, schema.type) : value;
+
+  if (schema.type && !matchesType(coerced, schema.type)) {
+    const expected = schema.type === 'integer' ? 'a whole number' : `a ${schema.type}`;
+    errors.push({ field: path, code: 'type', message: `${path} must be ${expected}`, label: name });
+    return coerced;
+  }
+
+  if (schema.enum && !schema.enum.includes(coerced)) {
+    errors.push({ field: path, code: 'enum', message: `${path} must be one of: ${schema.enum.join(', ')}`, label: name });
+  }
+
+  if (typeof coerced === 'string') {
+    if (schema.format === 'date' && !isCalendarDate(coerced)) {
+      errors.push({ field: path, code: 'format', message: `${path} must be a date in YYYY-MM-DD format`, label: name });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(coerced)) {
+      errors.push({ field: path, code: 'pattern', message: `${path} is not in the expected format`, label: name });
+    }
+    if (schema.minLength !== undefined && coerced.length < schema.minLength) {
+      errors.push({ field: path, code: 'range', message: `${path} is too short`, label: name });
+    }
+    if (schema.maxLength !== undefined && coerced.length > schema.maxLength) {
+      errors.push({ field: path, code: 'range', message: `${path} is too long`, label: name });
+    }
+  }
+
+  if (typeof coerced === 'number') {
+    if (schema.minimum !== undefined && coerced < schema.minimum) {
+      errors.push({ field: path, code: 'range', message: `${path} must be at least ${schema.minimum}`, label: name });
+    }
+    if (schema.maximum !== undefined && coerced > schema.maximum) {
+      errors.push({ field: path, code: 'range', message: `${path} must be at most ${schema.maximum}`, label: name });
+    }
+  }
+
+  if (Array.isArray(coerced)) {
+    if (schema.minItems !== undefined && coerced.length < schema.minItems) {
+      errors.push({ field: path, code: 'range', message: `${path} needs at least ${schema.minItems} item(s)`, label: name });
+    }
+    if (schema.maxItems !== undefined && coerced.length > schema.maxItems) {
+      errors.push({ field: path, code: 'range', message: `${path} allows at most ${schema.maxItems} item(s)`, label: name });
+    }
+    if (schema.items) {
+      return coerced.map((item, i) => validateValue(item, schema.items, `${path}[${i}]`, errors));
+    }
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    return validateObject(coerced, schema, errors, `${path}.`);
+  }
+
+  return coerced;
+}
+
+/**
+ * Validate an object's properties
+ * Unknown properties are passed through untouched.
+ * @param {Object} value - Object to validate
+ * @param {Object} schema - Object schema
+ * @param {Array<Object>} errors - Collects errors
+ * @param {string} prefix - Path prefix for nested objects
+ * @returns {Object} Copy with coerced values and empty optionals removed
+ */
+function validateObject(value, schema, errors, prefix = '') {
+  const output = { ...value };
+  const properties = schema.properties || {};
+  const isEmpty = (v) => v === undefined || v === null || v === '';
+
+  // Missing fields first, in the order the schema requires them
+  for (const key of schema.required || []) {
+    if (isEmpty(output[key])) {
+      errors.push({ field: `${prefix}${key}`, code: 'required', message: `${prefix}${key} is required`, label: describeField(key, properties[key]) });
+    }
+  }
+
+  for (const [key, propertySchema] of Object.entries(properties)) {
+    if (isEmpty(output[key])) {
+      delete output[key];
+      continue;
+    }
+    output[key] = validateValue(output[key], propertySchema, `${prefix}${key}`, errors);
+  }
+
+  return output;
+}
+
+/**
+ * Validate arguments against an object schema
+ * @param {Object} schema - JSON schema with type 'object'
+ * @param {Object} value - Arguments
+ * @returns {Object} { valid, value, errors } - value is the coerced copy;
+ *   errors are { field, code, message, label }, label being the human name
+ */
+function validate(schema, value) {
+  const errors = [];
+
+  if (!matchesType(value, 'object')) {
+    errors.push({ field: '', code: 'type', message: 'arguments must be an object', label: 'arguments' });
+    return { valid: false, value, errors };
+  }
+
+  const output = validateObject(value, schema || {}, errors);
+  return { valid: errors.length === 0, value: output, errors };
+}
+
+module.exports = {
+  validate,
+  isCalendarDate
+};
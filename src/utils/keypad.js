@@ -0,0 +1,80 @@
+/**
+ * Keypad (DTMF) Input Parser
+ *
+ * Reads what callers key in on the phone: dates as MMDD ("0315" = March 15)
+ * and airport codes spelled on the letters of the keypad ("535" = JFK).
+ * Used by the <Gather> voice flow when speech recognition struggles.
+ */
+
+const { getZonedParts, DEFAULT_TIMEZONE } = require('./timeParser');
+
+// Letters printed on each key (ITU E.161)
+const T9_LETTERS = {
+  2: 'ABC', 3: 'DEF', 4: 'GHI', 5: 'JKL',
+  6: 'MNO', 7: 'PQRS', 8: 'TUV', 9: 'WXYZ'
+};
+
+const LETTER_TO_KEY = Object.entries(T9_LETTERS).reduce((map, [key, letters]) => {
+  for (const letter of letters) map[letter] = key;
+  return map;
+}, {});
+
+/**
+ * Keys pressed to spell a word
+ * @param {string} word - Letters, e.g. "LIS"
+ * @returns {string} Digits, e.g. "547"
+ */
+function lettersToKeys(word) {
+  return word.toUpperCase().split('').map(letter => LETTER_TO_KEY[letter] || '').join('');
+}
+
+/**
+ * Find the airport codes a keypad sequence could spell
+ * Only 3-key sequences of letter keys (2-9) can be codes.
+ * @param {string} digits - Keys pressed, e.g. "535"
+ * @param {Array<Object>} airports - Known airports ({ code, city })
+ * @returns {Array<Object>} Matching airports (several when keys collide, e.g. LHR/LIS)
+ */
+function matchAirportCode(digits, airports) {
+  const keys = (digits || '').replace(/[^0-9]/g, '');
+  if (!/^[2-9]{3}$/.test(keys)) return [];
+  return airports.filter(airport => lettersToKeys(airport.code) === keys);
+}
+
+/**
+ * Read a keyed-in MMDD date
+ * The next occurrence is used, so in November "0315" is next March.
+ * @param {string} digits - Keys pressed, e.g. "0315"
+ * @param {Object} options - Options
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @param {string} options.timezone - Timezone that decides what "today" is
+ * @returns {string|null} YYYY-MM-DD, or null if it isn't a real date
+ */
+function parseKeypadDate(digits, { now = new Date(), timezone = DEFAULT_TIMEZONE } = {}) {
+  const match = (digits || '').replace(/[^0-9]/g, '').match(/^(\d{2})(\d{2})$/);
+  if (!match) return null;
+
+  const month = parseInt(match[1], 10);
+  const day = parseInt(match[2], 10);
+  const today = getZonedParts(now, timezone);
+
+  let year = today.year;
+  if (month < today.month || (month === today.month && day < today.day)) {
+    year++;
+  }
+
+  // Rejects 1340, 0231 and Feb 29 outside leap years
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date.toISOString().split('T')[0];
+}
+
+module.exports = {
+  T9_LETTERS,
+  lettersToKeys,
+  matchAirportCode,
+  parseKeypadDate
+};
@@ -0,0 +1,216 @@
+/**
+ * Clock Time Parser
+ *
+ * Turns "6pm", "tomorrow at 9:30am ET" or "in 2 hours" into an exact instant
+ * in the user's timezone. Used to schedule callbacks requested over SMS.
+ *
+ * Timezone math uses Intl (IANA zone names), so DST is handled without a
+ * timezone database dependency.
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/New_York';
+
+// Abbreviations people type -> IANA zone (DST-agnostic: "EST" in July still means New York)
+const TIMEZONE_ABBREVIATIONS = {
+  ET: 'America/New_York', EST: 'America/New_York', EDT: 'America/New_York', EASTERN: 'America/New_York',
+  CT: 'America/Chicago', CST: 'America/Chicago', CDT: 'America/Chicago', CENTRAL: 'America/Chicago',
+  MT: 'America/Denver', MST: 'America/Denver', MDT: 'America/Denver', MOUNTAIN: 'America/Denver',
+  PT: 'America/Los_Angeles', PST: 'America/Los_Angeles', PDT: 'America/Los_Angeles', PACIFIC: 'America/Los_Angeles',
+  AKT: 'America/Anchorage', HT: 'Pacific/Honolulu', HST: 'Pacific/Honolulu',
+  GMT: 'Europe/London', BST: 'Europe/London', UK: 'Europe/London',
+  CET: 'Europe/Paris', CEST: 'Europe/Paris',
+  UTC: 'UTC'
+};
+
+// Only right after a time, so "the mountain trip" is not a timezone
+const TIMEZONE_PATTERN = new RegExp(`(?<=(?:\\d|[ap]\\.?m\\.?|noon|midnight)\\s*)(${Object.keys(TIMEZONE_ABBREVIATIONS).join('|')})\\b(?:\\s+time)?`, 'i');
+
+// "6", "6pm", "6:30 pm", "18:00", "noon"
+const CLOCK_PATTERN = /\b(?:at\s+)?(noon|midnight|(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?)(?=\s|$|[.,!?])/gi;
+const RELATIVE_PATTERN = /\bin\s+(an?|\d{1,2})\s*(hours?|hrs?|minutes?|mins?)\b/i;
+const DAY_PATTERN = /\b(today|tonight|tomorrow|tmrw|monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/i;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Check that a string is a timezone Intl understands
+ * @param {string} timezone - IANA zone name
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (!timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Find a timezone mentioned in a message ("6pm PT", "9am eastern")
+ * @param {string} text - Message text
+ * @returns {string|null} IANA zone name
+ */
+function detectTimezone(text) {
+  const match = (text || '').match(TIMEZONE_PATTERN);
+  return match ? TIMEZONE_ABBREVIATIONS[match[1].toUpperCase()] : null;
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA zone name
+ * @returns {Object} { year, month, day, hour, minute, weekday }
+ */
+function getZonedParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    weekday: 'long'
+  }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a Date
+ * @param {Object} wall - { year, month, day, hour, minute } (month 1-12; day may overflow)
+ * @param {string} timezone - IANA zone name
+ * @returns {Date}
+ */
+function zonedTimeToDate({ year, month, day, hour, minute }, timezone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Offset of the zone at (roughly) that instant; recheck once for DST edges
+  const offsetAt = (ms) => {
+    const p = getZonedParts(new Date(ms), timezone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(ms / 60000) * 60000;
+  };
+
+  let result = asUtc - offsetAt(asUtc);
+  result = asUtc - offsetAt(result);
+  return new Date(result);
+}
+
+/**
+ * Format an instant for the user ("Tue 6:00 PM EDT")
+ * @param {Date|string} date - Instant
+ * @param {string} timezone - IANA zone name
+ * @param {string} locale - BCP 47 locale to format in
+ * @returns {string}
+ */
+function formatLocalTime(date, timezone = DEFAULT_TIMEZONE, locale = 'en-US') {
+  return new Intl.DateTimeFormat(locale, {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  }).format(new Date(date));
+}
+
+/**
+ * Find the first clock time in a message
+ * A bare number only counts after "at" ("at 6" does, "2 of us" does not).
+ * @param {string} text - Message text (timezone already removed)
+ * @returns {Object|null} { hour (0-23), minute, meridiem, matched }
+ */
+function findClock(text) {
+  for (const match of text.matchAll(CLOCK_PATTERN)) {
+    if (/^noon$/i.test(match[1])) return { hour: 12, minute: 0, meridiem: 'pm', matched: match[0].trim() };
+    if (/^midnight$/i.test(match[1])) return { hour: 0, minute: 0, meridiem: 'am', matched: match[0].trim() };
+
+    let hour = parseInt(match[2], 10);
+    const minute = match[3] ? parseInt(match[3], 10) : 0;
+    const meridiem = match[4] ? match[4].toLowerCase().replace(/\./g, '') : null;
+
+    if (!meridiem && !match[3] && !/^at\s/i.test(match[0])) continue;
+    if (hour > 23 || minute > 59 || (meridiem && (hour < 1 || hour > 12))) continue;
+
+    if (meridiem === 'pm' && hour < 12) hour += 12;
+    if (meridiem === 'am' && hour === 12) hour = 0;
+    return { hour, minute, meridiem, matched: match[0].trim() };
+  }
+
+  return null;
+}
+
+/**
+ * Parse a time of day (and optional day) from a message
+ * Times without a day go to their next occurrence; "6" with no am/pm is the
+ * next 6 o'clock.
+ * @param {string} text - Message text
+ * @param {Object} options - Options
+ * @param {string} options.timezone - Timezone to read the time in (one named in the text wins)
+ * @param {Date} options.now - Reference instant (for tests)
+ * @returns {Object|null} { date, timezone, matched } or null if no time was found
+ */
+function parseCallTime(text, { timezone = DEFAULT_TIMEZONE, now = new Date() } = {}) {
+  if (!text) return null;
+
+  const zone = detectTimezone(text) || (isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE);
+  // Drop the zone so "6pm ET" does not read "ET" as part of the clock
+  const cleaned = text.replace(TIMEZONE_PATTERN, ' ');
+
+  const relative = cleaned.match(RELATIVE_PATTERN);
+  if (relative) {
+    const amount = /^an?$/i.test(relative[1]) ? 1 : parseInt(relative[1], 10);
+    const minutes = /^h/i.test(relative[2]) ? amount * 60 : amount;
+    return { date: new Date(now.getTime() + minutes * 60000), timezone: zone, matched: relative[0] };
+  }
+
+  const clock = findClock(cleaned);
+  if (!clock) return null;
+
+  let { hour } = clock;
+  const { minute, meridiem } = clock;
+
+  const dayMatch = cleaned.match(DAY_PATTERN);
+  const day = dayMatch ? dayMatch[1].toLowerCase() : null;
+  if (!meridiem && day === 'tonight' && hour < 12) hour += 12;
+
+  const today = getZonedParts(now, zone);
+  const at = (offsetDays, h) => zonedTimeToDate({ year: today.year, month: today.month, day: today.day + offsetDays, hour: h, minute }, zone);
+
+  let offsetDays = 0;
+  if (day === 'tomorrow' || day === 'tmrw') {
+    offsetDays = 1;
+  } else if (WEEKDAYS.includes(day)) {
+    offsetDays = (WEEKDAYS.indexOf(day) - today.weekday + 7) % 7;
+  }
+
+  // Ambiguous "at 6": take whichever of 6am / 6pm comes next that day
+  const candidates = !meridiem && hour >= 1 && hour < 12 ? [hour, hour + 12] : [hour];
+  for (const h of candidates) {
+    const date = at(offsetDays, h);
+    if (date > now) return { date, timezone: zone, matched: clock.matched };
+  }
+
+  // Already passed today - next day (or next week for a named weekday)
+  const rollDays = WEEKDAYS.includes(day) ? 7 : 1;
+  if (day === 'today' || day === 'tonight') return null;
+  return { date: at(offsetDays + rollDays, candidates[0]), timezone: zone, matched: clock.matched };
+}
+
+module.exports = {
+  parseCallTime,
+  detectTimezone,
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToDate,
+  formatLocalTime,
+  DEFAULT_TIMEZONE
+};
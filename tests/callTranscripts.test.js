@@ -0,0 +1,150 @@
+/**
+ * Tests for call transcripts and end-of-call summaries
+ *
+ * Run with: node tests/callTranscripts.test.js
+ *
+ * Drives the Realtime handlers with fake sockets and a stubbed summarizer -
+ * no OpenAI, Twilio or database calls are made.
+ */
+
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const llmService = require('../src/services/llmService');
+const sessionManager = require('../src/services/sessionManager');
+const callTranscriptService = require('../src/services/callTranscriptService');
+const realtimeService = require('../src/services/realtimeService');
+const usersRouter = require('../src/routes/users');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+const summarized = [];
+llmService.summarizeConversation = async (history) => {
+  summarized.push(history);
+  return 'Caller wants a beach week in Lisbon in March for two, business class.';
+};
+
+/**
+ * Stand-in for a WebSocket that records what is sent
+ */
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = WebSocket.OPEN;
+    this.sent = [];
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = WebSocket.CLOSED;
+  }
+}
+
+/**
+ * Emit an OpenAI Realtime event on the fake socket
+ */
+function emitEvent(ws, event) {
+  ws.emit('message', Buffer.from(JSON.stringify(event)));
+}
+
+/**
+ * Call an Express route handler on the users router directly
+ */
+async function callRoute(path, params, query = {}) {
+  const layer = usersRouter.stack.find(l => l.route && l.route.path === path && l.route.methods.get);
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await layer.route.stack[0].handle({ params, query, body: {} }, res);
+  return res;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runTests() {
+  console.log('🧪 Testing Call Transcripts\n');
+
+  const phone = '+15550007777';
+
+  console.log('\n--- Test: Recording ---\n');
+
+  const openaiWs = new FakeSocket();
+  const twilioWs = new FakeSocket();
+  realtimeService.setupOpenAIHandlers(openaiWs, twilioWs, 'MZ7', '(555) 000-7777', 'CA_transcript');
+
+  emitEvent(openaiWs, { type: 'response.audio_transcript.done', transcript: 'Hi! Where would you like to go?' });
+  emitEvent(openaiWs, { type: 'conversation.item.input_audio_transcription.completed', transcript: 'Lisbon in March, two of us, business class.' });
+  emitEvent(openaiWs, { type: 'conversation.item.input_audio_transcription.completed', transcript: '   ' });
+
+  await realtimeService.handleFunctionCall(openaiWs, {
+    name: 'set_preferences',
+    call_id: 'call_1',
+    arguments: JSON.stringify({ preferred_class: 'business' })
+  }, phone, 'CA_transcript');
+
+  let call = callTranscriptService.getActiveCall('CA_transcript');
+  assert(call && call.phoneNumber === phone, 'Call is recorded under the normalized phone number');
+  assert(call.turns.length === 2 && call.turns[0].role === 'assistant' && call.turns[1].role === 'user', 'Both sides of the conversation are kept, blanks skipped');
+  assert(call.toolCalls.length === 1 && call.toolCalls[0].name === 'set_preferences' && call.toolCalls[0].success, 'Tool calls are recorded');
+
+  let res = await callRoute('/:phoneNumber/calls', { phoneNumber: phone });
+  assert(res.body.success && res.body.calls.length === 1 && res.body.calls[0].endedAt === null, 'Calls in progress are listed');
+
+  console.log('\n--- Test: Hangup ---\n');
+
+  openaiWs.emit('close');
+  for (let i = 0; i < 50 && callTranscriptService.getActiveCall('CA_transcript'); i++) {
+    await sleep(10);
+  }
+  await sleep(20);
+
+  assert(summarized.length === 1 && summarized[0].length === 2, 'Transcript is summarized at hangup');
+
+  const session = await sessionManager.getSession(phone);
+  assert(session.lastCallSummary && session.lastCallSummary.callSid === 'CA_transcript', 'Summary is saved on the session');
+  const note = session.conversationHistory[session.conversationHistory.length - 1];
+  assert(note && note.role === 'system' && /Lisbon in March/.test(note.content), 'Summary joins the SMS conversation history');
+
+  res = await callRoute('/:phoneNumber/calls', { phoneNumber: phone });
+  call = res.body.calls[0];
+  assert(call && call.endedAt && /Lisbon/.test(call.summary) && call.turns.length === 2, 'Finished call is returned with turns and summary');
+
+  assert(await callTranscriptService.endCall('CA_transcript') === null && summarized.length === 1, 'Ending a call twice is a no-op');
+
+  console.log('\n--- Test: Silent call ---\n');
+
+  await sleep(5); // distinct start time
+  callTranscriptService.startCall({ callSid: 'CA_silent', phoneNumber: phone });
+  const silent = await callTranscriptService.endCall('CA_silent');
+  assert(silent.summary === null && summarized.length === 1, 'Calls with nothing said are not summarized');
+
+  res = await callRoute('/:phoneNumber/calls', { phoneNumber: phone }, { limit: '1' });
+  assert(res.body.calls.length === 1 && res.body.calls[0].callSid === 'CA_silent', 'Calls are newest first and limit applies');
+
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});
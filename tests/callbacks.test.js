@@ -0,0 +1,321 @@
+/**
+ * Tests for scheduled concierge callbacks
+ *
+ * Run with: node tests/callbacks.test.js
+ *
+ * Schedules, moves and cancels callbacks through the callback intent, then
+ * runs the scheduler with Twilio stubbed - no calls, SMS, OpenAI or database
+ * access.
+ */
+
+process.env.BACKEND_WEBHOOK_URL = 'https://otherwhere.test';
+
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const twilioService = require('../src/services/twilioService');
+const elevenLabsService = require('../src/services/elevenLabsService');
+const sessionManager = require('../src/services/sessionManager');
+const callbackService = require('../src/services/callbackService');
+const smartDefaultsService = require('../src/services/smartDefaultsService');
+const realtimeService = require('../src/services/realtimeService');
+const voiceController = require('../src/controllers/voiceController');
+const webhookController = require('../src/controllers/webhookController');
+const { ConversationRouter } = require('../src/services/conversationRouter');
+const callbackIntent = require('../src/intents/callback');
+const { parseCallbackAction } = require('../src/intents/callback');
+const { parseCallTime } = require('../src/utils/timeParser');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+const sent = [];
+twilioService.sendSMS = async (to, body) => { sent.push({ to, body }); return { sid: 'SM_test' }; };
+
+const calls = [];
+let callError = null;
+twilioService.makeCall = async (to, url) => {
+  if (callError) throw callError;
+  calls.push({ to, url });
+  return { sid: `CA_out_${calls.length}` };
+};
+elevenLabsService.isConfigured = () => false;
+
+/**
+ * Stand-in for the OpenAI Realtime socket that records what is sent
+ */
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = WebSocket.OPEN;
+    this.sent = [];
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = WebSocket.CLOSED;
+  }
+}
+
+const router = new ConversationRouter();
+router.register(callbackIntent);
+
+/**
+ * Send an SMS through the callback intent and collect the reply
+ */
+async function text(phoneNumber, message) {
+  const session = await sessionManager.getSession(phoneNumber);
+  const replies = [];
+  const result = await router.route(router.createContext({
+    phoneNumber,
+    message,
+    session,
+    channel: 'sms',
+    reply: async (reply) => { replies.push(reply); }
+  }));
+  return { result, reply: replies[0] };
+}
+
+const HOUR = 60 * 60 * 1000;
+
+async function runTests() {
+  console.log('🧪 Testing Scheduled Callbacks\n');
+
+  console.log('\n--- Test: Reading times ---\n');
+
+  const now = new Date('2026-10-19T20:00:00Z'); // Mon 4:00 PM in New York
+  let when = parseCallTime('call me at 6pm about this trip', { now });
+  assert(when.date.toISOString() === '2026-10-19T22:00:00.000Z' && when.timezone === 'America/New_York', '"6pm" is today at 6pm in the default timezone');
+
+  when = parseCallTime('call me tomorrow at 9:30am PT', { now });
+  assert(when.date.toISOString() === '2026-10-20T16:30:00.000Z' && when.timezone === 'America/Los_Angeles', 'A named timezone wins');
+
+  when = parseCallTime('call me at 3pm', { now });
+  assert(when.date.toISOString() === '2026-10-20T19:00:00.000Z', 'A time that already passed today means tomorrow');
+
+  when = parseCallTime('call me at 6', { now, timezone: 'Europe/London' });
+  assert(when.date.toISOString() === '2026-10-20T05:00:00.000Z', 'Bare hours take the next occurrence in the user timezone');
+
+  assert(parseCallTime('call me about the mountain trip', { now }) === null, 'No time, no schedule');
+  assert(parseCallTime('call me at 5pm today', { now: new Date('2026-10-19T23:00:00Z') }) === null, '"today" in the past is not moved to tomorrow');
+
+  assert(parseCallbackAction('Call me at 6pm about this trip') === 'schedule', 'Schedule requests are recognized');
+  assert(parseCallbackAction('can you move my call to 7?') === 'reschedule' && parseCallbackAction('call me at 8 instead') === 'reschedule', 'Reschedule requests are recognized');
+  assert(parseCallbackAction('cancel my call') === 'cancel' && parseCallbackAction("don't call me") === 'cancel', 'Cancel requests are recognized');
+  assert(parseCallbackAction('cancel') === null && parseCallbackAction('I called the airline') === null, 'Other messages are left alone');
+
+  console.log('\n--- Test: Scheduling over SMS ---\n');
+
+  const phone = '+15550009999';
+  await sessionManager.updateSession(phone, {
+    tripDetails: { destination: 'Lisbon' },
+    userPreferences: { preferredClass: 'business' },
+    context: { lastFlightSearch: { origin: 'JFK', destination: 'LIS', startDate: '2030-03-10', endDate: '2030-03-17', passengers: 2 } }
+  });
+
+  let turn = await text(phone, 'call me at 6pm about this trip');
+  let pending = await callbackService.getPendingCallback(phone);
+  assert(turn.result.handler === 'callback' && /about your Lisbon trip/.test(turn.reply), 'Scheduling is confirmed with the topic');
+  assert(pending && pending.timezone === 'America/New_York' && pending.context.lastFlightSearch.destination === 'LIS', 'Request is stored with timezone and session context');
+  const firstId = pending.id;
+
+  turn = await text(phone, 'call me at 7pm PT instead');
+  pending = await callbackService.getPendingCallback(phone);
+  assert(/Moved your call/.test(turn.reply) && /PDT|PST/.test(turn.reply), 'Rescheduling is confirmed in the new timezone');
+  assert(pending.id === firstId && pending.timezone === 'America/Los_Angeles', 'The same request is moved, not duplicated');
+
+  turn = await text(phone, 'move my call to 8pm');
+  pending = await callbackService.getPendingCallback(phone);
+  assert(pending.timezone === 'America/Los_Angeles' && /8:00 PM/.test(turn.reply), 'Later times default to the timezone from the last request');
+
+  turn = await text(phone, 'call me');
+  assert(/What time should I call/.test(turn.reply), 'Missing times are asked for');
+
+  console.log('\n--- Test: Placing the call ---\n');
+
+  await sessionManager.updateSession(phone, { tripDetails: { destination: 'Porto' } });
+  let placed = await callbackService.runDueCallbacks(new Date(Date.now() + 48 * HOUR));
+  assert(placed.length === 1 && placed[0].status === 'placed' && placed[0].callSid === 'CA_out_1', 'Due callbacks are placed');
+  assert(calls[0].to === phone && calls[0].url === `https://otherwhere.test/voice/callback/${firstId}`, 'Twilio fetches the callback TwiML');
+  assert(placed[0].context.tripDetails.destination === 'Porto', 'Context is refreshed when the call is placed');
+  assert((await callbackService.runDueCallbacks(new Date(Date.now() + 48 * HOUR))).length === 0, 'Each callback is placed once');
+
+  realtimeService.isConfigured = () => true;
+  const res = {
+    body: '',
+    type() { return this; },
+    send(body) { this.body = body; return this; }
+  };
+  await voiceController.handleCallbackCall({ params: { callbackId: firstId }, body: { To: phone, CallSid: 'CA_out_1' } }, res);
+  const session = await sessionManager.getSession(phone);
+  assert(res.body.includes(`name="callbackId" value="${firstId}"`) && res.body.includes(`value="${phone}"`), 'Answered callbacks stream to Realtime with the callback ID');
+  assert(session.context.currentCallSid === 'CA_out_1' && session.context.voiceMode === 'realtime', 'Callback call is tracked on the session');
+
+  const openaiWs = new FakeSocket();
+  realtimeService.setupOpenAIHandlers(openaiWs, new FakeSocket(), 'MZ9', phone, 'CA_out_1', {
+    seedContext: callbackService.describeCallContext(placed[0])
+  });
+  openaiWs.emit('open');
+  const seed = openaiWs.sent.find(e => e.type === 'conversation.item.create');
+  const seedText = seed && seed.item.content[0].text;
+  assert(seed && seed.item.role === 'system' && /Lisbon trip/.test(seedText) && /JFK to LIS/.test(seedText) && /business/.test(seedText), 'Realtime call is seeded with topic, last search and preferences');
+
+  console.log('\n--- Test: Cancelling ---\n');
+
+  await text(phone, 'call me tomorrow at 10am');
+  turn = await text(phone, 'please cancel my call');
+  assert(/won't call/.test(turn.reply) && !(await callbackService.getPendingCallback(phone)), 'Cancelling removes the pending call');
+  turn = await text(phone, 'cancel my call');
+  assert(/don't have a call scheduled/.test(turn.reply), 'Cancelling with nothing scheduled says so');
+
+  console.log('\n--- Test: Failed calls ---\n');
+
+  const unreachable = '+15550009998';
+  callError = new Error('Twilio is down');
+  await text(unreachable, 'call me in 1 hour');
+  let later = Date.now() + 2 * HOUR;
+  placed = await callbackService.runDueCallbacks(new Date(later));
+  assert(placed[0].status === 'scheduled' && placed[0].attempts === 1, 'Failed calls are retried');
+
+  for (let i = 0; i < 2; i++) {
+    later += HOUR;
+    placed = await callbackService.runDueCallbacks(new Date(later));
+  }
+  assert(placed[0].status === 'failed' && placed[0].attempts === 3, 'Calls give up after the last attempt');
+  assert(sent.length === 1 && sent[0].to === unreachable && /couldn't place the call/.test(sent[0].body), 'User is told by SMS when the call could not be placed');
+
+  console.log('\n--- Test: Unanswered callbacks ---\n');
+
+  callError = null;
+  sent.length = 0;
+  const statusRes = { sendStatus() { return this; } };
+
+  /**
+   * Post a Twilio status callback for an outbound call
+   */
+  async function callStatus(to, callSid, status) {
+    await voiceController.handleStatusCallback({
+      body: { CallSid: callSid, CallStatus: status, Direction: 'outbound-api', To: to, From: '+18005550100' }
+    }, statusRes);
+  }
+
+  const missing = '+15550009997';
+  await text(missing, 'call me in 1 hour');
+  later += 2 * HOUR;
+  placed = await callbackService.runDueCallbacks(new Date(later));
+  await callStatus(missing, placed[0].callSid, 'no-answer');
+  const missedCall = await callbackService.getCallback(placed[0].id);
+  assert(missedCall.status === 'missed' && missedCall.lastError === 'Call no-answer', 'An unanswered callback is marked missed');
+  assert(sent.length === 1 && sent[0].to === missing && /We tried to call you at .*couldn't reach you/.test(sent[0].body), 'A no-answer callback is followed by a "We tried to call you" text');
+
+  await callStatus(missing, placed[0].callSid, 'no-answer');
+  assert(sent.length === 1, 'A repeated status callback does not text again');
+
+  sent.length = 0;
+  await text(missing, 'call me in 1 hour');
+  later += 2 * HOUR;
+  placed = await callbackService.runDueCallbacks(new Date(later));
+  await callStatus(missing, placed[0].callSid, 'failed');
+  assert((await callbackService.getCallback(placed[0].id)).status === 'failed', 'A callback Twilio could not connect is marked failed');
+  assert(sent.length === 1 && /We tried to call you/.test(sent[0].body), 'Failed callbacks get the callback text, not the generic one');
+
+  sent.length = 0;
+  await callStatus(missing, 'CA_not_a_callback', 'busy');
+  assert(sent.length === 1 && /couldn't connect your call/.test(sent[0].body), 'Other calls keep the generic text');
+
+  console.log('\n--- Test: Interrupted calls ---\n');
+
+  const interrupted = '+15550009996';
+  await text(interrupted, 'call me in 1 hour');
+  later += 2 * HOUR;
+  // This worker claims the callback and never hears back from Twilio
+  const makeCall = twilioService.makeCall;
+  twilioService.makeCall = () => new Promise(() => {});
+  callbackService.runDueCallbacks(new Date(later));
+  await new Promise(resolve => setImmediate(resolve));
+  twilioService.makeCall = makeCall;
+
+  const stuck = await callbackService.getLatestCallback(interrupted);
+  assert(stuck.status === 'calling', 'Due callbacks are claimed before the call is placed');
+  assert((await callbackService.runDueCallbacks(new Date(later))).length === 0, 'A claimed callback is not placed twice');
+
+  const realNow = Date.now;
+  Date.now = () => realNow() + 11 * 60 * 1000;
+  placed = await callbackService.runDueCallbacks(new Date(later));
+  Date.now = realNow;
+  assert(placed.length === 1 && placed[0].id === stuck.id && placed[0].status === 'placed', 'A callback stuck in calling is claimed again after the timeout');
+
+  console.log('\n--- Test: Callbacks through ElevenLabs ---\n');
+
+  process.env.ELEVENLABS_VOICE_AGENT_ID = 'agent_test';
+  elevenLabsService.isConfigured = () => true;
+  const conversations = [];
+  elevenLabsService.initiateVoiceConversation = async (to) => {
+    conversations.push(to);
+    return { success: true, conversation_id: `conv_${conversations.length}`, callSid: `CA_agent_${conversations.length}` };
+  };
+
+  sent.length = 0;
+  const agentCaller = '+15550009995';
+  await text(agentCaller, 'call me in 1 hour');
+  later += 2 * HOUR;
+  placed = await callbackService.runDueCallbacks(new Date(later));
+  assert(placed[0].callSid === 'CA_agent_1' && placed[0].conversationId === 'conv_1', 'Agent calls keep the Twilio CallSid and the conversation ID apart');
+  await callStatus(agentCaller, 'CA_agent_1', 'no-answer');
+  assert((await callbackService.getCallback(placed[0].id)).status === 'missed' && sent.length === 1 && /We tried to call you/.test(sent[0].body), 'A Twilio status callback finds an agent-placed callback');
+
+  sent.length = 0;
+  await text(agentCaller, 'call me in 1 hour');
+  later += 2 * HOUR;
+  placed = await callbackService.runDueCallbacks(new Date(later));
+  await webhookController.handleElevenLabsWebhook({
+    headers: {},
+    body: { event_type: 'call_initiation_failure', agent_id: 'agent_test', conversation_id: 'conv_2', failure_reason: 'busy' }
+  }, { json() { return this; }, status() { return this; } });
+  assert((await callbackService.getCallback(placed[0].id)).status === 'missed' && sent.length === 1, 'An ElevenLabs call failure finds the callback by conversation ID');
+
+  elevenLabsService.isConfigured = () => false;
+  delete process.env.ELEVENLABS_VOICE_AGENT_ID;
+
+  console.log('\n--- Test: Timezone from the phone number ---\n');
+
+  assert(smartDefaultsService.inferTimezone('+14155550123') === 'America/Los_Angeles' && smartDefaultsService.inferTimezone('+13125550123') === 'America/Chicago', 'North American area codes give their timezone');
+  assert(smartDefaultsService.inferTimezone('+447700900123') === 'Europe/London' && smartDefaultsService.inferTimezone('+353851234567') === 'Europe/Dublin', 'Country codes give their timezone');
+  assert(smartDefaultsService.inferTimezone('+15550009999') === null && smartDefaultsService.inferTimezone(null) === null, 'Unknown numbers give no timezone');
+
+  const sanFrancisco = '+14155550123';
+  turn = await text(sanFrancisco, 'call me at 3pm');
+  pending = await callbackService.getPendingCallback(sanFrancisco);
+  assert(pending.timezone === 'America/Los_Angeles' && /PDT|PST/.test(turn.reply), 'A first request is read in the timezone of the number');
+
+  const london = '+447700900123';
+  await text(london, 'call me at 3pm');
+  assert((await callbackService.getPendingCallback(london)).timezone === 'Europe/London', 'International numbers use their country\'s timezone');
+
+  const traveling = '+13125550123';
+  await text(traveling, 'call me at 3pm ET');
+  assert((await callbackService.getPendingCallback(traveling)).timezone === 'America/New_York', 'A timezone named in the message still wins');
+
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});
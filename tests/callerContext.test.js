@@ -0,0 +1,188 @@
+/**
+ * Tests for the caller context handed to voice agents
+ *
+ * Run with: node tests/callerContext.test.js
+ *
+ * Builds a returning caller's context from their session and trips, then
+ * checks it reaches ElevenLabs (TwiML parameters), OpenAI Realtime (system
+ * message before the greeting) and the <Gather> greeting - no calls, OpenAI
+ * or database access.
+ */
+
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const elevenLabsService = require('../src/services/elevenLabsService');
+const realtimeService = require('../src/services/realtimeService');
+const sessionManager = require('../src/services/sessionManager');
+const tripService = require('../src/services/tripService');
+const callerContextService = require('../src/services/callerContextService');
+const callerVerificationService = require('../src/services/callerVerificationService');
+const verifyCaller = require('../src/tools/verifyCaller');
+const voiceController = require('../src/controllers/voiceController');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+/**
+ * Stand-in for a WebSocket that records what is sent
+ */
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = WebSocket.OPEN;
+    this.sent = [];
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = WebSocket.CLOSED;
+  }
+}
+
+/**
+ * Call voiceController.handleInboundCall and return the TwiML
+ * @param {string} from - Caller's phone number
+ * @param {string} callSid - Call SID
+ * @returns {Promise<string>}
+ */
+async function callIn(from, callSid) {
+  const res = {
+    body: '',
+    type() { return this; },
+    send(body) { this.body = body; return this; }
+  };
+  await voiceController.handleInboundCall({ body: { From: from, CallSid: callSid } }, res);
+  return res.body;
+}
+
+/**
+ * Decode TwiML attribute escaping
+ * @param {string} value - Attribute value
+ * @returns {string}
+ */
+function unescapeXml(value) {
+  return value.replace(/&#10;/g, '\n').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+async function runTests() {
+  console.log('🧪 Testing Caller Context\n');
+
+  const phone = '+15550007001';
+  const nextMonth = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+  await sessionManager.updateSession(phone, {
+    onboardedVia: 'sms',
+    language: 'en',
+    context: { homeAirport: 'JFK' },
+    userPreferences: { preferredClass: 'business', maxStops: 0, preferredAirlines: [], avoidedAirlines: null },
+    lastCallSummary: { summary: 'Compared Lisbon and Porto for a spring trip.' }
+  });
+  for (let i = 1; i <= 8; i++) {
+    await sessionManager.addMessage(phone, { role: i % 2 ? 'user' : 'assistant', content: `message ${i} about "Lisbon" & Porto` });
+  }
+
+  const trip = tripService.createTrip({ phoneNumber: phone, origin: 'JFK', destination: 'Lisbon', departureDate: nextMonth, travelers: 2 });
+  tripService.createTrip({ phoneNumber: phone, origin: 'JFK', destination: 'Oslo', departureDate: '2020-01-10' });
+  tripService.saveTravelerData(trip.id, [{ firstName: 'Maya', lastName: 'Lopez', dateOfBirth: '1990-04-02', passportNumber: 'X1234567' }]);
+
+  console.log('\n--- Test: Assembling the context ---\n');
+
+  const context = await callerContextService.buildCallerContext(phone);
+  assert(context.name === 'Maya' && context.homeAirport === 'JFK', 'Name and home airport are known');
+  assert(context.isReturning === true && context.language === 'en', 'Caller is recognized as returning');
+  assert(context.upcomingTrips.length === 1 && context.upcomingTrips[0].destination === 'Lisbon', 'Only trips that have not departed are included');
+  assert(context.recentMessages.length === callerContextService.RECENT_MESSAGE_LIMIT &&
+    context.recentMessages[context.recentMessages.length - 1].content.startsWith('message 8'), 'The last few SMS turns are included');
+
+  const variables = callerContextService.toDynamicVariables(context, { verified: true });
+  assert(Object.values(variables).every(value => typeof value === 'string'), 'Dynamic variables are all strings');
+  assert(variables.caller_name === 'Maya' && variables.home_airport === 'JFK' && variables.is_returning_caller === 'true', 'Dynamic variables carry name, airport and returning flag');
+  assert(variables.preferences === 'cabin: business; max stops: 0', 'Empty preferences are left out');
+  assert(/JFK to Lisbon/.test(variables.upcoming_trips) && /\(awaiting booking\)/.test(variables.upcoming_trips), 'Upcoming trips are described');
+  assert(!JSON.stringify(variables).includes('X1234567'), 'Passport numbers never reach the agent');
+
+  const unverified = callerContextService.toDynamicVariables(context);
+  assert(unverified.caller_name === 'Maya' && unverified.home_airport === 'JFK' && unverified.is_returning_caller === 'true', 'Unverified callers still get name, airport and returning flag');
+  assert(['preferences', 'loyalty_programs', 'upcoming_trips', 'memories', 'recent_messages', 'last_call_summary'].every(name => unverified[name] === ''), 'Trips, preferences, memories and texts are held back until verification');
+
+  const description = callerContextService.describeCallerContext(context, { verified: true });
+  assert(/Greet them by name/.test(description) && /Maya/.test(description), 'Instructions ask the agent to greet the caller by name');
+  assert(/Don't ask again/.test(description) && /Previous call: Compared Lisbon/.test(description), 'Instructions list known facts and say not to re-ask');
+
+  const unverifiedDescription = callerContextService.describeCallerContext(context);
+  assert(/Maya/.test(unverifiedDescription) && /Home airport: JFK/.test(unverifiedDescription), 'Unverified description keeps name and home airport');
+  assert(!/Lisbon/.test(unverifiedDescription) && /verify_caller/.test(unverifiedDescription), 'Unverified description leaves out trips and texts and says how to get them');
+
+  const stranger = await callerContextService.buildCallerContext('+15550007999');
+  assert(stranger.isReturning === false && callerContextService.describeCallerContext(stranger) === null, 'Nothing is described for a first-time caller');
+  assert(callerContextService.toDynamicVariables(stranger).caller_name === '', 'Unknown values are empty strings');
+
+  console.log('\n--- Test: ElevenLabs hand-off ---\n');
+
+  elevenLabsService.isConfigured = () => true;
+  process.env.ELEVENLABS_VOICE_AGENT_ID = 'agent_test';
+
+  const twiml = await callIn(phone, 'CA_ctx_1');
+  const parameter = name => {
+    const match = twiml.match(new RegExp(`<Parameter name="${name}" value="([^"]*)" />`));
+    return match ? unescapeXml(match[1]) : null;
+  };
+  assert(twiml.includes('<ConversationalAI agentId="agent_test">'), 'Call is handed to the ElevenLabs agent');
+  assert(parameter('caller_name') === 'Maya' && parameter('home_airport') === 'JFK', 'Name and home airport are passed as dynamic variables');
+  assert(parameter('recent_messages') === '' && parameter('upcoming_trips') === '' && parameter('last_call_summary') === '', 'Nothing beyond name and airport is handed over before verification');
+  const userContext = JSON.parse(Buffer.from(parameter('userContext'), 'base64').toString());
+  assert(userContext.callerName === 'Maya' && userContext.homeAirport === 'JFK', 'userContext keeps its fields and adds the name');
+
+  console.log('\n--- Test: OpenAI Realtime ---\n');
+
+  const openaiWs = new FakeSocket();
+  const bridge = realtimeService.handleMediaStream(new FakeSocket(), { connect: async () => openaiWs });
+  await bridge.start({ streamSid: 'MZ_ctx', callSid: 'CA_ctx_2', customParameters: { from: phone } });
+  const seed = openaiWs.sent.find(e => e.type === 'conversation.item.create');
+  const seedText = seed && seed.item.content[0].text;
+  assert(seed && seed.item.role === 'system' && /Maya/.test(seedText) && !/JFK to Lisbon/.test(seedText), 'Realtime session is seeded with the unverified caller context');
+  assert(openaiWs.sent[0].type === 'session.update' && !openaiWs.sent[0].session.instructions, "The stored prompt's instructions are not replaced");
+  bridge.teardown('test_done');
+
+  console.log('\n--- Test: After verification ---\n');
+
+  await callerVerificationService.setPin(phone, '2468');
+  const verified = await verifyCaller.execute({ code: '2468', method: 'pin' }, { phoneNumber: phone, callSid: 'CA_ctx_2' });
+  assert(verified.success && /JFK to Lisbon/.test(verified.result) && /Previous call: Compared Lisbon/.test(verified.result), 'Passing verify_caller hands the agent the full context');
+  assert(verified.result.includes('message 7 about "Lisbon" & Porto\nYou: message 8'), 'Recent texts come with it');
+  assert(!verified.result.includes('X1234567'), 'Passport numbers still never reach the agent');
+
+  const wrong = await verifyCaller.execute({ code: '1111', method: 'pin' }, { phoneNumber: phone, callSid: 'CA_ctx_6' });
+  assert(!wrong.success && !/Lisbon/.test(wrong.result), 'A failed check reveals nothing');
+
+  console.log('\n--- Test: <Gather> greeting ---\n');
+
+  elevenLabsService.isConfigured = () => false;
+  realtimeService.isConfigured = () => false;
+  assert(/Hi Maya, welcome back/.test(await callIn(phone, 'CA_ctx_3')), 'Gather greeting uses the caller\'s name');
+  assert(/Welcome to Otherwhere/.test(await callIn('+15550007998', 'CA_ctx_4')), 'New callers get the standard greeting');
+
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,312 @@
+/**
+ * Tests for caller verification before voice tools touch profile data
+ *
+ * Run with: node tests/callerVerification.test.js
+ *
+ * Drives the gated tools through the ElevenLabs webhook and the Realtime
+ * function-call path. SMS sending is stubbed to capture the one-time code;
+ * no database is used (the in-memory stores stand in).
+ */
+
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const twilioService = require('../src/services/twilioService');
+const callerVerificationService = require('../src/services/callerVerificationService');
+const toolRegistry = require('../src/services/toolRegistry');
+const webhookController = require('../src/controllers/webhookController');
+const usersRouter = require('../src/routes/users');
+const realtimeService = require('../src/services/realtimeService');
+const { toMaskedProfile } = require('../src/tools/getTravelerProfile');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+// Capture texts instead of sending them
+const sentMessages = [];
+twilioService.sendSMS = async (to, body) => {
+  sentMessages.push({ to, body });
+  return { sid: `SM${sentMessages.length}` };
+};
+
+/**
+ * Code from the most recent verification text
+ */
+function lastCode() {
+  const match = sentMessages[sentMessages.length - 1].body.match(/code is (\d{6})/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Minimal Express response that records status and JSON body
+ */
+function makeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+/**
+ * Post a tool call to the ElevenLabs webhook
+ */
+async function toolCall(toolName, callSid, phone, parameters = {}) {
+  const res = makeResponse();
+  await webhookController.handleElevenLabsToolCall({
+    headers: {},
+    body: { tool_name: toolName, conversation_id: `conv_${callSid}`, call_sid: callSid, parameters: { ...parameters, phone_number: phone } }
+  }, res);
+  return res;
+}
+
+/**
+ * Call a users route handler directly
+ */
+async function callRoute(method, path, params, body = {}) {
+  const layer = usersRouter.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const res = makeResponse();
+  await layer.route.stack[0].handle({ params, query: {}, body }, res);
+  return res;
+}
+
+/**
+ * Stand-in for the OpenAI Realtime socket that records what is sent
+ */
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = WebSocket.OPEN;
+    this.sent = [];
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = WebSocket.CLOSED;
+  }
+}
+
+async function runTests() {
+  console.log('🧪 Testing Caller Verification\n');
+
+  const phone = '+15550007777';
+
+  console.log('\n--- Test: Gated tools ---\n');
+
+  let res = await toolCall('get_traveler_profile', 'CA100', phone);
+  assert(res.statusCode === 200 && res.body.success === false && res.body.error === 'verification_required', 'Profile reads are blocked before verification');
+  assert(/send_verification_code/.test(res.body.result), 'The agent is told how to verify the caller');
+
+  res = await toolCall('update_traveler_profile', 'CA100', phone, { passport_number: 'X1234567' });
+  assert(res.body.error === 'verification_required' && res.statusCode === 200, 'Profile changes are blocked before verification');
+
+  res = await toolCall('search_trips', 'CA100', phone, { origin: 'JFK' });
+  assert(res.body.error === 'destination is required', 'Ungated tools are unaffected');
+
+  console.log('\n--- Test: SMS code ---\n');
+
+  res = await toolCall('verify_caller', 'CA100', phone, { code: '123456' });
+  assert(res.body.success === false && res.body.error === 'no_code', 'A code must be sent before it can be checked');
+
+  res = await toolCall('send_verification_code', 'CA100', phone);
+  assert(res.statusCode === 200 && res.body.success && sentMessages.length === 1 && sentMessages[0].to === phone, 'The code is texted to the calling number');
+  const code = lastCode();
+  assert(code && code.length === 6, 'The code has 6 digits');
+
+  const wrong = code === '000000' ? '111111' : '000000';
+  res = await toolCall('verify_caller', 'CA100', phone, { code: wrong });
+  assert(res.body.success === false && res.body.error === 'mismatch' && res.body.attemptsLeft === callerVerificationService.MAX_ATTEMPTS - 1, 'A wrong code is rejected and counted');
+
+  res = await toolCall('verify_caller', 'CA100', phone, { code: code.split('').join(' ') });
+  assert(res.body.success === true, 'The right code verifies the call, spaces and all');
+
+  res = await toolCall('get_traveler_profile', 'CA100', phone);
+  assert(res.statusCode === 200 && res.body.success && res.body.profile === null, 'Profile tools run once verified');
+
+  res = await toolCall('get_traveler_profile', 'CA101', phone);
+  assert(res.body.error === 'verification_required', 'Verification does not carry over to another call');
+
+  res = await toolCall('get_traveler_profile', 'CA100', '+15550008888');
+  assert(res.body.error === 'verification_required', 'A verified call SID does not unlock another number');
+
+  res = await toolCall('send_verification_code', 'CA100', '+15550008888');
+  assert(res.body.error === 'unknown_call' && sentMessages.length === 1, 'A call SID stays bound to its number');
+
+  console.log('\n--- Test: Limits ---\n');
+
+  const realNow = Date.now;
+  Date.now = () => realNow() - 60 * 60 * 1000;
+  await toolCall('send_verification_code', 'CA200', phone);
+  Date.now = realNow;
+  res = await toolCall('verify_caller', 'CA200', phone, { code: lastCode() });
+  assert(res.body.success === false && res.body.error === 'expired', 'Expired codes are rejected');
+
+  await toolCall('send_verification_code', 'CA300', phone);
+  const lockCode = lastCode();
+  const bad = lockCode === '999999' ? '888888' : '999999';
+  for (let i = 0; i < callerVerificationService.MAX_ATTEMPTS; i++) {
+    res = await toolCall('verify_caller', 'CA300', phone, { code: bad });
+  }
+  assert(res.body.error === 'locked' && res.body.attemptsLeft === 0, 'The call locks after too many wrong codes');
+  res = await toolCall('verify_caller', 'CA300', phone, { code: lockCode });
+  assert(res.body.success === false && res.body.error === 'locked', 'A locked call stays locked, even with the right code');
+
+  for (let i = 0; i < 3; i++) {
+    await toolCall('send_verification_code', 'CA400', phone);
+  }
+  res = await toolCall('send_verification_code', 'CA400', phone);
+  assert(res.body.error === 'too_many_codes', 'Codes per call are limited');
+
+  console.log('\n--- Test: Limits across calls ---\n');
+
+  const redialer = '+15550006666';
+  await toolCall('send_verification_code', 'CA700', redialer);
+  const redialCode = lastCode();
+  const redialBad = redialCode === '999999' ? '888888' : '999999';
+  for (let i = 0; i < callerVerificationService.MAX_ATTEMPTS; i++) {
+    res = await toolCall('verify_caller', 'CA700', redialer, { code: redialBad });
+  }
+  assert(res.body.error === 'locked', 'The first call locks');
+
+  await toolCall('send_verification_code', 'CA701', redialer);
+  const leftOnNumber = callerVerificationService.MAX_ATTEMPTS_PER_NUMBER - callerVerificationService.MAX_ATTEMPTS;
+  for (let i = 0; i < leftOnNumber - 1; i++) {
+    res = await toolCall('verify_caller', 'CA701', redialer, { code: redialBad });
+  }
+  assert(res.body.error === 'mismatch' && res.body.attemptsLeft === 1, 'A second call SID only gets the attempts the number has left');
+
+  await toolCall('send_verification_code', 'CA702', redialer);
+  res = await toolCall('verify_caller', 'CA702', redialer, { code: redialBad });
+  assert(res.body.error === 'number_locked' && res.body.attemptsLeft === 0, 'A third call SID locks once the number runs out of attempts');
+
+  res = await toolCall('verify_caller', 'CA702', redialer, { code: lastCode() });
+  assert(res.body.success === false && res.body.error === 'number_locked', 'The right code is refused while the number is locked');
+
+  const codesBefore = sentMessages.length;
+  res = await toolCall('send_verification_code', 'CA703', redialer);
+  assert(res.body.error === 'number_locked' && sentMessages.length === codesBefore, 'A new call gets no code while the number is locked');
+
+  await callerVerificationService.setPin(redialer, '2468');
+  res = await toolCall('verify_caller', 'CA704', redialer, { code: '2468', method: 'pin' });
+  assert(res.body.error === 'number_locked', 'The PIN is refused while the number is locked');
+
+  Date.now = () => realNow() + callerVerificationService.NUMBER_WINDOW_MS;
+  res = await toolCall('send_verification_code', 'CA705', redialer);
+  assert(res.body.success === true, 'The number lock lifts after the window');
+  res = await toolCall('verify_caller', 'CA705', redialer, { code: lastCode() });
+  Date.now = realNow;
+  assert(res.body.success === true, 'A call after the window can verify');
+
+  const texter = '+15550005555';
+  const codesPerCall = [3, 3, 2];
+  for (const [i, count] of codesPerCall.entries()) {
+    for (let n = 0; n < count; n++) {
+      await toolCall('send_verification_code', `CA80${i}`, texter);
+    }
+  }
+  res = await toolCall('send_verification_code', 'CA803', texter);
+  assert(res.body.error === 'number_locked' && codesPerCall.reduce((a, b) => a + b) === callerVerificationService.MAX_CODES_PER_NUMBER, 'Codes per number are limited across calls');
+
+  console.log('\n--- Test: PIN ---\n');
+
+  res = await toolCall('verify_caller', 'CA500', phone, { code: '4321', method: 'pin' });
+  assert(res.body.error === 'no_pin', 'A PIN must be set before it can be used');
+
+  let threw = false;
+  try {
+    await callerVerificationService.setPin(phone, '12');
+  } catch (error) {
+    threw = true;
+  }
+  assert(threw, 'Short PINs are refused');
+
+  await callerVerificationService.setPin(phone, '4321');
+  assert(await callerVerificationService.hasPin(phone), 'The PIN is stored');
+
+  res = await toolCall('send_verification_code', 'CA500', phone);
+  assert(/voice PIN/.test(res.body.result), 'The agent is told a PIN is available');
+
+  res = await toolCall('verify_caller', 'CA500', phone, { code: '1234', method: 'pin' });
+  assert(res.body.success === false && res.body.error === 'mismatch', 'A wrong PIN is rejected');
+  res = await toolCall('verify_caller', 'CA500', phone, { code: '4321', method: 'pin' });
+  assert(res.body.success === true && await callerVerificationService.isVerified('CA500', phone), 'The right PIN verifies the call');
+
+  console.log('\n--- Test: Setting the PIN over the API ---\n');
+
+  const owner = '+15550004444';
+  const pinPath = '/:phoneNumber/voice-pin';
+  res = await callRoute('put', pinPath, { phoneNumber: owner }, { pin: '1357' });
+  assert(res.statusCode === 403 && res.body.error === 'verification_required' && !(await callerVerificationService.hasPin(owner)), 'An unverified PUT is rejected');
+
+  res = await callRoute('put', pinPath, { phoneNumber: owner }, { pin: '1357', callSid: 'CA900' });
+  assert(res.statusCode === 403 && !(await callerVerificationService.hasPin(owner)), 'An unverified call SID does not allow it');
+
+  res = await callRoute('put', pinPath, { phoneNumber: owner }, { pin: '1357', callSid: 'CA500' });
+  assert(res.statusCode === 403, 'A call verified for another number does not allow it');
+
+  res = await callRoute('post', `${pinPath}/code`, { phoneNumber: owner });
+  const { verificationId } = res.body;
+  assert(res.statusCode === 200 && /^pin_/.test(verificationId), 'A PIN code request returns a verification ID');
+  assert(sentMessages[sentMessages.length - 1].to === owner && /set your voice PIN/.test(sentMessages[sentMessages.length - 1].body), 'The code is texted to the number with PIN wording');
+  const pinCode = lastCode();
+
+  res = await callRoute('put', pinPath, { phoneNumber: owner }, { pin: '1357', verificationId, code: pinCode === '000000' ? '111111' : '000000' });
+  assert(res.statusCode === 403 && res.body.error === 'mismatch' && !(await callerVerificationService.hasPin(owner)), 'A wrong code is rejected');
+
+  res = await callRoute('put', pinPath, { phoneNumber: owner }, { pin: '1357', verificationId, code: pinCode });
+  assert(res.statusCode === 200 && await callerVerificationService.hasPin(owner), 'The texted code allows setting the PIN');
+
+  res = await callRoute('put', pinPath, { phoneNumber: phone }, { pin: '8642', callSid: 'CA500' });
+  assert(res.statusCode === 200, 'A verified call allows replacing the PIN');
+  res = await toolCall('verify_caller', 'CA901', phone, { code: '8642', method: 'pin' });
+  assert(res.body.success === true, 'The replaced PIN is the one that works');
+
+  console.log('\n--- Test: Realtime ---\n');
+
+  let openaiWs = new FakeSocket();
+  let output = await realtimeService.handleFunctionCall(openaiWs, { name: 'get_traveler_profile', call_id: 'call_1', arguments: '{}' }, phone, 'CA600');
+  assert(output.error === 'verification_required', 'Realtime calls are gated by their call SID');
+
+  openaiWs = new FakeSocket();
+  output = await realtimeService.handleFunctionCall(openaiWs, { name: 'get_traveler_profile', call_id: 'call_2', arguments: '{}' }, phone, 'CA500');
+  assert(output.success === true, 'A verified Realtime call can read the profile');
+
+  console.log('\n--- Test: Masking ---\n');
+
+  const masked = toMaskedProfile({
+    first_name: 'Ana',
+    passport_number: 'X12345678',
+    known_traveler_number: 'TT1234567',
+    passport_expiry: new Date('2031-05-01T00:00:00Z'),
+    airlineLoyaltyPrograms: [{ airline_name: 'Delta Air Lines', program_number: '9876543210' }]
+  });
+  assert(masked.passportNumber === 'ending 5678' && masked.knownTravelerNumber === 'ending 4567', 'Document numbers are masked to the last 4');
+  assert(masked.airlineLoyalty[0].number === 'ending 3210' && masked.passportExpiry === '2031-05-01', 'Loyalty numbers are masked too');
+
+  const configs = toolRegistry.getElevenLabsToolConfigs({ webhookUrl: 'https://api.otherwhere.test/webhook/elevenlabs/tool-call' });
+  assert(configs.every(c => c.api_schema.request_body_schema.properties.call_sid.dynamic_variable === 'system__call_sid'), 'ElevenLabs sends the call SID with every tool call');
+
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});
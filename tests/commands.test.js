@@ -0,0 +1,137 @@
+/**
+ * Tests for built-in SMS commands (HELP, MY TRIPS, PREFS, STATUS, UNDO)
+ *
+ * Run with: node tests/commands.test.js
+ *
+ * Runs without a database - bookings and stored preferences are skipped,
+ * so trips come from tripService and preferences from the session.
+ */
+
+const sessionManager = require('../src/services/sessionManager');
+const tripService = require('../src/services/tripService');
+const { ConversationRouter } = require('../src/services/conversationRouter');
+const commandsIntent = require('../src/intents/commands');
+const resetIntent = require('../src/intents/reset');
+
+const { parseCommand, fitToSegment, SMS_SEGMENT_LENGTH } = commandsIntent;
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+/**
+ * Build a turn context that records replies instead of sending them
+ */
+function makeContext(router, phoneNumber, message, session, channel = 'sms') {
+  const sent = [];
+  const ctx = router.createContext({
+    phoneNumber,
+    message,
+    session,
+    channel,
+    reply: async (text) => { sent.push(text); },
+    record: async () => {}
+  });
+  return { ctx, sent };
+}
+
+async function runTests() {
+  console.log('🧪 Testing SMS Commands\n');
+
+  console.log('\n--- Test: Parsing ---\n');
+
+  const cases = [
+    ['my trips', 'MY_TRIPS', null],
+    ['  Trips. ', 'MY_TRIPS', null],
+    ['PREFS', 'PREFS', null],
+    ['status abc123', 'STATUS', 'ABC123'],
+    ['status', 'STATUS', null],
+    ['Undo!', 'UNDO', null],
+    ['commands', 'HELP', null]
+  ];
+
+  cases.forEach(([message, command, arg]) => {
+    const result = parseCommand(message);
+    assert(result && result.command === command && result.arg === arg, `"${message}" → ${command}${arg ? ` ${arg}` : ''}`);
+  });
+
+  ['show me my trips to paris', 'undo that please and find flights', 'status of my flight to LA?'].forEach(message => {
+    assert(parseCommand(message) === null, `"${message}" goes to the assistant`);
+  });
+
+  console.log('\n--- Test: Segment fitting ---\n');
+
+  const lines = Array.from({ length: 12 }, (_, i) => `Trip number ${i + 1} to somewhere nice`);
+  const fitted = fitToSegment('Your trips:', lines);
+  assert(fitted.length <= SMS_SEGMENT_LENGTH, `Long lists fit one segment (${fitted.length} chars)`);
+  assert(/\+\d+ more$/.test(fitted), 'Dropped lines are counted');
+
+  console.log('\n--- Test: Commands ---\n');
+
+  const router = new ConversationRouter();
+  router.registerAll([commandsIntent, resetIntent]);
+
+  const phone = '+15550003333';
+  tripService.createTrip({ phoneNumber: phone, destination: 'Lisbon', origin: 'JFK', departureDate: '2030-05-02' });
+
+  let session = await sessionManager.getSession(phone);
+  let turn = makeContext(router, phone, 'MY TRIPS', session);
+  let result = await router.route(turn.ctx);
+  assert(result.handler === 'commands' && /Lisbon/.test(turn.sent[0]) && /planning/.test(turn.sent[0]), 'MY TRIPS lists planned trips');
+
+  turn = makeContext(router, phone, 'STATUS XYZ999', session);
+  await router.route(turn.ctx);
+  assert(/couldn't find booking XYZ999/.test(turn.sent[0]), 'STATUS reports unknown references');
+
+  turn = makeContext(router, phone, 'UNDO', session);
+  await router.route(turn.ctx);
+  assert(/Nothing to undo/.test(turn.sent[0]), 'UNDO with no history says so');
+
+  await sessionManager.updateSession(phone, {
+    userPreferences: { preferredClass: 'business', preferredAirlines: ['United'] },
+    preferenceHistory: [
+      { previous: { preferredClass: 'economy' }, applied: { preferredClass: 'premium_economy' }, at: '2030-01-01T00:00:00Z' },
+      { previous: { preferredClass: 'premium_economy', preferredAirlines: null }, applied: { preferredClass: 'business', preferredAirlines: ['United'] }, at: '2030-01-02T00:00:00Z' }
+    ]
+  });
+  session = await sessionManager.getSession(phone);
+
+  turn = makeContext(router, phone, 'prefs', session);
+  await router.route(turn.ctx);
+  assert(/Class: business/.test(turn.sent[0]) && /Airlines: United/.test(turn.sent[0]), 'PREFS prints saved preferences');
+
+  turn = makeContext(router, phone, 'undo', session);
+  await router.route(turn.ctx);
+  session = await sessionManager.getSession(phone);
+  assert(/Undone: Class business, Airlines United/.test(turn.sent[0]), 'UNDO says what was reverted');
+  assert(session.userPreferences.preferredClass === 'premium_economy' && !('preferredAirlines' in session.userPreferences), 'UNDO restores the previous values');
+  assert(session.preferenceHistory.length === 1, 'UNDO pops one change at a time');
+
+  turn = makeContext(router, phone, 'HELP', session);
+  await router.route(turn.ctx);
+  assert(/MY TRIPS/.test(turn.sent[0]) && /STOP/.test(turn.sent[0]) && turn.sent[0].length <= SMS_SEGMENT_LENGTH, 'HELP lists commands with the compliance wording');
+
+  turn = makeContext(router, phone, 'prefs', session, 'voice');
+  result = await router.route(turn.ctx);
+  assert(result.handled === false, 'Commands are SMS-only');
+
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});
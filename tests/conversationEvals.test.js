@@ -0,0 +1,136 @@
+/**
+ * Tests for the conversation eval harness and SMS segment counting
+ *
+ * Run with: node tests/conversationEvals.test.js
+ *
+ * The golden transcripts replay on the mock LLM provider - no OpenAI, Twilio
+ * or database calls are made.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConversations, runEvals, compareReports, checkTurn } = require('./evals/evalRunner');
+const twilioService = require('../src/services/twilioService');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+/**
+ * A transcript with one fixture's answer replaced
+ * @param {Object} conversation - Transcript
+ * @param {number} index - Fixture to change
+ * @param {*} response - New answer
+ * @returns {Object} Changed copy
+ */
+function withResponse(conversation, index, response) {
+  const copy = JSON.parse(JSON.stringify(conversation));
+  copy.fixtures[index].response = response;
+  return copy;
+}
+
+async function runTests() {
+  console.log('🧪 Testing Conversation Evals\n');
+
+  console.log('\n--- Test: Segment counting ---\n');
+
+  assert(twilioService.countSegments('a'.repeat(160)).segments === 1, '160 GSM-7 characters fit one segment');
+  assert(twilioService.countSegments('a'.repeat(161)).segments === 2, '161 GSM-7 characters take two');
+  assert(twilioService.countSegments('a'.repeat(306)).segments === 2 && twilioService.countSegments('a'.repeat(307)).segments === 3, 'Split GSM-7 parts hold 153 characters');
+  assert(twilioService.countSegments('€'.repeat(80)).segments === 1 && twilioService.countSegments('€'.repeat(81)).segments === 2, 'Extension characters count twice');
+  const emoji = twilioService.countSegments(`Looking now ✈️ ${'a'.repeat(60)}`);
+  assert(emoji.encoding === 'UCS-2' && emoji.segments === 2, 'An emoji switches the whole text to UCS-2');
+  assert(twilioService.countSegments('—'.repeat(70)).segments === 1 && twilioService.countSegments('—'.repeat(71)).segments === 2, 'UCS-2 fits 70 characters in one segment');
+  assert(twilioService.countSegments('').segments === 1, 'An empty text is one segment');
+
+  console.log('\n--- Test: Checks ---\n');
+
+  const observed = {
+    replies: [{ body: 'Found 2 flights to Tokyo', segments: 1 }, { body: '1. ANA — $2480', segments: 3 }],
+    toolCalls: [{ name: 'search_trips', arguments: { destination: 'Tokyo', origin: 'JFK' } }],
+    trip: { flight: { destination: 'TYO', startDate: '2027-04-15' }, stay: null, preferences: null }
+  };
+  let checks = checkTurn({
+    replies: ['tokyo'],
+    notReplies: ['sorry'],
+    replyCount: 2,
+    maxTotalSegments: 4,
+    toolCalls: [{ name: 'search_trips', arguments: { destination: 'Tokyo' } }],
+    trip: { flight: { destination: 'TYO' }, stay: null }
+  }, observed, {});
+  assert(checks.length === 8 && checks.every(check => check.passed), 'Matching expectations pass (patterns are case-insensitive, arguments partial)');
+
+  checks = checkTurn({ maxSegments: 2, toolCalls: [{ name: 'search_accommodations' }], trip: { flight: { destination: 'KIX' } } }, observed, {});
+  assert(checks.every(check => !check.passed), 'Segment, tool and trip mismatches fail');
+  assert(checks[0].expected === 2 && checks[0].actual === 3, 'A failed check records expected and actual');
+
+  checks = checkTurn({ session: { recoRecommendations: [{ destination: 'Lisbon' }] } }, observed, {
+    recoRecommendations: [{ destination: 'Lisbon', pitch: 'Tiled hills' }, { destination: 'Split' }]
+  });
+  assert(!checks[0].passed, 'Expected arrays must have the same length');
+
+  console.log('\n--- Test: Golden conversations ---\n');
+
+  const conversations = loadConversations();
+  assert(conversations.length >= 4 && conversations.every(conversation => conversation.turns.length > 0), 'Transcripts load');
+  assert(loadConversations({ only: ['trip-planning'] }).map(conversation => conversation.name).join() === 'trip-planning', 'Transcripts can be picked by name');
+
+  const report = await runEvals({ conversations });
+  for (const conversation of report.conversations) {
+    assert(conversation.passed, `${conversation.name} passes`);
+  }
+  assert(report.summary.failedChecks === 0 && report.summary.checks > 50, `Every check passes (${report.summary.checks})`);
+
+  const trip = report.conversations.find(conversation => conversation.name === 'trip-planning').turns[0];
+  assert(trip.toolCalls.map(call => call.name).join() === 'search_trips,search_accommodations', 'Tool calls are recorded');
+  assert(trip.replies.some(reply => reply.body.includes('/search/<id>?phone=<phone>')), 'Random ids and the phone number are masked');
+  assert(trip.replies.every(reply => reply.segments >= 1 && reply.encoding), 'Replies carry their segment count');
+
+  const optOut = report.conversations.find(conversation => conversation.name === 'preferences-and-opt-out');
+  assert(optOut.turns[2].replies.length === 0, 'Nothing is sent after STOP');
+
+  console.log('\n--- Test: Regressions ---\n');
+
+  const rerun = await runEvals({ conversations, baseline: report });
+  const { comparison } = rerun;
+  assert(comparison.regressions.length === 0 && comparison.changed.length === 0, 'Replaying again gives the same report');
+
+  const baseline = JSON.parse(fs.readFileSync(path.join(__dirname, 'evals/baseline.json'), 'utf8'));
+  assert(compareReports(baseline, report).regressions.length === 0, 'No regressions against the committed baseline');
+
+  const flightSearch = conversations.find(conversation => conversation.name === 'flight-search');
+  const broken = [
+    withResponse(flightSearch, 2, 'Sorry, nothing nonstop this time.'),
+    ...conversations.filter(conversation => conversation.name === 'trip-planning')
+  ];
+  const regressed = await runEvals({ conversations: broken, baseline: report });
+  assert(!regressed.conversations[0].passed && regressed.conversations[1].passed, 'A changed answer fails its conversation only');
+  assert(regressed.comparison.regressions.some(r => r.conversation === 'flight-search' && r.turn === 1 && r.check === 'reply matches /ANA nonstop/'), 'The failing check is reported as a regression');
+  assert(regressed.comparison.changed.some(c => c.conversation === 'flight-search' && c.field === 'replies'), 'The changed reply is reported');
+  assert(regressed.comparison.removed.includes('recommendations'), 'Conversations missing from the run are listed');
+
+  const noSearch = withResponse(flightSearch, 1, 'Tokyo in April is lovely. Which dates?');
+  const noTools = await runEvals({ conversations: [noSearch] });
+  const failedChecks = noTools.conversations[0].turns[0].checks.filter(check => !check.passed).map(check => check.check);
+  assert(failedChecks.includes('tool calls') && failedChecks.includes('trip.flight.destination'), 'A skipped search fails the tool call and trip checks');
+
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,223 @@
+/**
+ * Tests for the Conversation Router
+ *
+ * Run with: node tests/conversationRouter.test.js
+ *
+ * Exercises state resolution, handler ordering and a few real intents
+ * against an in-memory session - no Twilio or OpenAI involved.
+ */
+
+const { ConversationRouter, CONVERSATION_STATES } = require('../src/services/conversationRouter');
+const sessionManager = require('../src/services/sessionManager');
+const resetIntent = require('../src/intents/reset');
+const timePreferenceIntent = require('../src/intents/timePreference');
+const resultSelectionIntent = require('../src/intents/resultSelection');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+/**
+ * Build a turn context that records replies instead of sending them
+ */
+function makeContext(router, phoneNumber, message, session, channel = 'sms') {
+  const sent = [];
+  const ctx = router.createContext({
+    phoneNumber,
+    message,
+    session,
+    channel,
+    reply: async (text) => { sent.push(text); },
+    record: async (text) => { sent.push(`[recorded] ${text}`); }
+  });
+  return { ctx, sent };
+}
+
+async function runTests() {
+  console.log('🧪 Testing Conversation Router\n');
+
+  // ============================================
+  console.log('\n--- Test: State resolution ---\n');
+
+  const router = new ConversationRouter();
+  const stateCases = [
+    [{}, CONVERSATION_STATES.IDLE],
+    [{ recoMode: 'asking_vibe' }, CONVERSATION_STATES.RECO],
+    [{ recoMode: 'awaiting_selection' }, CONVERSATION_STATES.AWAITING_SELECTION],
+    [{ bookingState: 'booking_intent', lastFlightResults: [{}] }, CONVERSATION_STATES.BOOKING],
+    [{ bookingState: 'planning', lastFlightResults: [{}] }, CONVERSATION_STATES.FLIGHT_RESULTS],
+    [{ lastFlightResults: [{}], lastAccommodationResults: [{}] }, CONVERSATION_STATES.STAYS_RESULTS]
+  ];
+
+  stateCases.forEach(([session, expected]) => {
+    const state = router.resolveState(session);
+    assert(state === expected, `${JSON.stringify(session)} → ${expected} (got ${state})`);
+  });
+
+  // ============================================
+  console.log('\n--- Test: Priority, states and channels ---\n');
+
+  const calls = [];
+  router.registerAll([
+    { name: 'fallback', handle: async () => { calls.push('fallback'); return { handled: true }; } },
+    { name: 'flightsOnly', priority: 10, states: [CONVERSATION_STATES.FLIGHT_RESULTS], handle: async () => { calls.push('flightsOnly'); return { handled: true }; } },
+    { name: 'voiceOnly', priority: 5, channels: ['voice'], handle: async () => { calls.push('voiceOnly'); return { handled: true }; } }
+  ]);
+
+  assert(
+    router.getHandlerNames().join(',') === 'voiceOnly,flightsOnly,fallback',
+    'Handlers are ordered by priority'
+  );
+
+  let result = await router.route(makeContext(router, '+15550000001', 'hi', {}).ctx);
+  assert(result.handler === 'fallback', 'Idle SMS turn skips state- and channel-scoped handlers');
+
+  result = await router.route(makeContext(router, '+15550000001', 'hi', { lastFlightResults: [{}] }).ctx);
+  assert(result.handler === 'flightsOnly', 'Flight results state reaches the scoped handler');
+
+  result = await router.route(makeContext(router, '+15550000001', 'hi', {}, 'voice').ctx);
+  assert(result.handler === 'voiceOnly', 'Voice channel reaches the voice-only handler');
+
+  router.register({ name: 'fallback', priority: 1, handle: async () => ({ handled: true, replaced: true }) });
+  result = await router.route(makeContext(router, '+15550000001', 'hi', {}).ctx);
+  assert(result.replaced === true && router.getHandlerNames().length === 3, 'Re-registering a name replaces the handler');
+
+  let threw = false;
+  try {
+    router.register({ name: 'broken' });
+  } catch (error) {
+    threw = true;
+  }
+  assert(threw, 'Handler without handle() is rejected');
+
+  // ============================================
+  console.log('\n--- Test: Message rewriting and recording ---\n');
+
+  const rewriting = new ConversationRouter();
+  let seen = null;
+  rewriting.registerAll([
+    { name: 'rewrite', priority: 1, handle: async () => ({ handled: false, message: 'rewritten' }) },
+    {
+      name: 'sink',
+      handle: async (ctx) => {
+        seen = ctx.message;
+        await ctx.recordUserMessage();
+        await ctx.recordUserMessage();
+        return { handled: true };
+      }
+    }
+  ]);
+
+  const rewriteTurn = makeContext(rewriting, '+15550000002', 'original', {});
+  result = await rewriting.route(rewriteTurn.ctx);
+  assert(seen === 'rewritten' && result.message === 'rewritten', 'Later handlers see the rewritten message');
+  assert(
+    rewriteTurn.sent.filter(s => s.startsWith('[recorded]')).length === 1,
+    'User message is recorded once per turn'
+  );
+
+  const empty = new ConversationRouter();
+  result = await empty.route(makeContext(empty, '+15550000002', 'hello', {}).ctx);
+  assert(result.handled === false && result.handler === null, 'Unclaimed turn reports handled: false');
+
+  // ============================================
+  console.log('\n--- Test: Real intents ---\n');
+
+  const intents = new ConversationRouter();
+  intents.registerAll([resetIntent, resultSelectionIntent, timePreferenceIntent]);
+
+  const phone = '+15550000003';
+  await sessionManager.updateSession(phone, {
+    lastFlightResults: [{ price: '$300' }],
+    context: {
+      lastFlightSearch: { origin: 'JFK', destination: 'LAX', startDate: '2026-12-01', endDate: '2026-12-08' }
+    }
+  });
+
+  let session = await sessionManager.getSession(phone);
+  let turn = makeContext(intents, phone, 'something in the afternoon', session);
+  result = await intents.route(turn.ctx);
+  assert(result.handled === false, 'Time preference does not claim the turn');
+  assert(/afternoon flights\. Search again for flights from JFK to LAX on 2026-12-01 returning 2026-12-08/.test(result.message), 'Time preference rewrites the message into a re-search');
+  assert(turn.sent[0] === 'Got it! Searching for afternoon flights...', 'Time preference sends a progress message');
+  session = await sessionManager.getSession(phone);
+  assert(session.lastFlightResults === null, 'Old flight results are cleared');
+
+  await sessionManager.updateSession(phone, {
+    lastAccommodationResults: [{ name: 'Loft', pricePerNight: 120, rating: 4.8, url: 'https://example.com/loft' }]
+  });
+  session = await sessionManager.getSession(phone);
+
+  turn = makeContext(intents, phone, '2', session);
+  result = await intents.route(turn.ctx);
+  assert(result.handled === false, 'Selecting a property that does not exist is not claimed');
+
+  turn = makeContext(intents, phone, '1', session);
+  result = await intents.route(turn.ctx);
+  assert(result.handler === 'resultSelection', 'Selecting "1" in stays results picks the property');
+  assert(turn.sent[0].includes('Loft') && turn.sent[0].includes('https://example.com/loft'), 'Selection reply includes the property and link');
+
+  // Flight selection and "show more"
+  const flightPhone = '+15550000004';
+  const flights = ['United Airlines', 'Delta', 'JetBlue', 'Various'].map((airline, idx) => ({
+    airline,
+    priceValue: 300 + idx * 50,
+    stops: idx % 2
+  }));
+  await sessionManager.updateSession(flightPhone, {
+    lastFlightResults: flights,
+    resultsCursor: { type: 'flights', offset: 3 },
+    context: {
+      lastFlightSearch: { origin: 'JFK', destination: 'LAX', startDate: '2026-12-01', endDate: '2026-12-08', passengers: 1 }
+    }
+  });
+  session = await sessionManager.getSession(flightPhone);
+
+  turn = makeContext(intents, flightPhone, 'show more', session);
+  result = await intents.route(turn.ctx);
+  session = await sessionManager.getSession(flightPhone);
+  assert(result.handler === 'resultSelection' && turn.sent[0].startsWith('4. Various — $450'), '"show more" lists the next page of flights');
+  assert(turn.sent[0].includes("That's everything I found"), 'Last page says there are no more results');
+  assert(session.resultsCursor.offset === 4, 'Results cursor advances past the shown page');
+
+  turn = makeContext(intents, flightPhone, 'option 1', session);
+  result = await intents.route(turn.ctx);
+  session = await sessionManager.getSession(flightPhone);
+  assert(result.handler === 'resultSelection', 'Selecting "option 1" in flight results picks the flight');
+  assert(turn.sent[0].includes('Book on United Airlines') && turn.sent[0].includes('united.com'), 'Flight details deeplink to the airline');
+  assert(session.selectedFlight && session.selectedFlight.optionNumber === 1, 'Selected flight is saved on the session');
+
+  turn = makeContext(intents, flightPhone, '4', session);
+  await intents.route(turn.ctx);
+  assert(turn.sent[0].includes('View on Google Flights'), 'Unknown airlines fall back to Google Flights');
+
+  turn = makeContext(intents, flightPhone, '5', session);
+  result = await intents.route(turn.ctx);
+  assert(result.handled === false, 'Selecting a flight that does not exist is not claimed');
+
+  turn = makeContext(intents, phone, 'start over', session);
+  result = await intents.route(turn.ctx);
+  session = await sessionManager.getSession(phone);
+  assert(result.handler === 'reset' && !session.lastAccommodationResults, 'Reset clears the session in any state');
+
+  // ============================================
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});
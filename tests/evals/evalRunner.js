@@ -0,0 +1,505 @@
+/**
+ * Conversation eval runner
+ *
+ * Replays golden SMS transcripts (tests/evals/conversations/*.json) through
+ * the real webhook handler, message queue, SMSController, router, intents
+ * and assistant tool loop. Outgoing texts are captured instead of sent, the
+ * flight and stay searches return canned results, and the LLM is pluggable:
+ * by default each transcript's fixtures are answered by MockLLMProvider, but
+ * any provider (e.g. OpenAIProvider) can be dropped in to score a prompt
+ * change against a live model.
+ *
+ * Every turn is checked against its expectations - replies, segment counts,
+ * tool calls, extracted trip parameters and session state - and the outcome
+ * is a JSON report with stable ordering and no timings, so two reports diff
+ * cleanly. compareReports() lists what regressed against a baseline report.
+ */
+
+// Set before the services are loaded: they read these at require time
+process.env.LLM_PROVIDER = process.env.LLM_PROVIDER || 'mock';
+process.env.SMS_COALESCE_WINDOW_MS = '0';
+
+const fs = require('fs');
+const path = require('path');
+const llmProviderService = require('../../src/services/llmProviderService');
+const { MockLLMProvider } = llmProviderService;
+const twilioService = require('../../src/services/twilioService');
+const optOutService = require('../../src/services/optOutService');
+const toolRegistry = require('../../src/services/toolRegistry');
+const travelPayoutsService = require('../../src/services/travelPayoutsService');
+const staysService = require('../../src/services/staysService');
+const sessionManager = require('../../src/services/sessionManager');
+const messageQueue = require('../../src/services/messageQueue');
+const smsController = require('../../src/controllers/smsController');
+
+const CONVERSATIONS_DIR = path.join(__dirname, 'conversations');
+
+// Capabilities a transcript's provider answers (Realtime is voice only)
+const EVAL_CAPABILITIES = ['chat', 'tools', 'json', 'summarize', 'vision'];
+
+// A turn is over once the queue is idle and nothing new happened for this long
+const SETTLE_MS = 50;
+const TURN_TIMEOUT_MS = 10000;
+
+// Turn observations compared against the baseline for changed output
+const OBSERVED_FIELDS = ['replies', 'toolCalls', 'trip'];
+
+const DEFAULT_FLIGHTS = [
+  { airline: 'ANA', price: '$2480', priceValue: 2480, transfers: 0, affiliateLink: 'https://book.example/ana' },
+  { airline: 'JAL', price: '$2610', priceValue: 2610, transfers: 1 }
+];
+
+const DEFAULT_STAYS = [
+  { index: 1, name: 'Machiya by the Kamo', pricePerNight: 180, rating: 4.9, source: 'airbnb' }
+];
+
+// Replays in this process; numbers and message ids are unique per run
+let runCount = 0;
+
+// Random ids in replies (UUIDs, stays search links), masked so reports diff cleanly
+const ID_PATTERNS = [
+  /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi,
+  /(?<=\/search\/)[0-9a-f]{8}\b/gi
+];
+
+/**
+ * Resolve after a delay
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Deep copy of plain JSON data
+ * @param {*} value - Value
+ * @returns {*}
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Load transcripts
+ * A transcript is a JSON file:
+ *   {
+ *     "name": "flight-search",            // defaults to the file name
+ *     "description": "...",
+ *     "fixtures": [...],                  // MockLLMProvider fixtures
+ *     "airports": { "Tokyo": "TYO" },     // city -> code for the flight stub
+ *     "flights": [...], "stays": [...],   // canned search results ([] = none found)
+ *     "turns": [{ "user": "text", "expect": { ... } }]
+ *   }
+ * See checkTurn for the expectations.
+ * @param {Object} options - Options
+ * @param {string} options.dir - Directory of .json transcripts
+ * @param {Array<string>} options.only - Only these names
+ * @returns {Array<Object>} Transcripts sorted by name
+ */
+function loadConversations({ dir = CONVERSATIONS_DIR, only = [] } = {}) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const conversation = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      return { name: path.basename(file, '.json'), ...conversation };
+    })
+    .filter(conversation => only.length === 0 || only.includes(conversation.name))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Reply body with its run-specific parts masked
+ * @param {string} body - Text as sent
+ * @param {string} phoneNumber - The transcript's number (differs per run)
+ * @returns {string}
+ */
+function maskBody(body, phoneNumber) {
+  const masked = ID_PATTERNS.reduce((text, pattern) => text.replace(pattern, '<id>'), body);
+  return masked.split(encodeURIComponent(phoneNumber)).join('<phone>').split(phoneNumber).join('<phone>');
+}
+
+/**
+ * Airport code the flight stub reports for a city
+ * @param {string} place - City or code the tool was called with
+ * @param {Object} airports - Transcript's city -> code map
+ * @returns {string|null}
+ */
+function airportCode(place, airports = {}) {
+  if (!place) return null;
+  if (airports[place]) return airports[place];
+  if (/^[A-Z]{3}$/.test(place)) return place;
+  return place.replace(/[^A-Za-z]/g, '').slice(0, 3).toUpperCase();
+}
+
+/**
+ * Replace Twilio, the searches and the tool registry with recording stand-ins
+ * @param {Object} state - Shared recorder: { conversation, sent, toolCalls }
+ * @returns {Function} Restores the originals
+ */
+function installStubs(state) {
+  const originals = {
+    sendSMS: twilioService.sendSMS,
+    delay: twilioService.delay,
+    execute: toolRegistry.execute,
+    searchFlights: travelPayoutsService.searchFlights,
+    searchAccommodations: staysService.searchAccommodations
+  };
+
+  // Opt-outs are honoured as the real sendSMS would
+  twilioService.sendSMS = async (to, body, options = {}) => {
+    if (!options.allowOptedOut && await optOutService.isOptedOut(to)) return null;
+    state.sent.push({ to, body });
+    return { sid: `SM_eval_${state.sent.length}` };
+  };
+  twilioService.delay = async () => {};
+
+  toolRegistry.execute = async (name, params, ctx = {}) => {
+    state.toolCalls.push({ phoneNumber: ctx.phoneNumber, name, arguments: clone(params) });
+    return originals.execute.call(toolRegistry, name, params, ctx);
+  };
+
+  travelPayoutsService.searchFlights = async tripData => {
+    const flights = clone(state.conversation.flights || DEFAULT_FLIGHTS);
+    return {
+      success: flights.length > 0,
+      flights,
+      searchParams: {
+        origin: airportCode(tripData.origin, state.conversation.airports),
+        destination: airportCode(tripData.destination, state.conversation.airports),
+        outboundDate: tripData.startDate,
+        returnDate: tripData.endDate,
+        passengers: tripData.travelers || 1,
+        cabinClass: tripData.travelClass || 'economy',
+        currency: 'USD'
+      }
+    };
+  };
+
+  staysService.searchAccommodations = async ({ destination, checkIn, checkOut, guests }) => {
+    const properties = clone(state.conversation.stays || DEFAULT_STAYS);
+    if (properties.length === 0) return null;
+    return { properties, destinationName: destination, searchParams: { checkIn, checkOut, guests }, searchType: 'Airbnb' };
+  };
+
+  return () => {
+    Object.assign(twilioService, { sendSMS: originals.sendSMS, delay: originals.delay });
+    toolRegistry.execute = originals.execute;
+    travelPayoutsService.searchFlights = originals.searchFlights;
+    staysService.searchAccommodations = originals.searchAccommodations;
+  };
+}
+
+/**
+ * Post a text to the inbound SMS webhook
+ * @param {string} from - Sender
+ * @param {string} body - Message text
+ * @param {string} messageSid - Twilio message id
+ * @returns {Promise<void>}
+ */
+async function postText(from, body, messageSid) {
+  const res = {
+    type() { return this; },
+    send() { return this; }
+  };
+  await smsController.handleInboundSMS({ body: { From: from, Body: body, MessageSid: messageSid, NumMedia: '0' } }, res);
+}
+
+/**
+ * Wait for a turn to finish: queue idle and no new texts, tool calls or
+ * model calls for SETTLE_MS (compaction and preference extraction run after
+ * the reply, in the background)
+ * @param {string} phoneNumber - Queue key
+ * @param {Function} activity - () => number, grows while work happens
+ * @returns {Promise<boolean>} false when the turn timed out
+ */
+async function waitForTurn(phoneNumber, activity) {
+  const start = Date.now();
+  let seen = activity();
+  let quietSince = Date.now();
+
+  while (Date.now() - start < TURN_TIMEOUT_MS) {
+    await sleep(5);
+    const busy = messageQueue.active.has(phoneNumber) || await messageQueue.hasPending(phoneNumber);
+    const current = activity();
+    if (busy || current !== seen) {
+      seen = current;
+      quietSince = Date.now();
+    } else if (Date.now() - quietSince >= SETTLE_MS) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Trip parameters the conversation has extracted so far
+ * @param {Object} session - Session
+ * @returns {Object} { flight, stay, preferences }
+ */
+function tripSnapshot(session) {
+  const { results, ...flight } = session.context?.lastFlightSearch || {};
+  const { searchId, ...stay } = session.lastAccommodationSearch || {};
+  return {
+    flight: Object.keys(flight).length > 0 ? flight : null,
+    stay: Object.keys(stay).length > 0 ? stay : null,
+    preferences: session.userPreferences || null
+  };
+}
+
+/**
+ * Flatten nested expectations into dotted leaf paths
+ * Arrays are leaves (matched item by item, see matches).
+ * @param {Object} value - Expected values
+ * @param {string} prefix - Path so far
+ * @returns {Array<Array>} [[path, value]]
+ */
+function leaves(value, prefix) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) return [[prefix, value]];
+  return Object.entries(value).flatMap(([key, child]) => leaves(child, `${prefix}.${key}`));
+}
+
+/**
+ * Value at a dotted path
+ * @param {Object} object - Root
+ * @param {string} dotted - e.g. "flight.destination" (first segment is the root's name)
+ * @returns {*}
+ */
+function valueAt(object, dotted) {
+  return dotted.split('.').slice(1).reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Whether actual contains everything in expected
+ * Objects match partially; arrays need the same length, each item matching.
+ * @param {*} expected - Expected (partial) value
+ * @param {*} actual - Actual value
+ * @returns {boolean}
+ */
+function matches(expected, actual) {
+  if (expected === null || typeof expected !== 'object') return expected === actual;
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && actual.length === expected.length &&
+      expected.every((item, i) => matches(item, actual[i]));
+  }
+  return actual !== null && typeof actual === 'object' &&
+    Object.entries(expected).every(([key, value]) => matches(value, actual[key]));
+}
+
+/**
+ * Check one turn against its expectations
+ *   replies: ["regex", ...]        each matches some reply (case-insensitive)
+ *   notReplies: ["regex", ...]     no reply matches
+ *   replyCount: 2                  texts sent this turn
+ *   maxSegments: 2                 segments any one text may use
+ *   maxTotalSegments: 4            segments all texts may use together
+ *   toolCalls: [{ name, arguments }]  tools called this turn, in order (arguments partial)
+ *   trip: { flight: { destination: "TYO" } }  extracted trip parameters (partial)
+ *   session: { recoMode: "awaiting_selection" } session fields (partial)
+ * @param {Object} expect - Expectations
+ * @param {Object} observed - { replies, toolCalls, trip }
+ * @param {Object} session - Session after the turn
+ * @returns {Array<Object>} [{ check, passed, expected?, actual? }]
+ */
+function checkTurn(expect = {}, observed, session) {
+  const checks = [];
+  const add = (check, passed, expected, actual) => {
+    checks.push(passed ? { check, passed } : { check, passed, expected, actual });
+  };
+  const bodies = observed.replies.map(reply => reply.body);
+  const segments = observed.replies.map(reply => reply.segments);
+
+  for (const pattern of expect.replies || []) {
+    add(`reply matches /${pattern}/`, bodies.some(body => new RegExp(pattern, 'i').test(body)), pattern, bodies);
+  }
+  for (const pattern of expect.notReplies || []) {
+    add(`no reply matches /${pattern}/`, !bodies.some(body => new RegExp(pattern, 'i').test(body)), pattern, bodies);
+  }
+  if (expect.replyCount !== undefined) {
+    add('reply count', bodies.length === expect.replyCount, expect.replyCount, bodies.length);
+  }
+  if (expect.maxSegments !== undefined) {
+    const most = Math.max(0, ...segments);
+    add('segments per reply', most <= expect.maxSegments, expect.maxSegments, most);
+  }
+  if (expect.maxTotalSegments !== undefined) {
+    const total = segments.reduce((sum, count) => sum + count, 0);
+    add('total segments', total <= expect.maxTotalSegments, expect.maxTotalSegments, total);
+  }
+  if (expect.toolCalls) {
+    const names = observed.toolCalls.map(call => call.name);
+    add('tool calls', JSON.stringify(names) === JSON.stringify(expect.toolCalls.map(call => call.name)),
+      expect.toolCalls.map(call => call.name), names);
+    expect.toolCalls.forEach((call, i) => {
+      if (!call.arguments || !observed.toolCalls[i] || observed.toolCalls[i].name !== call.name) return;
+      add(`tool call ${i + 1} arguments`, matches(call.arguments, observed.toolCalls[i].arguments),
+        call.arguments, observed.toolCalls[i].arguments);
+    });
+  }
+  for (const [field, root] of [['trip', observed.trip], ['session', session]]) {
+    if (!expect[field]) continue;
+    for (const [dotted, value] of leaves(expect[field], field)) {
+      const actual = valueAt(root, dotted);
+      add(dotted, matches(value, actual), value, actual === undefined ? null : actual);
+    }
+  }
+
+  return checks;
+}
+
+/**
+ * Replay one transcript
+ * @param {Object} conversation - Transcript
+ * @param {Object} state - Stub recorder (installStubs)
+ * @param {string} phoneNumber - Number to text from
+ * @returns {Promise<Object>} { name, description, passed, turns }
+ */
+async function runConversation(conversation, state, phoneNumber) {
+  const run = runCount;
+  const turns = [];
+
+  for (const [index, turn] of conversation.turns.entries()) {
+    const sentBefore = state.sent.length;
+    const callsBefore = state.toolCalls.length;
+    const provider = llmProviderService.getProvider('chat');
+    const activity = () => state.sent.length + state.toolCalls.length + (provider.getCalls ? provider.getCalls().length : 0);
+
+    await postText(phoneNumber, turn.user, `SM_eval_${run}_${conversation.name}_${index + 1}`);
+    const finished = await waitForTurn(phoneNumber, activity);
+
+    const session = await sessionManager.getSession(phoneNumber);
+    const observed = {
+      replies: state.sent.slice(sentBefore)
+        .filter(message => message.to === phoneNumber)
+        .map(message => ({ body: maskBody(message.body, phoneNumber), ...twilioService.countSegments(message.body) })),
+      toolCalls: state.toolCalls.slice(callsBefore)
+        .filter(call => call.phoneNumber === phoneNumber)
+        .map(({ name, arguments: args }) => ({ name, arguments: args })),
+      trip: tripSnapshot(session)
+    };
+
+    const checks = checkTurn(turn.expect, observed, session);
+    if (!finished) checks.unshift({ check: 'turn finished', passed: false, expected: `within ${TURN_TIMEOUT_MS}ms`, actual: 'timed out' });
+
+    turns.push({ user: turn.user, ...observed, checks });
+  }
+
+  return {
+    name: conversation.name,
+    description: conversation.description || '',
+    passed: turns.every(turn => turn.checks.every(check => check.passed)),
+    turns
+  };
+}
+
+/**
+ * Replay transcripts and build the report
+ * @param {Object} options - Options
+ * @param {Array<Object>} options.conversations - Transcripts (loadConversations)
+ * @param {Function} options.createProvider - (conversation) => LLM provider; defaults to a MockLLMProvider on its fixtures
+ * @param {Object} options.baseline - Earlier report to compare against
+ * @param {boolean} options.quiet - Silence the app's logs and warnings while replaying
+ * @returns {Promise<Object>} { summary, conversations, comparison? }
+ */
+async function runEvals({
+  conversations = loadConversations(),
+  createProvider = conversation => new MockLLMProvider({ fixtures: conversation.fixtures || [] }),
+  baseline = null,
+  quiet = true
+} = {}) {
+  const run = ++runCount;
+  const state = { conversation: null, sent: [], toolCalls: [] };
+  const restore = installStubs(state);
+  const { log, warn } = console;
+  if (quiet) console.log = console.warn = () => {};
+
+  const results = [];
+  try {
+    for (const [index, conversation] of conversations.entries()) {
+      state.conversation = conversation;
+      llmProviderService.setProvider(createProvider(conversation), EVAL_CAPABILITIES);
+      // A fresh number per transcript so sessions and opt-outs don't leak
+      const phoneNumber = `+15550${String(run % 100).padStart(2, '0')}${String(index).padStart(4, '0')}`;
+      await sessionManager.clearSession(phoneNumber);
+      results.push(await runConversation(conversation, state, phoneNumber));
+    }
+  } finally {
+    Object.assign(console, { log, warn });
+    restore();
+  }
+
+  const checks = results.flatMap(conversation => conversation.turns.flatMap(turn => turn.checks));
+  const report = {
+    summary: {
+      conversations: results.length,
+      passed: results.filter(conversation => conversation.passed).length,
+      failed: results.filter(conversation => !conversation.passed).length,
+      checks: checks.length,
+      failedChecks: checks.filter(check => !check.passed).length
+    },
+    conversations: results
+  };
+
+  if (baseline) {
+    report.comparison = compareReports(baseline, report);
+    report.summary.regressions = report.comparison.regressions.length;
+  }
+  return report;
+}
+
+/**
+ * Compare a report with a baseline
+ * @param {Object} baseline - Earlier report
+ * @param {Object} current - New report
+ * @returns {Object} {
+ *   regressions: [{ conversation, turn, check }]  passed before, fail (or are gone) now
+ *   fixed: [{ conversation, turn, check }]        failed before, pass now
+ *   changed: [{ conversation, turn, field }]      replies, tool calls or trip differ
+ *   added: [name], removed: [name]                transcripts only in one report
+ * }
+ */
+function compareReports(baseline, current) {
+  const comparison = { regressions: [], fixed: [], changed: [], added: [], removed: [] };
+  const before = new Map(baseline.conversations.map(conversation => [conversation.name, conversation]));
+  const after = new Map(current.conversations.map(conversation => [conversation.name, conversation]));
+
+  for (const name of after.keys()) {
+    if (!before.has(name)) comparison.added.push(name);
+  }
+
+  for (const [name, old] of before) {
+    const now = after.get(name);
+    if (!now) {
+      comparison.removed.push(name);
+      continue;
+    }
+
+    old.turns.forEach((oldTurn, i) => {
+      const turn = i + 1;
+      const newTurn = now.turns[i];
+      const newChecks = new Map((newTurn ? newTurn.checks : []).map(check => [check.check, check]));
+
+      for (const check of oldTurn.checks) {
+        const result = newChecks.get(check.check);
+        if (check.passed && (!result || !result.passed)) comparison.regressions.push({ conversation: name, turn, check: check.check });
+        if (!check.passed && result && result.passed) comparison.fixed.push({ conversation: name, turn, check: check.check });
+      }
+
+      for (const field of OBSERVED_FIELDS) {
+        if (!newTurn || JSON.stringify(oldTurn[field]) !== JSON.stringify(newTurn[field])) {
+          comparison.changed.push({ conversation: name, turn, field });
+        }
+      }
+    });
+  }
+
+  return comparison;
+}
+
+module.exports = {
+  CONVERSATIONS_DIR,
+  loadConversations,
+  runEvals,
+  compareReports,
+  checkTurn
+};
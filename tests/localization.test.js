@@ -0,0 +1,200 @@
+/**
+ * Tests for language detection and localized replies
+ *
+ * Run with: node tests/localization.test.js
+ *
+ * Checks the message catalogs, detection, and that SMS turns answer in the
+ * user's language. Outgoing texts are captured and the LLM and preference
+ * extraction are stubbed - no OpenAI, Twilio or database calls are made.
+ */
+
+const twilioService = require('../src/services/twilioService');
+const sessionManager = require('../src/services/sessionManager');
+const llmService = require('../src/services/llmService');
+const assistantService = require('../src/services/assistantService');
+const conversationExtractor = require('../src/services/conversationExtractor');
+const localizationService = require('../src/services/localizationService');
+const smartDefaultsService = require('../src/services/smartDefaultsService');
+const recommendationService = require('../src/services/recommendationService');
+const smsController = require('../src/controllers/smsController');
+const refinementService = require('../src/services/refinementService');
+const callbackService = require('../src/services/callbackService');
+const { formatResultsPage, formatFlightResultsMessage } = require('../src/intents/presenters');
+const { formatConfirmationMessage } = require('../src/routes/webhooks/duffel');
+const { SUPPORTED_LANGUAGES } = require('../src/services/localizationService');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+const sent = [];
+twilioService.sendSMS = async (to, body) => { sent.push({ to, body }); return { sid: 'SM_test' }; };
+twilioService.sendLongSMS = async (to, body) => { sent.push({ to, body }); return [{ sid: 'SM_test' }]; };
+
+const llmCalls = [];
+assistantService.isConfigured = () => false;
+llmService.generateResponse = async (history, message, options) => {
+  llmCalls.push({ message, options });
+  return { text: 'Réponse', tripSearch: null, accommodationSearch: null };
+};
+conversationExtractor.extractFromMessage = async () => ({});
+
+/**
+ * Flatten a catalog into { 'reco.selected': '...' }
+ */
+function flatten(catalog, prefix = '') {
+  return Object.entries(catalog).reduce((keys, [key, value]) => (
+    typeof value === 'string'
+      ? { ...keys, [`${prefix}${key}`]: value }
+      : { ...keys, ...flatten(value, `${prefix}${key}.`) }
+  ), {});
+}
+
+/**
+ * Send an inbound text through the real SMS pipeline
+ */
+async function text(from, body) {
+  sent.length = 0;
+  return smsController.processInboundSMS({ From: from, Body: body, MessageSid: `SM${Date.now()}`, channel: 'sms' });
+}
+
+async function runTests() {
+  console.log('🧪 Testing Localization\n');
+
+  console.log('\n--- Test: Catalogs ---\n');
+
+  const english = flatten(require('../src/locales/en'));
+  const placeholders = (value) => (value.match(/\{\w+\}/g) || []).sort().join();
+  SUPPORTED_LANGUAGES.filter(language => language !== 'en').forEach(language => {
+    const catalog = flatten(require(`../src/locales/${language}`));
+    const missing = Object.keys(english).filter(key => !catalog[key]);
+    const mismatched = Object.keys(english).filter(key => catalog[key] && placeholders(catalog[key]) !== placeholders(english[key]));
+    assert(missing.length === 0, `${language} has every message${missing.length ? ` (missing ${missing.join(', ')})` : ''}`);
+    assert(mismatched.length === 0, `${language} uses the same placeholders${mismatched.length ? ` (${mismatched.join(', ')})` : ''}`);
+  });
+
+  assert(localizationService.t('fr', 'reco.selected', { city: 'Lisbonne' }) === 'Va pour Lisbonne! Vous pensez partir quand?', 'Placeholders are filled in');
+  assert(localizationService.t('de', 'reco.whoQuestion') === english['reco.whoQuestion'], 'Unsupported languages fall back to English');
+  assert(localizationService.t('es', 'reco.nope') === 'reco.nope', 'Unknown keys are visible rather than blank');
+
+  console.log('\n--- Test: Detection ---\n');
+
+  assert(localizationService.detectLanguage('Bonjour, je cherche un vol pour Paris la semaine prochaine').language === 'fr', 'French is detected');
+  assert(localizationService.detectLanguage('Hola, quiero un vuelo barato a Cancún para dos personas').language === 'es', 'Spanish is detected');
+  assert(localizationService.detectLanguage('I need flights from Los Angeles to San Juan next week').language === 'en', 'Spanish place names do not switch an English message');
+  assert(localizationService.detectLanguage('YUL 2') === null, 'Codes and numbers carry no signal');
+  assert(localizationService.resolveLanguage('ok', { current: 'es' }) === 'es', 'Short replies keep the current language');
+  assert(localizationService.resolveLanguage('ok', { hint: 'fr' }) === 'fr', 'New users start from the regional default');
+  assert(localizationService.resolveLanguage('hi there, I want to go to Lisbon', { current: 'fr', hint: 'fr' }) === 'en', 'A clear message overrides the stored language');
+
+  assert(smartDefaultsService.inferLanguage('+15145551234') === 'fr' && smartDefaultsService.inferLanguage('+16135551234') === 'fr', 'Montreal and Ottawa numbers default to French');
+  assert(smartDefaultsService.inferLanguage('+14165551234') === null, 'Other numbers have no default');
+
+  console.log('\n--- Test: System messages ---\n');
+
+  assert(recommendationService.getVibeQuestion() === english['reco.vibeQuestion'], 'Prompts stay English by default');
+  assert(recommendationService.getBudgetQuestion('es').startsWith('¿Vamos con todo'), 'Recommendation prompts are localized');
+  assert(recommendationService.formatRecommendationsForChannel([{ pitch: 'Lisbonne — ...' }], 'fr').endsWith('Une de ces destinations vous fait envie?'), 'The recommendation list is localized');
+  assert(recommendationService.parseVibeResponse('la plage et la détente').category === 'beach' && recommendationService.parseWhoResponse('avec mes amis').category === 'friends', 'French answers are understood');
+  assert(recommendationService.parseWhoResponse('family trip to Miami').category === 'family', 'French keywords do not catch English words');
+
+  const filled = smartDefaultsService.fillMissingParams({ destination: 'Paris' }, { phoneNumber: '+15145551234', message: 'nous sommes 2 people', language: 'fr' });
+  assert(filled.assumptions.includes('Départ : YUL') && filled.assumptions.includes('2 voyageurs'), 'Assumptions are written in the user\'s language');
+  assert(smartDefaultsService.formatAssumptions(['Origen: JFK'], 'es') === '\n\n💡 Supuse: Origen: JFK', 'The assumptions line is localized');
+  assert(smartDefaultsService.formatAssumptions(['Origin: JFK']) === '\n\n💡 I assumed: Origin: JFK', 'English output is unchanged');
+
+  const booking = { booking_reference: 'ABC123', passenger_name: 'Ana Roy', origin: 'YUL', destination: 'CDG', departure_date: '2030-06-01', total_paid: '812.00', currency: 'CAD' };
+  const confirmation = formatConfirmationMessage(booking, {}, 'fr');
+  assert(confirmation.startsWith('✅ Réservation confirmée!') && confirmation.includes('Trajet : YUL → CDG'), 'Booking confirmations are localized');
+  assert(formatConfirmationMessage(booking, {}).startsWith('✅ Booking Confirmed!'), 'Booking confirmations default to English');
+
+  assert(localizationService.languageInstruction('en') === '', 'English prompts are left alone');
+  assert(/Reply in Spanish/.test(localizationService.languageInstruction('es')), 'Other languages get a reply instruction');
+
+  console.log('\n--- Test: SMS turns ---\n');
+
+  const montreal = '+15145550001';
+  await text(montreal, 'Bonjour! Je cherche un voyage à Paris en juin');
+  let session = await sessionManager.getSession(montreal);
+  assert(session.language === 'fr', 'The detected language is stored on the session');
+  assert(llmCalls[llmCalls.length - 1].options.language === 'fr', 'The LLM is told to answer in French');
+
+  await sessionManager.updateSession(montreal, { recoMode: 'asking_vibe', recoPreferences: null });
+  await text(montreal, 'la plage');
+  assert(sent.length === 1 && sent[0].body === localizationService.t('fr', 'reco.whenQuestion'), 'Canned replies follow the stored language');
+
+  await text(montreal, 'Hola, quiero viajar en julio con mi pareja');
+  session = await sessionManager.getSession(montreal);
+  assert(session.language === 'es' && sent[0].body === localizationService.t('es', 'reco.budgetQuestion'), 'Switching language switches the replies');
+
+  const toronto = '+14165550002';
+  await text(toronto, 'ok');
+  session = await sessionManager.getSession(toronto);
+  assert(session.language === 'en', 'Users with no signal get English');
+
+  const ottawa = '+16135550003';
+  await text(ottawa, '?');
+  session = await sessionManager.getSession(ottawa);
+  assert(session.language === 'fr', 'Ottawa numbers start in French');
+
+  await sessionManager.updateSession(ottawa, { recoMode: 'asking_vibe' });
+  await text(ottawa, 'I want beach and slow days please');
+  assert(sent[0].body === english['reco.whenQuestion'], 'Writing in English switches an Ottawa user to English');
+
+  sent.length = 0;
+  await smsController.handleFailedInboundSMS({ From: montreal });
+  assert(sent[0].body === localizationService.t('es', 'errors.processing'), 'Error texts use the stored language');
+
+  console.log('\n--- Test: Intent replies ---\n');
+
+  const laval = '+14505550004';
+  await sessionManager.updateSession(laval, { language: 'fr' });
+  await text(laval, 'MY TRIPS');
+  assert(sent[0].body === localizationService.t('fr', 'commands.noTrips'), 'MY TRIPS replies in the stored language');
+  await text(laval, 'HELP');
+  assert(sent[0].body.startsWith('Otherwhere : concierge voyage IA'), 'The command list is localized');
+  await text(laval, 'cancel my call');
+  assert(sent[0].body === localizationService.t('fr', 'callback.noneScheduled'), 'Callback replies are localized');
+  await text(laval, 'reset');
+  assert(sent[0].body === localizationService.t('fr', 'reset.fresh'), 'Reset replies in the stored language');
+
+  const flights = [
+    { airline: 'Air Canada', priceValue: 410, stops: 0 },
+    { airline: 'Air Transat', priceValue: 380, stops: 1 },
+    { priceValue: 0, stops: 2 },
+    { airline: 'WestJet', priceValue: 395, stops: 1 }
+  ];
+  const page = formatResultsPage('flights', flights, 0, 'es');
+  assert(page.includes('1. Air Canada — $410 (directo)') && page.includes('3. Varias — Ver enlace (2 escalas)') && page.endsWith(localizationService.t('es', 'results.pickOrMore')), 'Result pages are localized');
+  assert(formatResultsPage('stays', [{ name: 'Casa', pricePerNight: 90, rating: 4.8 }]).startsWith('1. Casa — $90/night ⭐4.8'), 'Result pages default to English');
+
+  const oneWay = formatFlightResultsMessage({ flights: flights.slice(0, 1), searchParams: {} }, 'https://book.test', 'fr');
+  assert(oneWay.startsWith("✈️ J'ai trouvé 1 vol!") && oneWay.includes('(Direct)') && oneWay.endsWith('🔗 Réserver : https://book.test'), 'Flight result messages are localized');
+
+  const summary = refinementService.summarizeChange('flights', flights, flights.slice(1, 2), { nonstop: true, dateShift: { leg: 'departure', days: 2 } }, 'fr');
+  assert(summary.includes('sans escale seulement, départ 2 jours plus tard') && summary.includes('Vols : 4 → 1'), 'Refinement summaries are localized');
+  assert(refinementService.describe({ cheaper: true, maxPrice: 400 }) === 'cheaper, under $400', 'Refinement descriptions default to English');
+
+  const callback = { scheduledFor: '2030-06-04T22:00:00Z', timezone: 'America/Toronto' };
+  assert(callbackService.formatCallbackTime(callback, 'fr') === 'mar. 18 h 00 HAE' && callbackService.formatCallbackTime(callback) === 'Tue, 6:00 PM EDT', 'Callback times are formatted for the language');
+
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,217 @@
+/**
+ * Tests for the Twilio <-> OpenAI Realtime media bridge
+ *
+ * Run with: node tests/mediaBridge.test.js
+ *
+ * Runs real WebSockets on localhost: a fake OpenAI Realtime server and a
+ * media-stream server that hands each connection to realtimeService, driven
+ * by a client playing Twilio. No OpenAI or Twilio calls are made.
+ */
+
+const WebSocket = require('ws');
+const llmService = require('../src/services/llmService');
+const realtimeService = require('../src/services/realtimeService');
+const callTranscriptService = require('../src/services/callTranscriptService');
+const { BRIDGE_STATES } = require('../src/services/mediaBridge');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+llmService.summarizeConversation = async () => 'Caller wants Lisbon in May.';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait until a condition holds (or give up after a timeout)
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (condition()) return true;
+    await sleep(10);
+  }
+  return !!condition();
+}
+
+/**
+ * Start a WebSocket server on a free localhost port
+ */
+function listen() {
+  return new Promise(resolve => {
+    const server = new WebSocket.Server({ host: '127.0.0.1', port: 0 }, () => resolve(server));
+  });
+}
+
+// Fake OpenAI Realtime: records what each connection receives
+const openaiConnections = [];
+
+/**
+ * Send an event from the fake OpenAI server
+ */
+function fromOpenAI(conn, event) {
+  conn.ws.send(JSON.stringify(event));
+}
+
+/**
+ * Connect a client that plays Twilio's side of the media stream
+ */
+async function connectTwilio(port, start) {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}`);
+  const twilio = { ws, received: [], closed: false };
+  ws.on('message', data => twilio.received.push(JSON.parse(data.toString())));
+  ws.on('close', () => { twilio.closed = true; });
+  await new Promise(resolve => ws.on('open', resolve));
+  ws.send(JSON.stringify({ event: 'start', start }));
+  return twilio;
+}
+
+async function runTests() {
+  console.log('🧪 Testing Media Bridge\n');
+
+  const openaiServer = await listen();
+  openaiServer.on('connection', ws => {
+    const conn = { ws, received: [], closed: false };
+    ws.on('message', data => conn.received.push(JSON.parse(data.toString())));
+    ws.on('close', () => { conn.closed = true; });
+    openaiConnections.push(conn);
+  });
+  const openaiUrl = `ws://127.0.0.1:${openaiServer.address().port}`;
+
+  const bridges = [];
+  let bridgeOptions = {};
+  const mediaServer = await listen();
+  mediaServer.on('connection', ws => {
+    bridges.push(realtimeService.handleMediaStream(ws, {
+      connect: async () => new WebSocket(openaiUrl),
+      ...bridgeOptions
+    }));
+  });
+  const mediaPort = mediaServer.address().port;
+
+  console.log('\n--- Test: Call setup and barge-in ---\n');
+
+  bridgeOptions = { idleTimeoutMs: 150, maxIdleReprompts: 1, reconnectDelayMs: 20, wrapUpGraceMs: 1000 };
+  const twilio = await connectTwilio(mediaPort, { streamSid: 'MZ_bridge', callSid: 'CA_bridge', customParameters: { from: '+15550004444' } });
+
+  await waitFor(() => openaiConnections.length === 1 && openaiConnections[0].received.some(e => e.type === 'response.create'));
+  let conn = openaiConnections[0];
+  const bridge = bridges[0];
+  assert(conn.received[0].type === 'session.update' && conn.received[0].session.input_audio_format === 'g711_ulaw', 'Session is configured for Twilio audio');
+  assert(conn.received.some(e => e.type === 'response.create'), 'Assistant greets the caller');
+  assert(callTranscriptService.getActiveCall('CA_bridge') !== null, 'Call transcript is started');
+
+  twilio.ws.send(JSON.stringify({ event: 'media', media: { timestamp: '1000', payload: 'AAAA' } }));
+  await waitFor(() => conn.received.some(e => e.type === 'input_audio_buffer.append'));
+  assert(conn.received.some(e => e.type === 'input_audio_buffer.append' && e.audio === 'AAAA'), 'Caller audio is forwarded to OpenAI');
+
+  fromOpenAI(conn, { type: 'response.created' });
+  fromOpenAI(conn, { type: 'response.audio.delta', item_id: 'item_1', delta: 'BBBB' });
+  await waitFor(() => twilio.received.some(e => e.event === 'mark'));
+  assert(twilio.received.some(e => e.event === 'media' && e.streamSid === 'MZ_bridge' && e.media.payload === 'BBBB'), 'Assistant audio is forwarded to Twilio');
+  assert(bridge.state === BRIDGE_STATES.RESPONDING, 'Bridge is responding while the assistant talks');
+
+  twilio.ws.send(JSON.stringify({ event: 'media', media: { timestamp: '1600', payload: 'CCCC' } }));
+  await waitFor(() => conn.received.filter(e => e.type === 'input_audio_buffer.append').length === 2);
+  fromOpenAI(conn, { type: 'input_audio_buffer.speech_started' });
+  await waitFor(() => twilio.received.some(e => e.event === 'clear'));
+
+  const truncate = conn.received.find(e => e.type === 'conversation.item.truncate');
+  assert(conn.received.some(e => e.type === 'response.cancel'), 'Interrupting cancels the response');
+  assert(truncate && truncate.item_id === 'item_1' && truncate.audio_end_ms === 600, 'Assistant item is truncated to what the caller heard');
+  assert(twilio.received.some(e => e.event === 'clear' && e.streamSid === 'MZ_bridge'), "Twilio's playback buffer is cleared");
+  assert(bridge.state === BRIDGE_STATES.LISTENING && bridge.markQueue.length === 0, 'Bridge goes back to listening');
+
+  console.log('\n--- Test: Reconnect ---\n');
+
+  fromOpenAI(conn, { type: 'conversation.item.input_audio_transcription.completed', transcript: 'Lisbon in May please' });
+  await waitFor(() => callTranscriptService.getActiveCall('CA_bridge').turns.length === 1);
+  conn.ws.terminate();
+
+  await waitFor(() => openaiConnections.length === 2 && openaiConnections[1].received.length >= 2);
+  conn = openaiConnections[1];
+  const replay = conn.received.find(e => e.type === 'conversation.item.create');
+  assert(conn.received[0].type === 'session.update', 'A dropped OpenAI socket is replaced');
+  assert(replay && replay.item.role === 'system' && /Lisbon in May please/.test(replay.item.content[0].text), 'The new session gets the conversation so far');
+  await sleep(600);
+  assert(!conn.received.some(e => e.type === 'response.create'), 'Caller is not greeted again after a reconnect');
+  assert(!twilio.closed && bridge.state === BRIDGE_STATES.LISTENING, 'Call stays up through the reconnect');
+
+  console.log('\n--- Test: Silence ---\n');
+
+  fromOpenAI(conn, { type: 'response.created' });
+  fromOpenAI(conn, { type: 'response.done', response: { output: [] } });
+  await waitFor(() => conn.received.some(e => e.type === 'response.create'));
+  const reprompt = conn.received.find(e => e.type === 'response.create');
+  assert(reprompt && /gone quiet/.test(reprompt.response.instructions), 'A silent caller is reprompted');
+
+  fromOpenAI(conn, { type: 'response.created' });
+  fromOpenAI(conn, { type: 'response.done', response: { output: [] } });
+  await waitFor(() => conn.received.filter(e => e.type === 'response.create').length === 2);
+  const goodbye = conn.received.filter(e => e.type === 'response.create')[1];
+  assert(goodbye && /goodbye/.test(goodbye.response.instructions) && bridge.state === BRIDGE_STATES.CLOSING, 'Still silent: the assistant says goodbye');
+
+  fromOpenAI(conn, { type: 'response.created' });
+  fromOpenAI(conn, { type: 'response.audio.delta', item_id: 'item_2', delta: 'DDDD' });
+  fromOpenAI(conn, { type: 'response.done', response: { output: [] } });
+  await sleep(50);
+  assert(!twilio.closed, 'Call stays up until the goodbye has played');
+
+  twilio.ws.send(JSON.stringify({ event: 'mark', mark: { name: 'responsePart' } }));
+  await waitFor(() => twilio.closed && conn.closed);
+  assert(twilio.closed && conn.closed && bridge.endReason === 'idle', 'Both sockets close after the goodbye');
+  await waitFor(() => callTranscriptService.getActiveCall('CA_bridge') === null);
+  assert(callTranscriptService.getActiveCall('CA_bridge') === null, 'Transcript is finished when the bridge closes');
+
+  console.log('\n--- Test: Max duration ---\n');
+
+  bridgeOptions = { maxCallDurationMs: 300, wrapUpGraceMs: 100 };
+  const longCall = await connectTwilio(mediaPort, { streamSid: 'MZ_long', callSid: 'CA_long', customParameters: { from: '+15550004445' } });
+  await waitFor(() => longCall.closed, 3000);
+  conn = openaiConnections[2];
+  const wrapUp = conn.received.filter(e => e.type === 'response.create').pop();
+  assert(wrapUp && /out of time/.test(wrapUp.response.instructions), 'Long calls are wrapped up');
+  assert(longCall.closed && bridges[1].endReason === 'max_duration', 'Call hangs up after the grace period');
+
+  console.log('\n--- Test: Hangup and outages ---\n');
+
+  bridgeOptions = {};
+  const hangup = await connectTwilio(mediaPort, { streamSid: 'MZ_hangup', callSid: 'CA_hangup', customParameters: { from: '+15550004446' } });
+  await waitFor(() => openaiConnections.length === 4);
+  hangup.ws.close();
+  await waitFor(() => openaiConnections[3].closed);
+  assert(openaiConnections[3].closed && bridges[2].endReason === 'caller_hangup', 'Caller hangup closes the OpenAI socket');
+
+  let attempts = 0;
+  bridgeOptions = {
+    connect: async () => { attempts++; throw new Error('503 Service Unavailable'); },
+    maxReconnectAttempts: 2,
+    reconnectDelayMs: 10
+  };
+  const outage = await connectTwilio(mediaPort, { streamSid: 'MZ_outage', callSid: 'CA_outage', customParameters: { from: '+15550004447' } });
+  await waitFor(() => outage.closed);
+  assert(outage.closed && attempts === 3 && bridges[3].endReason === 'openai_unavailable', 'Calls end cleanly when OpenAI stays unavailable');
+
+  openaiServer.close();
+  mediaServer.close();
+
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});
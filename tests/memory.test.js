@@ -0,0 +1,204 @@
+/**
+ * Tests for history compaction and long-term user memory
+ *
+ * Run with: node tests/memory.test.js
+ *
+ * Every model call is answered by the mock LLM provider - no OpenAI, Twilio
+ * or database calls are made.
+ */
+
+const llmProviderService = require('../src/services/llmProviderService');
+const { MockLLMProvider } = llmProviderService;
+const llmService = require('../src/services/llmService');
+const sessionManager = require('../src/services/sessionManager');
+const userMemoryService = require('../src/services/userMemoryService');
+const historyCompactionService = require('../src/services/historyCompactionService');
+const assistantService = require('../src/services/assistantService');
+const callerContextService = require('../src/services/callerContextService');
+const usersRouter = require('../src/routes/users');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+const mock = new MockLLMProvider();
+llmProviderService.setProvider(mock);
+
+/**
+ * Call a users route handler directly
+ * @param {string} method - 'get' | 'delete'
+ * @param {string} path - Route path as registered
+ * @param {Object} params - Route params
+ * @returns {Promise<Object>} Fake response with statusCode and body
+ */
+async function callRoute(method, path, params) {
+  const layer = usersRouter.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await layer.route.stack[0].handle({ params, query: {}, body: {} }, res);
+  return res;
+}
+
+/**
+ * A long back-and-forth about a trip
+ * @param {number} turns - User/assistant pairs
+ * @returns {Array<Object>} History entries
+ */
+function longConversation(turns) {
+  const history = [];
+  for (let i = 0; i < turns; i++) {
+    history.push({ role: 'user', content: `Message ${i}: my partner Sam and I want somewhere warm, and please no flights before 9am. ${'More detail. '.repeat(20)}`, timestamp: `2026-10-01T10:${String(i).padStart(2, '0')}:00.000Z` });
+    history.push({ role: 'assistant', content: `Reply ${i}: looking at warm places with later departures. ${'Options. '.repeat(20)}`, timestamp: `2026-10-01T10:${String(i).padStart(2, '0')}:30.000Z` });
+  }
+  return history;
+}
+
+async function runTests() {
+  console.log('🧪 Testing History Compaction and User Memory\n');
+
+  const phone = '+15550008888';
+
+  console.log('\n--- Test: Memory store ---\n');
+
+  let added = await userMemoryService.addMemories(phone, [
+    { content: 'Travels with partner Sam', category: 'people' },
+    { content: '  hates   early flights ', category: 'dislikes' },
+    { content: 'travels with partner sam', category: 'people' },
+    { content: 'Likes window seats', category: 'nonsense' },
+    { content: '' }
+  ]);
+  assert(added.length === 3, 'Duplicate and empty facts are skipped');
+  assert(added[1].content === 'hates early flights', 'Whitespace is tidied');
+  assert(added[2].category === 'other', 'Unknown categories become "other"');
+
+  added = await userMemoryService.addMemories('(555) 000-8888', [{ content: 'Hates early flights', category: 'dislikes' }]);
+  assert(added.length === 0, 'Facts already remembered are skipped (any phone format, any case)');
+
+  let memories = await userMemoryService.listMemories(phone);
+  assert(memories.length === 3 && memories[0].content === 'Likes window seats', 'Memories are listed newest first');
+  assert(userMemoryService.formatForPrompt(memories).split('\n')[2] === '- Travels with partner Sam', 'Memories format as prompt lines');
+  assert(userMemoryService.formatForPrompt([]) === '', 'No memories format as an empty string');
+
+  console.log('\n--- Test: Compaction ---\n');
+
+  const compactPhone = '+15550009999';
+  await sessionManager.updateSession(compactPhone, { conversationHistory: longConversation(3) });
+  let result = await historyCompactionService.compactIfNeeded(compactPhone);
+  assert(!result.compacted && mock.getCalls('summarize').length === 0, 'History under the budget is left alone');
+
+  const history = longConversation(12);
+  assert(historyCompactionService.estimateTokens(history) > historyCompactionService.HISTORY_TOKEN_BUDGET, 'Long history is over the budget');
+  await sessionManager.updateSession(compactPhone, { conversationHistory: history });
+
+  mock.addFixtures([
+    { capability: 'summarize', response: 'Planning a warm trip for two; wants departures after 9am.', times: 1 },
+    {
+      capability: 'json',
+      match: (input, request) => request.messages[0].content.includes('long-term notes'),
+      response: { memories: [{ content: 'Travels with partner Sam', category: 'people' }, { content: 'Avoids flights before 9am', category: 'dislikes' }] },
+      times: 1
+    }
+  ]);
+
+  result = await historyCompactionService.compactIfNeeded(compactPhone);
+  let session = await sessionManager.getSession(compactPhone);
+  assert(result.compacted && result.summarizedMessages === 16, 'Older turns are summarized');
+  assert(session.conversationHistory.length === 9, 'Summary plus the last 8 messages remain');
+  assert(session.conversationHistory[0].role === 'system' &&
+    session.conversationHistory[0].content === `${historyCompactionService.SUMMARY_PREFIX} Planning a warm trip for two; wants departures after 9am.`,
+  'Summary replaces the older turns');
+  assert(session.conversationHistory[1].content === history[16].content, 'Recent turns are kept verbatim');
+
+  const summaryRequest = mock.getCalls('summarize')[0].request;
+  assert(summaryRequest.messages.length === 16 && !summaryRequest.messages[0].timestamp, 'Only the older turns are sent to the summarizer');
+
+  memories = await userMemoryService.listMemories(compactPhone);
+  assert(result.memoriesAdded === 2 && memories.some(m => m.content === 'Avoids flights before 9am'), 'Durable facts are remembered while compacting');
+
+  await sessionManager.updateSession(compactPhone, {
+    conversationHistory: [...session.conversationHistory, ...longConversation(6)]
+  });
+  mock.addFixtures([{ capability: 'summarize', response: 'Still planning the warm trip.', times: 1 }]);
+  await historyCompactionService.compactIfNeeded(compactPhone);
+  session = await sessionManager.getSession(compactPhone);
+  const secondRequest = mock.getCalls('summarize')[1].request;
+  assert(secondRequest.messages[0].content.startsWith(historyCompactionService.SUMMARY_PREFIX), 'The previous summary is folded into the next one');
+  assert(session.conversationHistory.filter(m => m.role === 'system').length === 1, 'Only one summary message is kept');
+
+  const failPhone = '+15550001111';
+  await sessionManager.updateSession(failPhone, { conversationHistory: longConversation(12) });
+  mock.addFixtures([{ capability: 'summarize', response: new Error('model down'), times: 1 }]);
+  result = await historyCompactionService.compactIfNeeded(failPhone);
+  session = await sessionManager.getSession(failPhone);
+  assert(!result.compacted && session.conversationHistory.length === 24, 'History is kept when the summary fails');
+
+  console.log('\n--- Test: Prompts ---\n');
+
+  const messages = assistantService.buildMessages(
+    { conversationHistory: [{ role: 'system', content: '[Earlier in this conversation] Warm trip.' }, { role: 'user', content: 'Any ideas?' }] },
+    'Any ideas?',
+    'en',
+    await userMemoryService.listMemories(phone)
+  );
+  assert(messages[0].content.includes('## Long-term memory') && messages[0].content.includes('- hates early flights'), 'Assistant prompt includes memories');
+  assert(messages[1].role === 'system' && messages[1].content.includes('Warm trip'), 'Assistant replays summaries from the history');
+  assert(messages.length === 3 && messages[2].content === 'Any ideas?', 'User message is not duplicated');
+
+  const noMemories = assistantService.buildMessages({ conversationHistory: [] }, 'Hi', 'en');
+  assert(!noMemories[0].content.includes('Long-term memory'), 'No memory section without memories');
+
+  await llmService.generateResponse([], 'Hello', { memories: await userMemoryService.listMemories(phone) });
+  const chatRequest = mock.getCalls('chat').slice(-1)[0].request;
+  assert(chatRequest.messages[0].content.includes('## LONG-TERM MEMORY\nThings this traveler told you on earlier trips:\n- Likes window seats'), 'Direct LLM prompt includes memories');
+
+  const context = await callerContextService.buildCallerContext(phone, { conversationHistory: [] });
+  assert(context.memories.length === 3 && context.isReturning, 'Caller context includes memories');
+  assert(callerContextService.toDynamicVariables(context, { verified: true }).memories.includes('Travels with partner Sam'), 'Memories are an ElevenLabs dynamic variable once verified');
+  assert(callerContextService.describeCallerContext(context, { verified: true }).includes('Known about them: Likes window seats'), 'Realtime context lists memories once verified');
+  assert(callerContextService.toDynamicVariables(context).memories === '' && !callerContextService.describeCallerContext(context).includes('Likes window seats'), 'Memories are held back from unverified callers');
+
+  console.log('\n--- Test: API ---\n');
+
+  let res = await callRoute('get', '/:phoneNumber/memory', { phoneNumber: phone });
+  assert(res.body.success && res.body.memories.length === 3 && res.body.memories[0].id, 'Memories are listed');
+
+  const target = res.body.memories[0];
+  res = await callRoute('delete', '/:phoneNumber/memory/:memoryId', { phoneNumber: '+15550001234', memoryId: target.id });
+  assert(res.statusCode === 404, "Another user's memory can't be deleted");
+
+  res = await callRoute('delete', '/:phoneNumber/memory/:memoryId', { phoneNumber: phone, memoryId: 'not-an-id' });
+  assert(res.statusCode === 404, 'Unknown memory is a 404');
+
+  res = await callRoute('delete', '/:phoneNumber/memory/:memoryId', { phoneNumber: phone, memoryId: target.id });
+  memories = await userMemoryService.listMemories(phone);
+  assert(res.body.success && memories.length === 2 && !memories.some(m => m.id === target.id), 'One memory is deleted');
+
+  res = await callRoute('delete', '/:phoneNumber/memory', { phoneNumber: phone });
+  assert(res.body.success && res.body.deleted === 2, 'All memories are deleted');
+  res = await callRoute('get', '/:phoneNumber/memory', { phoneNumber: phone });
+  assert(res.body.memories.length === 0, 'Nothing is left after clearing');
+
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for inbound SMS dedupe (Twilio MessageSid retries)
+ *
+ * Run with: node tests/messageDedupe.test.js
+ */
+
+const messageDedupeService = require('../src/services/messageDedupeService');
+const messageQueue = require('../src/services/messageQueue');
+const optOutService = require('../src/services/optOutService');
+const twilioService = require('../src/services/twilioService');
+const smsController = require('../src/controllers/smsController');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+/**
+ * Post a text to the inbound SMS webhook
+ * @param {string} messageSid - Twilio MessageSid
+ * @param {string} body - Message text
+ * @returns {Promise<void>}
+ */
+async function deliver(messageSid, body = 'Flights to Lisbon?') {
+  const res = { type() { return this; }, send() { return this; } };
+  await smsController.handleInboundSMS({ body: { From: '+15550002020', Body: body, MessageSid: messageSid, NumMedia: '0' } }, res);
+}
+
+async function runTests() {
+  console.log('🧪 Testing Message Dedupe\n');
+
+  console.log('\n--- Test: First delivery vs retry ---\n');
+
+  assert(await messageDedupeService.claim('SM_test_1') === true, 'First delivery is claimed');
+  assert(await messageDedupeService.claim('SM_test_1') === false, 'Retry with the same MessageSid is rejected');
+  assert(await messageDedupeService.isDuplicate('SM_test_1') === true, 'Claimed MessageSid is reported as duplicate');
+  assert(await messageDedupeService.claim('SM_test_2') === true, 'A different MessageSid is processed');
+  assert(await messageDedupeService.claim(undefined) === true, 'Missing MessageSid is never treated as a duplicate');
+
+  const results = await Promise.all([
+    messageDedupeService.claim('SM_test_concurrent'),
+    messageDedupeService.claim('SM_test_concurrent')
+  ]);
+  assert(results.filter(Boolean).length === 1, 'Concurrent retries only claim once');
+
+  console.log('\n--- Test: TTL expiry ---\n');
+
+  messageDedupeService.seen.set('SM_test_expired', Date.now() - 1);
+  assert(await messageDedupeService.claim('SM_test_expired') === true, 'Expired MessageSid can be processed again');
+
+  messageDedupeService.seen.set('SM_test_cleanup', Date.now() - 1);
+  messageDedupeService.cleanupExpired();
+  assert(!messageDedupeService.seen.has('SM_test_cleanup'), 'Cleanup removes expired entries');
+
+  console.log('\n--- Test: Failures before the message is queued ---\n');
+
+  const sent = [];
+  const queued = [];
+  twilioService.sendSMS = async (to, body) => sent.push({ to, body });
+  const enqueue = messageQueue.enqueue;
+
+  messageQueue.enqueue = async () => { throw new Error('queue down'); };
+  await deliver('SM_test_enqueue_fails');
+  assert(await messageDedupeService.isDuplicate('SM_test_enqueue_fails') === false, 'A failed enqueue releases the claim');
+  assert(sent.length === 1, 'The user is told something went wrong');
+
+  messageQueue.enqueue = async (type, key, payload) => queued.push(payload.MessageSid);
+  await deliver('SM_test_enqueue_fails');
+  assert(queued.includes('SM_test_enqueue_fails'), "Twilio's retry is processed");
+  assert(await messageDedupeService.isDuplicate('SM_test_enqueue_fails') === true, 'The retry holds the claim once queued');
+
+  const handleKeyword = optOutService.handleKeyword;
+  optOutService.handleKeyword = async () => { throw new Error('database down'); };
+  await deliver('SM_test_keyword_fails', 'STOP');
+  optOutService.handleKeyword = handleKeyword;
+  assert(await messageDedupeService.isDuplicate('SM_test_keyword_fails') === false, 'A failed keyword check releases the claim');
+
+  await deliver('SM_test_queued');
+  await deliver('SM_test_queued');
+  assert(queued.filter(sid => sid === 'SM_test_queued').length === 1, 'A queued message is still deduped');
+  messageQueue.enqueue = enqueue;
+
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
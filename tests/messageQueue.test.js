@@ -0,0 +1,207 @@
+/**
+ * Tests for the inbound Message Queue (in-process backend)
+ *
+ * Run with: node tests/messageQueue.test.js
+ *
+ * Covers per-phone ordering, retries, dead-lettering and stats.
+ */
+
+// Retried SMS turns below run without the debounce window
+process.env.SMS_COALESCE_WINDOW_MS = '0';
+
+const { MessageQueue } = require('../src/services/messageQueue');
+const messageQueue = require('../src/services/messageQueue');
+const sessionManager = require('../src/services/sessionManager');
+const conversationRouter = require('../src/services/conversationRouter');
+const twilioService = require('../src/services/twilioService');
+require('../src/controllers/smsController'); // registers the sms_inbound processor
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait until the queue has nothing pending or in flight
+ */
+async function waitForIdle(queue, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const stats = await queue.getStats();
+    if (stats.depth === 0 && stats.inFlight === 0) return;
+    await sleep(5);
+  }
+  throw new Error('Queue did not drain in time');
+}
+
+async function runTests() {
+  console.log('🧪 Testing Message Queue\n');
+
+  // ============================================
+  console.log('\n--- Test: One message at a time per phone ---\n');
+
+  const queue = new MessageQueue();
+  queue.retryDelayMs = 1;
+
+  const log = [];
+  let concurrentForA = 0;
+  let maxConcurrentForA = 0;
+
+  queue.registerProcessor('sms_inbound', async (payload) => {
+    if (payload.From === '+1A') {
+      concurrentForA++;
+      maxConcurrentForA = Math.max(maxConcurrentForA, concurrentForA);
+    }
+    await sleep(payload.delay || 0);
+    log.push(`${payload.From}:${payload.Body}`);
+    if (payload.From === '+1A') concurrentForA--;
+  });
+
+  const ack = await queue.enqueue('sms_inbound', '+1A', { From: '+1A', Body: 'first', delay: 20 });
+  await queue.enqueue('sms_inbound', '+1A', { From: '+1A', Body: 'second' });
+  await queue.enqueue('sms_inbound', '+1B', { From: '+1B', Body: 'other', delay: 1 });
+
+  assert(!!ack.id && ack.attempts === 0, 'Enqueue returns immediately with a job id');
+
+  await waitForIdle(queue);
+
+  assert(maxConcurrentForA === 1, 'Jobs for the same phone never overlap');
+  assert(log.indexOf('+1A:first') < log.indexOf('+1A:second'), 'Jobs for the same phone keep their order');
+  assert(log.indexOf('+1B:other') < log.indexOf('+1A:first'), 'Other phones are not blocked by a slow job');
+
+  // ============================================
+  console.log('\n--- Test: Retries and dead letters ---\n');
+
+  let flakyCalls = 0;
+  queue.registerProcessor('flaky', async () => {
+    flakyCalls++;
+    if (flakyCalls < 2) throw new Error('transient');
+  });
+
+  const deadLettered = [];
+  queue.registerProcessor('broken', async () => {
+    throw new Error('always fails');
+  }, {
+    onDeadLetter: async (payload, error) => deadLettered.push({ payload, error: error.message })
+  });
+
+  await queue.enqueue('flaky', '+1C', {});
+  await queue.enqueue('broken', '+1D', { From: '+1D' });
+  await waitForIdle(queue);
+
+  assert(flakyCalls === 2, 'Failed job is retried until it succeeds');
+  assert(deadLettered.length === 1 && deadLettered[0].error === 'always fails', 'Dead-letter hook runs once retries are exhausted');
+
+  const deadLetters = await queue.getDeadLetters();
+  assert(deadLetters.length === 1 && deadLetters[0].attempts === queue.maxAttempts, 'Dead-lettered job keeps its attempt count');
+
+  await queue.enqueue('unknown_type', '+1E', {});
+  await waitForIdle(queue);
+  assert((await queue.getDeadLetters()).length === 2, 'Jobs without a processor are dead-lettered');
+
+  // ============================================
+  console.log('\n--- Test: Coalescing bursts ---\n');
+
+  const bursty = new MessageQueue();
+  const turns = [];
+  bursty.registerProcessor('sms_inbound', async (payload) => {
+    turns.push(payload.Body);
+    await sleep(payload.Body === 'slow' ? 60 : 0);
+  }, {
+    coalesce: {
+      windowMs: 30,
+      merge: (payloads) => ({ Body: payloads.map(p => p.Body).join(' + ') })
+    }
+  });
+
+  await bursty.enqueue('sms_inbound', '+1F', { Body: 'flights to lisbon' });
+  await sleep(10);
+  await bursty.enqueue('sms_inbound', '+1F', { Body: 'in march' });
+  await sleep(10);
+  await bursty.enqueue('sms_inbound', '+1F', { Body: '2 of us' });
+  await waitForIdle(bursty);
+
+  assert(turns.length === 1 && turns[0] === 'flights to lisbon + in march + 2 of us', 'Texts inside the window become one turn');
+
+  turns.length = 0;
+  await bursty.enqueue('sms_inbound', '+1G', { Body: 'slow' });
+  await sleep(45); // first turn is now in flight
+  await bursty.enqueue('sms_inbound', '+1G', { Body: 'a' });
+  await bursty.enqueue('sms_inbound', '+1G', { Body: 'b' });
+  await waitForIdle(bursty);
+
+  assert(turns.length === 2 && turns[1] === 'a + b', 'Texts sent during an in-flight turn are chained as one follow-up turn');
+  assert((await bursty.getStats()).coalesced === 3, 'Coalesced jobs are counted');
+
+  // ============================================
+  console.log('\n--- Test: Retried SMS turns ---\n');
+
+  const job = { id: 'job-once' };
+  let steps = 0;
+  await queue.runOnce(job, 'send:0', async () => steps++);
+  await queue.runOnce(job, 'send:0', async () => steps++);
+  await queue.runOnce(job, 'send:1', async () => steps++);
+  await queue.runOnce(null, 'send:0', async () => steps++);
+  assert(steps === 3 && job.completedSteps.join() === 'send:0,send:1', 'A step runs once per job; without a job it always runs');
+
+  const failingJob = { id: 'job-failing' };
+  await queue.runOnce(failingJob, 'send:0', async () => { throw new Error('twilio down'); }).catch(() => {});
+  assert(failingJob.completedSteps.length === 0, 'A step that throws is not marked done');
+
+  const retryPhone = '+15550003030';
+  const texts = [];
+  twilioService.sendSMS = async (to, body) => texts.push(body);
+  twilioService.sendLongSMS = async (to, body) => texts.push(body);
+  messageQueue.retryDelayMs = 1;
+
+  const route = conversationRouter.route;
+  let attempts = 0;
+  conversationRouter.route = async (ctx) => {
+    attempts++;
+    await ctx.recordUserMessage();
+    await ctx.reply('Looking now...');
+    if (attempts === 1) throw new Error('search timed out');
+    await ctx.replyLong('Found 3 flights');
+    return { handled: true };
+  };
+
+  await messageQueue.enqueue('sms_inbound', retryPhone, { From: retryPhone, Body: 'flights to lisbon', MessageSid: 'SM_retry_1', channel: 'sms' });
+  await waitForIdle(messageQueue);
+  conversationRouter.route = route;
+
+  const history = (await sessionManager.getSession(retryPhone)).conversationHistory;
+  assert(attempts === 2, 'The failed turn is retried');
+  assert(history.filter(m => m.role === 'user' && m.content === 'flights to lisbon').length === 1, 'The user message is recorded once');
+  assert(texts.join('|') === 'Looking now...|Found 3 flights', 'Texts sent before the failure are not sent again');
+
+  // ============================================
+  console.log('\n--- Test: Stats ---\n');
+
+  const stats = await queue.getStats();
+  assert(stats.backend === 'memory', 'In-process backend without USE_REDIS');
+  assert(stats.enqueued === 6 && stats.completed === 4, `Counters track enqueued/completed (${stats.enqueued}/${stats.completed})`);
+  assert(stats.retried >= 1 && stats.deadLettered === 2, 'Counters track retries and dead letters');
+  assert(stats.latencyMs.samples === 4 && stats.latencyMs.runP95 >= 20, 'Latency samples are recorded');
+
+  // ============================================
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,243 @@
+/**
+ * Tests for the Redis backend of the Message Queue
+ *
+ * Run with: node tests/messageQueueRedis.test.js
+ *
+ * redis.createClient is replaced with an in-memory stand-in, so no Redis
+ * server is needed. Covers the processing list, requeuing jobs a dead process
+ * left behind, and enqueues that fail halfway.
+ */
+
+process.env.USE_REDIS = 'true';
+
+/**
+ * Just enough of a node-redis v4 client for the queue
+ */
+class FakeRedis {
+  constructor() {
+    this.data = new Map();
+    this.failNext = {}; // command -> error to throw once
+  }
+
+  fail(command) {
+    if (this.failNext[command]) {
+      const error = this.failNext[command];
+      delete this.failNext[command];
+      throw error;
+    }
+  }
+
+  list(name) {
+    if (!this.data.has(name)) this.data.set(name, []);
+    return this.data.get(name);
+  }
+
+  cleanup(name) {
+    if (Array.isArray(this.data.get(name)) && this.data.get(name).length === 0) this.data.delete(name);
+  }
+
+  on() {}
+  async connect() {}
+
+  async rPush(name, value) {
+    this.fail('rPush');
+    return this.list(name).push(value);
+  }
+
+  async lPop(name) {
+    const value = this.list(name).shift();
+    this.cleanup(name);
+    return value === undefined ? null : value;
+  }
+
+  async lMove(source, destination, from, to) {
+    const items = this.list(source);
+    const value = from === 'LEFT' ? items.shift() : items.pop();
+    this.cleanup(source);
+    if (value === undefined) return null;
+    if (to === 'LEFT') this.list(destination).unshift(value);
+    else this.list(destination).push(value);
+    return value;
+  }
+
+  async lRem(name, count, value) {
+    const items = this.list(name);
+    const index = items.indexOf(value);
+    if (index >= 0) items.splice(index, 1);
+    this.cleanup(name);
+    return index >= 0 ? 1 : 0;
+  }
+
+  async lIndex(name, index) {
+    const value = this.list(name)[index];
+    this.cleanup(name);
+    return value === undefined ? null : value;
+  }
+
+  async lLen(name) {
+    const length = this.list(name).length;
+    this.cleanup(name);
+    return length;
+  }
+
+  async lRange(name, start, stop) {
+    const items = this.list(name);
+    this.cleanup(name);
+    return items.slice(start < 0 ? Math.max(0, items.length + start) : start, stop === -1 ? undefined : stop + 1);
+  }
+
+  async lTrim(name, start) {
+    const items = this.list(name);
+    this.data.set(name, items.slice(start < 0 ? Math.max(0, items.length + start) : start));
+  }
+
+  async incrBy(name, amount) {
+    this.fail('incr');
+    const value = (parseInt(this.data.get(name), 10) || 0) + amount;
+    this.data.set(name, String(value));
+    return value;
+  }
+
+  async incr(name) { return this.incrBy(name, 1); }
+  async decr(name) { return this.incrBy(name, -1); }
+  async get(name) { return this.data.get(name) || null; }
+
+  async set(name, value, options = {}) {
+    if (options.NX && this.data.has(name)) return null;
+    this.data.set(name, value);
+    return 'OK';
+  }
+
+  async del(name) {
+    return this.data.delete(name) ? 1 : 0;
+  }
+
+  async *scanIterator({ MATCH }) {
+    const prefix = MATCH.replace(/\*$/, '');
+    for (const name of [...this.data.keys()]) {
+      if (name.startsWith(prefix)) yield name;
+    }
+  }
+}
+
+const fakeRedis = new FakeRedis();
+require('redis').createClient = () => fakeRedis;
+
+const { MessageQueue } = require('../src/services/messageQueue');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait until no key has queued or unfinished jobs
+ */
+async function waitForIdle(queue, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const lists = [...fakeRedis.data.keys()].filter(name => /:(jobs|processing):/.test(name));
+    if (lists.length === 0 && queue.active.size === 0 && queue.pending.size === 0) return;
+    await sleep(5);
+  }
+  throw new Error('Queue did not drain in time');
+}
+
+/**
+ * A queued job as enqueue() would store it
+ */
+function storedJob(id, key, body) {
+  return JSON.stringify({ id, type: 'sms_inbound', key, payload: { From: key, Body: body }, attempts: 0, enqueuedAt: Date.now() });
+}
+
+async function runTests() {
+  console.log('🧪 Testing Message Queue (redis)\n');
+
+  const queue = new MessageQueue();
+  queue.retryDelayMs = 1;
+
+  const log = [];
+  const during = [];
+  queue.registerProcessor('sms_inbound', async (payload) => {
+    during.push({
+      processing: (await fakeRedis.lLen(`queue:messages:processing:${payload.From}`)),
+      queued: (await fakeRedis.lLen(`queue:messages:jobs:${payload.From}`))
+    });
+    if (payload.Body === 'fail') throw new Error('handler failed');
+    log.push(`${payload.From}:${payload.Body}`);
+  });
+
+  // ============================================
+  console.log('\n--- Test: Jobs left by a dead process ---\n');
+
+  // A process took "first" and died; "second" was still queued behind it
+  fakeRedis.data.set('queue:messages:processing:+1C', [storedJob('job-1', '+1C', 'first')]);
+  fakeRedis.data.set('queue:messages:jobs:+1C', [storedJob('job-2', '+1C', 'second')]);
+  fakeRedis.data.set('queue:messages:depth', '1');
+
+  queue.start();
+  await waitForIdle(queue);
+
+  assert(queue.isRedisBacked(), 'Queue is Redis-backed with USE_REDIS');
+  assert(log.join(',') === '+1C:first,+1C:second', 'Unfinished jobs are requeued at startup, ahead of later ones');
+  assert(!fakeRedis.data.has('queue:messages:processing:+1C'), 'Finished jobs leave the processing list');
+  assert((await queue.getStats()).depth === 0, 'Depth is back to zero');
+
+  // ============================================
+  console.log('\n--- Test: Processing list ---\n');
+
+  log.length = 0;
+  during.length = 0;
+  await queue.enqueue('sms_inbound', '+1D', { From: '+1D', Body: 'hello' });
+  await waitForIdle(queue);
+
+  assert(log.join(',') === '+1D:hello', 'Enqueued jobs run');
+  assert(during[0].processing === 1 && during[0].queued === 0, 'A running job is held in the processing list, not dropped');
+  assert(queue.claimed.size === 0, 'Nothing is left claimed after the job finishes');
+
+  await queue.enqueue('sms_inbound', '+1D', { From: '+1D', Body: 'fail' });
+  await waitForIdle(queue);
+  assert((await queue.getDeadLetters()).length === 1 && !fakeRedis.data.has('queue:messages:processing:+1D'), 'Dead-lettered jobs leave the processing list');
+
+  // ============================================
+  console.log('\n--- Test: Enqueue failures ---\n');
+
+  log.length = 0;
+  fakeRedis.failNext.incr = new Error('connection reset');
+  const job = await queue.enqueue('sms_inbound', '+1E', { From: '+1E', Body: 'stored' });
+  assert(!!job.id && queue.pending.size === 0, 'A job written to Redis is not also queued in memory');
+
+  await queue.recover();
+  await waitForIdle(queue);
+  assert(log.join(',') === '+1E:stored', 'The job runs exactly once');
+
+  log.length = 0;
+  fakeRedis.failNext.rPush = new Error('connection refused');
+  await queue.enqueue('sms_inbound', '+1F', { From: '+1F', Body: 'fallback' });
+  await waitForIdle(queue);
+  assert(log.join(',') === '+1F:fallback' && !fakeRedis.data.has('queue:messages:jobs:+1F'), 'A job Redis never stored runs in memory');
+
+  queue.stop();
+
+  // ============================================
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});
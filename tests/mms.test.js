@@ -0,0 +1,152 @@
+/**
+ * Tests for inbound MMS (screenshots of flights and booking confirmations)
+ *
+ * Run with: node tests/mms.test.js
+ *
+ * Images are read by the mock LLM provider, media downloads are stubbed and
+ * outgoing SMS captured - no OpenAI, Twilio or database calls are made.
+ */
+
+const llmProviderService = require('../src/services/llmProviderService');
+const { MockLLMProvider, OpenAIProvider } = require('../src/services/llmProviderService');
+const conversationExtractor = require('../src/services/conversationExtractor');
+const twilioService = require('../src/services/twilioService');
+const sessionManager = require('../src/services/sessionManager');
+const tripService = require('../src/services/tripService');
+const smsController = require('../src/controllers/smsController');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+const sent = [];
+twilioService.sendSMS = async (to, body) => { sent.push({ to, body }); return { sid: 'SM_test' }; };
+
+const downloads = [];
+twilioService.fetchMedia = async (url) => {
+  downloads.push(url);
+  return { buffer: Buffer.from('jpeg'), contentType: 'image/jpeg' };
+};
+
+/**
+ * Route the vision capability to a mock answering with these JSON objects in order
+ */
+function scriptVision(...responses) {
+  const mock = new MockLLMProvider({
+    fixtures: responses.map(response => ({ capability: 'vision', response, times: 1 }))
+  });
+  llmProviderService.setProvider(mock, ['vision']);
+  return mock;
+}
+
+const SCREENSHOT = { url: 'https://api.twilio.com/2010-04-01/Accounts/AC1/Messages/MM1/Media/ME1', contentType: 'image/jpeg' };
+
+async function runTests() {
+  console.log('🧪 Testing Inbound MMS\n');
+
+  console.log('\n--- Test: Media parsing ---\n');
+
+  const payload = {
+    From: '+15550004444',
+    Body: '',
+    NumMedia: '2',
+    MediaUrl0: SCREENSHOT.url,
+    MediaContentType0: 'image/jpeg',
+    MediaUrl1: 'https://api.twilio.com/media/ME2',
+    MediaContentType1: 'text/vcard'
+  };
+
+  let media = twilioService.getInboundMedia(payload);
+  assert(media.length === 1 && media[0].url === SCREENSHOT.url, 'Only image media is returned');
+  assert(twilioService.getInboundMedia(payload, { imagesOnly: false }).length === 2, 'All media can be listed');
+  assert(twilioService.getInboundMedia({ Body: 'hi' }).length === 0, 'Plain SMS has no media');
+
+  const merged = smsController.mergeInboundSMS([
+    { ...payload, MessageSid: 'SM1', receivedAt: '2030-01-01T00:00:00Z' },
+    { From: payload.From, Body: 'is this a good price?', NumMedia: '0', MessageSid: 'SM2' }
+  ]);
+  media = twilioService.getInboundMedia(merged);
+  assert(media.length === 1 && merged.Body === 'is this a good price?', 'Coalesced texts keep images from earlier messages');
+
+  console.log('\n--- Test: Extraction ---\n');
+
+  const provider = scriptVision(
+    { kind: 'flight', origin: 'jfk', destination: 'lis', departure_date: '2030-03-10', return_date: '2030-03-17', airline: 'tap', price: '612', currency: 'USD' },
+    new Error('model unavailable')
+  );
+
+  let details = await conversationExtractor.extractFromImages([SCREENSHOT]);
+  assert(details.kind === 'flight' && details.origin === 'JFK' && details.destination === 'LIS', 'Route is read and airport codes normalized');
+  assert(details.price === 612 && details.departureDate === '2030-03-10', 'Price and dates are parsed');
+  const visionCalls = provider.getCalls('vision');
+  assert(downloads[0] === SCREENSHOT.url && visionCalls.length === 1 && visionCalls[0].request.images[0].data.toString() === 'jpeg', 'Images are downloaded and handed to the vision provider');
+
+  details = await conversationExtractor.extractFromImages([SCREENSHOT]);
+  assert(details.kind === 'other' && details.error === true, 'Provider errors degrade to "other"');
+
+  console.log('\n--- Test: Flight screenshot ---\n');
+
+  const phone = '+15550004444';
+  scriptVision({ kind: 'flight', origin: 'JFK', destination: 'LIS', departure_date: '2030-03-10', return_date: '2030-03-17', airline: 'United', price: 612 });
+
+  let session = await sessionManager.getSession(phone);
+  let message = await smsController.handleInboundImages(phone, [SCREENSHOT], '', session);
+  session = await sessionManager.getSession(phone);
+  assert(/Here's a flight I saw: United Airlines JFK → LIS, 2030-03-10 to 2030-03-17, USD 612/.test(message), 'Flight screenshot is described to the assistant');
+  assert(session.context.lastFlightSearch.origin === 'JFK' && session.context.lastFlightSearch.startDate === '2030-03-10', 'lastFlightSearch is seeded from the screenshot');
+
+  console.log('\n--- Test: Booking confirmation ---\n');
+
+  scriptVision({ kind: 'booking', origin: 'JFK', destination: 'LIS', departure_date: '2030-03-10', airline: 'TAP', booking_reference: 'qx7k2p', passenger_name: 'Sam Rivera' });
+
+  sent.length = 0;
+  message = await smsController.handleInboundImages(phone, [SCREENSHOT], '', session);
+  const trip = tripService.getTripsByPhone(phone)[0];
+  session = await sessionManager.getSession(phone);
+  assert(message === '', 'Confirmation without text is fully handled');
+  assert(trip && trip.status === 'booked' && trip.bookingDetails.bookingReference === 'QX7K2P', 'Booking is attached to a trip');
+  assert(session.currentTripId === trip.id, 'Trip becomes the current trip');
+  assert(/Saved booking QX7K2P \(JFK → LIS\)/.test(sent[0].body), 'User is told the booking was saved');
+
+  console.log('\n--- Test: Unreadable image ---\n');
+
+  scriptVision({ kind: 'other' });
+  sent.length = 0;
+
+  message = await smsController.handleInboundImages(phone, [SCREENSHOT], '', session);
+  assert(message === '' && /couldn't make out/.test(sent[0].body), 'Unreadable image without text asks for details');
+
+  scriptVision();
+  sent.length = 0;
+  message = await smsController.handleInboundImages(phone, [SCREENSHOT], 'thoughts on lisbon?', session);
+  assert(message === 'thoughts on lisbon?' && sent.length === 0, 'Text sent with an unreadable image is still answered');
+
+  console.log('\n--- Test: OpenAI vision request ---\n');
+
+  const openai = new OpenAIProvider();
+  let request = null;
+  openai.client = { chat: { completions: { create: async (params) => { request = params; return { choices: [{ message: { content: '{"kind":"other"}' } }] }; } } } };
+  const answer = await openai.analyzeImages({ images: [{ data: Buffer.from('jpeg'), contentType: 'image/png' }], prompt: 'Read this' });
+  assert(answer.kind === 'other' && request.response_format.type === 'json_object', 'The answer is parsed from a JSON completion');
+  assert(request.messages[1].content[0].image_url.url === `data:image/png;base64,${Buffer.from('jpeg').toString('base64')}`, 'Images are sent inline as data URLs');
+
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});
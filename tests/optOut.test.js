@@ -0,0 +1,119 @@
+/**
+ * Tests for SMS compliance keywords and the opt-out guard
+ *
+ * Run with: node tests/optOut.test.js
+ *
+ * Runs without a database (in-memory registry) and without Twilio credentials.
+ */
+
+const optOutService = require('../src/services/optOutService');
+const twilioService = require('../src/services/twilioService');
+const messageQueue = require('../src/services/messageQueue');
+const smsController = require('../src/controllers/smsController');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+async function runTests() {
+  console.log('🧪 Testing Opt-Out Registry\n');
+  let result;
+
+  console.log('\n--- Test: Keyword detection ---\n');
+
+  const cases = [
+    ['STOP', false, 'STOP'],
+    ['  unsubscribe ', false, 'STOP'],
+    ['Stop.', false, 'STOP'],
+    ['cancel', false, 'STOP'],
+    ['Quit!', false, 'STOP'],
+    ['end', true, 'STOP'],
+    ['help', false, 'HELP'],
+    ['START', true, 'START'],
+    ['yes', true, 'START'],
+    ['yes', false, null],
+    ['please stop sending me hotels', false, null],
+    ['stops in denver?', false, null]
+  ];
+
+  cases.forEach(([message, optedOut, expected]) => {
+    const result = optOutService.detectKeyword(message, optedOut);
+    assert(result === expected, `"${message}" (opted out: ${optedOut}) → ${expected} (got ${result})`);
+  });
+
+  console.log('\n--- Test: Opt out and back in ---\n');
+
+  const phone = '+15550001111';
+
+  result = await optOutService.handleKeyword(phone, 'STOP');
+  assert(result.keyword === 'STOP' && /unsubscribed/.test(result.reply), 'STOP gets the unsubscribe confirmation');
+  assert(await optOutService.isOptedOut('(555) 000-1111') === true, 'Opt-out applies to the normalized number');
+
+  result = await optOutService.handleKeyword(phone, 'where should I go in march?');
+  assert(result.keyword === null && result.optedOut === true, 'Regular messages from opted-out numbers are flagged');
+
+  result = await optOutService.handleKeyword(phone, 'HELP');
+  assert(result.keyword === 'HELP' && /STOP/.test(result.reply) && result.optedOut === true, 'HELP reply mentions STOP and does not opt back in');
+
+  console.log('\n--- Test: Send guard ---\n');
+
+  // No Twilio credentials here: reaching the client would throw
+  const guardResult = await twilioService.sendSMS(phone, 'Your flight is booked!');
+  assert(guardResult === null, 'sendSMS refuses to send to an opted-out number');
+
+  let threw = false;
+  try {
+    await twilioService.sendSMS('+15550002222', 'Hello!');
+  } catch (error) {
+    threw = true;
+  }
+  assert(threw, 'Numbers that did not opt out go through to Twilio');
+
+  result = await optOutService.handleKeyword(phone, 'yes');
+  assert(result.keyword === 'START' && result.optedOut === false, 'YES opts back in when opted out');
+  assert(await optOutService.isOptedOut(phone) === false, 'Number is no longer opted out');
+
+  console.log('\n--- Test: Inbound keywords ---\n');
+
+  const sent = [];
+  const queued = [];
+  twilioService.sendSMS = async (to, body, options = {}) => { sent.push({ to, body, options }); return { sid: 'SM_test' }; };
+  messageQueue.enqueue = async (type, key, payload) => { queued.push(payload); };
+
+  const inbound = async (body, messageSid) => {
+    const res = { status() { return this; }, type() { return this; }, send() { return this; } };
+    await smsController.handleInboundSMS({ body: { From: '+15550003333', Body: body, MessageSid: messageSid, NumMedia: '0' }, headers: {} }, res);
+    return sent[sent.length - 1];
+  };
+
+  let reply = await inbound('Cancel', 'SM_kw_1');
+  assert(reply && /unsubscribed/.test(reply.body) && reply.options.allowOptedOut === true, 'CANCEL gets the same unsubscribe confirmation as STOP');
+  assert(await optOutService.isOptedOut('+15550003333') === true && queued.length === 0, 'CANCEL opts the number out');
+
+  const before = sent.length;
+  reply = await inbound('HELP', 'SM_kw_2');
+  assert(sent.length === before + 1 && /Reply STOP/.test(reply.body) && reply.options.allowOptedOut === true, 'HELP is answered even after opting out');
+
+  await inbound('where to in may?', 'SM_kw_3');
+  assert(sent.length === before + 1 && queued.length === 0, 'Other texts from the opted-out number are ignored');
+
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});
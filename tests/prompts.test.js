@@ -0,0 +1,173 @@
+/**
+ * Tests for the prompt registry: versions, variables, A/B assignment and
+ * per-version attribution
+ *
+ * Run with: node tests/prompts.test.js
+ *
+ * Model calls are answered by the mock LLM provider - no OpenAI, Twilio or
+ * database calls are made.
+ */
+
+const llmProviderService = require('../src/services/llmProviderService');
+const { MockLLMProvider } = llmProviderService;
+const promptRegistry = require('../src/services/promptRegistry');
+const { envName } = promptRegistry;
+const sessionManager = require('../src/services/sessionManager');
+const conversationRouter = require('../src/services/conversationRouter');
+const assistantIntent = require('../src/intents/assistant');
+const db = require('../src/db');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+/**
+ * Whether a function throws
+ * @param {Function} fn - Function to call
+ * @returns {boolean}
+ */
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+const mock = new MockLLMProvider();
+llmProviderService.setProvider(mock);
+
+async function runTests() {
+  console.log('🧪 Testing Prompt Registry\n');
+
+  console.log('\n--- Test: Rendering ---\n');
+
+  const assistant = promptRegistry.render('assistant', { today: '2026-10-19' });
+  assert(assistant.id === 'assistant@v3' && assistant.text.endsWith('Today is 2026-10-19.'), 'Variables are filled in');
+  assert(throws(() => promptRegistry.render('assistant')), 'A missing variable throws');
+  assert(throws(() => promptRegistry.render('nope')), 'An unknown prompt throws');
+  assert(throws(() => promptRegistry.render('concierge', {}, { version: 'v9' })), 'An unknown version throws');
+
+  for (const name of ['concierge', 'recommendations', 'preferenceExtraction']) {
+    const { text } = promptRegistry.render(name);
+    assert(text.length > 500 && !text.includes('{{'), `${name} prompt renders`);
+  }
+  assert(promptRegistry.render('preferenceExtraction').text.includes('{ airline: "United", program: "MileagePlus" }'), 'Single braces are left alone');
+
+  const baseline = promptRegistry.render('assistant', {}, { version: 'v1' }).text;
+  assert(baseline.startsWith('You are Otherwhere, an AI travel concierge helping users plan trips via SMS and voice') &&
+    baseline.includes('"budget_per_night_usd": 200, // Optional max price PER NIGHT') &&
+    baseline.endsWith('[Calls search_accommodations with inferred dates]'), 'The original Assistant prompt is the v1 baseline');
+  const updated = promptRegistry.render('assistant', {}, { version: 'v2' }).text;
+  assert(updated.startsWith('You are Otherwhere, an AI travel concierge that helps users find amazing flight deals') &&
+    updated.endsWith('Only search when you have everything needed!'), 'The updated Assistant prompt is v2');
+
+  console.log('\n--- Test: A/B assignment ---\n');
+
+  assert(envName('preferenceExtraction') === 'PROMPT_PREFERENCE_EXTRACTION', 'Env names are upper snake case');
+
+  promptRegistry.register('greeting', {
+    description: 'Test prompt',
+    defaultVersion: 'v1',
+    versions: { v1: 'Hello {{name}}.', v2: 'Hi {{name}}!' }
+  });
+  const phones = Array.from({ length: 200 }, (_, i) => `+1555010${String(i).padStart(4, '0')}`);
+
+  assert(phones.every(phone => promptRegistry.assign('greeting', phone) === 'v1'), 'Without a split everyone gets the default');
+
+  process.env.PROMPT_GREETING = 'v2';
+  assert(promptRegistry.render('greeting', { name: 'Sam' }, { phoneNumber: phones[0] }).text === 'Hi Sam!', 'A pinned version is served');
+
+  process.env.PROMPT_GREETING = 'v1:50,v2:50';
+  const assigned = phones.map(phone => promptRegistry.assign('greeting', phone));
+  const v2Count = assigned.filter(version => version === 'v2').length;
+  assert(v2Count > 60 && v2Count < 140, `Users are split between variants (${v2Count}/200 on v2)`);
+  assert(phones.every((phone, i) => promptRegistry.assign('greeting', phone) === assigned[i]), 'A user keeps their variant');
+  assert(promptRegistry.assign('greeting', '(555) 010-0000') === assigned[0], 'Assignment ignores phone formatting');
+
+  process.env.PROMPT_GREETING = 'v1:0,v2:100';
+  assert(phones.every(phone => promptRegistry.assign('greeting', phone) === 'v2'), 'A zero weight gets no users');
+
+  process.env.PROMPT_GREETING = 'v1:50,v3:50';
+  assert(promptRegistry.assign('greeting', phones[0]) === 'v1', 'An invalid split falls back to the default');
+  delete process.env.PROMPT_GREETING;
+
+  console.log('\n--- Test: Attribution ---\n');
+
+  const phone = '+15550012345';
+  await promptRegistry.recordTurn(phone, { name: 'greeting', version: 'v1' });
+  await promptRegistry.recordTurn(phone, { name: 'greeting', version: 'v1' });
+  await promptRegistry.recordTurn(phone, null);
+  assert((await promptRegistry.getAttribution(phone)).greeting === 'v1', 'Recorded versions are attributed to the user');
+  assert(Object.keys(await promptRegistry.getAttribution('+15550000000')).length === 0, 'Unknown users have no attribution');
+
+  let report = await promptRegistry.getReport();
+  let greeting = report.find(prompt => prompt.name === 'greeting');
+  assert(greeting.versions[0].users === 1 && greeting.versions[0].turns === 2 && greeting.versions[1].users === 0, 'Report counts users and replies per version');
+  assert(greeting.versions[0].conversionRate === 0 && greeting.versions[1].conversionRate === null, 'Conversion rate is null with no users');
+
+  console.log('\n--- Test: Conversation turns ---\n');
+
+  process.env.PROMPT_ASSISTANT = 'v3';
+  const sent = [];
+  const smsPhone = '+15550054321';
+  const ctx = conversationRouter.createContext({
+    phoneNumber: smsPhone,
+    message: 'Hi there',
+    session: await sessionManager.getSession(smsPhone),
+    channel: 'sms',
+    reply: async text => sent.push(text),
+    record: async text => sessionManager.addMessage(smsPhone, { role: 'user', content: text })
+  });
+  await assistantIntent.handle(ctx);
+
+  const session = await sessionManager.getSession(smsPhone);
+  const reply = session.conversationHistory[session.conversationHistory.length - 1];
+  assert(sent.length === 1 && reply.role === 'assistant' && reply.prompt === 'assistant@v3', 'Replies are tagged with their prompt version');
+  assert(mock.getCalls('tools')[0].request.messages[0].content.startsWith('You are Otherwhere, a travel concierge'), 'The assistant loop uses the registry prompt');
+  assert((await promptRegistry.getAttribution(smsPhone)).assistant === 'v3', 'The turn is recorded for attribution');
+
+  report = await promptRegistry.getReport();
+  const assistantReport = report.find(prompt => prompt.name === 'assistant');
+  assert(assistantReport.versions.find(version => version.version === 'v3').turns === 1, 'Report includes the conversation turn');
+  delete process.env.PROMPT_ASSISTANT;
+
+  console.log('\n--- Test: Turn events ---\n');
+
+  const queries = [];
+  db.isConfigured = true;
+  db.query = async (sql, params) => {
+    queries.push({ sql, params });
+    return { rows: [] };
+  };
+  await promptRegistry.recordTurn('(555) 001-2345', { name: 'assistant', version: 'v3' });
+  await promptRegistry.recordTurn('+15550012345', { name: 'assistant', version: 'v3' });
+  db.isConfigured = false;
+
+  const events = queries.filter(query => query.sql.includes('INSERT INTO event_logs'));
+  const payload = events.length ? JSON.parse(events[0].params[3]) : {};
+  assert(events.length === 2 && events[0].params[0] === 'prompt_turn', 'Every reply writes a prompt_turn event');
+  assert(payload.phoneNumber === '+15550012345' && payload.prompt === 'assistant@v3' && payload.version === 'v3', 'The event carries the user, prompt id and version');
+  assert(queries.filter(query => query.sql.includes('prompt_assignments')).length === 2, 'The per-user count is still kept');
+
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});
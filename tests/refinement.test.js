@@ -0,0 +1,182 @@
+/**
+ * Tests for inline result refinements ("cheaper", "nonstop only", "4+ stars"...)
+ *
+ * Run with: node tests/refinement.test.js
+ *
+ * Filters run against in-memory sessions. Re-searches are stubbed at the
+ * stays service, so no Airbnb / Hotels.com calls are made.
+ */
+
+const refinementService = require('../src/services/refinementService');
+const sessionManager = require('../src/services/sessionManager');
+const staysService = require('../src/services/staysService');
+const { ConversationRouter } = require('../src/services/conversationRouter');
+const refinementIntent = require('../src/intents/refinement');
+const timePreferenceIntent = require('../src/intents/timePreference');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+/**
+ * Build a turn context that records replies instead of sending them
+ */
+function makeContext(router, phoneNumber, message, session) {
+  const sent = [];
+  const ctx = router.createContext({
+    phoneNumber,
+    message,
+    session,
+    channel: 'sms',
+    reply: async (text) => { sent.push(text); },
+    record: async () => {}
+  });
+  return { ctx, sent };
+}
+
+const FLIGHTS = [
+  { airline: 'Delta', priceValue: 420, stops: 1 },
+  { airline: 'United Airlines', priceValue: 380, stops: 0 },
+  { airline: 'JetBlue', priceValue: 310, stops: 1 },
+  { airline: 'United Airlines', priceValue: 520, stops: 0 }
+];
+
+const STAYS = [
+  { name: 'Loft', pricePerNight: 150, rating: '4.9', source: 'airbnb', rawData: { avgRating: 4.9, reviewsCount: 40 } },
+  { name: 'Grand Hotel', pricePerNight: 210, rating: '8.8', starRating: 4, source: 'hotel', rawData: { star: 4 } },
+  { name: 'Studio', pricePerNight: 95, rating: '4.2', source: 'airbnb', rawData: { avgRating: 4.2, reviewsCount: 12 } },
+  { name: 'Budget Inn', pricePerNight: 80, rating: '7.1', starRating: 2, source: 'hotel', rawData: { star: 2 } }
+];
+
+async function runTests() {
+  console.log('🧪 Testing Result Refinements\n');
+
+  console.log('\n--- Test: Parsing ---\n');
+
+  const cases = [
+    ['cheaper', { cheaper: true }],
+    ['nonstop only', { nonstop: true }],
+    ['direct flights please', { nonstop: true }],
+    ['under $400', { maxPrice: 400 }],
+    ['anything below 1,200 dollars?', { maxPrice: 1200 }],
+    ['up to 500', { maxPrice: 500 }],
+    ['under 400, nonstop', { maxPrice: 400, nonstop: true }],
+    ['only United', { airline: 'UA' }],
+    ['Delta only', { airline: 'DL' }],
+    ['4+ stars', { minRating: 4 }],
+    ['at least 4.5 stars', { minRating: 4.5 }],
+    ['closer to downtown', { area: 'downtown' }],
+    ['leave a day later', { dateShift: { leg: 'departure', days: 1 } }],
+    ['come back 2 days earlier', { dateShift: { leg: 'return', days: -2 } }],
+    ['cheaper and nonstop', { cheaper: true, nonstop: true }]
+  ];
+
+  cases.forEach(([message, expected]) => {
+    const result = refinementService.parse(message);
+    assert(JSON.stringify(result) === JSON.stringify(expected), `"${message}" → ${JSON.stringify(expected)} (got ${JSON.stringify(result)})`);
+  });
+
+  ['only the best', 'later', 'what about March?', '2', 'up to 2 stops', 'up to 3 nights', 'under 10 hours', 'no more than 4 people', 'max 2 layovers'].forEach(message => {
+    assert(refinementService.parse(message) === null, `"${message}" is not a refinement`);
+  });
+
+  console.log('\n--- Test: Filters ---\n');
+
+  let filtered = refinementService.filterFlights(FLIGHTS, { nonstop: true, maxPrice: 400 });
+  assert(filtered.length === 1 && filtered[0].priceValue === 380, 'Nonstop under $400 keeps the one matching flight');
+
+  filtered = refinementService.filterFlights(FLIGHTS, { cheaper: true });
+  assert(filtered.map(f => f.priceValue).join(',') === '310,380', 'Cheaper keeps flights below the first option, cheapest first');
+
+  filtered = refinementService.filterFlights(FLIGHTS, { airline: 'UA' });
+  assert(filtered.length === 2 && filtered.every(f => f.airline === 'United Airlines'), 'Airline filter matches by name');
+
+  filtered = refinementService.filterStays(STAYS, { minRating: 4 });
+  assert(filtered.map(s => s.name).join(',') === 'Loft,Grand Hotel,Studio', '4+ stars uses guest rating for rentals and star class for hotels');
+
+  filtered = refinementService.filterStays(STAYS, { maxPrice: 100 });
+  assert(filtered.map(s => s.name).join(',') === 'Studio,Budget Inn', 'Price cap applies to rentals and hotels');
+
+  assert(refinementService.shiftDates('2030-03-10', '2030-03-14', { leg: 'departure', days: 1 }).start === '2030-03-11', 'Departure shifts forward a day');
+  assert(refinementService.shiftDates('2030-03-10', '2030-03-11', { leg: 'departure', days: 1 }) === null, 'Shifting past the return date is rejected');
+
+  console.log('\n--- Test: Refinement intent ---\n');
+
+  const router = new ConversationRouter();
+  router.registerAll([refinementIntent, timePreferenceIntent]);
+
+  const phone = '+15550002222';
+  await sessionManager.updateSession(phone, {
+    lastFlightResults: FLIGHTS,
+    resultsCursor: { type: 'flights', offset: 3 },
+    context: {
+      lastFlightSearch: { origin: 'JFK', destination: 'LAX', startDate: '2030-03-10', endDate: '2030-03-14', results: FLIGHTS }
+    }
+  });
+
+  let session = await sessionManager.getSession(phone);
+  let turn = makeContext(router, phone, 'nonstop only', session);
+  let result = await router.route(turn.ctx);
+  session = await sessionManager.getSession(phone);
+  assert(result.handler === 'refinement', 'Refinement claims "nonstop only"');
+  assert(/Flights: 4 → 2/.test(turn.sent[0]) && /From: \$310 → \$380/.test(turn.sent[0]), 'Reply summarizes what changed');
+  assert(session.lastFlightResults.length === 2 && session.resultsCursor.offset === 2, 'Session keeps the refined set');
+
+  turn = makeContext(router, phone, 'leave a day later', session);
+  result = await router.route(turn.ctx);
+  assert(result.handled === false && /leaving 1 day later/.test(turn.sent[0]), '"leave a day later" is a refinement, not a time preference');
+  assert(/from JFK to LAX on 2030-03-11 returning 2030-03-14/.test(result.message), 'Date shift rewrites the message into a re-search');
+
+  await sessionManager.updateSession(phone, {
+    lastFlightResults: FLIGHTS,
+    lastAccommodationResults: STAYS,
+    lastAccommodationSearch: { destination: 'Austin', checkIn: '2030-03-10', checkOut: '2030-03-14', guests: 2 },
+    resultsCursor: { type: 'stays', offset: 0 }
+  });
+  session = await sessionManager.getSession(phone);
+
+  turn = makeContext(router, phone, 'under $100', session);
+  await router.route(turn.ctx);
+  assert(/Places: 4 → 2/.test(turn.sent[0]) && /1\. Studio/.test(turn.sent[0]), 'Stay filters apply to the active stays results');
+
+  const originalSearch = staysService.searchAccommodations;
+  let searchedFor = null;
+  staysService.searchAccommodations = async (params) => {
+    searchedFor = params;
+    return {
+      properties: [{ name: 'Downtown Suites', pricePerNight: 180, rating: '4.7', source: 'airbnb', rawData: {} }],
+      destinationName: 'Downtown Austin',
+      searchParams: { checkIn: params.checkIn, checkOut: params.checkOut, guests: params.guests }
+    };
+  };
+
+  session = await sessionManager.getSession(phone);
+  turn = makeContext(router, phone, 'closer to downtown', session);
+  result = await router.route(turn.ctx);
+  session = await sessionManager.getSession(phone);
+  staysService.searchAccommodations = originalSearch;
+
+  assert(searchedFor && searchedFor.destination === 'Downtown Austin', 'Area refinement re-searches near downtown');
+  assert(turn.sent.some(text => /Downtown Suites/.test(text)), 'Re-search results are listed');
+  assert(session.lastAccommodationResults[0].name === 'Downtown Suites', 'Session holds the new stays');
+
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,310 @@
+/**
+ * End-to-end SMS flow on the mock LLM provider
+ *
+ * Run with: node tests/smsEndToEnd.test.js
+ *
+ * Texts go through the real Twilio webhook handler, message queue, router,
+ * intents and the assistant's tool loop; every model call is answered by
+ * MockLLMProvider from tests/fixtures/llm/smsFlow.json. Outgoing SMS are
+ * captured, the flight and stay searches are stubbed and the OpenAI client
+ * is made to throw, so nothing leaves the process.
+ */
+
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_MOCK_FIXTURES = path.join(__dirname, 'fixtures/llm/smsFlow.json');
+process.env.SMS_COALESCE_WINDOW_MS = '0';
+delete process.env.OPENAI_API_KEY;
+delete process.env.OPENAI_ASSISTANT_ID;
+
+const llmProviderService = require('../src/services/llmProviderService');
+const { OpenAIProvider, MockLLMProvider } = llmProviderService;
+const twilioService = require('../src/services/twilioService');
+const travelPayoutsService = require('../src/services/travelPayoutsService');
+const staysService = require('../src/services/staysService');
+const sessionManager = require('../src/services/sessionManager');
+const assistantService = require('../src/services/assistantService');
+const realtimeService = require('../src/services/realtimeService');
+const llmService = require('../src/services/llmService');
+const smsController = require('../src/controllers/smsController');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+const sent = [];
+const searches = []; // { type, destination, startedAt, endedAt }
+let messageCount = 0;
+
+/**
+ * Resolve after a delay
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+twilioService.sendSMS = async (to, body) => {
+  sent.push({ to, body });
+  return { sid: `SM_out_${sent.length}` };
+};
+
+travelPayoutsService.searchFlights = async (tripData) => {
+  const search = { type: 'flights', destination: tripData.destination, startedAt: Date.now() };
+  searches.push(search);
+  await sleep(tripData.destination === 'Slowville' ? 300 : 30);
+  search.endedAt = Date.now();
+  return {
+    success: true,
+    flights: [
+      { airline: 'ANA', price: '$2480', priceValue: 2480, transfers: 0, affiliateLink: 'https://book.example/ana' },
+      { airline: 'JAL', price: '$2610', priceValue: 2610, transfers: 1 }
+    ],
+    searchParams: { origin: 'NYC', destination: 'TYO', outboundDate: tripData.startDate, returnDate: tripData.endDate, passengers: 1, cabinClass: 'economy', currency: 'USD' }
+  };
+};
+
+staysService.searchAccommodations = async ({ destination, checkIn, checkOut, guests }) => {
+  const search = { type: 'stays', destination, startedAt: Date.now() };
+  searches.push(search);
+  await sleep(30);
+  search.endedAt = Date.now();
+  return {
+    properties: [{ index: 1, name: 'Machiya by the Kamo', pricePerNight: 180, rating: 4.9, source: 'airbnb' }],
+    destinationName: destination,
+    searchParams: { checkIn, checkOut, guests },
+    searchType: 'Airbnb'
+  };
+};
+
+OpenAIProvider.prototype.getClient = () => {
+  throw new Error('OpenAI must not be called in the mock flow');
+};
+
+/**
+ * Post a text to the inbound SMS webhook
+ * @param {string} from - Sender
+ * @param {string} body - Message text
+ * @returns {Promise<string>} TwiML acknowledgement
+ */
+async function text(from, body) {
+  messageCount++;
+  const res = {
+    body: null,
+    type() { return this; },
+    send(payload) { this.body = payload; return this; }
+  };
+  await smsController.handleInboundSMS({
+    body: { From: from, Body: body, MessageSid: `SM_e2e_${messageCount}`, NumMedia: '0' }
+  }, res);
+  return res.body;
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - () => boolean
+ * @param {number} timeoutMs - Give up after this long
+ */
+async function waitFor(condition, timeoutMs = 3000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) {
+      throw new Error('Timed out waiting for the SMS flow');
+    }
+    await sleep(10);
+  }
+}
+
+/**
+ * Text and wait for the next reply to that number
+ * @param {string} from - Sender
+ * @param {string} body - Message text
+ * @returns {Promise<string>} Reply body
+ */
+async function exchange(from, body) {
+  const before = sent.filter(message => message.to === from).length;
+  await text(from, body);
+  await waitFor(() => sent.filter(message => message.to === from).length > before);
+  return sent.filter(message => message.to === from).slice(before).map(message => message.body).join('\n');
+}
+
+/**
+ * Compare two arrays of plain values
+ */
+function sameList(actual, expected) {
+  return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+async function runTests() {
+  console.log('🧪 Testing the SMS Flow End to End\n');
+
+  console.log('\n--- Test: LLM provider configuration ---\n');
+
+  assert(['chat', 'tools', 'json', 'summarize'].every(capability => llmProviderService.getProvider(capability) instanceof MockLLMProvider), 'LLM_PROVIDER=mock routes every capability to the fixture-driven mock');
+  assert(llmProviderService.getProvider('chat').fixtures.length === 7, 'The fixtures file is loaded');
+  assert(assistantService.isConfigured() && !realtimeService.isConfigured(), 'The SMS assistant runs on the mock; Realtime voice needs OpenAI');
+
+  process.env.LLM_PROVIDER_REALTIME = 'openai';
+  try {
+    assert(llmProviderService.getProvider('realtime') instanceof OpenAIProvider && llmProviderService.getProvider('chat') instanceof MockLLMProvider, 'A capability can be switched back to OpenAI on its own');
+  } finally {
+    delete process.env.LLM_PROVIDER_REALTIME;
+  }
+
+  console.log('\n--- Test: SMS conversation ---\n');
+
+  let phone = '+15550008001';
+  const ack = await text(phone, 'Thinking about Lisbon in May, we fly business');
+  assert(ack.includes('<Response></Response>'), 'The webhook acknowledges with empty TwiML');
+
+  await waitFor(() => sent.some(message => message.to === phone));
+  assert(/Lisbon in May is a great call/.test(sent.find(message => message.to === phone).body), "Free-form texts are answered by the assistant's tool loop");
+
+  let session = await sessionManager.getSession(phone);
+  assert(sameList(session.conversationHistory.map(message => message.role), ['user', 'assistant']) && /jacarandas/.test(session.conversationHistory[1].content), 'The turn is recorded in the history');
+
+  const jsonMock = llmProviderService.getProvider('json');
+  await waitFor(() => jsonMock.getCalls('json').some(call => call.input.includes('we fly business')));
+  const toolsCall = jsonMock.getCalls('tools').find(call => call.input.includes('Lisbon'));
+  assert(toolsCall.request.messages[0].role === 'system' && sameList(toolsCall.request.tools.map(tool => tool.name), ['search_trips', 'search_accommodations']), 'Preferences are extracted from the same text with the JSON capability');
+
+  let reply = await exchange(phone, 'what about the weather there');
+  assert(reply === '(mock) You said: what about the weather there', 'Unscripted texts get the deterministic default reply');
+
+  console.log('\n--- Test: Recommendation flow ---\n');
+
+  phone = '+15550008002';
+  assert(/\?/.test(await exchange(phone, 'where should I go?')), 'Asking for ideas starts with a question');
+  await exchange(phone, 'beach and sunshine');
+  await exchange(phone, 'in May');
+  await exchange(phone, 'mid-range');
+
+  const recos = await exchange(phone, 'with my partner');
+  assert(/1\. Lisbon, Portugal/.test(recos) && /3\. Oaxaca, Mexico/.test(recos), 'Vibe, timing, budget and company lead to scripted recommendations');
+
+  session = await sessionManager.getSession(phone);
+  assert(session.recoMode === 'awaiting_selection' && sameList(session.recoRecommendations.map(reco => reco.destination), ['Lisbon, Portugal', 'Split, Croatia', 'Oaxaca, Mexico']), 'The recommendations wait for a pick');
+
+  reply = await exchange(phone, '2');
+  assert(/Split/.test(reply), 'Picking a recommendation continues the conversation');
+
+  console.log('\n--- Test: Assistant tool loop ---\n');
+
+  phone = '+15550008003';
+  let before = sent.length;
+  await text(phone, 'business class flights to Tokyo in April');
+  await waitFor(() => sent.slice(before).some(message => /Book:/.test(message.body)));
+
+  let bodies = sent.slice(before).filter(message => message.to === phone).map(message => message.body);
+  assert(bodies[0] === 'Looking at Tokyo flights now ✈️' && /ANA nonstop/.test(bodies[1]), 'A search sends the early reply, then the answer');
+  assert(/1\. ANA — \$2480 total/.test(bodies[2]) && /https:\/\/book\.example\/ana/.test(bodies[2]), 'The results follow with booking links');
+
+  session = await sessionManager.getSession(phone);
+  assert(session.lastFlightResults.length === 2 && sameList(session.conversationHistory.map(message => message.role), ['user', 'assistant']), 'Results are kept on the session');
+
+  const secondRound = llmProviderService.getProvider('tools').getCalls('tools')
+    .filter(call => call.input.includes('flights to Tokyo'))[1];
+  const messages = secondRound.request.messages;
+  const toolMessage = messages[messages.length - 1];
+  const output = JSON.parse(toolMessage.content);
+  assert(messages[messages.length - 2].tool_calls[0].function.name === 'search_trips' && toolMessage.role === 'tool', 'The tool result follows the tool call');
+  assert(output.success === true && /Found 2 flights/.test(output.result) && output.flightResults === undefined, 'The model gets the tool summary, not the result set');
+
+  before = sent.length;
+  await text(phone, 'plan the whole trip to Kyoto for two of us');
+  await waitFor(() => sent.slice(before).some(message => /Browse & pick/.test(message.body)));
+
+  const flights = searches.find(search => search.type === 'flights' && search.destination === 'Kyoto');
+  const stays = searches.find(search => search.type === 'stays' && search.destination === 'Kyoto');
+  assert(stays.startedAt < flights.endedAt && flights.startedAt < stays.endedAt, 'Tool calls from one round run in parallel');
+
+  bodies = sent.slice(before).map(message => message.body);
+  assert(bodies[0] === 'On it — searching now...' && bodies.some(body => /moss gardens/.test(body)), 'The trip plan is sent after the searches');
+
+  const stats = assistantService.getStats();
+  assert(stats.turns >= 3 && stats.tokens.prompt >= 1900 && stats.tokens.completion >= 65, 'Each turn records token metrics');
+  assert(stats.toolCalls.total >= 3 && stats.latencyMs.p95 > 0, 'Each turn records tool calls and latency');
+
+  llmProviderService.getProvider('tools').addFixtures([{
+    capability: 'tools',
+    match: 'slowville',
+    times: 1,
+    response: { toolCalls: [{ name: 'search_trips', arguments: { destination: 'Slowville', check_in: '2027-06-01' } }] }
+  }]);
+
+  // Keep hold of the tool loop so the turn that outlives the timeout can be awaited
+  const runToolLoop = assistantService.runToolLoop;
+  let backgroundTurn = null;
+  assistantService.runToolLoop = function (...args) {
+    backgroundTurn = runToolLoop.apply(this, args);
+    return backgroundTurn;
+  };
+
+  try {
+    const slow = await assistantService.respond({
+      phoneNumber: phone,
+      message: 'flights to Slowville',
+      session: await sessionManager.getSession(phone),
+      language: 'fr',
+      timeoutMs: 100
+    });
+    assert(slow.timedOut === true && slow.metrics.timedOut === true && /plus de temps que prévu/.test(slow.text), 'A slow turn gives up with the fallback reply');
+    assert(assistantService.getStats().timeouts === 1, 'The timeout is counted');
+  } finally {
+    assistantService.runToolLoop = runToolLoop;
+  }
+
+  const finished = await backgroundTurn;
+  assert(finished && searches.some(search => search.destination === 'Slowville' && search.endedAt), 'The timed-out turn finishes in the background');
+
+  const threadPhone = '+15550008004';
+  const getThreadMessages = assistantService.getThreadMessages;
+  assistantService.getThreadMessages = async () => [
+    { role: 'user', content: 'Thinking about Lisbon\n\n[CONTEXT: Earlier phone call with this user: ...]', timestamp: 1760000000 },
+    { role: 'assistant', content: 'Lisbon is lovely in spring.', timestamp: 1760000005 }
+  ];
+  try {
+    await sessionManager.updateSession(threadPhone, { threadId: 'thread_legacy' });
+    await exchange(threadPhone, 'and the weather?');
+  } finally {
+    assistantService.getThreadMessages = getThreadMessages;
+  }
+
+  session = await sessionManager.getSession(threadPhone);
+  assert(session.threadId === null && sameList(session.conversationHistory.map(message => message.content), [
+    'Thinking about Lisbon',
+    'Lisbon is lovely in spring.',
+    'and the weather?',
+    '(mock) You said: and the weather?'
+  ]), 'Sessions with an Assistants API thread keep their history');
+
+  console.log('\n--- Test: Summaries ---\n');
+
+  const summary = await llmService.summarizeConversation([
+    { role: 'user', content: 'Lisbon in May' },
+    { role: 'assistant', content: 'Great choice' }
+  ]);
+  assert(summary === '(mock) Lisbon in May', 'Call summaries come from the summarize capability');
+
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});
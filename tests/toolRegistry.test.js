@@ -0,0 +1,166 @@
+/**
+ * Tests for the shared voice tool registry
+ *
+ * Run with: node tests/toolRegistry.test.js
+ *
+ * Exercises the ElevenLabs tool webhook and the OpenAI Realtime function-call
+ * path against the same tools. Uses tools that need no external APIs and a
+ * fake OpenAI socket - no network, Twilio or database calls are made.
+ */
+
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const twilioService = require('../src/services/twilioService');
+const sessionManager = require('../src/services/sessionManager');
+const toolRegistry = require('../src/services/toolRegistry');
+const { ToolRegistry } = require('../src/services/toolRegistry');
+const webhookController = require('../src/controllers/webhookController');
+const realtimeService = require('../src/services/realtimeService');
+const { mapVibeToCategory, mapBudgetToCategory } = require('../src/tools/getRecommendations');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+const sent = [];
+twilioService.sendSMS = async (to, body) => { sent.push({ to, body }); return { sid: 'SM_test' }; };
+
+/**
+ * Minimal Express response that records status and JSON body
+ */
+function makeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+/**
+ * Stand-in for the OpenAI Realtime socket that records what is sent
+ */
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = WebSocket.OPEN;
+    this.sent = [];
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = WebSocket.CLOSED;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runTests() {
+  console.log('🧪 Testing Tool Registry\n');
+
+  console.log('\n--- Test: Registry ---\n');
+
+  const names = toolRegistry.list();
+  ['search_trips', 'search_accommodations', 'get_recommendations', 'select_recommendation', 'set_preferences'].forEach(name => {
+    assert(names.includes(name), `${name} is registered`);
+  });
+
+  const definitions = toolRegistry.getDefinitions();
+  assert(definitions.every(d => d.type === 'function' && d.name && d.parameters.type === 'object'), 'Definitions use the Realtime function format');
+
+  const registry = new ToolRegistry();
+  registry.register({ name: 'boom', execute: async () => { throw new Error('kaboom'); } });
+  let output = await registry.execute('boom', {});
+  assert(output.success === false && output.error === 'kaboom' && output.statusCode === 500, 'Tool errors come back as a failed result');
+  output = await registry.execute('nope', {});
+  assert(output.success === false && !('statusCode' in output) && /Unknown tool: nope/.test(output.result), 'Unknown tools are reported without an HTTP error');
+
+  assert(mapVibeToCategory('slow beach days') === 'beach' && mapBudgetToCategory('splurge') === 'luxury', 'Spoken preferences map to recommendation categories');
+
+  console.log('\n--- Test: ElevenLabs webhook ---\n');
+
+  const phone = '+15550006666';
+  let res = makeResponse();
+  await webhookController.handleElevenLabsToolCall({
+    headers: {},
+    body: {
+      tool_name: 'set_preferences',
+      parameters: { phone_number: phone, preferred_class: 'biz', avoided_airlines: ['spirit'] }
+    }
+  }, res);
+
+  let session = await sessionManager.getSession(phone);
+  assert(res.statusCode === 200 && res.body.success === true, 'set_preferences succeeds over the webhook');
+  assert(session.userPreferences.preferredClass === 'business', 'Cabin class is normalized and saved to the session');
+  assert(session.preferenceHistory.length === 1, 'Voice preference changes can be undone over SMS');
+  assert(!('statusCode' in res.body), 'statusCode is not leaked into the response body');
+
+  res = makeResponse();
+  await webhookController.handleElevenLabsToolCall({ headers: {}, body: { tool_name: 'teleport', parameters: {} } }, res);
+  assert(res.statusCode === 200 && res.body.success === false, 'Unknown tools return 200 with success: false');
+
+  res = makeResponse();
+  await webhookController.handleElevenLabsToolCall({ headers: {}, body: { tool_name: 'search_trips', parameters: { origin: 'JFK' } } }, res);
+  assert(res.statusCode === 200 && res.body.success === false && res.body.error === 'destination is required', 'Missing destination is a failed result, not an HTTP error');
+
+  console.log('\n--- Test: Realtime function calls ---\n');
+
+  const openaiWs = new FakeSocket();
+  const twilioWs = new FakeSocket();
+  realtimeService.setupOpenAIHandlers(openaiWs, twilioWs, 'MZ1', phone, 'CA1');
+
+  openaiWs.emit('open');
+  const sessionUpdate = openaiWs.sent.find(e => e.type === 'session.update');
+  assert(sessionUpdate && sessionUpdate.session.tools.length === definitions.length, 'Realtime session declares the shared tools');
+
+  openaiWs.emit('message', Buffer.from(JSON.stringify({
+    type: 'response.function_call_arguments.done',
+    name: 'select_recommendation',
+    call_id: 'call_1',
+    arguments: JSON.stringify({ destination: 'Lisbon, Portugal' })
+  })));
+
+  for (let i = 0; i < 50 && !openaiWs.sent.some(e => e.type === 'conversation.item.create'); i++) {
+    await sleep(10);
+  }
+
+  const item = openaiWs.sent.find(e => e.type === 'conversation.item.create');
+  const itemIndex = openaiWs.sent.indexOf(item);
+  assert(item && item.item.type === 'function_call_output' && item.item.call_id === 'call_1', 'Output is returned as a function_call_output item');
+  assert(item && JSON.parse(item.item.output).destination === 'Lisbon, Portugal', 'Output carries the tool result');
+  assert(openaiWs.sent.slice(itemIndex + 1).some(e => e.type === 'response.create'), 'Model is asked to respond to the output');
+
+  session = await sessionManager.getSession(phone);
+  assert(session.tripDetails.destination === 'Lisbon, Portugal', 'Realtime callers share the session with SMS');
+
+  output = await realtimeService.handleFunctionCall(openaiWs, { name: 'set_preferences', call_id: 'call_2', arguments: '{not json' }, phone, 'CA1');
+  assert(output.success === false, 'Malformed arguments get a failed output instead of silence');
+
+  openaiWs.close();
+  const before = openaiWs.sent.length;
+  await realtimeService.handleFunctionCall(openaiWs, { name: 'set_preferences', call_id: 'call_3', arguments: '{"max_stops":0}' }, phone, 'CA1');
+  assert(openaiWs.sent.length === before, 'Nothing is sent after the socket closes');
+
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});
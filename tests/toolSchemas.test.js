@@ -0,0 +1,197 @@
+/**
+ * Tests for voice tool schemas and the ElevenLabs tool-call contract
+ *
+ * Run with: node tests/toolSchemas.test.js
+ *
+ * Validates tool arguments against their JSON schemas over the ElevenLabs
+ * webhook and the Realtime function-call path, and checks the exported
+ * ElevenLabs tool configs match the schemas. Invalid calls are rejected
+ * before any tool runs - no network, Twilio or database calls are made.
+ */
+
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const sessionManager = require('../src/services/sessionManager');
+const toolRegistry = require('../src/services/toolRegistry');
+const webhookController = require('../src/controllers/webhookController');
+const { readToolCall } = require('../src/controllers/webhookController');
+const realtimeService = require('../src/services/realtimeService');
+const { validate } = require('../src/utils/jsonSchema');
+const tools = require('../src/tools');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+/**
+ * Minimal Express response that records status and JSON body
+ */
+function makeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+/**
+ * Post a tool call to the ElevenLabs webhook
+ */
+async function toolCall(body) {
+  const res = makeResponse();
+  await webhookController.handleElevenLabsToolCall({ headers: {}, body }, res);
+  return res;
+}
+
+/**
+ * Stand-in for the OpenAI Realtime socket that records what is sent
+ */
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = WebSocket.OPEN;
+    this.sent = [];
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = WebSocket.CLOSED;
+  }
+}
+
+async function runTests() {
+  console.log('🧪 Testing Tool Schemas\n');
+
+  console.log('\n--- Test: Validator ---\n');
+
+  const schema = {
+    type: 'object',
+    properties: {
+      when: { type: 'string', format: 'date', title: 'travel date' },
+      people: { type: 'integer', minimum: 1 },
+      airlines: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['when']
+  };
+  let check = validate(schema, { when: '2030-03-15', people: '2', airlines: 'Delta' });
+  assert(check.valid && check.value.people === 2 && check.value.airlines[0] === 'Delta', 'Loosely typed values are coerced');
+  check = validate(schema, { when: '', people: '' });
+  assert(!check.valid && check.errors[0].code === 'required' && check.errors[0].label === 'travel date' && !('people' in check.value), 'Empty values count as missing');
+  check = validate(schema, { when: '2030-02-30', people: 0 });
+  assert(check.errors.map(e => e.code).join() === 'format,range', 'Impossible dates and out-of-range numbers are rejected');
+
+  tools.forEach(tool => {
+    const { properties = {}, required = [] } = tool.parameters;
+    assert(required.every(field => properties[field]), `${tool.name} only requires fields it declares`);
+  });
+
+  console.log('\n--- Test: ElevenLabs webhook ---\n');
+
+  let res = await toolCall({ tool_name: 'search_trips', parameters: { destination: 'Lisbon', origin: 'JFK' } });
+  assert(res.statusCode === 200 && res.body.success === false && res.body.error === 'check_in is required', 'Missing departure date is rejected before searching');
+  assert(/^Missing departure date\. Ask the caller for it/.test(res.body.result), 'The agent is told what to ask for');
+  assert(res.body.errors.length === 1 && res.body.errors[0].field === 'check_in' && res.body.errors[0].code === 'required', 'Errors are listed by field');
+
+  res = await toolCall({ tool_name: 'search_trips', parameters: { origin: 'JFK' } });
+  assert(/^Missing destination and departure date\. Ask the caller for them/.test(res.body.result) && res.body.errors.length === 2, 'Several missing fields are reported together');
+
+  res = await toolCall({ tool_name: 'search_trips', parameters: { destination: 'Lisbon', check_in: 'March 15th', travelers: 'two' } });
+  assert(res.statusCode === 200 && res.body.errors.map(e => e.code).join() === 'format,type', 'Badly formatted arguments are rejected');
+  assert(/check_in must be a date in YYYY-MM-DD format/.test(res.body.result), 'The agent is told how to fix the arguments');
+
+  const phone = '+15550005555';
+  res = await toolCall({
+    tool_name: 'set_preferences',
+    conversation_id: 'conv_1',
+    parameters: { phone_number: phone, preferred_class: 'coach', max_stops: '1', preferred_airports: 'jfk' }
+  });
+  const session = await sessionManager.getSession(phone);
+  assert(res.statusCode === 200 && session.userPreferences.preferredClass === 'economy' && session.userPreferences.maxStops === 1, 'Valid calls run with normalized arguments');
+  assert(session.userPreferences.preferredAirports[0] === 'JFK', 'A single value is accepted for a list');
+
+  res = await toolCall({ tool_name: 'set_preferences', parameters: { preferred_class: 'spaceship' } });
+  assert(res.statusCode === 200 && res.body.errors[0].code === 'enum', 'Values outside an enum are rejected');
+
+  res = await toolCall({ tool_name: 'set_preferences', parameters: ['economy'] });
+  assert(res.statusCode === 200 && res.body.error === 'parameters must be an object', 'Non-object parameters are rejected');
+
+  console.log('\n--- Test: Payload contract ---\n');
+
+  let call = readToolCall({ tool_name: 'set_preferences', conversation_id: 'conv_2', parameters: { phone_number: phone, max_stops: 0 } });
+  assert(call.toolName === 'set_preferences' && call.conversationId === 'conv_2' && call.phoneNumber === phone, 'The documented payload is read');
+
+  call = readToolCall({ function_name: 'set_preferences', max_stops: 0, metadata: { from: phone } });
+  assert(call.toolName === 'set_preferences' && call.parameters.max_stops === 0 && !('metadata' in call.parameters) && call.phoneNumber === phone, 'Older payloads are still accepted');
+
+  call = readToolCall({ object: 'Lisbon', check_in: '2030-03-15' });
+  const normalized = toolRegistry.validate(call.toolName, call.parameters);
+  assert(call.toolName === 'search_trips' && normalized.valid && normalized.value.destination === 'Lisbon', 'Bare search arguments map to search_trips');
+
+  assert(readToolCall({ parameters: {} }).error === 'tool_name is required', 'A tool name is required');
+
+  console.log('\n--- Test: Realtime function calls ---\n');
+
+  const openaiWs = new FakeSocket();
+  const output = await realtimeService.handleFunctionCall(openaiWs, { name: 'get_recommendations', call_id: 'call_1', arguments: '{"travelers": 2}' }, phone, 'CA1');
+  const item = openaiWs.sent.find(e => e.type === 'conversation.item.create');
+  assert(output.success === false && output.errors[0].field === 'vibe', 'Realtime calls are validated too');
+  assert(item && /Missing kind of trip/.test(JSON.parse(item.item.output).result) && !('statusCode' in JSON.parse(item.item.output)), 'The model gets the structured error');
+
+  console.log('\n--- Test: ElevenLabs tool configs ---\n');
+
+  const configs = toolRegistry.getElevenLabsToolConfigs({ webhookUrl: 'https://api.otherwhere.test/webhook/elevenlabs/tool-call' });
+  assert(configs.length === toolRegistry.list().length && configs.every(c => c.type === 'webhook' && c.api_schema.url.endsWith('/webhook/elevenlabs/tool-call')), 'Every registered tool is exported as a webhook tool');
+
+  configs.forEach(config => {
+    const tool = toolRegistry.get(config.name);
+    const body = config.api_schema.request_body_schema;
+    const args = body.properties.parameters;
+    const declared = Object.keys(tool.parameters.properties);
+
+    assert(
+      body.properties.tool_name.constant_value === tool.name &&
+      declared.every(key => args.properties[key]) &&
+      JSON.stringify(args.required || []) === JSON.stringify(tool.parameters.required || []),
+      `${tool.name} config matches its schema`
+    );
+  });
+
+  const leaves = [];
+  const walk = (node) => {
+    leaves.push(node);
+    Object.values(node.properties || {}).forEach(walk);
+    if (node.items) walk(node.items);
+  };
+  configs.forEach(config => walk(config.api_schema.request_body_schema));
+  assert(leaves.every(n => n.description || n.dynamic_variable || n.constant_value !== undefined), 'Every exported property has a description or a fixed value');
+  assert(leaves.every(n => n.type !== 'integer' && !('format' in n) && !('minimum' in n) && !('title' in n)), 'Validation-only keywords are not exported');
+  assert(configs[0].api_schema.request_body_schema.properties.parameters.properties.phone_number.dynamic_variable === 'system__caller_id', 'The caller ID is filled in by ElevenLabs');
+
+  const exported = configs.find(c => c.name === 'search_trips').api_schema.request_body_schema;
+  call = readToolCall({ tool_name: exported.properties.tool_name.constant_value, conversation_id: 'conv_3', parameters: { destination: 'Lisbon', check_in: '2030-03-15', phone_number: phone } });
+  assert(toolRegistry.validate(call.toolName, call.parameters).valid && call.phoneNumber === phone, 'A payload shaped by the exported config passes validation');
+
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});
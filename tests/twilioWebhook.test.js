@@ -0,0 +1,138 @@
+/**
+ * Tests for inbound Twilio webhook checks and media downloads
+ *
+ * Run with: node tests/twilioWebhook.test.js
+ *
+ * Requests are signed with a test auth token; axios is stubbed to record
+ * what would be fetched, so nothing leaves the process.
+ */
+
+process.env.TWILIO_AUTH_TOKEN = 'test-auth-token';
+process.env.BACKEND_WEBHOOK_URL = 'https://otherwhere.test';
+
+const axios = require('axios');
+const twilio = require('twilio');
+const twilioService = require('../src/services/twilioService');
+const messageQueue = require('../src/services/messageQueue');
+const smsController = require('../src/controllers/smsController');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+const queued = [];
+messageQueue.enqueue = async (type, key, payload) => { queued.push(payload); };
+twilioService.sendSMS = async () => ({ sid: 'SM_test' });
+
+/**
+ * Post to an inbound webhook, optionally signed
+ */
+async function post(path, body, signature) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    type() { return this; },
+    send(payload) { this.body = payload; return this; }
+  };
+  const req = { body, headers: signature ? { 'x-twilio-signature': signature } : {}, originalUrl: path, protocol: 'http' };
+  await (path === '/whatsapp/inbound' ? smsController.handleInboundWhatsApp(req, res) : smsController.handleInboundSMS(req, res));
+  return res;
+}
+
+/**
+ * Signature Twilio would send for a webhook body
+ */
+function sign(path, body) {
+  return twilio.getExpectedTwilioSignature(process.env.TWILIO_AUTH_TOKEN, `${process.env.BACKEND_WEBHOOK_URL}${path}`, body);
+}
+
+const requests = [];
+let responses = [];
+axios.get = async (url, options) => {
+  requests.push({ url, options });
+  const response = responses.shift();
+  if (response instanceof Error) throw response;
+  return response;
+};
+
+/**
+ * Fetch media and return the error message, if any
+ */
+async function fetchError(url) {
+  try {
+    await twilioService.fetchMedia(url);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+async function runTests() {
+  console.log('🧪 Testing Twilio Webhooks\n');
+
+  console.log('\n--- Test: Signatures ---\n');
+
+  const body = { From: '+15550003333', Body: 'hello', MessageSid: 'SM_sig_1', NumMedia: '0' };
+  let res = await post('/sms/inbound', body);
+  assert(res.statusCode === 403 && queued.length === 0, 'Unsigned texts are rejected');
+
+  res = await post('/sms/inbound', body, sign('/sms/inbound', { ...body, Body: 'something else' }));
+  assert(res.statusCode === 403 && queued.length === 0, 'A signature for another body is rejected');
+
+  res = await post('/sms/inbound', body, sign('/sms/inbound', body));
+  assert(res.statusCode === 200 && queued.length === 1, 'Signed texts are queued');
+
+  const whatsapp = { ...body, From: 'whatsapp:+15550003333', MessageSid: 'SM_sig_2' };
+  res = await post('/whatsapp/inbound', whatsapp);
+  assert(res.statusCode === 403 && queued.length === 1, 'Unsigned WhatsApp messages are rejected');
+  res = await post('/whatsapp/inbound', whatsapp, sign('/whatsapp/inbound', whatsapp));
+  assert(res.statusCode === 200 && queued.length === 2, 'Signed WhatsApp messages are queued');
+
+  console.log('\n--- Test: Media downloads ---\n');
+
+  const mediaUrl = 'https://api.twilio.com/2010-04-01/Accounts/AC1/Messages/MM1/Media/ME1';
+  assert(/outside api\.twilio\.com/.test(await fetchError('http://169.254.169.254/latest/meta-data/')), 'Internal URLs are not fetched');
+  assert(/outside/.test(await fetchError('https://attacker.example/collect')) && /outside/.test(await fetchError('http://api.twilio.com/media/ME1')), 'Only https://api.twilio.com media is fetched');
+  assert(/outside/.test(await fetchError('https://api.twilio.com.attacker.example/ME1')), 'Look-alike hosts are refused');
+  assert(requests.length === 0, 'Nothing was requested for refused URLs');
+
+  responses = [
+    { status: 307, headers: { location: 'https://media.twiliocdn.example/ME1.jpg' }, data: '' },
+    { status: 200, headers: { 'content-type': 'image/jpeg; charset=binary' }, data: Buffer.from('jpeg') }
+  ];
+  const media = await twilioService.fetchMedia(mediaUrl);
+  assert(media.contentType === 'image/jpeg' && media.buffer.toString() === 'jpeg', 'Images are downloaded through the CDN redirect');
+  assert(requests[0].url === mediaUrl && requests[1].url === 'https://media.twiliocdn.example/ME1.jpg', 'Redirects are followed by hand');
+  assert(requests.every(request => request.options.maxRedirects === 0 && request.options.maxContentLength > 0), 'Every request has redirects off and a size limit');
+  assert(requests[1].options.auth === undefined, 'Credentials are not sent to the redirect target');
+
+  responses = [{ status: 302, headers: { location: 'http://10.0.0.5/internal' }, data: '' }];
+  assert(/redirect .* refused/.test(await fetchError(mediaUrl)), 'Redirects off https are refused');
+
+  responses = [{ status: 200, headers: { 'content-type': 'text/html' }, data: Buffer.from('<html>') }];
+  assert(/not an image/.test(await fetchError(mediaUrl)), 'Non-image content is rejected');
+
+  responses = Array.from({ length: 7 }, () => ({ status: 302, headers: { location: mediaUrl }, data: '' }));
+  assert(/more than 5 times/.test(await fetchError(mediaUrl)), 'Redirect loops give up');
+
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});
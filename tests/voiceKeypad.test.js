@@ -0,0 +1,138 @@
+/**
+ * Tests for keypad (DTMF) fallbacks in the <Gather> voice flow
+ *
+ * Run with: node tests/voiceKeypad.test.js
+ *
+ * Covers MMDD dates, airport codes spelled on the keypad, the menus offered
+ * after each reply and keys pressed through voiceController - Twilio is
+ * stubbed, so no calls, SMS or OpenAI requests are made.
+ */
+
+const twilioService = require('../src/services/twilioService');
+const sessionManager = require('../src/services/sessionManager');
+const voiceMenuService = require('../src/services/voiceMenuService');
+const airportResolverService = require('../src/services/airportResolverService');
+const voiceController = require('../src/controllers/voiceController');
+const { lettersToKeys, matchAirportCode, parseKeypadDate } = require('../src/utils/keypad');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+const sent = [];
+twilioService.sendSMS = async (to, body) => { sent.push({ to, body }); return { sid: 'SM_test' }; };
+twilioService.sendLongSMS = async (to, body) => { sent.push({ to, body }); return [{ sid: 'SM_test' }]; };
+
+/**
+ * Post a <Gather> result to voiceController and return the TwiML
+ */
+async function gather(from, body) {
+  const res = {
+    body: '',
+    type() { return this; },
+    send(twiml) { this.body = twiml; return this; }
+  };
+  await voiceController.processSpeech({ body: { From: from, CallSid: 'CA_keys', ...body } }, res);
+  return res.body;
+}
+
+const flights = ['United Airlines', 'Delta', 'JetBlue', 'Various'].map((airline, idx) => ({
+  airline,
+  priceValue: 300 + idx * 50,
+  stops: idx % 2
+}));
+
+async function runTests() {
+  console.log('🧪 Testing Voice Keypad Input\n');
+
+  console.log('\n--- Test: Reading keys ---\n');
+
+  const now = new Date('2026-10-19T20:00:00Z');
+  assert(lettersToKeys('JFK') === '535' && lettersToKeys('lis') === '547', 'Letters map to keypad keys');
+  assert(parseKeypadDate('1225', { now }) === '2026-12-25', 'MMDD later this year stays this year');
+  assert(parseKeypadDate('0315', { now }) === '2027-03-15', 'MMDD already past means next year');
+  assert(parseKeypadDate('1019', { now }) === '2026-10-19', 'Today is today');
+  assert(parseKeypadDate('1340', { now }) === null && parseKeypadDate('0231', { now }) === null && parseKeypadDate('315', { now }) === null, 'Impossible dates are rejected');
+
+  const airports = airportResolverService.listAirports();
+  assert(matchAirportCode('535', airports).map(a => a.code).join() === 'JFK', 'A unique code is found');
+  assert(matchAirportCode('547#', airports).map(a => a.code).sort().join() === 'LHR,LIS', 'Colliding codes are all returned');
+  assert(matchAirportCode('101', airports).length === 0, 'Keys without letters match nothing');
+
+  console.log('\n--- Test: Menus ---\n');
+
+  const withResults = { lastFlightResults: flights, resultsCursor: { type: 'flights', offset: 3 } };
+  assert(voiceMenuService.buildMenu(withResults, 'Here are 3 flights.')?.count === 3, 'Results on offer get an options menu');
+  assert(voiceMenuService.buildMenu({ recoMode: 'awaiting_selection', recoRecommendations: [{}, {}, {}] }, 'Which one calls to you?').type === 'options', 'Recommendations get an options menu');
+  assert(voiceMenuService.buildMenu({}, 'Great choice! When are you thinking of going?').type === 'date', 'Date questions get a date menu');
+  assert(voiceMenuService.buildMenu(withResults, 'Sure. Which airport are you flying from?').type === 'airport', 'Airport questions get an airport menu');
+  assert(voiceMenuService.buildMenu({}, 'I found a nice hotel. Should I book it?').type === 'confirm', 'Yes/no questions get a confirm menu');
+  assert(voiceMenuService.buildMenu({}, 'Would you like Lisbon or Porto?') === null, 'Either/or questions are left to speech');
+
+  assert(voiceMenuService.interpretDigits('1', { type: 'confirm' }).message === 'yes' && voiceMenuService.interpretDigits('2', { type: 'confirm' }).message === 'no', '1/2 answer yes/no');
+  assert(voiceMenuService.interpretDigits('0315#', { type: 'date' }, { now }).message === 'March 15, 2027', 'Keyed dates are read back as text');
+  assert(voiceMenuService.interpretDigits('535#', { type: 'airport' }).message === 'JFK', 'Keyed airport codes are read back as the code');
+  assert(voiceMenuService.interpretDigits('0', { type: 'date' }).handoff === true, '0 hands off from any menu');
+
+  console.log('\n--- Test: Keys on a call ---\n');
+
+  const phone = '+15550007777';
+  await sessionManager.updateSession(phone, {
+    ...withResults,
+    context: { currentCallSid: 'CA_keys', voiceMode: 'gather', voiceMenu: { type: 'options', count: 3 } }
+  });
+
+  let twiml = await gather(phone, { Digits: '2' });
+  let session = await sessionManager.getSession(phone);
+  assert(session.selectedFlight?.optionNumber === 2 && twiml.includes('Delta'), 'Pressing 2 picks the second option');
+  assert(twiml.includes('input="dtmf speech"') && twiml.includes('numDigits="1"') && /Press 1 to 3/.test(twiml), 'The reply offers the keypad menu again');
+  assert((twiml.match(/<Say/g) || []).length === 1, 'The reply is spoken once, inside the Gather');
+  assert(session.context.lastVoiceInput.method === 'dtmf' && session.context.lastVoiceInput.digits === '2' && session.context.lastVoiceInput.menu === 'options', 'Keypad input is recorded on the session');
+
+  twiml = await gather(phone, { Digits: '7' });
+  session = await sessionManager.getSession(phone);
+  assert(/press a number from 1 to 3/.test(twiml) && session.selectedFlight.optionNumber === 2, 'Out-of-range keys are asked again');
+
+  twiml = await gather(phone, { SpeechResult: '3', Confidence: '0.91' });
+  session = await sessionManager.getSession(phone);
+  assert(session.selectedFlight.optionNumber === 3 && session.context.lastVoiceInput.method === 'speech', 'Speech still works on the same menu');
+  assert(session.context.voiceInputCounts.dtmf === 2 && session.context.voiceInputCounts.speech === 1, 'Input methods are counted per session');
+
+  await sessionManager.updateSession(phone, { context: { ...session.context, voiceMenu: { type: 'airport' } } });
+  twiml = await gather(phone, { Digits: '547#' });
+  session = await sessionManager.getSession(phone);
+  assert(/Press 1 for LHR, London\. Press 2 for LIS, Lisbon\./.test(twiml) && session.context.voiceMenu.type === 'airportChoice', 'Ambiguous airport keys are narrowed down with a menu');
+
+  console.log('\n--- Test: Press 0 for SMS ---\n');
+
+  twiml = await gather(phone, { Digits: '0' });
+  session = await sessionManager.getSession(phone);
+  assert(twiml.includes('<Hangup') && /texted you/.test(twiml), 'Pressing 0 ends the call with a handoff message');
+  assert(sent.length === 1 && sent[0].to === phone && /Recap of our call/.test(sent[0].body), 'The call is sent by text');
+  assert(session.voiceRecap.callKey === 'CA_keys' && session.context.voiceMenu === null, 'The handoff is recorded on the session');
+
+  await voiceController.handleStatusCallback({
+    body: { From: phone, CallSid: 'CA_keys', CallStatus: 'completed', CallDuration: '95' }
+  }, { sendStatus() { return this; } });
+  assert(sent.length === 1, 'No second recap when the call ends');
+
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,175 @@
+/**
+ * Tests for the post-call SMS recap
+ *
+ * Run with: node tests/voiceRecap.test.js
+ *
+ * Ends calls through the Twilio status callback (<Gather> / Realtime) and the
+ * ElevenLabs conversation.ended webhook with sendSMS stubbed - no Twilio,
+ * OpenAI or database calls are made.
+ */
+
+const twilioService = require('../src/services/twilioService');
+const sessionManager = require('../src/services/sessionManager');
+const voiceRecapService = require('../src/services/voiceRecapService');
+const voiceController = require('../src/controllers/voiceController');
+const webhookController = require('../src/controllers/webhookController');
+const { ConversationRouter } = require('../src/services/conversationRouter');
+const resultSelectionIntent = require('../src/intents/resultSelection');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+const sent = [];
+twilioService.sendSMS = async (to, body) => { sent.push({ to, body }); return { sid: 'SM_test' }; };
+
+/**
+ * Minimal Express response for webhook handlers
+ */
+function makeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    sendStatus(code) { this.statusCode = code; return this; }
+  };
+}
+
+/**
+ * Deliver a Twilio call status callback
+ */
+async function statusCallback(from, callSid, status, duration) {
+  await voiceController.handleStatusCallback({
+    body: { From: from, CallSid: callSid, CallStatus: status, CallDuration: String(duration) }
+  }, makeResponse());
+}
+
+const flights = ['United Airlines', 'Delta', 'JetBlue', 'Various'].map((airline, idx) => ({
+  airline,
+  priceValue: 300 + idx * 50,
+  stops: idx % 2
+}));
+
+async function runTests() {
+  console.log('🧪 Testing Voice Recap\n');
+
+  console.log('\n--- Test: Building the recap ---\n');
+
+  let recap = voiceRecapService.buildRecap({
+    lastFlightResults: flights,
+    resultsCursor: { type: 'flights', offset: 3 },
+    context: {
+      lastFlightSearch: { origin: 'JFK', destination: 'LAX', startDate: '2030-12-01', endDate: '2030-12-08', passengers: 2 }
+    }
+  });
+  assert(recap.destination === 'LAX' && recap.origin === 'JFK' && recap.travelers === 2, 'Trip details come from the last search');
+  assert(recap.optionsType === 'flights' && recap.options.length === 3, 'Only the options the caller heard are listed');
+  assert(/united\.com/.test(recap.options[0].url) && /delta\.com/.test(recap.options[1].url), 'Options carry deeplinks');
+  assert(recap.openQuestions.length === 0, 'Nothing is open when the search was complete');
+
+  let text = voiceRecapService.formatRecap(recap);
+  assert(text.includes('Trip: JFK → LAX') && text.includes('Travelers: 2'), 'Recap lists trip and travelers');
+  assert(text.includes('2. Delta $350 (1 stop)') && text.includes('"book option 2"'), 'Recap numbers the options and says how to pick one');
+
+  recap = voiceRecapService.buildRecap({}, { destination: 'Lisbon' });
+  text = voiceRecapService.formatRecap(recap);
+  assert(recap.options.length === 0 && recap.openQuestions.length === 3, 'Missing origin, dates and travelers are open questions');
+  assert(text.includes('Still open:') && text.includes('What dates work for you?'), 'Open questions are in the text');
+
+  text = voiceRecapService.formatRecap(voiceRecapService.buildRecap({}, {}));
+  assert(text.startsWith('We noticed you called Otherwhere!'), 'Calls that captured nothing get the plain follow-up');
+
+  console.log('\n--- Test: <Gather> call ends ---\n');
+
+  const phone = '+15550008888';
+  await sessionManager.updateSession(phone, {
+    lastFlightResults: flights,
+    resultsCursor: { type: 'flights', offset: 3 },
+    selectedFlight: { airline: 'Old pick' },
+    context: {
+      currentCallSid: 'CA_gather',
+      voiceMode: 'gather',
+      lastFlightSearch: { origin: 'JFK', destination: 'LAX', startDate: '2030-12-01', endDate: '2030-12-08', passengers: 1 }
+    }
+  });
+
+  await statusCallback(phone, 'CA_gather', 'completed', 95);
+  let count = sent.length;
+  assert(count > 0 && sent[0].to === phone && sent[0].body.includes('📋 Recap of our call'), 'Recap is texted when the call completes');
+
+  let session = await sessionManager.getSession(phone);
+  assert(session.voiceRecap && session.voiceRecap.callKey === 'CA_gather' && session.voiceRecap.source === 'gather', 'Recap is recorded on the session');
+  assert(session.resultsCursor.offset === 3 && session.selectedFlight === null, 'Session is primed with the recap numbering');
+
+  await voiceRecapService.sendRecap(phone, {}, { callKey: 'CA_gather' });
+  assert(sent.length === count, 'A call gets one recap');
+
+  console.log('\n--- Test: "book option 2" over SMS ---\n');
+
+  const router = new ConversationRouter();
+  router.register(resultSelectionIntent);
+  const replies = [];
+  const result = await router.route(router.createContext({
+    phoneNumber: phone,
+    message: 'book option 2',
+    session,
+    channel: 'sms',
+    reply: async (reply) => { replies.push(reply); },
+    record: async () => {}
+  }));
+  session = await sessionManager.getSession(phone);
+  assert(result.handler === 'resultSelection' && replies[0].startsWith('✈️ Option 2: Delta'), '"book option 2" resolves to the second option from the call');
+  assert(session.selectedFlight && session.selectedFlight.optionNumber === 2, 'Selected flight is saved');
+
+  console.log('\n--- Test: Short and ElevenLabs calls ---\n');
+
+  const dropped = '+15550008889';
+  await sessionManager.updateSession(dropped, { context: { currentCallSid: 'CA_dropped', voiceMode: 'realtime' } });
+  await statusCallback(dropped, 'CA_dropped', 'completed', 4);
+  assert(sent.length === count + 1 && /got disconnected/.test(sent[count].body), 'Dropped calls get the reconnect text, not a recap');
+  count = sent.length;
+
+  const eleven = '+15550008890';
+  await sessionManager.updateSession(eleven, { context: { currentCallSid: 'CA_eleven', voiceMode: 'elevenlabs' } });
+  await statusCallback(eleven, 'CA_eleven', 'completed', 120);
+  assert(sent.length === count, 'ElevenLabs calls leave the recap to the conversation webhook');
+
+  console.log('\n--- Test: ElevenLabs conversation ends ---\n');
+
+  const res = makeResponse();
+  await webhookController.handleElevenLabsWebhook({
+    headers: {},
+    body: {
+      event_type: 'conversation.ended',
+      conversation_id: 'conv_123',
+      metadata: { from: eleven, tripData: { destination: 'Lisbon', origin: 'JFK', travelers: 2 } }
+    }
+  }, res);
+
+  const recapText = sent.slice(count).map(sms => sms.body).join(' ');
+  assert(sent.length > count && sent.slice(count).every(sms => sms.to === eleven), 'ElevenLabs handoff texts the recap');
+  assert(recapText.includes('Trip: JFK → Lisbon') && recapText.includes('What dates work for you?'), 'Recap has what was captured and what is still open');
+  session = await sessionManager.getSession(eleven);
+  assert(session.voiceRecap && session.voiceRecap.source === 'elevenlabs', 'ElevenLabs recap is recorded on the session');
+
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});
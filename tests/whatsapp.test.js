@@ -0,0 +1,122 @@
+/**
+ * Tests for the WhatsApp channel
+ *
+ * Run with: node tests/whatsapp.test.js
+ *
+ * Captures queued jobs and outgoing messages - no Twilio or database calls
+ * are made. Turns use SMS commands so the LLM is never reached.
+ */
+
+const twilioService = require('../src/services/twilioService');
+const sessionManager = require('../src/services/sessionManager');
+const messageQueue = require('../src/services/messageQueue');
+const smsController = require('../src/controllers/smsController');
+
+const { CHANNEL_MESSAGE_LIMITS } = twilioService;
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ PASS: ${message}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${message}`);
+    failed++;
+  }
+}
+
+const sent = [];
+twilioService.sendSMS = async (to, body) => { sent.push({ to, body }); return { sid: 'SM_test' }; };
+
+const queued = [];
+messageQueue.enqueue = async (type, key, payload) => { queued.push({ type, key, payload }); };
+
+/**
+ * Minimal Express response that records what was sent
+ */
+function makeResponse() {
+  return {
+    body: null,
+    type() { return this; },
+    send(body) { this.body = body; return this; }
+  };
+}
+
+async function runTests() {
+  console.log('🧪 Testing WhatsApp Channel\n');
+
+  console.log('\n--- Test: Addresses ---\n');
+
+  assert(twilioService.getChannel('whatsapp:+15550005555') === 'whatsapp', 'whatsapp: addresses are WhatsApp');
+  assert(twilioService.getChannel('+15550005555') === 'sms', 'Bare numbers are SMS');
+  assert(twilioService.toAddress('+15550005555', 'whatsapp') === 'whatsapp:+15550005555', 'Phone → WhatsApp address');
+  assert(twilioService.toAddress('whatsapp:+15550005555', 'sms') === '+15550005555', 'WhatsApp address → SMS number');
+  assert(twilioService.toAddress('whatsapp:+15550005555', 'whatsapp') === 'whatsapp:+15550005555', 'Prefix is not doubled');
+
+  console.log('\n--- Test: Message limits ---\n');
+
+  const longText = Array.from({ length: 60 }, (_, i) => `Option ${i + 1}: a perfectly fine flight.`).join(' ');
+  const smsChunks = twilioService.splitMessage(longText, 'sms');
+  const whatsappChunks = twilioService.splitMessage(longText, 'whatsapp');
+  assert(smsChunks.every(c => c.length <= CHANNEL_MESSAGE_LIMITS.sms), `SMS chunks stay within ${CHANNEL_MESSAGE_LIMITS.sms} chars`);
+  assert(whatsappChunks.every(c => c.length <= CHANNEL_MESSAGE_LIMITS.whatsapp), `WhatsApp chunks stay within ${CHANNEL_MESSAGE_LIMITS.whatsapp} chars`);
+  assert(whatsappChunks.length < smsChunks.length, `WhatsApp needs fewer messages (${whatsappChunks.length} vs ${smsChunks.length})`);
+  assert(twilioService.splitMessage(longText, 320).length === smsChunks.length, 'Numeric chunk sizes still work');
+
+  sent.length = 0;
+  await twilioService.sendLongSMS('whatsapp:+15550005555', longText.slice(0, 1200));
+  assert(sent.length === 1 && !sent[0].body.startsWith('(1/'), 'sendLongSMS uses the WhatsApp limit for whatsapp: addresses');
+
+  sent.length = 0;
+  await twilioService.sendLongSMS('+15550005555', longText.slice(0, 1200));
+  assert(sent.length > 1 && sent[0].body.startsWith('(1/'), 'sendLongSMS still splits SMS at the SMS limit');
+
+  console.log('\n--- Test: Inbound webhook ---\n');
+
+  const res = makeResponse();
+  await smsController.handleInboundWhatsApp({
+    body: { From: 'whatsapp:+15550005555', Body: 'MY TRIPS', MessageSid: 'SMwa1', NumMedia: '0' }
+  }, res);
+  assert(/<Response><\/Response>/.test(res.body), 'Webhook is acknowledged with empty TwiML');
+  assert(queued.length === 1 && queued[0].key === '+15550005555', 'WhatsApp messages queue under the bare phone number');
+  assert(queued[0].payload.channel === 'whatsapp', 'Queued payload carries the channel');
+
+  console.log('\n--- Test: Shared session ---\n');
+
+  const phone = '+15550005555';
+  await sessionManager.updateSession(phone, {
+    onboardedVia: 'sms',
+    userPreferences: { preferredClass: 'business' }
+  });
+
+  sent.length = 0;
+  let result = await smsController.processInboundSMS(queued[0].payload);
+  assert(result.handler === 'commands', 'WhatsApp turns go through the conversation router');
+  assert(sent.length === 1 && sent[0].to === 'whatsapp:+15550005555', 'Reply goes back over WhatsApp');
+
+  sent.length = 0;
+  await smsController.processInboundSMS({ From: 'whatsapp:+15550005555', Body: 'PREFS', channel: 'whatsapp' });
+  assert(/Class: business/.test(sent[0].body), 'Preferences set over SMS are visible on WhatsApp');
+
+  let session = await sessionManager.getSession(phone);
+  assert(session.channel === 'whatsapp', 'Session records the last channel used');
+
+  sent.length = 0;
+  await smsController.processInboundSMS({ From: phone, Body: 'PREFS' });
+  session = await sessionManager.getSession(phone);
+  assert(sent[0].to === phone && /Class: business/.test(sent[0].body), 'Switching back to SMS keeps the same session');
+  assert(session.channel === 'sms', 'Channel defaults to SMS for bare numbers');
+
+  console.log('\n========================================');
+  console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test run failed:', error);
+  process.exit(1);
+});